@@ -1,23 +1,80 @@
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
+const crypto = require('crypto');
+const { createSessionStore } = require('./lib/session-stores');
+const { CatalogCache } = require('./lib/catalog-cache');
+const { API_ENDPOINTS, API_LOOKUPS } = require('./lib/api-endpoints');
+const { parseCoordinates, parseRadiusKm, rankByDistance } = require('./lib/geo');
+const { normalizeText } = require('./lib/text');
+const { NameIndex } = require('./lib/name-index');
+const { parseFilters, applyFilters, describeFilters } = require('./lib/amenity-filters');
+const Itinerary = require('./lib/itinerary');
+const { LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage, detectLanguage, createTranslator } = require('./lib/i18n');
+const Favorites = require('./lib/favorites');
+const FollowUps = require('./lib/follow-ups');
+const Comparison = require('./lib/comparison');
+const Recommendations = require('./lib/recommendations');
+const IntentClassifier = require('./lib/intent-classifier');
+const Analytics = require('./lib/analytics');
+const ClientAuth = require('./lib/client-auth');
+const { RateLimiter } = require('./lib/rate-limit');
+const { validateChatRequest, isValidSessionId } = require('./lib/validation');
+const ExportFormats = require('./lib/export-formats');
+const { ChannelRegistry } = require('./lib/chat-stream');
+const Payloads = require('./lib/payloads');
+const CatalogModel = require('./lib/catalog-model');
+const OpeningHours = require('./lib/opening-hours');
+const BotConfig = require('./lib/bot-config');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Configuration
-const API_BASE_URL = 'https://touristeproject.onrender.com';
+const API_BASE_URL = (process.env.API_BASE_URL || 'https://touristeproject.onrender.com').replace(/\/+$/, '');
 const PROJECT_ID = process.env.DIALOGFLOW_PROJECT_ID || 'tourisme-bot-sxin';
+const DIALOGFLOW_API_URL = process.env.DIALOGFLOW_API_URL || 'https://dialogflow.googleapis.com';
 const ITEMS_PER_PAGE = 10;
+const MAX_PAGE_SIZE = 50;
 const SESSION_TIMEOUT = 60 * 60 * 1000; // 1 hour
+const HISTORY_SIZE = 30; // views kept per session for recommendations
+const CATALOG_TTL = Number(process.env.CATALOG_TTL_MS) || 10 * 60 * 1000; // 10 minutes
+const CATALOG_STALE_TTL = Number(process.env.CATALOG_STALE_TTL_MS) || 24 * 60 * 60 * 1000; // 1 day
+const CATALOG_WARMUP = process.env.CATALOG_WARMUP !== 'false';
+const NEARBY_DEFAULT_RADIUS_KM = Number(process.env.NEARBY_DEFAULT_RADIUS_KM) || 20;
+const NEARBY_MAX_RADIUS_KM = 300;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null; // /webhook stays off without it
+const ALLOWED_ORIGINS = ClientAuth.parseOrigins(process.env.ALLOWED_ORIGINS); // null = any origin
+const CLIENT_RATE_LIMIT = Number(process.env.CLIENT_RATE_LIMIT_PER_MINUTE) || 60; // per API client, or per IP without keys
+// Behind the host's proxy set TRUST_PROXY (e.g. 1) so per-IP limits see each user's address, not the proxy's
+const TRUST_PROXY = ClientAuth.parseTrustProxy(process.env.TRUST_PROXY);
+const SESSION_RATE_LIMIT = Number(process.env.SESSION_RATE_LIMIT_PER_MINUTE) || 20;
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '') || null; // else taken from each request
+const EXPORT_LINK_SECRET = process.env.EXPORT_LINK_SECRET || crypto.randomBytes(32).toString('hex'); // random: links end with the process
+const EXPORT_LINK_TTL = Number(process.env.EXPORT_LINK_TTL_MS) || 24 * 60 * 60 * 1000; // 1 day
+const STREAM_SLOW_NOTICE_MS = Number(process.env.STREAM_SLOW_NOTICE_MS) || 3000; // "still searching" after this long
+const MAX_STREAM_CHANNELS = Number(process.env.MAX_STREAM_CHANNELS) || 1000;
+const PAYLOAD_VALIDATION = Payloads.validationMode(); // strict | warn | off
 
 // Middleware
-app.use(cors());
+app.set('trust proxy', TRUST_PROXY);
+app.use(cors({ origin: (origin, callback) => callback(null, ClientAuth.isOriginAllowed(origin, ALLOWED_ORIGINS)) }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Storage
-const sessionStorage = new Map();
+const sessionStore = createSessionStore();
+const catalogCache = new CatalogCache({ ttl: CATALOG_TTL, staleWhileRevalidate: CATALOG_STALE_TTL });
+const favoritesStore = Favorites.createFavoritesStore();
+const analyticsLog = Analytics.createAnalyticsLog();
+const clientAuth = ClientAuth.createClientAuth();
+const clientLimiter = new RateLimiter({ limit: CLIENT_RATE_LIMIT });
+const sessionLimiter = new RateLimiter({ limit: SESSION_RATE_LIMIT });
+const chatChannels = new ChannelRegistry({ maxChannels: MAX_STREAM_CHANNELS });
+const catalogIssues = new CatalogModel.CatalogIssues();
+const ramadanSchedule = OpeningHours.createRamadanSchedule();
+const botConfig = BotConfig.createBotConfig();
 let googleAuth = null;
 let cachedToken = null;
 let tokenExpiry = null;
@@ -67,12 +124,85 @@ async function getGoogleAccessToken() {
   throw new Error('Failed to obtain access token');
 }
 
+class DialogflowService {
+  static isConfigured() {
+    return !!googleAuth;
+  }
+
+  static getAccessToken() {
+    return getGoogleAccessToken();
+  }
+
+  static async detectIntent(sessionId, message, languageCode = 'en-US') {
+    const token = await this.getAccessToken();
+    const sessionPath = `projects/${PROJECT_ID}/agent/sessions/${sessionId}`;
+    const detectIntentUrl = `${DIALOGFLOW_API_URL}/v2/${sessionPath}:detectIntent`;
+
+    const dialogflowPayload = {
+      queryInput: {
+        text: { text: message, languageCode }
+      }
+    };
+
+    const dialogflowResponse = await axios.post(detectIntentUrl, dialogflowPayload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`,
+      },
+      timeout: 15000
+    });
+
+    return dialogflowResponse.data.queryResult;
+  }
+}
+
+// Offline intent detection from training phrases, for when Dialogflow is missing or down.
+// Returns a queryResult shaped like detectIntent's so the same processing applies.
+class LocalIntentService {
+  // Vocabulary parameters the classifier fills, keyed like the agent's entities
+  static slotParsers() {
+    return {
+      'amenity-type': (text) => CATEGORY_ALIASES.amenities[normalizeText(text)],
+      'attraction-type': (text) => CATEGORY_ALIASES.attractions[normalizeText(text)],
+      facility: (text) => parseFilters({ facility: text }).facilities,
+      criterion: (text) => Comparison.parseCriterion(text),
+      interests: (text) => Recommendations.parseInterests(text).length,
+      'export-format': (text) => ExportFormats.parseFormat(text),
+      'export-target': (text) => ExportFormats.parseSource(text),
+      'time-of-day': (text) => OpeningHours.parseTimeOfDay(text) !== null
+    };
+  }
+
+  static async detectIntent(sessionId, message) {
+    const [index, sessionData] = await Promise.all([CatalogSearch.getIndex(), SessionManager.get(sessionId)]);
+    const contexts = Object.entries(WEBHOOK_CONTEXTS)
+      .filter(([, { flag }]) => sessionData?.[flag])
+      .map(([name]) => name);
+
+    const { intent, confidence, parameters } = IntentClassifier.classify(message, {
+      mentions: index ? index.findMentions(message) : [],
+      contexts,
+      slotParsers: this.slotParsers()
+    });
+
+    return { queryText: message, intent: { displayName: intent }, intentDetectionConfidence: confidence, parameters };
+  }
+}
+
 // ============================
 // UTILITIES
 // ============================
 
+// API list path -> what its records are ({ type, category }), checked by the catalog model
+const ENDPOINT_HINTS = new Map(Object.entries(API_ENDPOINTS).flatMap(([contentType, lists]) =>
+  Object.entries(lists).map(([listName, path]) => [path, CatalogModel.listHint(contentType, listName)])));
+
 class ApiService {
-  static async makeCall(url, maxRetries = 3) {
+  static makeCall(url, maxRetries = 3) {
+    return catalogCache.coalesce(`GET ${url}`, () => Analytics.timeUpstream(() => this.fetchWithRetry(url, maxRetries)));
+  }
+
+  static async fetchWithRetry(url, maxRetries) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         return await axios.get(url, {
@@ -89,11 +219,36 @@ class ApiService {
     }
   }
 
+  // Catalog lists (everything in API_ENDPOINTS) go through the cache. Admin catalog overrides are
+  // applied on the way out, so hiding or pinning a place doesn't wait for the cache to expire.
+  static async getCatalog(endpoint) {
+    await botConfig.ready();
+    return botConfig.applyOverrides(await catalogCache.get(endpoint, () => this.fetchCatalog(endpoint)));
+  }
+
+  static async fetchCatalog(endpoint) {
+    const response = await this.makeCall(`${API_BASE_URL}${endpoint}`);
+    return this.normalize(endpoint, Array.isArray(response.data) ? response.data : [], ENDPOINT_HINTS.get(endpoint));
+  }
+
+  // API records -> catalog entities. Rejected records and doubtful fields are logged and kept per
+  // source for GET /admin/catalog/issues.
+  static normalize(source, records, hint = {}) {
+    const { entities, rejected, warnings } = CatalogModel.normalizeCatalog(records, hint);
+    catalogIssues.record(source, { rejected, warnings });
+    if (rejected.length || warnings.length) {
+      console.warn(`⚠️ ${source}: ${rejected.length} record(s) rejected, ${warnings.length} with warnings`);
+    }
+    return entities;
+  }
+
   static async getActivityByName(activityName) {
     try {
-      const response = await this.makeCall(`${API_BASE_URL}/api/public/getActivityByName/${encodeURIComponent(activityName)}`);
-      if (response.data) {
-        return { success: true, data: response.data };
+      const path = `${API_LOOKUPS.activityByName}/${encodeURIComponent(activityName)}`;
+      const response = await this.makeCall(`${API_BASE_URL}${path}`);
+      const [activity] = response.data ? botConfig.applyOverrides(this.normalize(path, [response.data], { type: 'activity' })) : [];
+      if (activity) {
+        return { success: true, data: activity };
       }
       return { success: false, data: null };
     } catch (error) {
@@ -102,6 +257,34 @@ class ApiService {
     }
   }
 
+  static async getLocationByName(locationName) {
+    try {
+      const path = `${API_LOOKUPS.locationByName}/${encodeURIComponent(locationName)}`;
+      const response = await this.makeCall(`${API_BASE_URL}${path}`);
+      const [location] = Array.isArray(response.data) ? botConfig.applyOverrides(this.normalize(path, response.data)) : [];
+      if (location) {
+        return { success: true, data: location };
+      }
+      return { success: false, data: null };
+    } catch (error) {
+      console.error(`❌ Error fetching location by name ${locationName}:`, error);
+      return { success: false, data: null };
+    }
+  }
+
+  static async getLocationsByCity(cityName) {
+    try {
+      const path = `${API_LOOKUPS.locationByCity}/${encodeURIComponent(cityName)}`;
+      const response = await this.makeCall(`${API_BASE_URL}${path}`);
+      const locations = Array.isArray(response.data) ? botConfig.applyOverrides(this.normalize(path, response.data)) : [];
+      const data = locations.length ? locations : null;
+      return { success: !!data, data, totalFound: data?.length || 0 };
+    } catch (error) {
+      console.error(`❌ Error fetching locations in ${cityName}:`, error);
+      return { success: false, data: null, totalFound: 0 };
+    }
+  }
+
   static async tryMultipleCityVariants(cityName) {
     const variants = [
       cityName,
@@ -113,10 +296,11 @@ class ApiService {
     let allResults = [];
     for (const variant of [...new Set(variants)]) {
       try {
-        const response = await this.makeCall(`${API_BASE_URL}/api/public/getLocationByCity/${encodeURIComponent(variant)}`);
+        const path = `${API_LOOKUPS.locationByCity}/${encodeURIComponent(variant)}`;
+        const response = await this.makeCall(`${API_BASE_URL}${path}`);
         if (response.data?.length > 0) {
-          const newResults = response.data.filter(newItem => 
-            !allResults.some(existingItem => existingItem.id_Location === newItem.id_Location)
+          const newResults = this.normalize(path, response.data).filter(newItem =>
+            !allResults.some(existingItem => existingItem.id === newItem.id)
           );
           allResults = [...allResults, ...newResults];
         }
@@ -125,6 +309,7 @@ class ApiService {
       }
     }
 
+    allResults = botConfig.applyOverrides(allResults);
     return {
       success: allResults.length > 0,
       data: allResults.length > 0 ? allResults : null,
@@ -133,427 +318,1536 @@ class ApiService {
   }
 }
 
+// Resolves user-typed city and item names against a local index of the catalog, so misspellings
+// and transliterations cost no upstream calls and unknown names can get "did you mean" suggestions
+class CatalogSearch {
+  static index = null;
+  static builtAt = 0;
+
+  static async getIndex() {
+    if (this.index && Date.now() - this.builtAt < CATALOG_TTL) return this.index;
+
+    try {
+      return await catalogCache.coalesce('name-index', async () => {
+        const [attractions, amenities, activities] = await Promise.all([
+          ApiService.getCatalog(API_ENDPOINTS.attractions.all),
+          ApiService.getCatalog(API_ENDPOINTS.amenities.all),
+          ApiService.getCatalog(API_ENDPOINTS.activities.all)
+        ]);
+        this.index = NameIndex.fromCatalog({ attractions, amenities, activities });
+        this.builtAt = Date.now();
+        console.log(`🔎 Name index built with ${this.index.size} entries`);
+        return this.index;
+      });
+    } catch (error) {
+      console.error('❌ Could not build name index:', error.message);
+      return this.index;
+    }
+  }
+
+  // { name, known: true } for a recognised city, { suggestions } for close misses,
+  // { name, known: false } when the index can't tell (the upstream gets the raw name)
+  static async resolveCity(cityName) {
+    const index = await this.getIndex();
+    if (!index) return { name: cityName, known: false };
+
+    const { match, suggestions } = index.lookup(cityName, { kinds: ['city'] });
+    if (match) return { name: match.name, known: true };
+    if (suggestions.length) return { suggestions };
+    return { name: cityName, known: false };
+  }
+
+  // Same contract as resolveCity; an exact match on another kind is returned as-is so the
+  // caller can still report "X doesn't appear to be an amenity"
+  static async resolveItem(itemName, itemType) {
+    const index = await this.getIndex();
+    if (!index) return { name: itemName, known: false };
+
+    const ofType = index.lookup(itemName, { kinds: [itemType] });
+    if (ofType.match) return { name: ofType.match.name, known: true };
+
+    const anyType = index.lookup(itemName);
+    if (anyType.match) return { name: anyType.match.name, known: true };
+
+    const suggestions = ofType.suggestions.length ? ofType.suggestions : anyType.suggestions;
+    if (suggestions.length) return { suggestions };
+    return { name: itemName, known: false };
+  }
+
+  static invalidate() {
+    this.index = null;
+    this.builtAt = 0;
+  }
+}
+
+// The unscoped entry holds the conversation state that each list/detail answer replaces;
+// a scope (e.g. 'list', 'itinerary') keeps longer-lived data out of its way
 class SessionManager {
-  static save(sessionId, data) {
-    sessionStorage.set(sessionId, { ...data, timestamp: Date.now() });
-    console.log(`💾 Session data saved for ${sessionId}`);
+  static key(sessionId, scope) {
+    return scope ? `${sessionId}:${scope}` : sessionId;
+  }
+
+  static async save(sessionId, data, scope = null) {
+    await sessionStore.set(this.key(sessionId, scope), { ...data, timestamp: Date.now() }, SESSION_TIMEOUT);
+    console.log(`💾 Session data saved for ${this.key(sessionId, scope)}`);
   }
 
-  static get(sessionId) {
-    const data = sessionStorage.get(sessionId);
-    if (data && Date.now() - data.timestamp > SESSION_TIMEOUT) {
-      sessionStorage.delete(sessionId);
+  static async get(sessionId, scope = null) {
+    try {
+      return await sessionStore.get(this.key(sessionId, scope));
+    } catch (error) {
+      console.error(`❌ Error reading session ${this.key(sessionId, scope)}:`, error.message);
       return null;
     }
-    return data;
   }
 
-  static delete(sessionId) {
-    sessionStorage.delete(sessionId);
+  static async delete(sessionId, scope = null) {
+    await sessionStore.delete(this.key(sessionId, scope));
   }
 }
 
-class TypeDetector {
-  static isAttraction(item) {
-    return item.hasOwnProperty('entryFre') && item.hasOwnProperty('guideToursAvailable');
+// Per-session settings picked by the client or inferred from the conversation (language, page size),
+// kept in the 'preferences' session scope
+class Preferences {
+  static async get(sessionId) {
+    return (await SessionManager.get(sessionId, 'preferences')) || {};
   }
 
-  static isAmenity(item) {
-    return item.hasOwnProperty('price') && item.hasOwnProperty('openingHours') && item.hasOwnProperty('available');
+  // Undefined values are ignored; the store is only written when something changes
+  static async update(sessionId, changes) {
+    const current = await this.get(sessionId);
+    const updates = Object.fromEntries(Object.entries(changes).filter(([key, value]) => value !== undefined && current[key] !== value));
+    if (!Object.keys(updates).length) return current;
+
+    const preferences = { ...current, ...updates };
+    await SessionManager.save(sessionId, preferences, 'preferences');
+    return preferences;
   }
 
-  static isActivity(item) {
-    return item.hasOwnProperty('id_Activity') && item.hasOwnProperty('cityOfTheActivity') && item.hasOwnProperty('duration');
+  // 1..MAX_PAGE_SIZE, or undefined when the client didn't send a usable value
+  static parsePageSize(value) {
+    const size = Number.parseInt(value, 10);
+    return Number.isInteger(size) && size > 0 ? Math.min(size, MAX_PAGE_SIZE) : undefined;
   }
+}
 
-  static determineAttractionType(data) {
-    if (data.hasOwnProperty('protectedArea')) return 'natural';
-    if (data.hasOwnProperty('style') && data.hasOwnProperty('yearBuild')) {
-      return data.hasOwnProperty('historicalPeriod') || data.hasOwnProperty('dynastyName') ? 'historical' : 'cultural';
-    }
-    if (data.hasOwnProperty('yearBuild')) return 'artificial';
-    if (data.hasOwnProperty('style')) return 'historical';
+// The API client that first used a session, kept in the 'owner' session scope
+class SessionOwners {
+  // Claims an unowned session for client -> whether client owns it
+  static async claim(sessionId, client) {
+    const owner = (await SessionManager.get(sessionId, 'owner'))?.client;
+    if (owner && owner !== client) return false;
 
-    const text = `${data.name || ''} ${data.description || ''}`.toLowerCase();
-    const patterns = {
-      natural: ['gorge', 'oasis', 'desert', 'natural', 'nature'],
-      cultural: ['kasbah', 'mosque', 'museum', 'cultural', 'heritage'],
-      historical: ['palace', 'fortress', 'ruins', 'historical', 'ancient']
-    };
+    await SessionManager.save(sessionId, { client }, 'owner')
+      .catch(error => console.error(`❌ Could not record the owner of ${sessionId}:`, error.message));
+    return true;
+  }
+}
 
-    for (const [type, keywords] of Object.entries(patterns)) {
-      if (keywords.some(keyword => text.includes(keyword))) return type;
-    }
-    return 'artificial';
+// Categories and cities the user looked at, newest last, kept in the 'history' session scope
+class History {
+  static async get(sessionId) {
+    return (await SessionManager.get(sessionId, 'history'))?.views || [];
   }
 
-  static determineAmenityType(data) {
-    const typeMap = [
-      { type: 'restaurant', props: ['menu', 'typeCuisine'] },
-      { type: 'hotel', props: ['numberStars', 'numberOfRooms', 'hasSwimmingPool'] },
-      { type: 'lodge', props: ['viewPanoramic', 'closeNature'] },
-      { type: 'guesthouse', props: ['numberRooms', 'breakfastIncluded'] },
-      { type: 'camping', props: ['capacity', 'hasWaterSupply', 'electricityAvailability'] },
-      { type: 'cafe', props: ['wifiAvailable', 'menu'] }
-    ];
+  static async record(sessionId, view) {
+    const views = [...await this.get(sessionId), view].slice(-HISTORY_SIZE);
+    await SessionManager.save(sessionId, { views }, 'history');
+  }
+}
 
-    for (const { type, props } of typeMap) {
-      if (props.some(prop => data.hasOwnProperty(prop))) return type;
-    }
+// Translator with the reply templates changed through the admin API
+const translatorFor = (language) => createTranslator(language, botConfig.templates);
 
-    const text = `${data.name || ''} ${data.description || ''}`.toLowerCase();
-    const keywords = {
-      restaurant: ['restaurant', 'food'], hotel: ['hotel'], lodge: ['lodge'],
-      guesthouse: ['guest', 'house'], camping: ['camping', 'camp'], cafe: ['cafe', 'coffee']
-    };
+// Language of the conversation: what the client asked for, else what the message is written in,
+// else what the session used last
+class Localization {
+  static async forSession(sessionId) {
+    await botConfig.ready();
+    return translatorFor((await Preferences.get(sessionId)).language);
+  }
 
-    for (const [type, words] of Object.entries(keywords)) {
-      if (words.some(word => text.includes(word))) return type;
-    }
-    return 'amenity';
+  static async resolve(sessionId, { requested, message } = {}) {
+    const { language: current } = await Preferences.get(sessionId);
+    const language = normalizeLanguage(requested) || detectLanguage(message) || current || DEFAULT_LANGUAGE;
+
+    await Preferences.update(sessionId, { language });
+    await botConfig.ready();
+    return translatorFor(language);
   }
 
-  static determineActivityType(data) {
-    if (data.hasOwnProperty('typeSport')) return 'sportive';
-    if (data.hasOwnProperty('terrainType') && data.hasOwnProperty('ageRestriction')) return 'adventure';
-    if (data.hasOwnProperty('traditionAssociated')) return 'cultural';
-    if (data.hasOwnProperty('craftType')) return 'traditional';
-    
-    const text = `${data.name || ''} ${data.description || ''}`.toLowerCase();
-    const patterns = {
-      adventure: ['desert', 'climbing', 'hiking', 'adventure', 'expedition'],
-      sportive: ['sport', 'climbing', 'football', 'tennis', 'swimming'],
-      cultural: ['cultural', 'festival', 'tradition', 'heritage', 'ceremony'],
-      traditional: ['craft', 'traditional', 'pottery', 'weaving', 'handicraft']
+  // Lets the app pick fonts and text direction (Arabic is right-to-left)
+  static annotate(response, t) {
+    if (!response?.payload?.flutter) return response;
+    return {
+      ...response,
+      payload: { ...response.payload, flutter: { ...response.payload.flutter, locale: { language: t.language, direction: t.direction } } }
     };
-
-    for (const [type, keywords] of Object.entries(patterns)) {
-      if (keywords.some(keyword => text.includes(keyword))) return type;
-    }
-    return 'general';
   }
 }
 
 // ============================
-// API ENDPOINTS CONFIGURATION (AVEC ACTIVITÉS)
+// CONTENT HANDLERS (AVEC ACTIVITÉS)
 // ============================
 
-const API_ENDPOINTS = {
-  attractions: {
-    all: '/api/public/getAll/Attraction',
-    natural: '/api/public/NaturalAttractions',
-    cultural: '/api/public/CulturalAttractions',
-    historical: '/api/public/HistoricalAttractions',
-    artificial: '/api/public/ArtificialAttractions'
-  },
+// Spoken category names -> API_ENDPOINTS keys for the "near me" intents
+const CATEGORY_ALIASES = {
   amenities: {
-    all: '/api/public/getAll/Amenities',
-    restaurants: '/api/public/Restaurants',
-    hotels: '/api/public/Hotels',
-    lodges: '/api/public/Lodges',
-    guesthouses: '/api/public/GuestHouses',
-    camping: '/api/public/Camping',
-    cafes: '/api/public/Cafes'
+    restaurant: 'restaurants', restaurants: 'restaurants', food: 'restaurants',
+    hotel: 'hotels', hotels: 'hotels',
+    lodge: 'lodges', lodges: 'lodges',
+    guesthouse: 'guesthouses', guesthouses: 'guesthouses', 'guest house': 'guesthouses', 'guest houses': 'guesthouses', riad: 'guesthouses',
+    camping: 'camping', campsite: 'camping', camp: 'camping',
+    cafe: 'cafes', cafes: 'cafes', coffee: 'cafes'
   },
-  activities: {
-    all: '/api/public/getAll/Activities',
-    adventure: '/api/public/Activity/Adventure',
-    sportive: '/api/public/Activity/Sportive',
-    cultural: '/api/public/Activity/Cultural',
-    traditional: '/api/public/Activity/Traditional'
+  attractions: {
+    natural: 'natural', nature: 'natural',
+    cultural: 'cultural', culture: 'cultural',
+    historical: 'historical', history: 'historical', historic: 'historical',
+    artificial: 'artificial'
   }
 };
 
-// ============================
-// CONTENT HANDLERS (AVEC ACTIVITÉS)
-// ============================
-
 class ContentHandler {
   static async handleGenericContent(endpoint, category, sessionId, contentType = 'attractions') {
+    const t = await Localization.forSession(sessionId);
+    const noun = t(`noun.${contentType}`);
+
     try {
-      const response = await ApiService.makeCall(`${API_BASE_URL}${endpoint}`);
-      if (!response.data?.length) {
-        return { fulfillmentText: `No ${contentType} found.` };
+      const items = await ApiService.getCatalog(endpoint);
+      if (!items.length) {
+        Analytics.markEmpty();
+        return { fulfillmentText: t('content.none', { contentType: noun }) };
       }
-      return this.createPaginationResponse(response.data, category, sessionId, null, contentType);
+      await History.record(sessionId, Recommendations.viewFromList(contentType, category));
+      return await this.createPaginationResponse(items, category, sessionId, null, contentType);
     } catch (error) {
       console.error(`❌ Error fetching ${contentType}:`, error);
-      return { fulfillmentText: `Having trouble finding ${contentType}.` };
+      return { fulfillmentText: t('content.error', { contentType: noun }) };
     }
   }
 
   static async handleContentByCity(sessionId, cityName, contentType) {
+    const t = await Localization.forSession(sessionId);
+    const noun = t(`noun.${contentType}`);
+
     if (!cityName) {
-      return { fulfillmentText: `Please tell me which city you're interested in for ${contentType}.` };
+      return { fulfillmentText: t('city.missing', { contentType: noun }) };
     }
 
     try {
-      const cityResult = await ApiService.tryMultipleCityVariants(cityName);
-      if (!cityResult.success) {
-        return { fulfillmentText: `I couldn't find ${contentType} information about "${cityName}". Try another city.` };
-      }
+      const city = await CatalogSearch.resolveCity(cityName);
 
       let items;
-      if (contentType === 'attractions') {
-        items = cityResult.data.filter(location => TypeDetector.isAttraction(location));
-      } else if (contentType === 'amenities') {
-        items = cityResult.data.filter(location => TypeDetector.isAmenity(location));
+      if (contentType === 'activities') {
+        // Activities aren't returned by getLocationByCity, so filter the (cached) activity catalog
+        items = await this.findActivitiesByCity(city.name || cityName);
+      } else if (city.name) {
+        // A recognised city needs one upstream call; unknown names still go through the casing variants
+        const cityResult = city.known
+          ? await ApiService.getLocationsByCity(city.name)
+          : await ApiService.tryMultipleCityVariants(city.name);
+        if (!cityResult.success) {
+          Analytics.markEmpty();
+          return { fulfillmentText: t('city.notFound', { contentType: noun, city: cityName }) };
+        }
+        items = this.filterLocations(cityResult.data, contentType);
+      }
+
+      if (!items?.length && city.suggestions) {
+        return this.createSuggestionsResponse(cityName, city.suggestions, 'city', t);
       }
 
       if (!items?.length) {
-        return { fulfillmentText: `No ${contentType} found in ${cityName}.` };
+        Analytics.markEmpty();
+        return { fulfillmentText: t('city.none', { contentType: noun, city: cityName }) };
       }
 
-      const formattedCityName = cityName.charAt(0).toUpperCase() + cityName.slice(1).toLowerCase();
-      return this.createPaginationResponse(items, `city_${contentType}_${cityName.toLowerCase()}`, sessionId, formattedCityName, contentType);
+      const formattedCityName = city.known ? city.name : cityName.charAt(0).toUpperCase() + cityName.slice(1).toLowerCase();
+      await History.record(sessionId, Recommendations.viewFromList(contentType, null, formattedCityName));
+      return await this.createPaginationResponse(items, `city_${contentType}_${formattedCityName.toLowerCase()}`, sessionId, formattedCityName, contentType);
     } catch (error) {
       console.error(`❌ Error finding ${contentType} in ${cityName}:`, error);
-      return { fulfillmentText: `Having trouble finding ${contentType} in ${cityName}.` };
+      return { fulfillmentText: t('city.error', { contentType: noun, city: cityName }) };
     }
   }
 
-  static async handleItemDetails(sessionId, itemName, itemType) {
-    if (!itemName) {
-      return { fulfillmentText: `Please tell me which ${itemType} you'd like to know more about.` };
+  // originName words the answer around a place ("within 20 km of Kasbah Amridil") instead of the user
+  static async handleNearby(sessionId, userLocation, contentType, categoryName, radius, originName = null) {
+    const t = await Localization.forSession(sessionId);
+    const noun = t(`noun.${contentType}`);
+
+    if (!userLocation) {
+      return Payloads.flutterResponse(t('nearby.needLocation', { contentType: noun }), 'location_request', { contentType });
     }
 
+    const category = CATEGORY_ALIASES[contentType][normalizeText(categoryName)] || 'all';
+    const radiusKm = Math.min(parseRadiusKm(radius, NEARBY_DEFAULT_RADIUS_KM), NEARBY_MAX_RADIUS_KM);
+    const roundedRadius = Math.round(radiusKm * 10) / 10;
+
     try {
-      let itemData = null;
-      let isCorrectType = false;
-      let category = '';
+      const catalog = await ApiService.getCatalog(API_ENDPOINTS[contentType][category]);
+      const items = rankByDistance(catalog, userLocation, radiusKm).filter(item => item.name !== originName);
 
-      if (itemType === 'activity') {
-        const activityResult = await ApiService.getActivityByName(itemName);
-        if (!activityResult.success) {
-          return { fulfillmentText: `I couldn't find detailed information about "${itemName}". Please check the spelling.` };
-        }
-        itemData = activityResult.data;
-        isCorrectType = TypeDetector.isActivity(itemData);
-        category = TypeDetector.determineActivityType(itemData);
-      } else {
-        const response = await ApiService.makeCall(`${API_BASE_URL}/api/public/getLocationByName/${encodeURIComponent(itemName)}`);
-        
-        if (!response.data?.length) {
-          return { fulfillmentText: `I couldn't find detailed information about "${itemName}". Please check the spelling.` };
-        }
+      if (!items.length) {
+        Analytics.markEmpty();
+        return {
+          fulfillmentText: originName
+            ? t('nearby.noneNear', { contentType: noun, radius: roundedRadius, name: originName })
+            : t('nearby.none', { contentType: noun, radius: roundedRadius })
+        };
+      }
+
+      return await this.createPaginationResponse(items, `nearby_${category}`, sessionId, null, contentType, {
+        locationLabel: originName
+          ? t('where.near', { radius: roundedRadius, name: originName })
+          : t('where.nearby', { radius: roundedRadius }),
+        extraData: { radiusKm, userLocation }
+      });
+    } catch (error) {
+      console.error(`❌ Error finding ${contentType} near ${userLocation.latitude},${userLocation.longitude}:`, error);
+      return { fulfillmentText: t('nearby.error', { contentType: noun }) };
+    }
+  }
 
-        itemData = response.data[0];
+  // Filter pipeline over an amenity list (category and/or city) before pagination;
+  // the applied filters are echoed as chips in the payload
+  static async handleFilteredAmenities(sessionId, categoryName, cityName, filters) {
+    const t = await Localization.forSession(sessionId);
+    const category = CATEGORY_ALIASES.amenities[normalizeText(categoryName)] || 'all';
+    const appliedFilters = describeFilters(filters, t.language);
 
-        if (itemType === 'attraction') {
-          isCorrectType = TypeDetector.isAttraction(itemData);
-          category = TypeDetector.determineAttractionType(itemData);
-        } else if (itemType === 'amenity') {
-          isCorrectType = TypeDetector.isAmenity(itemData);
-          category = TypeDetector.determineAmenityType(itemData);
+    try {
+      let items = await ApiService.getCatalog(API_ENDPOINTS.amenities[category]);
+      let displayCity = null;
+
+      if (cityName) {
+        const city = await CatalogSearch.resolveCity(cityName);
+        if (city.suggestions) {
+          return this.createSuggestionsResponse(cityName, city.suggestions, 'city', t);
         }
+
+        const cityResult = city.known
+          ? await ApiService.getLocationsByCity(city.name)
+          : await ApiService.tryMultipleCityVariants(city.name);
+        const idsInCity = new Set((cityResult.data || []).map(location => location.id));
+        items = items.filter(item => idsInCity.has(item.id));
+        displayCity = city.known ? city.name : cityName.charAt(0).toUpperCase() + cityName.slice(1).toLowerCase();
       }
-      
-      if (!isCorrectType) {
-        return { fulfillmentText: `"${itemName}" doesn't appear to be an ${itemType}.` };
+
+      const matches = applyFilters(items, filters, new Date(), ramadanSchedule);
+      if (!matches.length) {
+        const criteria = appliedFilters.map(filter => filter.label).join(t('list.separator'));
+        Analytics.markEmpty();
+        return {
+          fulfillmentText: t('filters.none', {
+            criteria: criteria || t('filters.anything'),
+            where: displayCity ? t('where.city', { city: displayCity }) : ''
+          })
+        };
       }
 
-      SessionManager.save(sessionId, {
+      return await this.createPaginationResponse(matches, `filtered_${category}`, sessionId, displayCity, 'amenities', {
+        extraData: { appliedFilters }
+      });
+    } catch (error) {
+      console.error('❌ Error filtering amenities:', error);
+      return { fulfillmentText: t('content.error', { contentType: t('noun.amenities') }) };
+    }
+  }
+
+  // "what's open tonight in Merzouga?": the city's amenities (or attractions) open at that time,
+  // Ramadan hours included. when is a spoken time of day or a Dialogflow time; now otherwise.
+  static async handleOpenInCity(sessionId, cityName, contentType, categoryName, when) {
+    const t = await Localization.forSession(sessionId);
+    const noun = t(`noun.${contentType}`);
+
+    if (!cityName) {
+      return { fulfillmentText: t('city.missing', { contentType: noun }) };
+    }
+
+    const now = new Date();
+    const at = OpeningHours.parseCheckTime(when, now) || now;
+    const category = CATEGORY_ALIASES[contentType][normalizeText(categoryName)] || 'all';
+    const itemCategory = CatalogModel.categoryOfList(category);
+
+    try {
+      const city = await CatalogSearch.resolveCity(cityName);
+      if (city.suggestions) {
+        return this.createSuggestionsResponse(cityName, city.suggestions, 'city', t);
+      }
+
+      const cityResult = city.known
+        ? await ApiService.getLocationsByCity(city.name)
+        : await ApiService.tryMultipleCityVariants(city.name);
+      if (!cityResult.success) {
+        Analytics.markEmpty();
+        return { fulfillmentText: t('city.notFound', { contentType: noun, city: cityName }) };
+      }
+
+      const displayCity = city.known ? city.name : cityName.charAt(0).toUpperCase() + cityName.slice(1).toLowerCase();
+      const locationLabel = at === now
+        ? t('where.openNow', { city: displayCity })
+        : t('where.openAt', { city: displayCity, time: OpeningStatus.formatTime(at, t).time });
+      const items = this.filterLocations(cityResult.data, contentType)
+        .filter(item => !itemCategory || item.category === itemCategory)
+        .filter(item => item.details.available !== false && OpeningHours.isOpenNow(item, at, ramadanSchedule) === true);
+
+      if (!items.length) {
+        Analytics.markEmpty();
+        return { fulfillmentText: t('open.none', { contentType: noun, where: locationLabel }) };
+      }
+
+      await History.record(sessionId, Recommendations.viewFromList(contentType, category, displayCity));
+      return await this.createPaginationResponse(items, `open_${category}`, sessionId, displayCity, contentType, {
+        locationLabel,
+        extraData: { openAt: at.toISOString() }
+      });
+    } catch (error) {
+      console.error(`❌ Error finding ${contentType} open in ${cityName}:`, error);
+      return { fulfillmentText: t('city.error', { contentType: noun, city: cityName }) };
+    }
+  }
+
+  static createSuggestionsResponse(query, suggestions, searchType, t = translatorFor(DEFAULT_LANGUAGE)) {
+    const list = t.list(suggestions.map(suggestion => suggestion.name));
+
+    return Payloads.flutterResponse(t('suggestions.didYouMean', { query, list }), 'suggestions', {
+      query,
+      searchType,
+      suggestions: suggestions.map(({ name, kind }) => ({ name, type: kind }))
+    });
+  }
+
+  static filterLocations(locations, contentType) {
+    const type = CatalogModel.CONTENT_TYPES[contentType];
+    return type === 'activity' ? [] : locations.filter(location => location.type === type);
+  }
+
+  // Matches the city of the activity, or the place it happens at ("Erg Chebbi" -> Merzouga activities)
+  static async findActivitiesByCity(cityName) {
+    const query = normalizeText(cityName);
+    const activities = await ApiService.getCatalog(API_ENDPOINTS.activities.all);
+
+    return activities.filter(activity => {
+      const city = normalizeText(activity.city);
+      const location = normalizeText(activity.details.location);
+      return city === query || (location && (location === query || location.includes(query)));
+    });
+  }
+
+  static async handleItemDetails(sessionId, itemName, itemType) {
+    const t = await Localization.forSession(sessionId);
+
+    if (!itemName) {
+      return { fulfillmentText: t('details.missingName', { itemType: t(`type.${itemType}`) }) };
+    }
+
+    try {
+      const resolved = await CatalogSearch.resolveItem(itemName, itemType);
+      if (resolved.suggestions) {
+        return this.createSuggestionsResponse(itemName, resolved.suggestions, itemType, t);
+      }
+
+      const result = itemType === 'activity'
+        ? await ApiService.getActivityByName(resolved.name)
+        : await ApiService.getLocationByName(resolved.name);
+      if (!result.success) {
+        Analytics.markEmpty();
+        return { fulfillmentText: t('details.notFound', { name: itemName }) };
+      }
+
+      const itemData = result.data;
+      const { category } = itemData;
+      if (itemData.type !== itemType) {
+        return { fulfillmentText: t('details.wrongType', { name: itemName, itemType: t(`type.${itemType}`) }) };
+      }
+
+      await SessionManager.save(sessionId, {
         [`${itemType}Data`]: itemData,
         [`${itemType}Type`]: category,
         waitingForDetailsText: true,
         waitingForMapResponse: true,
         [`${itemType}Name`]: itemData.name
       });
+      await SessionManager.save(sessionId, { type: itemType, item: itemData }, 'context');
+      await History.record(sessionId, { type: itemType, category, city: itemData.city });
 
-      return {
-        fulfillmentText: "",
-        payload: {
-          flutter: {
-            type: `${itemType}_details`,
-            category: category,
-            data: {
-              [itemType]: itemData,
-              [`${itemType}Type`]: category,
-              onlyImages: true
-            }
-          }
-        }
-      };
+      return Payloads.flutterResponse("", `${itemType}_details`, {
+        [itemType]: itemData,
+        [`${itemType}Type`]: category,
+        onlyImages: true
+      }, { category });
     } catch (error) {
-      return { fulfillmentText: `Sorry, I'm having trouble retrieving details about "${itemName}".` };
+      return { fulfillmentText: t('details.error', { name: itemName }) };
     }
   }
 
-  static createPaginationResponse(allItems, category, sessionId, cityName = null, contentType = 'attractions') {
-    const totalCount = allItems.length;
-    
-    const getDisplayMessage = (count, isFirst = false) => {
-      const prefix = isFirst ? `I found ${count}` : `Here are all the remaining`;
-      if (cityName) {
-        return `${prefix} ${contentType} in ${cityName}!`;
-      }
-      return `${prefix} ${contentType}!`;
-    };
-    
-    const getActions = () => [
-      { type: 'view_details', label: 'View Details', icon: 'info' },
-      { type: 'get_directions', label: 'Get Directions', icon: 'directions' },
-      { type: 'add_favorite', label: 'Add to Favorites', icon: 'favorite_border' }
+  // " in <city>", or the caller's own wording (e.g. " within 20 km of you")
+  static describeWhere(t, cityName, locationLabel = null) {
+    if (locationLabel) return locationLabel;
+    return cityName ? t('where.city', { city: cityName }) : '';
+  }
+
+  static listActions(t) {
+    return [
+      { type: 'view_details', label: t('action.viewDetails'), icon: 'info' },
+      { type: 'get_directions', label: t('action.getDirections'), icon: 'directions' },
+      { type: 'add_favorite', label: t('action.addFavorite'), icon: 'favorite_border' }
     ];
+  }
+
+  // options.locationLabel replaces the " in <city>" wording (e.g. " within 20 km of you"),
+  // options.extraData is merged into the payload data (e.g. the search radius).
+  // Lists longer than a page are kept whole in the 'list' session scope and browsed with showPage,
+  // so asking about one of the items doesn't lose the list.
+  static async createPaginationResponse(allItems, category, sessionId, cityName = null, contentType = 'attractions', options = {}) {
+    const preferences = await Preferences.get(sessionId);
+    const t = translatorFor(preferences.language);
+    const pageSize = preferences.pageSize || ITEMS_PER_PAGE;
+    const totalCount = allItems.length;
+    const { locationLabel = null, extraData = {} } = options;
+    const items = t(`count.${contentType}`, { count: totalCount });
+    const where = this.describeWhere(t, cityName, locationLabel);
+    // The whole list, whatever page is on screen, is what "export this list" exports
+    await SessionManager.save(sessionId, { entries: allItems.map(item => ({ type: CONTENT_ITEM_TYPES[contentType], item })) }, 'results');
     
-    if (totalCount <= ITEMS_PER_PAGE) {
-      return {
-        fulfillmentText: getDisplayMessage(totalCount, true),
-        payload: {
-          flutter: {
-            type: contentType === 'attractions' ? 'attractions_list' : contentType === 'amenities' ? 'amenities_list' : 'activities_list',
-            category: category,
-            data: { [contentType]: allItems, count: totalCount, cityName: cityName },
-            actions: getActions()
-          }
-        }
-      };
+    if (totalCount <= pageSize) {
+      await SessionManager.delete(sessionId, 'list');
+      return Payloads.flutterResponse(t('list.found', { items, where }), `${contentType}_list`,
+        { [contentType]: allItems, count: totalCount, cityName: cityName, ...extraData },
+        { category, actions: this.listActions(t) });
     }
 
-    const firstPageItems = allItems.slice(0, ITEMS_PER_PAGE);
-    const remainingItems = allItems.slice(ITEMS_PER_PAGE);
-    
-    SessionManager.save(sessionId, {
-      remainingItems,
+    const list = {
+      items: allItems,
       category,
       cityName: cityName,
       contentType: contentType,
-      waitingForMoreResponse: true
-    });
-
-    return {
-      fulfillmentText: getDisplayMessage(totalCount, true).replace('!', `. Here are the first ${ITEMS_PER_PAGE}:`),
-      payload: {
-        flutter: {
-          type: contentType === 'attractions' ? 'attractions_list_with_more' : contentType === 'amenities' ? 'amenities_list_with_more' : 'activities_list_with_more',
-          category: category,
-          data: {
-            [contentType]: firstPageItems,
-            count: firstPageItems.length,
-            hasMore: true,
-            totalCount: totalCount,
-            remainingCount: remainingItems.length,
-            cityName: cityName,
-            sendMoreMessage: true
-          },
-          actions: getActions()
-        }
-      }
+      extraData,
+      locationLabel,
+      pageSize,
+      offset: 0
     };
-  }
-}
+    await SessionManager.save(sessionId, list, 'list');
+    await SessionManager.save(sessionId, { waitingForMoreResponse: true });
 
-// ============================
-// INTENT HANDLERS (AVEC ACTIVITÉS - 5 SEULEMENT)
-// ============================
+    return this.renderPage(list, t('list.firstPage', { items, where, pageSize }), t);
+  }
 
-const IntentHandlers = {
-  // Attraction handlers
-  handleAllAttractions: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.attractions.all, 'all', sessionId, 'attractions'),
-  handleNaturalAttractions: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.attractions.natural, 'natural', sessionId, 'attractions'),
-  handleCulturalAttractions: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.attractions.cultural, 'cultural', sessionId, 'attractions'),
-  handleHistoricalAttractions: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.attractions.historical, 'historical', sessionId, 'attractions'),
-  handleArtificialAttractions: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.attractions.artificial, 'artificial', sessionId, 'attractions'),
-  handleAttractionsByCity: (sessionId, cityName) => ContentHandler.handleContentByCity(sessionId, cityName, 'attractions'),
-  handleAttractionDetails: (sessionId, attractionName) => ContentHandler.handleItemDetails(sessionId, attractionName, 'attraction'),
+  // Moves the session list's cursor: direction is 'next', 'previous' or 'page' (with pageNumber)
+  static async showPage(sessionId, direction, pageNumber = null) {
+    const t = await Localization.forSession(sessionId);
+    const list = await SessionManager.get(sessionId, 'list');
 
-  // Amenity handlers
-  handleAllAmenities: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.amenities.all, 'all_amenities', sessionId, 'amenities'),
-  handleRestaurants: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.amenities.restaurants, 'restaurants', sessionId, 'amenities'),
-  handleHotels: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.amenities.hotels, 'hotels', sessionId, 'amenities'),
-  handleLodges: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.amenities.lodges, 'lodges', sessionId, 'amenities'),
-  handleGuestHouses: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.amenities.guesthouses, 'guesthouses', sessionId, 'amenities'),
-  handleCamping: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.amenities.camping, 'camping', sessionId, 'amenities'),
-  handleCafes: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.amenities.cafes, 'cafes', sessionId, 'amenities'),
-  handleAmenitiesByCity: (sessionId, cityName) => ContentHandler.handleContentByCity(sessionId, cityName, 'amenities'),
-  handleAmenityDetails: (sessionId, amenityName) => ContentHandler.handleItemDetails(sessionId, amenityName, 'amenity'),
+    if (!list?.items?.length) {
+      return { fulfillmentText: t('list.noMore') };
+    }
 
-  // Activity handlers - SEULEMENT 5 INTENTS + DÉTAILS
-  handleAllActivities: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.activities.all, 'all_activities', sessionId, 'activities'),
-  handleAdventureActivities: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.activities.adventure, 'adventure', sessionId, 'activities'),
-  handleSportiveActivities: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.activities.sportive, 'sportive', sessionId, 'activities'),
-  handleCulturalActivities: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.activities.cultural, 'cultural', sessionId, 'activities'),
-  handleTraditionalActivities: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.activities.traditional, 'traditional', sessionId, 'activities'),
-  handleActivityDetails: (sessionId, activityName) => ContentHandler.handleItemDetails(sessionId, activityName, 'activity'),
+    const pageCount = Math.ceil(list.items.length / list.pageSize);
+    const current = Math.floor(list.offset / list.pageSize) + 1;
+    const target = direction === 'next' ? current + 1
+      : direction === 'previous' ? current - 1
+        : Number.parseInt(pageNumber, 10);
 
-  // Shared handlers
-  async handleShowMore(sessionId) {
-    const sessionData = SessionManager.get(sessionId);
-    
-    if (!sessionData?.remainingItems?.length) {
-      return { fulfillmentText: "I don't have any additional items to show right now." };
+    if (direction === 'next' && target > pageCount) {
+      return { fulfillmentText: t('list.lastPage') };
+    }
+    if (direction === 'previous' && target < 1) {
+      return { fulfillmentText: t('list.firstPageReached') };
+    }
+    if (!Number.isInteger(target) || target < 1 || target > pageCount) {
+      return { fulfillmentText: t('list.noSuchPage', { count: pageCount }) };
     }
 
-    const { remainingItems, category, cityName, contentType } = sessionData;
-    SessionManager.delete(sessionId);
+    const moved = { ...list, offset: (target - 1) * list.pageSize };
+    await SessionManager.save(sessionId, moved, 'list');
+    await SessionManager.save(sessionId, { waitingForMoreResponse: true });
 
-    let naturalResponse;
-    if (cityName) {
-      naturalResponse = `Perfect! Here are all the remaining ${contentType} in ${cityName}:`;
-    } else {
-      naturalResponse = `Perfect! Here are all the remaining ${contentType}:`;
+    const where = this.describeWhere(t, list.cityName, list.locationLabel);
+    return this.renderPage(moved, t('list.page', { page: target, pageCount, contentType: t(`noun.${list.contentType}`), where }), t);
+  }
+
+  // One page of a session list; offset is the cursor
+  static renderPage(list, text, t) {
+    const { items, category, cityName, contentType, extraData = {}, pageSize, offset } = list;
+    const pageItems = items.slice(offset, offset + pageSize);
+    const page = Math.floor(offset / pageSize) + 1;
+    const pageCount = Math.ceil(items.length / pageSize);
+
+    return Payloads.flutterResponse(text, `${contentType}_list_with_more`, {
+      [contentType]: pageItems,
+      count: pageItems.length,
+      hasMore: page < pageCount,
+      hasPrevious: page > 1,
+      page,
+      pageCount,
+      pageSize,
+      totalCount: items.length,
+      remainingCount: items.length - offset - pageItems.length,
+      cityName: cityName,
+      sendMoreMessage: page < pageCount,
+      ...extraData
+    }, { category, actions: this.listActions(t) });
+  }
+}
+
+// Multi-day plans over attractions and activities; the plan lives in the 'itinerary' session
+// scope so the user can rework it after asking about other things
+class ItineraryHandler {
+  static async loadCatalog() {
+    const [attractions, activities, amenities] = await Promise.all([
+      ApiService.getCatalog(API_ENDPOINTS.attractions.all),
+      ApiService.getCatalog(API_ENDPOINTS.activities.all),
+      ApiService.getCatalog(API_ENDPOINTS.amenities.all)
+    ]);
+    const centroids = Itinerary.cityCentroids([...attractions, ...amenities]);
+    return { centroids, stops: Itinerary.buildStops({ attractions, activities }, centroids) };
+  }
+
+  static async handlePlan(sessionId, dayCount, startCityName) {
+    const t = await Localization.forSession(sessionId);
+    const days = Itinerary.parseDayCount(dayCount);
+    if (!days) {
+      return { fulfillmentText: t('itinerary.askDays') };
     }
 
-    return {
-      fulfillmentText: naturalResponse,
-      payload: {
-        flutter: {
-          type: contentType === 'attractions' ? 'attractions_list' : contentType === 'amenities' ? 'amenities_list' : 'activities_list',
-          category: category,
-          data: { [contentType]: remainingItems, count: remainingItems.length, cityName: cityName },
-          actions: [
-            { type: 'view_details', label: 'View Details', icon: 'info' },
-            { type: 'get_directions', label: 'Get Directions', icon: 'directions' },
-            { type: 'add_favorite', label: 'Add to Favorites', icon: 'favorite_border' }
-          ]
+    try {
+      const { centroids, stops } = await this.loadCatalog();
+
+      let start = null;
+      if (startCityName) {
+        const city = await CatalogSearch.resolveCity(startCityName);
+        if (city.suggestions) {
+          return ContentHandler.createSuggestionsResponse(startCityName, city.suggestions, 'city', t);
         }
+        const position = centroids.get(normalizeText(city.name));
+        if (!position) {
+          return { fulfillmentText: t('itinerary.unknownStart', { city: startCityName }) };
+        }
+        start = { name: city.name, ...position };
       }
-    };
-  },
-
-  handleDecline(sessionId) {
-    SessionManager.delete(sessionId);
-    return { fulfillmentText: "No problem! I'm here whenever you need help discovering places in Draa-Tafilalet. Just ask me anytime!" };
-  },
 
-  async handleShowItemOnMap(sessionId) {
-    try {
-      const sessionData = SessionManager.get(sessionId);
-      
-      if (!sessionData) {
-        return { fulfillmentText: "I don't have location information available. Please ask about a specific place first." };
+      if (!stops.length) {
+        return { fulfillmentText: t('itinerary.noPlaces') };
       }
 
-      const itemData = sessionData.attractionData || sessionData.amenityData || sessionData.activityData;
+      const plan = Itinerary.planItinerary({ stops, days, start });
+      await SessionManager.save(sessionId, { plan }, 'itinerary');
+
+      const from = start ? t('itinerary.from', { city: start.name }) : '';
+      return this.createItineraryResponse(plan, t('itinerary.planned', { count: days, days: t('count.days', { count: days }), from }), t);
+    } catch (error) {
+      console.error('❌ Error planning itinerary:', error);
+      return { fulfillmentText: t('itinerary.error') };
+    }
+  }
+
+  // "swap day 2 and day 3" reorders days; "swap day 2" replaces its visits with unused ones
+  static async handleSwapDay(sessionId, dayNumber, otherDayNumber) {
+    const t = await Localization.forSession(sessionId);
+    const plan = (await SessionManager.get(sessionId, 'itinerary'))?.plan;
+    if (!plan) {
+      return { fulfillmentText: t('itinerary.noPlan') };
+    }
+
+    const day = Number.parseInt(dayNumber, 10);
+    const otherDay = Number.parseInt(otherDayNumber, 10);
+    const planLength = t('count.days', { count: plan.days.length });
+    if (!plan.days[day - 1]) {
+      return { fulfillmentText: t('itinerary.whichDayToChange', { days: planLength }) };
+    }
+
+    try {
+      if (otherDay) {
+        const swapped = Itinerary.swapDays(plan, day, otherDay);
+        if (!swapped) {
+          return { fulfillmentText: t('itinerary.cantSwap', { day, other: otherDay, days: planLength }) };
+        }
+        await SessionManager.save(sessionId, { plan: swapped }, 'itinerary');
+        return this.createItineraryResponse(swapped, t('itinerary.swapped', { day, other: otherDay }), t);
+      }
+
+      const { stops } = await this.loadCatalog();
+      const replanned = Itinerary.replanDay(plan, day, stops);
+      if (!replanned) {
+        return { fulfillmentText: t('itinerary.noAlternatives', { day }) };
+      }
+      await SessionManager.save(sessionId, { plan: replanned }, 'itinerary');
+      return this.createItineraryResponse(replanned, t('itinerary.newDay', { day }), t);
+    } catch (error) {
+      console.error('❌ Error changing itinerary:', error);
+      return { fulfillmentText: t('itinerary.changeError') };
+    }
+  }
+
+  // "add a restaurant to day 1" picks the closest amenity of that kind not already planned
+  static async handleAddToDay(sessionId, dayNumber, categoryName) {
+    const t = await Localization.forSession(sessionId);
+    const plan = (await SessionManager.get(sessionId, 'itinerary'))?.plan;
+    if (!plan) {
+      return { fulfillmentText: t('itinerary.noPlan') };
+    }
+
+    const day = Number.parseInt(dayNumber, 10);
+    if (!plan.days[day - 1]) {
+      return { fulfillmentText: t('itinerary.whichDayToAdd', { days: t('count.days', { count: plan.days.length }) }) };
+    }
+
+    const category = CATEGORY_ALIASES.amenities[normalizeText(categoryName || 'restaurant')] || 'restaurants';
+
+    try {
+      const centre = Itinerary.dayCentre(plan, day);
+      const planned = Itinerary.usedIds(plan);
+      const catalog = await ApiService.getCatalog(API_ENDPOINTS.amenities[category]);
+      const [closest] = centre
+        ? rankByDistance(catalog, centre, NEARBY_MAX_RADIUS_KM).filter(item => !planned.has(item.id))
+        : [];
+
+      if (!closest) {
+        Analytics.markEmpty();
+        return { fulfillmentText: t('itinerary.noneNearby', { category: t(`category.${category}`), day }) };
+      }
+
+      const updated = Itinerary.addStop(plan, day, {
+        id: closest.id,
+        type: 'amenity',
+        category,
+        name: closest.name,
+        city: closest.city,
+        latitude: closest.latitude,
+        longitude: closest.longitude,
+        distanceKm: closest.distanceKm
+      });
+      await SessionManager.save(sessionId, { plan: updated }, 'itinerary');
+      return this.createItineraryResponse(updated, t('itinerary.added', { name: closest.name, day }), t);
+    } catch (error) {
+      console.error('❌ Error adding to itinerary:', error);
+      return { fulfillmentText: t('itinerary.changeError') };
+    }
+  }
+
+  static async handleShow(sessionId) {
+    const t = await Localization.forSession(sessionId);
+    const plan = (await SessionManager.get(sessionId, 'itinerary'))?.plan;
+    if (!plan) {
+      return { fulfillmentText: t('itinerary.noPlan') };
+    }
+    return this.createItineraryResponse(plan, t('itinerary.current'), t);
+  }
+
+  static createItineraryResponse(plan, intro, t) {
+    const summary = plan.days
+      .map(day => t('itinerary.day', { day: day.day, cities: day.cities.length ? day.cities.join(t('list.separator')) : t('itinerary.freeDay') }))
+      .join(t('itinerary.daySeparator'));
+
+    return Payloads.flutterResponse(`${intro} ${summary}.`, 'itinerary', {
+      startCity: plan.start?.name || null,
+      totalDays: plan.totalDays,
+      days: plan.days,
+      unscheduledCount: plan.unscheduledCount
+    }, {
+      actions: [
+        { type: 'open_route', label: t('action.openRoute'), icon: 'directions' },
+        { type: 'swap_day', label: t('action.changeDay'), icon: 'swap_horiz' },
+        { type: 'add_to_day', label: t('action.addRestaurant'), icon: 'restaurant' }
+      ]
+    });
+  }
+}
+
+// ============================
+// FOLLOW-UP QUESTIONS
+// ============================
+
+// "it" / "there" is the item whose details were shown last. It lives in the 'context' session
+// scope so lists asked for in between (e.g. "what's near it?") don't lose it.
+class FollowUpHandler {
+  static async lastItem(sessionId) {
+    const context = await SessionManager.get(sessionId, 'context');
+    return context?.item ? { type: context.type, item: context.item } : null;
+  }
+
+  static async handleQuestion(sessionId, topicName, parameters = {}) {
+    const t = await Localization.forSession(sessionId);
+    const last = await this.lastItem(sessionId);
+    if (!last) {
+      return { fulfillmentText: t('followUp.noItem') };
+    }
+
+    const { type, item } = last;
+    const topic = FollowUps.parseTopic(topicName) || (parameters.facility ? 'facility' : null);
+    if (!topic) {
+      return { fulfillmentText: t('followUp.whatTopic', { name: item.name }) };
+    }
+    if (topic === 'nearby') {
+      return this.handleNearby(sessionId, last, parameters, t);
+    }
+
+    const answer = FollowUps.answerFollowUp(type, item, topic, {
+      weekday: FollowUps.parseWeekday(parameters['day-of-week'] ?? parameters.date),
+      facilityField: parseFilters({ facility: parameters.facility }).facilities?.[0],
+      now: new Date(),
+      ramadan: ramadanSchedule
+    });
+
+    return Payloads.flutterResponse(this.describe(answer, item.name, t), 'item_follow_up',
+      { [type]: item, topic, field: answer.field, value: answer.value ?? null });
+  }
+
+  // The same questions about a named place ("is Kasbah Taourirt open now?"); it becomes "it" for the next ones
+  static async handleQuestionAbout(sessionId, itemName, topicName, parameters = {}) {
+    const t = await Localization.forSession(sessionId);
+
+    try {
+      const entry = await ComparisonHandler.fetchEntry(itemName);
+      if (entry.suggestions) {
+        return ContentHandler.createSuggestionsResponse(itemName, entry.suggestions, 'item', t);
+      }
+      if (entry.missing) {
+        Analytics.markEmpty();
+        return { fulfillmentText: t('details.notFound', { name: entry.missing }) };
+      }
+      await SessionManager.save(sessionId, { type: entry.type, item: entry.item }, 'context');
+    } catch (error) {
+      return { fulfillmentText: t('details.error', { name: itemName }) };
+    }
+
+    return this.handleQuestion(sessionId, topicName, parameters);
+  }
+
+  static describe(answer, name, t) {
+    const { topic, field, value } = answer;
+    if (value === undefined) {
+      return t('followUp.unknown', { name });
+    }
+
+    switch (topic) {
+      case 'price':
+        if (value === 0) return t('followUp.free', { name });
+        return t(field === 'entryFee' ? 'followUp.entryFee' : 'followUp.price', { name, amount: value });
+      case 'hours': {
+        if (answer.openOnDay === null) return t('followUp.hours', { name, hours: value });
+        const day = new Intl.DateTimeFormat(t.language, { weekday: 'long', timeZone: 'UTC' }).format(new Date(Date.UTC(2024, 0, 7 + answer.weekday)));
+        return t(answer.openOnDay ? 'followUp.openOn' : 'followUp.closedOn', { name, day, hours: value });
+      }
+      case 'openNow': {
+        const hours = answer.ramadan ? t('followUp.ramadanHours', { hours: answer.hours }) : answer.hours;
+        if (value) return t('followUp.openNow', { name, hours });
+        if (!answer.nextOpening) return t('followUp.closedNow', { name, hours });
+        return t('followUp.closedUntil', { name, hours, ...OpeningStatus.formatTime(new Date(answer.nextOpening), t) });
+      }
+      case 'guide':
+        return t(value ? 'followUp.guideYes' : 'followUp.guideNo', { name });
+      case 'duration':
+        return t('followUp.duration', { name, duration: value });
+      case 'age':
+        return value > 0 ? t('followUp.minAge', { name, age: value }) : t('followUp.allAges', { name });
+      case 'facility':
+        return t(value ? 'followUp.facilityYes' : 'followUp.facilityNo', { name, facility: t(`facility.${field}`).toLocaleLowerCase(t.language) });
+      default:
+        return t('followUp.unknown', { name });
+    }
+  }
+
+  // Activities have no coordinates of their own; they sit at their site or in their city, as in itineraries
+  static async handleNearby(sessionId, { type, item }, parameters, t) {
+    try {
+      let position = parseCoordinates(item.latitude, item.longitude);
+      if (!position && type === 'activity') {
+        const { stops } = await ItineraryHandler.loadCatalog();
+        position = stops.find(stop => stop.id === item.id) || null;
+      }
+      if (!position) {
+        return { fulfillmentText: t('followUp.noPosition', { name: item.name }) };
+      }
+
+      const origin = { latitude: position.latitude, longitude: position.longitude };
+      const radius = parameters.radius || parameters.distance || parameters['unit-length'];
+      return parameters['amenity-type']
+        ? ContentHandler.handleNearby(sessionId, origin, 'amenities', parameters['amenity-type'], radius, item.name)
+        : ContentHandler.handleNearby(sessionId, origin, 'attractions', parameters['attraction-type'], radius, item.name);
+    } catch (error) {
+      console.error('❌ Error finding places near the last item:', error);
+      return { fulfillmentText: t('followUp.error', { name: item.name }) };
+    }
+  }
+}
+
+// ============================
+// OPENING STATUS
+// ============================
+
+// Whether a place is open depends on when the reply goes out, so isOpenNow / nextOpening are put on the
+// attractions and amenities of a payload as it leaves rather than kept with the cached catalog
+class OpeningStatus {
+  static annotate(response, now = new Date()) {
+    const flutter = response?.payload?.flutter;
+    if (!flutter) return response;
+
+    const data = Payloads.mapItems(flutter.data, (item) => {
+      if (!CatalogModel.isEntity(item) || item.type === 'activity') return item;
+      const { isOpenNow, nextOpening } = OpeningHours.openingState(item, now, ramadanSchedule);
+      return { ...item, isOpenNow, nextOpening };
+    });
+    return { ...response, payload: { ...response.payload, flutter: { ...flutter, data } } };
+  }
+
+  // -> { day, time } of an instant in Casablanca, in the user's language
+  static formatTime(date, t) {
+    const format = (options) => new Intl.DateTimeFormat(t.language, { timeZone: OpeningHours.TIME_ZONE, ...options }).format(date);
+    return { day: format({ weekday: 'long' }), time: format({ hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }) };
+  }
+}
+
+// ============================
+// COMPARISON
+// ============================
+
+// "compare Hotel X and Riad Y": each place is fetched like its details and lined up in a table with a short verdict
+class ComparisonHandler {
+  // { type, category, item } for a fetched place, { suggestions } for a close miss, { missing } otherwise
+  static async fetchEntry(itemName) {
+    const index = await CatalogSearch.getIndex();
+    const { match, suggestions } = index ? index.lookup(itemName, { kinds: Favorites.ITEM_TYPES }) : { match: null, suggestions: [] };
+    if (!match && suggestions.length) return { suggestions };
+
+    const name = match?.name || itemName;
+    const result = match?.kind === 'activity' || !match
+      ? await ApiService.getActivityByName(name)
+      : { success: false };
+    const found = result.success ? result : await ApiService.getLocationByName(name);
+    if (!found.success) return { missing: itemName };
+
+    const item = found.data;
+    return { type: item.type, category: item.category, item };
+  }
+
+  static async handleCompare(sessionId, itemNames, criterion) {
+    const t = await Localization.forSession(sessionId);
+    const names = [...new Set(itemNames.filter(Boolean).map(name => String(name).trim()).filter(Boolean))];
+
+    if (names.length < 2) {
+      return { fulfillmentText: t('compare.needTwo') };
+    }
+    if (names.length > Comparison.MAX_ITEMS) {
+      return { fulfillmentText: t('compare.tooMany', { max: Comparison.MAX_ITEMS }) };
+    }
+
+    try {
+      const entries = [];
+      for (const name of names) {
+        const entry = await this.fetchEntry(name);
+        if (entry.suggestions) {
+          return ContentHandler.createSuggestionsResponse(name, entry.suggestions, 'comparison', t);
+        }
+        if (entry.missing) {
+          Analytics.markEmpty();
+          return { fulfillmentText: t('details.notFound', { name: entry.missing }) };
+        }
+        entries.push(entry);
+      }
+
+      const incompatible = Comparison.findIncompatible(entries);
+      if (incompatible) {
+        return { fulfillmentText: t('compare.incompatible', { first: entries[0].item.name, second: incompatible.item.name }) };
+      }
+
+      const comparison = Comparison.compareItems(entries, { focus: Comparison.parseCriterion(criterion) });
+      return this.createComparisonResponse(entries, comparison, t);
+    } catch (error) {
+      console.error('❌ Error comparing places:', error);
+      return { fulfillmentText: t('compare.error') };
+    }
+  }
+
+  // One sentence per fact with a single winner, plus how far apart two places are
+  static describeVerdict(entries, { facts, distances }, t) {
+    const nameAt = (index) => entries[index].item.name;
+    const sentences = [];
+
+    for (const fact of facts) {
+      if (fact.tie) {
+        sentences.push(t('compare.verdict.tie', { attribute: t(`compare.row.${fact.key}`).toLocaleLowerCase(t.language) }));
+      } else if (fact.winners.length === 1) {
+        sentences.push(t(`compare.verdict.${fact.key}`, { name: nameAt(fact.winners[0]), value: fact.value }));
+      }
+    }
+    if (entries.length === 2 && distances.length) {
+      sentences.push(t('compare.verdict.distance', { km: distances[0].km }));
+    }
+
+    return sentences.length ? sentences.join(' ') : t('compare.verdict.none');
+  }
+
+  static createComparisonResponse(entries, comparison, t) {
+    const verdict = this.describeVerdict(entries, comparison, t);
+    const columns = entries.map(({ item }) => item.name);
+
+    return Payloads.flutterResponse(`${t('compare.intro', { names: columns.join(t('compare.versus')) })} ${verdict}`, 'comparison', {
+      items: entries.map(({ type, category, item }) => ({ type, category, [type]: item })),
+      columns,
+      rows: comparison.rows.map(({ key, values, best }) => ({ key, label: t(`compare.row.${key}`), values, best })),
+      distances: comparison.distances.map(({ from, to, km }) => ({ from: columns[from], to: columns[to], km })),
+      verdict
+    }, { category: entries[0].type });
+  }
+}
+
+// ============================
+// RECOMMENDATIONS
+// ============================
+
+// "recommend something for me": the whole catalog is scored against the session history,
+// the user's favorites and the interests they stated (remembered in the preferences)
+class RecommendationHandler {
+  static entryOf(item) {
+    return { type: item.type, category: item.category, item };
+  }
+
+  static async loadEntries() {
+    const [attractions, amenities, activities] = await Promise.all([
+      ApiService.getCatalog(API_ENDPOINTS.attractions.all),
+      ApiService.getCatalog(API_ENDPOINTS.amenities.all),
+      ApiService.getCatalog(API_ENDPOINTS.activities.all)
+    ]);
+    return [...attractions, ...amenities, ...activities].map(item => this.entryOf(item));
+  }
+
+  static async handleRecommend(sessionId, userId, interestValues) {
+    const t = await Localization.forSession(sessionId);
+
+    try {
+      let { interests = [] } = await Preferences.get(sessionId);
+      const stated = Recommendations.parseInterests(interestValues);
+      if (stated.some(interest => !interests.includes(interest))) {
+        interests = [...new Set([...interests, ...stated])];
+        await Preferences.update(sessionId, { interests });
+      }
+
+      const favorites = (await favoritesStore.list(userId)).map(favorite => this.entryOf(favorite.item));
+      const profile = Recommendations.buildProfile({ views: await History.get(sessionId), favorites, interests });
+      if (Recommendations.isEmptyProfile(profile)) {
+        Analytics.markEmpty();
+        return { fulfillmentText: t('recommend.none') };
+      }
+
+      const onScreen = await FollowUpHandler.lastItem(sessionId);
+      const picks = Recommendations.recommend(await this.loadEntries(), profile, {
+        exclude: onScreen ? [Recommendations.keyOf(onScreen)] : []
+      });
+      if (!picks.length) {
+        return { fulfillmentText: t('recommend.nothing') };
+      }
+      await SessionManager.save(sessionId, { entries: picks.map(({ type, item }) => ({ type, item })) }, 'results');
+
+      return this.createRecommendationsResponse(picks, interests, t);
+    } catch (error) {
+      console.error('❌ Error preparing recommendations:', error);
+      return { fulfillmentText: t('recommend.error') };
+    }
+  }
+
+  static createRecommendationsResponse(picks, interests, t) {
+    return Payloads.flutterResponse(`${t('recommend.intro')} ${picks.map(({ item }) => item.name).join(t('list.separator'))}.`, 'recommendations', {
+      items: picks.map(({ type, category, item, score, reason }) => ({
+        type,
+        category,
+        [type]: item,
+        score,
+        reason: t(`recommend.reason.${reason.key}`, reason)
+      })),
+      count: picks.length,
+      interests
+    }, { category: 'recommendations', actions: ContentHandler.listActions(t) });
+  }
+}
+
+// ============================
+// FAVORITES
+// ============================
+
+const ITEM_CONTENT_TYPES = { attraction: 'attractions', amenity: 'amenities', activity: 'activities' };
+const CONTENT_ITEM_TYPES = Object.fromEntries(Object.entries(ITEM_CONTENT_TYPES).map(([type, contentType]) => [contentType, type]));
+
+// Saved places per user (the app's userId, else the session). Items are taken from the catalogs
+// so favorites carry the same records as the list payloads and render with the same widgets.
+class FavoritesHandler {
+  static async findItem(type, id) {
+    const catalog = await ApiService.getCatalog(API_ENDPOINTS[ITEM_CONTENT_TYPES[type]].all);
+    return catalog.find(item => String(item.sourceId) === String(id)) || null;
+  }
+
+  // { type, item } for a known name, { suggestions } for close misses, null otherwise
+  static async findItemByName(itemName) {
+    const index = await CatalogSearch.getIndex();
+    if (!index) return null;
+
+    const { match, suggestions } = index.lookup(itemName, { kinds: Favorites.ITEM_TYPES });
+    if (!match) return suggestions.length ? { suggestions } : null;
+
+    const catalog = await ApiService.getCatalog(API_ENDPOINTS[ITEM_CONTENT_TYPES[match.kind]].all);
+    const item = catalog.find(entry => entry.name === match.name);
+    return item ? { type: match.kind, item } : null;
+  }
+
+  static async handleSave(sessionId, userId, itemName) {
+    const t = await Localization.forSession(sessionId);
+
+    try {
+      const target = itemName ? await this.findItemByName(itemName) : await FollowUpHandler.lastItem(sessionId);
+      if (target?.suggestions) {
+        return ContentHandler.createSuggestionsResponse(itemName, target.suggestions, 'favorite', t);
+      }
+      if (!target) {
+        if (itemName) Analytics.markEmpty();
+        return { fulfillmentText: itemName ? t('favorites.notFound', { name: itemName }) : t('favorites.whichToSave') };
+      }
+
+      const { favorite, added } = await favoritesStore.add(userId, target.item);
+      return this.createUpdateResponse(favorite, true, t(added ? 'favorites.saved' : 'favorites.alreadySaved', { name: favorite.name }), userId);
+    } catch (error) {
+      console.error('❌ Error saving favorite:', error);
+      return { fulfillmentText: t('favorites.error') };
+    }
+  }
+
+  // Without a name, "remove it" is the last viewed item if it's saved, else the latest favorite
+  static async handleRemove(sessionId, userId, itemName) {
+    const t = await Localization.forSession(sessionId);
+
+    try {
+      const favorites = await favoritesStore.list(userId);
+      let target = null;
+
+      if (itemName) {
+        target = await this.findItemByName(itemName);
+        if (target?.suggestions) {
+          return ContentHandler.createSuggestionsResponse(itemName, target.suggestions, 'favorite', t);
+        }
+      } else {
+        // "remove it" only means the place viewed last when that one is saved; otherwise ask rather than guess
+        const viewed = await FollowUpHandler.lastItem(sessionId);
+        const isSaved = viewed && favorites.some(favorite => favorite.key === viewed.item.id);
+        if (!isSaved) {
+          return favorites.length
+            ? this.createListResponse(favorites, t, t('favorites.whichToRemove'))
+            : { fulfillmentText: t('favorites.noneToRemove') };
+        }
+        target = viewed;
+      }
+
+      if (!target) {
+        return { fulfillmentText: t('favorites.notSaved', { name: itemName }) };
+      }
+
+      const id = target.item ? target.item.sourceId : target.id;
+      const removed = await favoritesStore.remove(userId, target.type, id);
+      if (!removed) {
+        return { fulfillmentText: t('favorites.notSaved', { name: target.item?.name || target.name }) };
+      }
+      return this.createUpdateResponse(removed, false, t('favorites.removed', { name: removed.name }), userId);
+    } catch (error) {
+      console.error('❌ Error removing favorite:', error);
+      return { fulfillmentText: t('favorites.error') };
+    }
+  }
+
+  static async handleShow(sessionId, userId) {
+    const t = await Localization.forSession(sessionId);
+
+    try {
+      return this.createListResponse(await favoritesStore.list(userId), t);
+    } catch (error) {
+      console.error('❌ Error reading favorites:', error);
+      return { fulfillmentText: t('favorites.error') };
+    }
+  }
+
+  // Same data layout as the *_list payloads, with every kind of item side by side
+  static createListResponse(favorites, t, text = favorites.length ? t('favorites.list', { count: favorites.length }) : t('favorites.empty')) {
+    const ofType = (type) => favorites.filter(favorite => favorite.type === type).map(favorite => favorite.item);
+
+    return Payloads.flutterResponse(text, 'favorites_list', {
+      attractions: ofType('attraction'),
+      amenities: ofType('amenity'),
+      activities: ofType('activity'),
+      count: favorites.length,
+      cityName: null
+    }, {
+      category: 'favorites',
+      actions: [
+        { type: 'view_details', label: t('action.viewDetails'), icon: 'info' },
+        { type: 'get_directions', label: t('action.getDirections'), icon: 'directions' },
+        { type: 'remove_favorite', label: t('action.removeFavorite'), icon: 'favorite' }
+      ]
+    });
+  }
+
+  static async createUpdateResponse(favorite, saved, text, userId) {
+    const { item, ...details } = favorite;
+
+    return Payloads.flutterResponse(text, 'favorite_updated', {
+      ...details,
+      [favorite.type]: item,
+      saved,
+      count: (await favoritesStore.list(userId)).length
+    });
+  }
+}
+
+// ============================
+// EXPORTS
+// ============================
+
+// The current list, a single item, favorites or the trip plan as GeoJSON/GPX (places) and
+// iCalendar (activities and planned visits). A source names what to export:
+// { kind: 'results' | 'itinerary', sessionId } | { kind: 'item', type, id } | { kind: 'favorites', userId }
+// | { kind: 'snapshot', token }. Download links are signed so map and calendar apps can open them
+// without the app's API key; session sources are linked through a snapshot so the URL holds no session id.
+class ExportHandler {
+  // source -> { entries: [{ type, item }] } or { plan }; null when there's nothing to export
+  static async load(source) {
+    switch (source.kind) {
+      case 'snapshot':
+        return sessionStore.get(`export:${source.token}`);
+      case 'results': {
+        const results = await SessionManager.get(source.sessionId, 'results');
+        return results?.entries?.length ? { entries: results.entries } : null;
+      }
+      case 'item': {
+        const item = await FavoritesHandler.findItem(source.type, source.id);
+        return item ? { entries: [{ type: source.type, item }] } : null;
+      }
+      case 'favorites': {
+        const favorites = await favoritesStore.list(source.userId);
+        return favorites.length ? { entries: favorites.map(({ type, item }) => ({ type, item })) } : null;
+      }
+      case 'itinerary': {
+        const plan = (await SessionManager.get(source.sessionId, 'itinerary'))?.plan;
+        return plan ? { plan } : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  static mapsUrl({ latitude, longitude, name }) {
+    return `https://www.google.com/maps?q=${latitude},${longitude}&query=${encodeURIComponent(name)}`;
+  }
+
+  // Activities have no coordinates of their own; they take their itinerary stop's position
+  static async toPlaces(entries) {
+    const stops = entries.some(entry => entry.type === 'activity') ? (await ItineraryHandler.loadCatalog()).stops : [];
+
+    return entries.map(({ type, item }) => {
+      const position = type === 'activity'
+        ? stops.find(stop => stop.id === item.id)
+        : parseCoordinates(item.latitude, item.longitude);
+      const place = {
+        id: item.id,
+        type,
+        name: item.name,
+        category: item.category,
+        city: item.city,
+        latitude: position?.latitude ?? null,
+        longitude: position?.longitude ?? null
+      };
+      return { ...place, url: position ? this.mapsUrl(place) : null };
+    });
+  }
+
+  static canCalendar(loaded) {
+    return !!loaded.plan || loaded.entries.some(entry => entry.type === 'activity');
+  }
+
+  static formatsFor(loaded) {
+    return ['geojson', 'gpx', ...(this.canCalendar(loaded) ? ['ics'] : [])];
+  }
+
+  // -> { body, contentType, filename }, { noCalendar: true } for an .ics of places only, null when empty.
+  // Events start on startDate ('YYYY-MM-DD', tomorrow by default).
+  static async render(source, format, t, { startDate = ExportFormats.localDate(new Date(), 1) } = {}) {
+    const loaded = await this.load(source);
+    if (!loaded) return null;
+    if (format === 'ics' && !this.canCalendar(loaded)) return { noCalendar: true };
+
+    const kind = loaded.kind || source.kind;
+    const name = `Draa-Tafilalet - ${t(`export.source.${kind}`)}`;
+    const { contentType } = ExportFormats.FORMATS[format];
+    const filename = `draa-tafilalet-${kind}.${format}`;
+
+    if (loaded.plan) {
+      const { plan } = loaded;
+      if (format === 'ics') {
+        return { body: ExportFormats.toIcs(ExportFormats.itineraryEvents(plan, startDate), { name }), contentType, filename };
+      }
+      const placesOf = (day) => Object.values(day.slots).flat().map(stop => ({ ...stop, url: this.mapsUrl(stop) }));
+      const places = plan.days.flatMap(placesOf);
+      if (format === 'geojson') {
+        return { body: JSON.stringify(ExportFormats.toGeoJson(places)), contentType, filename };
+      }
+      const routes = plan.days.map(day => ({
+        name: t('itinerary.day', { day: day.day, cities: day.cities.length ? day.cities.join(t('list.separator')) : t('itinerary.freeDay') }),
+        places: placesOf(day)
+      }));
+      return { body: ExportFormats.toGpx(places, { name, routes }), contentType, filename };
+    }
+
+    const places = await this.toPlaces(loaded.entries);
+    switch (format) {
+      case 'geojson':
+        return { body: JSON.stringify(ExportFormats.toGeoJson(places)), contentType, filename };
+      case 'gpx':
+        return { body: ExportFormats.toGpx(places, { name }), contentType, filename };
+      default: {
+        const events = loaded.entries
+          .map((entry, index) => ({ entry, place: places[index] }))
+          .filter(({ entry }) => entry.type === 'activity')
+          .map(({ entry, place }) => ExportFormats.activityEvent(place, entry.item, startDate));
+        return { body: ExportFormats.toIcs(events, { name }), contentType, filename };
+      }
+    }
+  }
+
+  static pathOf(source, format) {
+    switch (source.kind) {
+      case 'item':
+        return `/items/${source.type}/${source.id}/export.${format}`;
+      case 'favorites':
+        return `/users/${source.userId}/favorites/export.${format}`;
+      default:
+        return `/exports/${source.token}.${format}`;
+    }
+  }
+
+  // Copies what a session source holds now under the session's token for that source (kept in the
+  // 'export' scope), so each session has one copy per source however many replies carry links
+  static async snapshot(source) {
+    const loaded = await this.load(source);
+    if (!loaded) return null;
+
+    const saved = (await SessionManager.get(source.sessionId, 'export')) || {};
+    let token = saved.tokens?.[source.kind];
+    if (!token) {
+      token = crypto.randomUUID();
+      await SessionManager.save(source.sessionId, { ...saved, tokens: { ...saved.tokens, [source.kind]: token } }, 'export');
+    }
+    await sessionStore.set(`export:${token}`, { kind: source.kind, ...loaded }, EXPORT_LINK_TTL);
+    return { kind: 'snapshot', token };
+  }
+
+  // { [format]: signed URL }; {} when a session source has nothing left to export
+  static async links(source, formats, baseUrl = '') {
+    if (source.sessionId) {
+      source = await this.snapshot(source);
+      if (!source) return {};
+    }
+
+    const expiresAt = Date.now() + EXPORT_LINK_TTL;
+    return Object.fromEntries(formats.map(format => {
+      const pathname = this.pathOf(source, format);
+      const { expires, signature } = ClientAuth.signPath(pathname, EXPORT_LINK_SECRET, expiresAt);
+      return [format, `${baseUrl || ''}${pathname}?expires=${expires}&signature=${signature}`];
+    }));
+  }
+
+  // What a reply shows, as a source plus whether it holds calendar material; null for anything else
+  static sourceOf(flutter, { sessionId, userId }) {
+    const data = flutter?.data || {};
+    const type = flutter?.type || '';
+
+    if (/^(attractions|amenities|activities)_list/.test(type)) {
+      return { source: { kind: 'results', sessionId }, calendar: type.startsWith('activities') };
+    }
+    if (type === 'recommendations') {
+      return { source: { kind: 'results', sessionId }, calendar: data.items.some(entry => entry.type === 'activity') };
+    }
+    if (type.endsWith('_details') || type === 'map_location') {
+      const itemType = Favorites.ITEM_TYPES.find(key => data[key]);
+      if (!itemType) return null;
+      return { source: { kind: 'item', type: itemType, id: data[itemType].sourceId }, calendar: itemType === 'activity' };
+    }
+    if (type === 'itinerary') {
+      return { source: { kind: 'itinerary', sessionId }, calendar: true };
+    }
+    if (type === 'favorites_list' && data.count > 0) {
+      return { source: { kind: 'favorites', userId }, calendar: data.activities.length > 0 };
+    }
+    return null;
+  }
+
+  // Adds payload.flutter.data.downloads to replies showing something exportable, and remembers it
+  // as what "export this" refers to
+  static async attachDownloads(response, { sessionId, userId, baseUrl }) {
+    const found = this.sourceOf(response?.payload?.flutter, { sessionId, userId });
+    if (!found) return response;
+
+    const saved = await SessionManager.get(sessionId, 'export');
+    await SessionManager.save(sessionId, { ...saved, source: found.source }, 'export');
+    const formats = ['geojson', 'gpx', ...(found.calendar ? ['ics'] : [])];
+    response.payload.flutter.data.downloads = await this.links(found.source, formats, baseUrl);
+    return response;
+  }
+
+  // "export this list as GPX", "add it to my calendar"; without a target, the last thing shown
+  static async handleExport(sessionId, userId, targetName, formatName, baseUrl) {
+    const t = await Localization.forSession(sessionId);
+
+    try {
+      const kind = [targetName].flat().map(ExportFormats.parseSource).find(Boolean);
+      const source = await this.findSource(kind, sessionId, userId);
+      const loaded = source && await this.load(source);
+      if (!loaded) {
+        return { fulfillmentText: t('export.nothing') };
+      }
+
+      const format = [formatName].flat().map(ExportFormats.parseFormat).find(Boolean);
+      if (format === 'ics' && !this.canCalendar(loaded)) {
+        return { fulfillmentText: t('export.noCalendar') };
+      }
+
+      const formats = format ? [format] : this.formatsFor(loaded);
+      const count = loaded.plan ? Itinerary.usedIds(loaded.plan).size : loaded.entries.length;
+      const text = t('export.ready', {
+        what: t(`export.source.${source.kind}`),
+        formats: t.list(formats.map(key => ExportFormats.FORMATS[key].label))
+      });
+      return Payloads.flutterResponse(text, 'export_links', { source: source.kind, count, downloads: await this.links(source, formats, baseUrl) });
+    } catch (error) {
+      console.error('❌ Error preparing export:', error);
+      return { fulfillmentText: t('export.error') };
+    }
+  }
+
+  static async findSource(kind, sessionId, userId) {
+    switch (kind) {
+      case 'results':
+      case 'itinerary':
+        return { kind, sessionId };
+      case 'favorites':
+        return { kind, userId };
+      case 'item': {
+        const last = await FollowUpHandler.lastItem(sessionId);
+        return last ? { kind, type: last.type, id: last.item.sourceId } : null;
+      }
+      default:
+        return (await SessionManager.get(sessionId, 'export'))?.source || null;
+    }
+  }
+}
+
+// ============================
+// INTENT HANDLERS (AVEC ACTIVITÉS - 5 SEULEMENT)
+// ============================
+
+const IntentHandlers = {
+  // Attraction handlers
+  handleAllAttractions: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.attractions.all, 'all', sessionId, 'attractions'),
+  handleNaturalAttractions: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.attractions.natural, 'natural', sessionId, 'attractions'),
+  handleCulturalAttractions: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.attractions.cultural, 'cultural', sessionId, 'attractions'),
+  handleHistoricalAttractions: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.attractions.historical, 'historical', sessionId, 'attractions'),
+  handleArtificialAttractions: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.attractions.artificial, 'artificial', sessionId, 'attractions'),
+  handleAttractionsByCity: (sessionId, cityName) => ContentHandler.handleContentByCity(sessionId, cityName, 'attractions'),
+  handleAttractionDetails: (sessionId, attractionName) => ContentHandler.handleItemDetails(sessionId, attractionName, 'attraction'),
+
+  // Amenity handlers
+  handleAllAmenities: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.amenities.all, 'all_amenities', sessionId, 'amenities'),
+  handleRestaurants: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.amenities.restaurants, 'restaurants', sessionId, 'amenities'),
+  handleHotels: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.amenities.hotels, 'hotels', sessionId, 'amenities'),
+  handleLodges: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.amenities.lodges, 'lodges', sessionId, 'amenities'),
+  handleGuestHouses: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.amenities.guesthouses, 'guesthouses', sessionId, 'amenities'),
+  handleCamping: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.amenities.camping, 'camping', sessionId, 'amenities'),
+  handleCafes: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.amenities.cafes, 'cafes', sessionId, 'amenities'),
+  handleAmenitiesByCity: (sessionId, cityName) => ContentHandler.handleContentByCity(sessionId, cityName, 'amenities'),
+  handleAmenityDetails: (sessionId, amenityName) => ContentHandler.handleItemDetails(sessionId, amenityName, 'amenity'),
+
+  // Activity handlers - SEULEMENT 5 INTENTS + DÉTAILS
+  handleAllActivities: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.activities.all, 'all_activities', sessionId, 'activities'),
+  handleAdventureActivities: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.activities.adventure, 'adventure', sessionId, 'activities'),
+  handleSportiveActivities: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.activities.sportive, 'sportive', sessionId, 'activities'),
+  handleCulturalActivities: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.activities.cultural, 'cultural', sessionId, 'activities'),
+  handleTraditionalActivities: (sessionId) => ContentHandler.handleGenericContent(API_ENDPOINTS.activities.traditional, 'traditional', sessionId, 'activities'),
+  handleNearbyAttractions: (sessionId, userLocation, category, radius) => ContentHandler.handleNearby(sessionId, userLocation, 'attractions', category, radius),
+  handleFilteredAmenities: (sessionId, category, cityName, parameters) => ContentHandler.handleFilteredAmenities(sessionId, category, cityName, parseFilters(parameters)),
+  handleNearbyAmenities: (sessionId, userLocation, category, radius) => ContentHandler.handleNearby(sessionId, userLocation, 'amenities', category, radius),
+  handleActivitiesByCity: (sessionId, cityName) => ContentHandler.handleContentByCity(sessionId, cityName, 'activities'),
+  handleActivityDetails: (sessionId, activityName) => ContentHandler.handleItemDetails(sessionId, activityName, 'activity'),
+
+  // Itinerary handlers
+  handlePlanItinerary: (sessionId, days, startCity) => ItineraryHandler.handlePlan(sessionId, days, startCity),
+  handleSwapItineraryDay: (sessionId, day, otherDay) => ItineraryHandler.handleSwapDay(sessionId, day, otherDay),
+  handleAddToItineraryDay: (sessionId, day, category) => ItineraryHandler.handleAddToDay(sessionId, day, category),
+  handleShowItinerary: (sessionId) => ItineraryHandler.handleShow(sessionId),
+
+  // Follow-up handlers (about the item shown last)
+  handleFollowUp: (sessionId, topic, parameters) => FollowUpHandler.handleQuestion(sessionId, topic, parameters),
+
+  // Opening hours handlers
+  handleOpenNow: (sessionId, itemName, parameters) => (itemName
+    ? FollowUpHandler.handleQuestionAbout(sessionId, itemName, 'open now', parameters)
+    : FollowUpHandler.handleQuestion(sessionId, 'open now', parameters)),
+  handleOpenInCity: (sessionId, cityName, attractionType, amenityType, when) => (attractionType
+    ? ContentHandler.handleOpenInCity(sessionId, cityName, 'attractions', attractionType, when)
+    : ContentHandler.handleOpenInCity(sessionId, cityName, 'amenities', amenityType, when)),
+
+  // Comparison handlers
+  handleCompareItems: (sessionId, itemNames, criterion) => ComparisonHandler.handleCompare(sessionId, itemNames, criterion),
+
+  // Recommendation handlers
+  handleRecommend: (sessionId, userId, interests) => RecommendationHandler.handleRecommend(sessionId, userId, interests),
+
+  // Favorites handlers
+  handleSaveFavorite: (sessionId, userId, itemName) => FavoritesHandler.handleSave(sessionId, userId, itemName),
+  handleShowFavorites: (sessionId, userId) => FavoritesHandler.handleShow(sessionId, userId),
+  handleRemoveFavorite: (sessionId, userId, itemName) => FavoritesHandler.handleRemove(sessionId, userId, itemName),
+
+  // Export handlers
+  handleExport: (sessionId, userId, target, format, baseUrl) => ExportHandler.handleExport(sessionId, userId, target, format, baseUrl),
+
+  // Shared handlers
+  handleShowMore: (sessionId) => ContentHandler.showPage(sessionId, 'next'),
+  handlePreviousPage: (sessionId) => ContentHandler.showPage(sessionId, 'previous'),
+  handleGoToPage: (sessionId, page) => ContentHandler.showPage(sessionId, 'page', page),
+
+  async handleDecline(sessionId) {
+    const t = await Localization.forSession(sessionId);
+    await Promise.all([SessionManager.delete(sessionId), SessionManager.delete(sessionId, 'list')]);
+    return { fulfillmentText: t('list.decline') };
+  },
+
+  async handleShowItemOnMap(sessionId) {
+    const t = await Localization.forSession(sessionId);
+
+    try {
+      const sessionData = await SessionManager.get(sessionId);
+      
+      if (!sessionData) {
+        return { fulfillmentText: t('map.unavailable') };
+      }
+
+      const itemData = sessionData.attractionData || sessionData.amenityData || sessionData.activityData;
       let itemType = sessionData.attractionData ? 'attraction' : sessionData.amenityData ? 'amenity' : 'activity';
       
       if (!itemData) {
-        return { fulfillmentText: "I don't have location information available. Please ask about a specific place first." };
+        return { fulfillmentText: t('map.unavailable') };
       }
 
       let lat, lng, name;
       if (itemType === 'activity') {
-        // Pour les activités, on utilise cityOfTheActivity pour créer une recherche Google Maps générique
+        // Pour les activités, on utilise la ville de l'activité pour créer une recherche Google Maps générique
         name = itemData.name;
-        const cityName = itemData.cityOfTheActivity;
-        const location = itemData.locationOfTheActivity;
+        const cityName = itemData.city;
+        const location = itemData.details.location;
         
         const googleMapsUrl = `https://www.google.com/maps/search/${encodeURIComponent(name + ' ' + location + ' ' + cityName)}`;
         
-        SessionManager.delete(sessionId);
+        await SessionManager.delete(sessionId);
 
-        return {
-          fulfillmentText: `Here you can find ${name} on the map: `,
-          payload: {
-            flutter: {
-              type: 'map_location',
-              data: {
-                [itemType]: itemData,
-                googleMapsUrl: googleMapsUrl
-              }
-            }
-          }
-        };
+        return Payloads.flutterResponse(t('map.found', { name }), 'map_location', {
+          [itemType]: itemData,
+          googleMapsUrl: googleMapsUrl
+        });
       } else {
         // Pour attractions et amenities (avec coordonnées exactes)
         lat = itemData.latitude;
@@ -562,148 +1856,685 @@ const IntentHandlers = {
         
         const googleMapsUrl = `https://www.google.com/maps?q=${lat},${lng}&query_place_id=&query=${encodeURIComponent(name)}`;
         
-        SessionManager.delete(sessionId);
+        await SessionManager.delete(sessionId);
 
-        return {
-          fulfillmentText: `Here you can find ${name} on the map: `,
-          payload: {
-            flutter: {
-              type: 'map_location',
-              data: {
-                [itemType]: itemData,
-                coordinates: { latitude: lat, longitude: lng },
-                googleMapsUrl: googleMapsUrl
-              }
-            }
-          }
-        };
+        return Payloads.flutterResponse(t('map.found', { name }), 'map_location', {
+          [itemType]: itemData,
+          coordinates: { latitude: lat, longitude: lng },
+          googleMapsUrl: googleMapsUrl
+        });
       }
     } catch (error) {
-      return { fulfillmentText: "Sorry, I couldn't retrieve the location information right now." };
+      return { fulfillmentText: t('map.error') };
     }
   },
 
-  handleMapDecline(sessionId) {
-    SessionManager.delete(sessionId);
-    return { fulfillmentText: "No problem! Is there anything else you'd like to know about this place or would you like to explore other locations?" };
+  async handleMapDecline(sessionId) {
+    const t = await Localization.forSession(sessionId);
+    await SessionManager.delete(sessionId);
+    return { fulfillmentText: t('map.decline') };
+  },
+
+  async handleWelcome(sessionId) {
+    const t = await Localization.forSession(sessionId);
+    return { fulfillmentText: t('welcome') };
+  },
+
+  async handleFallback(sessionId) {
+    const t = await Localization.forSession(sessionId);
+    return { fulfillmentText: t('fallback') };
   }
 };
 
+// ============================
+// CLIENT ACCESS
+// ============================
+
+// 429 with Retry-After (seconds) when the limiter says no
+function rejectOverLimit(res, { allowed, limit, remaining, retryAfterMs }) {
+  res.set('RateLimit-Limit', String(limit));
+  res.set('RateLimit-Remaining', String(remaining));
+  if (allowed) return false;
+
+  res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  res.status(429).json({ fulfillmentText: 'Too many requests, please slow down.' });
+  return true;
+}
+
+// Browser origins outside ALLOWED_ORIGINS, then API key / JWT when any are configured,
+// then the per-client quota (keyed on the IP address while authentication is off)
+function authenticateClient(req, res, next) {
+  if (!ClientAuth.isOriginAllowed(req.get('origin'), ALLOWED_ORIGINS)) {
+    return res.status(403).json({ fulfillmentText: 'Origin not allowed' });
+  }
+
+  let client = { client: `ip:${req.ip}`, limit: null };
+  if (clientAuth.enabled) {
+    client = clientAuth.authenticate(req.headers);
+    if (!client) {
+      return res.status(401).json({ fulfillmentText: 'A valid API key or token is required' });
+    }
+  }
+
+  req.apiClient = client;
+  if (rejectOverLimit(res, clientLimiter.hit(client.client, client.limit || CLIENT_RATE_LIMIT))) return;
+  next();
+}
+
+// JWT clients act for the user in their token (sub); API keys belong to trusted servers that may act for any user
+const mayActFor = (client, userId) => client.subject === undefined || client.subject === userId;
+
+// message/sessionId checks, then the per-session quota.
+// Chat favorites belong to the userId only when a credential vouches for it: JWT clients default to their
+// subject, and without client auth the userId is dropped so favorites stay with the session.
+function validateChat(req, res, next) {
+  const errors = validateChatRequest(req.body);
+  if (errors.length) {
+    return res.status(400).json({ fulfillmentText: `Invalid request: ${errors.join('; ')}`, errors });
+  }
+  if (req.body.userId !== undefined && !mayActFor(req.apiClient, req.body.userId)) {
+    return res.status(403).json({ fulfillmentText: 'This token is not valid for that user' });
+  }
+  req.body = { ...req.body, userId: clientAuth.enabled ? req.body.userId ?? req.apiClient.subject : undefined };
+  if (rejectOverLimit(res, sessionLimiter.hit(req.body.sessionId))) return;
+  next();
+}
+
 // ============================
 // MAIN ENDPOINTS
 // ============================
 
+// Where download links point: PUBLIC_BASE_URL behind a proxy, else the host the request came to
+const publicBaseUrl = (req) => PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
 app.get('/', (req, res) => {
   res.json({
     message: '🚀 Tourism Bot Backend with Dialogflow',
     timestamp: new Date().toISOString(),
-    dialogflowConfigured: !!googleAuth,
-    projectId: PROJECT_ID
+    dialogflowConfigured: DialogflowService.isConfigured(),
+    projectId: PROJECT_ID,
+    apiBaseUrl: API_BASE_URL,
+    catalogCache: catalogCache.getStats()
   });
 });
 
-app.post('/dialogflow-proxy', async (req, res) => {
+// One chat message from the app, for the proxy and the chat streams -> { status, reply }
+async function answerMessage(body, baseUrl) {
+  let t = translatorFor(DEFAULT_LANGUAGE);
+
   try {
-    const { message, sessionId } = req.body;
-    console.log(`🔄 Processing: "${message}" (session: ${sessionId})`);
+    const { message, sessionId, userId, latitude, longitude, location, language, pageSize, payloadVersion } = body;
+    const userLocation = parseCoordinates(latitude ?? location?.latitude, longitude ?? location?.longitude);
+    t = await Localization.resolve(sessionId, { requested: language, message });
+    await Preferences.update(sessionId, { pageSize: Preferences.parsePageSize(pageSize), payloadVersion: Payloads.parseVersion(payloadVersion) });
+    console.log(`🔄 Processing: "${message}" (session: ${sessionId}, language: ${t.language})`);
     
-    if (googleAuth) {
-      const token = await getGoogleAccessToken();
-      const sessionPath = `projects/${PROJECT_ID}/agent/sessions/${sessionId}`;
-      const detectIntentUrl = `https://dialogflow.googleapis.com/v2/${sessionPath}:detectIntent`;
-
-      const dialogflowPayload = {
-        queryInput: {
-          text: { text: message, languageCode: 'en-US' }
-        }
-      };
+    // Dialogflow first; the local classifier answers when it isn't configured or fails
+    let queryResult = null;
+    let engine = 'dialogflow';
+    if (DialogflowService.isConfigured()) {
+      try {
+        queryResult = await DialogflowService.detectIntent(sessionId, message, t.dialogflowCode);
+      } catch (error) {
+        console.warn(`⚠️ Dialogflow unavailable, using the local classifier: ${error.message}`);
+      }
+    }
+    if (!queryResult) {
+      queryResult = await LocalIntentService.detectIntent(sessionId, message);
+      engine = 'local';
+    }
 
-      const dialogflowResponse = await axios.post(detectIntentUrl, dialogflowPayload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
-        },
-        timeout: 15000
-      });
+    const response = await processDialogflowResponse(queryResult, sessionId, { userLocation, userId, engine, baseUrl });
+    return {
+      status: 200,
+      reply: {
+        ...response,
+        engine: { name: engine, intent: queryResult.intent.displayName, confidence: queryResult.intentDetectionConfidence ?? null }
+      }
+    };
+  } catch (error) {
+    console.error('❌ Chat error:', error);
+    return { status: 500, reply: { fulfillmentText: t('error.technical') } };
+  }
+}
 
-      const queryResult = dialogflowResponse.data.queryResult;
-      const response = await processDialogflowResponse(queryResult, sessionId);
-      return res.json(response);
-      
-    } else {
-      return res.status(500).json({ fulfillmentText: "Dialogflow service unavailable" });
+app.post('/dialogflow-proxy', authenticateClient, validateChat, async (req, res) => {
+  if (!await SessionOwners.claim(req.body.sessionId, req.apiClient.client)) {
+    return res.status(403).json({ fulfillmentText: 'This session belongs to another client' });
+  }
+  const { status, reply } = await answerMessage(req.body, publicBaseUrl(req));
+  res.status(status).json(reply);
+});
+
+// The agent's fulfillment settings send WEBHOOK_SECRET as an X-Webhook-Secret header or as the basic auth password
+function authenticateWebhook(req, res, next) {
+  if (!WEBHOOK_SECRET) {
+    return res.status(503).json({ fulfillmentText: 'Webhook disabled: set WEBHOOK_SECRET' });
+  }
+  const basic = (req.get('authorization') || '').match(/^Basic\s+(\S+)$/i);
+  const secret = req.get('x-webhook-secret') || (basic ? Buffer.from(basic[1], 'base64').toString().split(':').slice(1).join(':') : '');
+  if (!secret || !ClientAuth.safeEqual(secret, WEBHOOK_SECRET)) {
+    return res.status(401).json({ fulfillmentText: 'Invalid webhook credentials' });
+  }
+  next();
+}
+
+// Favorites stay with the session: nothing vouches for a userId in the agent's request
+app.post('/webhook', authenticateWebhook, async (req, res) => {
+  try {
+    const { session, queryResult, originalDetectIntentRequest } = req.body || {};
+
+    if (!session || !queryResult?.intent) {
+      return res.status(400).json({ fulfillmentText: "Invalid webhook request" });
     }
-    
+
+    const sessionId = WebhookFormatter.extractSessionId(session);
+    if (!isValidSessionId(sessionId)) {
+      return res.status(400).json({ fulfillmentText: 'Invalid session id' });
+    }
+    if (rejectOverLimit(res, sessionLimiter.hit(sessionId))) return;
+    console.log(`🪝 Webhook: "${queryResult.queryText}" (session: ${sessionId})`);
+
+    // Clients can attach the user's coordinates to the detectIntent queryParams.payload
+    const clientPayload = originalDetectIntentRequest?.payload || {};
+    const userLocation = parseCoordinates(
+      clientPayload.latitude ?? clientPayload.location?.latitude,
+      clientPayload.longitude ?? clientPayload.location?.longitude
+    );
+
+    // The agent reports the language it matched in; it wins over detection
+    await Localization.resolve(sessionId, { requested: queryResult.languageCode, message: queryResult.queryText });
+    await Preferences.update(sessionId, {
+      pageSize: Preferences.parsePageSize(clientPayload.pageSize),
+      payloadVersion: Payloads.parseVersion(clientPayload.payloadVersion) || undefined
+    });
+
+    const response = await processDialogflowResponse(queryResult, sessionId, {
+      userLocation,
+      engine: 'dialogflow',
+      baseUrl: publicBaseUrl(req)
+    });
+    return res.json(WebhookFormatter.format(response, session, queryResult, await SessionManager.get(sessionId)));
   } catch (error) {
-    console.error('❌ Proxy error:', error);
+    console.error('❌ Webhook error:', error);
     res.status(500).json({ fulfillmentText: "Sorry, I'm experiencing technical difficulties." });
   }
 });
 
+// ============================
+// STREAMING CHAT
+// ============================
+
+// GET /chat/stream[?sessionId=] opens a Server-Sent Events stream bound to a session (a new one when
+// none is given, which must belong to the same client); POST /chat/stream/:channelId/messages then answers
+// on it without resending the session.
+// Each message gets a turn number and the events typing, status (only while a search is slow),
+// message (the text), payload (when there is one) and done. 'notice' events are proactive.
+app.get('/chat/stream', authenticateClient, async (req, res) => {
+  const sessionId = req.query.sessionId || crypto.randomUUID();
+  const payloadVersion = Payloads.parseVersion(req.query.payloadVersion);
+  if (!isValidSessionId(sessionId) || payloadVersion === null) {
+    return res.status(400).json({ fulfillmentText: `Invalid session id or payloadVersion (expected ${Payloads.VERSIONS.join(' or ')})` });
+  }
+  if (!await SessionOwners.claim(sessionId, req.apiClient.client)) {
+    return res.status(403).json({ fulfillmentText: 'This session belongs to another client' });
+  }
+
+  const channel = chatChannels.open(res, { sessionId, client: req.apiClient.client });
+  if (!channel) {
+    return res.status(503).json({ fulfillmentText: 'Too many open chat streams, please retry later' });
+  }
+  console.log(`📡 Chat stream ${channel.id} opened (session: ${sessionId})`);
+  Preferences.update(sessionId, { payloadVersion })
+    .catch(error => console.error(`❌ Could not save preferences for ${sessionId}:`, error.message));
+});
+
+// Only the client that opened a stream can post to it; the stream supplies the sessionId
+function bindChannel(req, res, next) {
+  const channel = chatChannels.get(req.params.channelId);
+  if (!channel || channel.client !== req.apiClient.client) {
+    return res.status(404).json({ fulfillmentText: 'Unknown or closed chat stream' });
+  }
+  req.channel = channel;
+  req.body = { ...req.body, sessionId: channel.sessionId };
+  next();
+}
+
+app.post('/chat/stream/:channelId/messages', authenticateClient, bindChannel, validateChat, (req, res) => {
+  const { channel } = req;
+  const turn = channel.nextTurn();
+  res.status(202).json({ channelId: channel.id, sessionId: channel.sessionId, turn });
+
+  streamReply(channel, req.body, publicBaseUrl(req), turn)
+    .catch(error => console.error(`❌ Chat stream ${channel.id} error:`, error));
+});
+
+async function streamReply(channel, body, baseUrl, turn) {
+  channel.send('typing', { turn });
+  const before = await Localization.forSession(channel.sessionId);
+  const slow = setTimeout(() => channel.send('status', { turn, text: before('stream.stillSearching') }), STREAM_SLOW_NOTICE_MS);
+
+  const { status, reply } = await answerMessage(body, baseUrl);
+  clearTimeout(slow);
+
+  const { payload, ...message } = reply;
+  channel.send('message', { turn, ...message });
+  if (payload) channel.send('payload', { turn, payload });
+  channel.send('done', { turn, status });
+
+  // The rest of a long list is already in the session: say so on every stream of the session
+  const pagination = Payloads.paginationOf(payload?.flutter);
+  if (pagination?.hasMore) {
+    const t = await Localization.forSession(channel.sessionId);
+    chatChannels.notify(channel.sessionId, 'notice', {
+      type: 'more_results',
+      turn,
+      remainingCount: pagination.remainingCount,
+      text: t('stream.moreReady', { count: pagination.remainingCount })
+    });
+  }
+}
+
+// ============================
+// FAVORITES ENDPOINTS
+// ============================
+
+// Favorites are personal: these routes stay off while client authentication is, and a JWT client
+// only reaches the favorites of the user in its token. API key clients are trusted servers.
+function authorizeUser(req, res, next) {
+  if (req.signedLink) return next();
+  if (!clientAuth.enabled) {
+    return res.status(503).json({ fulfillmentText: 'Favorites API disabled: set CLIENT_API_KEYS or JWT_SECRET' });
+  }
+  if (!mayActFor(req.apiClient, req.params.userId)) {
+    return res.status(403).json({ fulfillmentText: 'This token is not valid for that user' });
+  }
+  next();
+}
+
+// Replies are localized from ?language= or the Accept-Language header
+const requestTranslator = (req) => translatorFor(req.query.language || req.acceptsLanguages(...Object.keys(LANGUAGES)));
+
+app.param('userId', (req, res, next, userId) => {
+  if (!Favorites.isValidUserId(userId)) {
+    return res.status(400).json({ fulfillmentText: 'Invalid user id' });
+  }
+  next();
+});
+
+// ?payloadVersion= picks the payload format, like payloadVersion in chat requests
+function readPayloadVersion(req, res, next) {
+  req.payloadVersion = Payloads.parseVersion(req.query.payloadVersion);
+  if (req.payloadVersion === null) {
+    return res.status(400).json({ fulfillmentText: `payloadVersion must be ${Payloads.VERSIONS.join(' or ')}` });
+  }
+  next();
+}
+
+const preparePayload = (req, response) => Payloads.prepare(OpeningStatus.annotate(response), { version: req.payloadVersion, mode: PAYLOAD_VALIDATION });
+
+app.get('/users/:userId/favorites', authenticateClient, authorizeUser, readPayloadVersion, async (req, res, next) => {
+  try {
+    const favorites = await favoritesStore.list(req.params.userId);
+    res.json(preparePayload(req, FavoritesHandler.createListResponse(favorites, requestTranslator(req))));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/users/:userId/favorites', authenticateClient, authorizeUser, readPayloadVersion, async (req, res, next) => {
+  const { type, id } = req.body || {};
+  if (!Favorites.ITEM_TYPES.includes(type) || id === undefined || id === null || id === '') {
+    return res.status(400).json({ fulfillmentText: `Expected a type (${Favorites.ITEM_TYPES.join(', ')}) and an id` });
+  }
+
+  try {
+    const t = requestTranslator(req);
+    const item = await FavoritesHandler.findItem(type, id);
+    if (!item) {
+      return res.status(404).json({ fulfillmentText: t('favorites.notFound', { name: `${type} ${id}` }) });
+    }
+
+    const { favorite, added } = await favoritesStore.add(req.params.userId, item);
+    const text = t(added ? 'favorites.saved' : 'favorites.alreadySaved', { name: favorite.name });
+    const response = await FavoritesHandler.createUpdateResponse(favorite, true, text, req.params.userId);
+    res.status(added ? 201 : 200).json(preparePayload(req, response));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/users/:userId/favorites', authenticateClient, authorizeUser, readPayloadVersion, async (req, res, next) => {
+  const type = req.body?.type ?? req.query.type;
+  const id = req.body?.id ?? req.query.id;
+  if (!Favorites.ITEM_TYPES.includes(type) || id === undefined || id === '') {
+    return res.status(400).json({ fulfillmentText: `Expected a type (${Favorites.ITEM_TYPES.join(', ')}) and an id` });
+  }
+
+  try {
+    const t = requestTranslator(req);
+    const removed = await favoritesStore.remove(req.params.userId, type, id);
+    if (!removed) {
+      return res.status(404).json({ fulfillmentText: t('favorites.notSaved', { name: `${type} ${id}` }) });
+    }
+    const response = await FavoritesHandler.createUpdateResponse(removed, false, t('favorites.removed', { name: removed.name }), req.params.userId);
+    res.json(preparePayload(req, response));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================
+// EXPORT ENDPOINTS
+// ============================
+
+// Signed links from chat payloads open without credentials (still limited per IP);
+// anything else goes through the usual client checks
+function authorizeDownload(req, res, next) {
+  if (!ClientAuth.verifyPath(req.path, req.query, EXPORT_LINK_SECRET)) {
+    return authenticateClient(req, res, next);
+  }
+  if (rejectOverLimit(res, clientLimiter.hit(`ip:${req.ip}`, CLIENT_RATE_LIMIT))) return;
+  req.signedLink = true;
+  next();
+}
+
+// ?start=YYYY-MM-DD moves the first calendar day (tomorrow by default)
+async function sendExport(req, res, next, source) {
+  const { format } = req.params;
+  const { start } = req.query;
+  if (!ExportFormats.FORMATS[format] || (start !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(start) || Number.isNaN(Date.parse(start))))) {
+    return res.status(400).json({ fulfillmentText: `Expected a format (${Object.keys(ExportFormats.FORMATS).join(', ')}) and a start date as YYYY-MM-DD` });
+  }
+
+  try {
+    const t = requestTranslator(req);
+    const file = await ExportHandler.render(source, format, t, { startDate: start });
+    if (!file || file.noCalendar) {
+      return res.status(404).json({ fulfillmentText: t(file ? 'export.noCalendar' : 'export.nothing') });
+    }
+    res.attachment(file.filename).type(file.contentType).send(file.body);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Lists and trip plans as they were when the link was made
+app.get('/exports/:token.:format', authorizeDownload, (req, res, next) => {
+  if (!/^[0-9a-f-]{36}$/.test(req.params.token)) {
+    return res.status(404).json({ fulfillmentText: 'Unknown export' });
+  }
+  sendExport(req, res, next, { kind: 'snapshot', token: req.params.token });
+});
+
+app.get('/items/:type/:id/export.:format', authorizeDownload, (req, res, next) => {
+  if (!Favorites.ITEM_TYPES.includes(req.params.type)) {
+    return res.status(404).json({ fulfillmentText: `Unknown item type: expected ${Favorites.ITEM_TYPES.join(', ')}` });
+  }
+  sendExport(req, res, next, { kind: 'item', type: req.params.type, id: req.params.id });
+});
+
+app.get('/users/:userId/favorites/export.:format', authorizeDownload, authorizeUser, (req, res, next) => {
+  sendExport(req, res, next, { kind: 'favorites', userId: req.params.userId });
+});
+
+// ============================
+// ADMIN ENDPOINTS
+// ============================
+
+// Admin routes take ADMIN_TOKEN as a bearer token and stay off when it isn't configured
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ fulfillmentText: 'Admin API disabled: set ADMIN_TOKEN' });
+  }
+  const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!token || !ClientAuth.safeEqual(token, ADMIN_TOKEN)) {
+    return res.status(401).json({ fulfillmentText: 'Invalid admin token' });
+  }
+  next();
+}
+
+// ?from=&to= (ISO dates or timestamps) -> { from, to } for AnalyticsLog#list, or null when malformed
+function parseRange(query) {
+  const range = { from: null, to: null };
+  for (const key of ['from', 'to']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const time = /^\d+$/.test(query[key]) ? Number(query[key]) : Date.parse(query[key]);
+    if (Number.isNaN(time)) return null;
+    range[key] = new Date(time).toISOString();
+  }
+  return range;
+}
+
+app.get('/admin/analytics', requireAdmin, async (req, res, next) => {
+  const range = parseRange(req.query);
+  const limit = Number(req.query.limit || 10);
+  if (!range || !Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ fulfillmentText: 'Expected ISO dates for from/to and a limit between 1 and 100' });
+  }
+
+  try {
+    const records = await analyticsLog.list(range);
+    res.json({ ...range, ...Analytics.summarize(records, { limit }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/admin/analytics/export', requireAdmin, async (req, res, next) => {
+  const range = parseRange(req.query);
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!range || !['json', 'csv'].includes(format)) {
+    return res.status(400).json({ fulfillmentText: 'Expected ISO dates for from/to and a format of json or csv' });
+  }
+
+  try {
+    const records = await analyticsLog.list(range);
+    res.attachment(`analytics.${format}`);
+    if (format === 'csv') {
+      return res.type('text/csv').send(Analytics.toCsv(records));
+    }
+    res.json(records);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Catalog records the model rejected or doubted, per endpoint or lookup, as last fetched
+app.get('/admin/catalog/issues', requireAdmin, (req, res) => {
+  res.json(catalogIssues.report());
+});
+
+// Intent bindings, parameter aliases, reply templates and catalog overrides (see bot-config.js).
+// Each change is saved and applies to the next reply; a DELETE restores the default.
+const INTENT_HANDLER_NAMES = Object.keys(IntentHandlers).filter(name => typeof IntentHandlers[name] === 'function');
+
+app.get('/admin/config', requireAdmin, async (req, res, next) => {
+  try {
+    await botConfig.ready();
+    res.json({ ...botConfig.snapshot(), handlers: INTENT_HANDLER_NAMES });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// One admin setting: validate(req) -> list of problems, save(req) stores it; replies with the whole config
+function adminSetting(validate, save) {
+  return async (req, res, next) => {
+    const errors = validate(req);
+    if (errors.length) {
+      return res.status(400).json({ fulfillmentText: errors.join('; ') });
+    }
+
+    try {
+      await save(req);
+      res.json(botConfig.snapshot());
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+const removing = (req) => req.method === 'DELETE';
+const checkName = (name, what) => (BotConfig.NAME_PATTERN.test(name) ? [] : [`${what} must be 1-100 letters, digits, spaces or "_.-"`]);
+
+const saveIntent = adminSetting(
+  (req) => [...checkName(req.params.intent, 'intent'), ...(removing(req) ? [] : BotConfig.validateBinding(req.body, INTENT_HANDLER_NAMES))],
+  (req) => botConfig.set('intents', req.params.intent, removing(req) ? null : { handler: req.body.handler, args: req.body.args || [] })
+);
+app.put('/admin/intents/:intent', requireAdmin, saveIntent);
+app.delete('/admin/intents/:intent', requireAdmin, saveIntent);
+
+const saveAlias = adminSetting(
+  (req) => [...checkName(req.params.name, 'alias'), ...(removing(req) ? [] : BotConfig.validateAlias(req.body?.parameters))],
+  (req) => botConfig.set('aliases', req.params.name, removing(req) ? null : req.body.parameters)
+);
+app.put('/admin/aliases/:name', requireAdmin, saveAlias);
+app.delete('/admin/aliases/:name', requireAdmin, saveAlias);
+
+// PUT body: { template } - a text, or plural forms for messages that take a {count}
+const saveTemplate = adminSetting(
+  (req) => (removing(req)
+    ? BotConfig.validateTemplateKey(req.params.language, req.params.key)
+    : BotConfig.validateTemplate(req.params.language, req.params.key, req.body?.template)),
+  (req) => botConfig.setTemplate(req.params.language, req.params.key, removing(req) ? null : req.body.template)
+);
+app.put('/admin/templates/:language/:key', requireAdmin, saveTemplate);
+app.delete('/admin/templates/:language/:key', requireAdmin, saveTemplate);
+
+// PUT body: { hidden, featured, note }. The name index is rebuilt so hidden places stop being suggested.
+const saveOverride = adminSetting(
+  (req) => (removing(req) ? BotConfig.validateOverrideId(req.params.id) : BotConfig.validateOverride(req.params.id, req.body)),
+  async (req) => {
+    await botConfig.set('overrides', req.params.id, removing(req) ? null : req.body);
+    CatalogSearch.invalidate();
+  }
+);
+app.put('/admin/catalog/overrides/:id', requireAdmin, saveOverride);
+app.delete('/admin/catalog/overrides/:id', requireAdmin, saveOverride);
+
+// ============================
+// DIALOGFLOW WEBHOOK FORMATTING
+// ============================
+
+// Output contexts driven by our session state, so the agent can scope follow-up intents
+const WEBHOOK_CONTEXTS = {
+  'pagination-followup': { flag: 'waitingForMoreResponse', lifespanCount: 2 },
+  'map-followup': { flag: 'waitingForMapResponse', lifespanCount: 2 }
+};
+
+class WebhookFormatter {
+  // "projects/<project>/agent/sessions/<id>" (or an environment/user path) -> "<id>"
+  static extractSessionId(sessionPath) {
+    return sessionPath.split('/').pop();
+  }
+
+  static format(response, sessionPath, queryResult, sessionData) {
+    const fulfillmentMessages = [];
+
+    if (response.fulfillmentText) {
+      fulfillmentMessages.push({ text: { text: [response.fulfillmentText] } });
+    }
+    if (response.payload) {
+      fulfillmentMessages.push({ payload: response.payload });
+    }
+
+    return {
+      fulfillmentText: response.fulfillmentText || '',
+      fulfillmentMessages,
+      ...(response.payload && { payload: response.payload }),
+      outputContexts: this.buildOutputContexts(sessionPath, queryResult.outputContexts, sessionData)
+    };
+  }
+
+  static buildOutputContexts(sessionPath, incomingContexts = [], sessionData) {
+    const ownNames = Object.keys(WEBHOOK_CONTEXTS).map(name => `${sessionPath}/contexts/${name}`);
+
+    // Keep the contexts Dialogflow already set, except the ones we manage ourselves
+    const contexts = incomingContexts.filter(context => !ownNames.includes(context.name));
+
+    for (const [name, { flag, lifespanCount }] of Object.entries(WEBHOOK_CONTEXTS)) {
+      contexts.push({
+        name: `${sessionPath}/contexts/${name}`,
+        lifespanCount: sessionData?.[flag] ? lifespanCount : 0
+      });
+    }
+
+    return contexts;
+  }
+}
+
 // ============================
 // DIALOGFLOW RESPONSE PROCESSING (AVEC 5 INTENTS ACTIVITÉS)
 // ============================
 
-async function processDialogflowResponse(queryResult, sessionId) {
+// Analytics record for one processed query; never holds up or fails the reply
+function recordExchange(queryResult, sessionId, { engine, language, response, exchange, fallback, error }) {
+  const resultCount = error ? null : Analytics.resultCountOf(response);
+
+  return analyticsLog.record({
+    sessionId,
+    engine: engine || null,
+    intent: queryResult.intent.displayName,
+    language,
+    query: queryResult.queryText || null,
+    parameters: queryResult.parameters || {},
+    latencyMs: exchange.latencyMs,
+    upstreamMs: exchange.upstreamMs,
+    upstreamCalls: exchange.upstreamCalls,
+    resultCount: resultCount ?? (exchange.empty ? 0 : null),
+    fallback,
+    empty: exchange.empty || resultCount === 0,
+    error: !!error
+  }).catch(recordError => console.error('❌ Could not record analytics:', recordError.message));
+}
+
+// context carries per-request data that isn't part of the Dialogflow query (e.g. userLocation, userId, engine,
+// baseUrl for download links). The payload comes back in the version saved in the session's preferences.
+async function processDialogflowResponse(queryResult, sessionId, context = {}) {
   const intentName = queryResult.intent.displayName;
   const parameters = queryResult.parameters || {};
+  const userLocation = context.userLocation || parseCoordinates(parameters.latitude, parameters.longitude);
+  const userId = Favorites.isValidUserId(context.userId) ? context.userId : sessionId;
+  const t = await Localization.forSession(sessionId);
   
   console.log(`🎯 Processing intent: ${intentName}`);
   console.log(`📊 All parameters:`, JSON.stringify(parameters, null, 2));
   
+  let response;
   try {
-    const intentMap = {
-      // Attraction intents
-      'Ask_All_Attractions': () => IntentHandlers.handleAllAttractions(sessionId),
-      'Ask_Natural_Attractions': () => IntentHandlers.handleNaturalAttractions(sessionId),
-      'Ask_Cultural_Attractions': () => IntentHandlers.handleCulturalAttractions(sessionId),
-      'Ask_Historical_Attractions': () => IntentHandlers.handleHistoricalAttractions(sessionId),
-      'Ask_Artificial_Attractions': () => IntentHandlers.handleArtificialAttractions(sessionId),
-      'Ask_Attractions_By_City': () => IntentHandlers.handleAttractionsByCity(sessionId, parameters.city_names || parameters.city || parameters['geo-city'] || parameters.name),
-      'Ask_Attraction_Details': () => IntentHandlers.handleAttractionDetails(sessionId, parameters['attraction-name'] || parameters.name),
-
-      // Amenity intents
-      'Ask_All_Amenities': () => IntentHandlers.handleAllAmenities(sessionId),
-      'Ask_Restaurants': () => IntentHandlers.handleRestaurants(sessionId),
-      'Ask_Hotels': () => IntentHandlers.handleHotels(sessionId),
-      'Ask_Lodges': () => IntentHandlers.handleLodges(sessionId),
-      'Ask_GuestHouses': () => IntentHandlers.handleGuestHouses(sessionId),
-      'Ask_Camping': () => IntentHandlers.handleCamping(sessionId),
-      'Ask_Cafes': () => IntentHandlers.handleCafes(sessionId),
-      'Ask_Amenities_By_City': () => IntentHandlers.handleAmenitiesByCity(sessionId, parameters.city_names || parameters.city || parameters['geo-city'] || parameters.name),
-      'Ask_Amenity_Details': () => IntentHandlers.handleAmenityDetails(sessionId, parameters['amenity-name'] || parameters.name),
-
-      // Activity intents - SEULEMENT 5 + DÉTAILS
-      'Ask_All_Activities': () => IntentHandlers.handleAllActivities(sessionId),
-      'Ask_Adventure_Activities': () => IntentHandlers.handleAdventureActivities(sessionId),
-      'Ask_Sportive_Activities': () => IntentHandlers.handleSportiveActivities(sessionId),
-      'Ask_Cultural_Activities': () => IntentHandlers.handleCulturalActivities(sessionId),
-      'Ask_Traditional_Activities': () => IntentHandlers.handleTraditionalActivities(sessionId),
-      'Ask_Activity_Details': () => IntentHandlers.handleActivityDetails(sessionId, parameters['activity-name'] || parameters.name),
-
-      // Shared intents
-      'Pagination_ShowMore': () => IntentHandlers.handleShowMore(sessionId),
-      'Pagination_Decline': () => IntentHandlers.handleDecline(sessionId),
-      'Show_Attraction_On_Map': () => IntentHandlers.handleShowItemOnMap(sessionId),
-      'Map_Request_Yes': () => IntentHandlers.handleShowItemOnMap(sessionId),
-      'Map_Request_No': () => IntentHandlers.handleMapDecline(sessionId),
-      'Default Welcome Intent': () => ({
-        fulfillmentText: "Welcome to Draa-Tafilalet Tourism Assistant! I can help you discover attractions, restaurants, hotels, lodges, guest houses, camping sites, cafes, and activities."
-      })
-    };
+    // Intent -> IntentHandlers function and its arguments, from the defaults or the admin API (see bot-config.js)
+    const binding = botConfig.binding(intentName);
+    const handler = binding && IntentHandlers[binding.handler] && (() => IntentHandlers[binding.handler](sessionId,
+      ...BotConfig.resolveArguments(binding.args, parameters, botConfig.aliases, { userId, userLocation, baseUrl: context.baseUrl })));
+
+    const { result, error, exchange } = await Analytics.trackExchange(async () => (
+      handler ? handler() : { fulfillmentText: t('unknownIntent', { intent: intentName }) }
+    ));
+    recordExchange(queryResult, sessionId, {
+      engine: context.engine,
+      language: t.language,
+      response: result,
+      exchange,
+      fallback: !handler || intentName === IntentClassifier.FALLBACK_INTENT,
+      error
+    });
 
-    const handler = intentMap[intentName];
-    return handler ? await handler() : {
-      fulfillmentText: `I understand you're asking about "${intentName}", but I'm not sure how to help with that. Try asking about attractions, restaurants, hotels, activities, or other services.`
-    };
+    if (error) throw error;
+    await ExportHandler.attachDownloads(result, { sessionId, userId, baseUrl: context.baseUrl });
+    response = Localization.annotate(result, t);
   } catch (error) {
     console.error(`❌ Error processing intent ${intentName}:`, error);
-    return { fulfillmentText: "Sorry, there was an error processing your request." };
+    return { fulfillmentText: t('error.processing') };
   }
+
+  // Outside the try so a payload that breaks its schema fails loudly under strict validation
+  const { payloadVersion } = await Preferences.get(sessionId);
+  return Payloads.prepare(OpeningStatus.annotate(response), { version: payloadVersion, mode: PAYLOAD_VALIDATION });
 }
 
 // ============================
-// ERROR HANDLING & CLEANUP
+// ERROR HANDLING
 // ============================
 
 app.use((error, req, res, next) => {
@@ -711,39 +2542,80 @@ app.use((error, req, res, next) => {
   res.status(500).json({ fulfillmentText: "An unexpected error occurred." });
 });
 
-// Clean up expired sessions every 30 minutes
-setInterval(() => {
-  const now = Date.now();
-  let cleanedCount = 0;
-  
-  for (const [sessionId, data] of sessionStorage.entries()) {
-    if (data.timestamp && (now - data.timestamp) > SESSION_TIMEOUT) {
-      sessionStorage.delete(sessionId);
-      cleanedCount++;
-    }
-  }
-  
-  if (cleanedCount > 0) {
-    console.log(`🧹 Cleaned ${cleanedCount} expired sessions`);
-  }
-}, 30 * 60 * 1000);
-
 // ============================
 // SERVER STARTUP
 // ============================
 
-initializeGoogleAuth().then(() => {
-  app.listen(PORT, () => {
-    console.log(`🚀 Tourism Bot Backend started on port ${PORT}`);
-    console.log(`🔑 Google Auth initialized: ${!!googleAuth}`);
-    console.log(`📋 Project ID: ${PROJECT_ID}`);
-    console.log('✅ Ready to handle Dialogflow requests!');
-  });
-}).catch(error => {
-  console.error('❌ Failed to initialize:', error);
-  app.listen(PORT, () => {
-    console.log(`⚠️ Tourism Bot Backend started in FALLBACK mode on port ${PORT}`);
+// Pre-load every catalog list in the background so the first user doesn't wait on a cold upstream
+async function warmUpCatalog() {
+  const endpoints = Object.values(API_ENDPOINTS).flatMap(group => Object.values(group));
+  console.log(`🔥 Warming up catalog cache (${endpoints.length} endpoints)...`);
+
+  const { warmed, total } = await catalogCache.warmUp(
+    endpoints.map(endpoint => ({ key: endpoint, fetcher: () => ApiService.fetchCatalog(endpoint) }))
+  );
+  console.log(`🔥 Catalog cache warmed: ${warmed}/${total} endpoints`);
+  await CatalogSearch.getIndex();
+}
+
+if (require.main === module) {
+  // Flush and close the session store on shutdown so file/Redis backends don't lose the last writes
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+      console.log(`🛑 ${signal} received, closing session, favorites, analytics and bot config stores...`);
+      try {
+        chatChannels.closeAll();
+        await Promise.all([sessionStore.close(), favoritesStore.close(), analyticsLog.close(), botConfig.close()]);
+      } catch (error) {
+        console.error('❌ Error closing stores:', error);
+      }
+      process.exit(0);
+    });
+  }
+
+  Promise.all([initializeGoogleAuth(), botConfig.ready()]).then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Tourism Bot Backend started on port ${PORT}`);
+      console.log(`🔑 Google Auth initialized: ${!!googleAuth}`);
+      console.log(`🔐 Client authentication: ${clientAuth.enabled ? 'on' : 'off (set CLIENT_API_KEYS or JWT_SECRET)'}`);
+      console.log(`📋 Project ID: ${PROJECT_ID}`);
+      console.log(`🌍 Tourism API: ${API_BASE_URL}`);
+      console.log('✅ Ready to handle Dialogflow requests!');
+      if (CATALOG_WARMUP) warmUpCatalog();
+    });
+  }).catch(error => {
+    console.error('❌ Failed to initialize:', error);
+    app.listen(PORT, () => {
+      console.log(`⚠️ Tourism Bot Backend started in FALLBACK mode on port ${PORT}`);
+    });
   });
-});
+}
 
-module.exports = app;
\ No newline at end of file
+// The app stays the module's export; the pieces tests and tools reach for hang off it
+module.exports = Object.assign(app, {
+  ApiService,
+  CatalogSearch,
+  SessionManager,
+  ContentHandler,
+  ItineraryHandler,
+  FollowUpHandler,
+  ComparisonHandler,
+  RecommendationHandler,
+  FavoritesHandler,
+  ExportHandler,
+  Preferences,
+  Localization,
+  IntentHandlers,
+  DialogflowService,
+  LocalIntentService,
+  WebhookFormatter,
+  processDialogflowResponse,
+  catalogCache,
+  catalogIssues,
+  ramadanSchedule,
+  botConfig,
+  analyticsLog,
+  clientAuth,
+  chatChannels,
+  ITEMS_PER_PAGE
+});
@@ -0,0 +1,120 @@
+const { normalizeText } = require('./text');
+const { translate, DEFAULT_LANGUAGE } = require('./i18n');
+const { isOpenNow } = require('./opening-hours');
+
+// ============================
+// AMENITY FILTERS
+// ============================
+// Turns Dialogflow parameters ("4-star", "with a pool", "under 500 MAD", "open now") into a
+// filter description, applies it to amenity lists and describes it back as UI chips.
+
+// Approximate conversion rates used when the user gives a price in another currency
+const CURRENCY_RATES_TO_MAD = { MAD: 1, DH: 1, DHS: 1, DIRHAM: 1, DIRHAMS: 1, EUR: 10.8, USD: 10, GBP: 12.6 };
+
+// Spoken facility -> amenity facility (labels live in the message catalog)
+const FACILITIES = {
+  pool: 'hasSwimmingPool',
+  'swimming pool': 'hasSwimmingPool',
+  piscine: 'hasSwimmingPool',
+  breakfast: 'breakfastIncluded',
+  'breakfast included': 'breakfastIncluded',
+  wifi: 'wifiAvailable',
+  'wi fi': 'wifiAvailable',
+  internet: 'wifiAvailable',
+  water: 'hasWaterSupply',
+  electricity: 'electricityAvailability',
+  view: 'viewPanoramic',
+  'panoramic view': 'viewPanoramic',
+  nature: 'closeNature'
+};
+
+const toList = (value) => (Array.isArray(value) ? value : value === undefined || value === null || value === '' ? [] : [value]);
+
+// The first number in the value: "1,500" and "1 500" are thousands, "4,5" is a decimal comma;
+// null when there are no digits ("cheap", "five")
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'object') return toNumber(value.amount);
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const match = String(value).match(/\d{1,3}(?:[ ,\u00a0]\d{3})+(?!\d)|\d+(?:[.,]\d+)?/);
+  return match ? Number(match[0].replace(/[ ,\u00a0](?=\d{3})/g, '').replace(',', '.')) : null;
+};
+
+const toBoolean = (value) => value === true || ['true', 'yes', '1', 'now'].includes(normalizeText(value));
+
+// Prices arrive as 500, "500", "500 MAD" or a Dialogflow @sys.unit-currency { amount, currency }
+function toMad(value) {
+  const amount = toNumber(value);
+  if (amount === null) return null;
+
+  const currency = typeof value === 'object'
+    ? value.currency
+    : (String(value).match(/[a-z€$£]+/gi) || []).find(word => /^[€$£]$/.test(word) || CURRENCY_RATES_TO_MAD[word.toUpperCase()]);
+  const code = { '€': 'EUR', '$': 'USD', '£': 'GBP' }[currency] || String(currency || 'MAD').toUpperCase();
+  return Math.round(amount * (CURRENCY_RATES_TO_MAD[code] || 1));
+}
+
+// Builds the filter description from Dialogflow parameters; empty fields are left out
+function parseFilters(parameters = {}) {
+  const filters = {};
+
+  const stars = toNumber(parameters.stars || parameters['number-stars']);
+  if (stars !== null) filters.stars = stars;
+
+  const minStars = toNumber(parameters['min-stars']);
+  if (minStars !== null) filters.minStars = minStars;
+
+  const maxPrice = toMad(parameters['max-price'] ?? parameters.budget);
+  if (maxPrice !== null) filters.maxPrice = maxPrice;
+
+  const minPrice = toMad(parameters['min-price']);
+  if (minPrice !== null) filters.minPrice = minPrice;
+
+  const facilities = [...new Set(toList(parameters.facilities ?? parameters.facility)
+    .map(facility => FACILITIES[normalizeText(facility)])
+    .filter(Boolean))];
+  if (facilities.length) filters.facilities = facilities;
+
+  if (toBoolean(parameters['open-now'])) filters.openNow = true;
+
+  return filters;
+}
+
+// Each step only runs when its filter is set; items missing the field never match it
+const PIPELINE = [
+  { key: 'stars', test: (item, value) => item.details.stars === value },
+  { key: 'minStars', test: (item, value) => item.details.stars >= value },
+  { key: 'maxPrice', test: (item, value) => item.price !== null && item.price <= value },
+  { key: 'minPrice', test: (item, value) => item.price !== null && item.price >= value },
+  { key: 'facilities', test: (item, fields) => fields.every(field => item.details.facilities?.[field] === true) },
+  { key: 'openNow', test: (item, value, now, ramadan) => item.details.available !== false && isOpenNow(item, now, ramadan) === true }
+];
+
+// ramadan: the RamadanSchedule whose hours 'open now' goes by, when there is one
+function applyFilters(items, filters, now = new Date(), ramadan = null) {
+  const steps = PIPELINE.filter(step => filters[step.key] !== undefined);
+  return items.filter(item => steps.every(step => step.test(item, filters[step.key], now, ramadan)));
+}
+
+// Chips for the app, in a stable order and in the user's language
+function describeFilters(filters, language = DEFAULT_LANGUAGE) {
+  const chips = [];
+
+  if (filters.stars !== undefined) chips.push({ key: 'stars', label: `${filters.stars}★`, value: filters.stars });
+  if (filters.minStars !== undefined) chips.push({ key: 'minStars', label: `${filters.minStars}★+`, value: filters.minStars });
+  if (filters.minPrice !== undefined) chips.push({ key: 'minPrice', label: translate(language, 'chip.minPrice', { amount: filters.minPrice }), value: filters.minPrice });
+  if (filters.maxPrice !== undefined) chips.push({ key: 'maxPrice', label: translate(language, 'chip.maxPrice', { amount: filters.maxPrice }), value: filters.maxPrice });
+  for (const field of filters.facilities || []) {
+    chips.push({ key: 'facility', label: translate(language, `facility.${field}`), value: field });
+  }
+  if (filters.openNow) chips.push({ key: 'openNow', label: translate(language, 'chip.openNow'), value: true });
+
+  return chips;
+}
+
+module.exports = {
+  parseFilters,
+  applyFilters,
+  describeFilters
+};
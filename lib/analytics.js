@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const { normalizeText } = require('./text');
+
+// ============================
+// CONVERSATION ANALYTICS
+// ============================
+// One record per exchange: intent, parameters, latencies, result count and fallback/empty flags.
+// Session ids are stored as salted hashes; records older than the retention window are dropped.
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REPORT_LIMIT = 10;
+
+// Parameters that locate the user rather than describe the question
+const PRIVATE_PARAMETERS = ['latitude', 'longitude', 'location'];
+const CITY_PARAMETERS = ['city_names', 'city', 'geo-city', 'start-city'];
+// payload.flutter.data fields holding the listed items
+const LIST_FIELDS = ['attractions', 'amenities', 'activities', 'items', 'favorites', 'suggestions'];
+
+const CSV_COLUMNS = [
+  'timestamp', 'session', 'engine', 'intent', 'language', 'query', 'city', 'parameters',
+  'latencyMs', 'upstreamMs', 'upstreamCalls', 'resultCount', 'fallback', 'empty', 'error'
+];
+
+// Per-exchange counters, visible to every await inside trackExchange()
+const exchanges = new AsyncLocalStorage();
+
+// Runs fn with fresh counters -> { result, error, exchange: { latencyMs, upstreamMs, upstreamCalls, empty } }.
+// A throwing fn is reported through error so the exchange still gets recorded.
+async function trackExchange(fn) {
+  const exchange = { latencyMs: 0, upstreamMs: 0, upstreamCalls: 0, empty: false };
+  const started = performance.now();
+  let result = null;
+  let error = null;
+  try {
+    result = await exchanges.run(exchange, fn);
+  } catch (caught) {
+    error = caught;
+  }
+  exchange.latencyMs = Math.round(performance.now() - started);
+  return { result, error, exchange };
+}
+
+// Wraps an upstream API call so its time counts towards the current exchange
+async function timeUpstream(fn) {
+  const exchange = exchanges.getStore();
+  const started = performance.now();
+  try {
+    return await fn();
+  } finally {
+    if (exchange) {
+      exchange.upstreamCalls += 1;
+      exchange.upstreamMs += Math.round(performance.now() - started);
+    }
+  }
+}
+
+// Flags the current exchange as a search that found nothing
+function markEmpty() {
+  const exchange = exchanges.getStore();
+  if (exchange) exchange.empty = true;
+}
+
+function hashSessionId(sessionId, salt) {
+  return crypto.createHmac('sha256', salt).update(String(sessionId)).digest('hex').slice(0, 16);
+}
+
+// Number of items a response lists, 0 for "did you mean" suggestions, null when it isn't a list
+function resultCountOf(response) {
+  const flutter = response?.payload?.flutter;
+  if (!flutter) return null;
+  if (flutter.type === 'suggestions') return 0;
+
+  const data = flutter.data || {};
+  if (Number.isFinite(data.count)) return data.count;
+  const field = LIST_FIELDS.find(name => Array.isArray(data[name]));
+  return field ? data[field].length : null;
+}
+
+const withoutPrivate = (parameters = {}) => Object.fromEntries(
+  Object.entries(parameters).filter(([key]) => !PRIVATE_PARAMETERS.includes(key))
+);
+
+const cityOf = (parameters = {}) => {
+  const value = CITY_PARAMETERS.map(key => parameters[key]).find(city => typeof city === 'string' && city.trim());
+  return value ? value.trim() : null;
+};
+
+// Nearest-rank percentile of a sorted list
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// Counts by normalized key, labelled with the first spelling seen -> [{ label, count }] most frequent first
+function countBy(records, read) {
+  const counts = new Map();
+  for (const record of records) {
+    const label = read(record);
+    if (!label) continue;
+    const key = normalizeText(label);
+    const entry = counts.get(key) || { label, count: 0 };
+    entry.count += 1;
+    counts.set(key, entry);
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label, 'en'));
+}
+
+// records -> { total, fallbackRate, emptyRate, topIntents, topCities, zeroResults, latency }
+function summarize(records, { limit = DEFAULT_REPORT_LIMIT } = {}) {
+  const total = records.length;
+  const rate = (count) => (total ? Math.round((count / total) * 1000) / 1000 : 0);
+
+  const latencyByIntent = new Map();
+  for (const record of records) {
+    const entry = latencyByIntent.get(record.intent) || { handler: [], upstream: [] };
+    entry.handler.push(record.latencyMs);
+    entry.upstream.push(record.upstreamMs);
+    latencyByIntent.set(record.intent, entry);
+  }
+
+  const latency = [...latencyByIntent.entries()]
+    .map(([intent, { handler, upstream }]) => {
+      handler.sort((a, b) => a - b);
+      upstream.sort((a, b) => a - b);
+      return {
+        intent,
+        count: handler.length,
+        p50: percentile(handler, 50),
+        p95: percentile(handler, 95),
+        upstreamP50: percentile(upstream, 50),
+        upstreamP95: percentile(upstream, 95)
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.intent.localeCompare(b.intent, 'en'));
+
+  const zeroResults = countBy(records.filter(record => record.empty), record => record.query)
+    .slice(0, limit)
+    .map(({ label, count }) => ({
+      query: label,
+      count,
+      intents: [...new Set(records.filter(record => record.empty && normalizeText(record.query) === normalizeText(label)).map(record => record.intent))]
+    }));
+
+  return {
+    total,
+    fallbackRate: rate(records.filter(record => record.fallback).length),
+    emptyRate: rate(records.filter(record => record.empty).length),
+    topIntents: countBy(records, record => record.intent).slice(0, limit).map(({ label, count }) => ({ intent: label, count })),
+    topCities: countBy(records, record => record.city).slice(0, limit).map(({ label, count }) => ({ city: label, count })),
+    zeroResults,
+    latency
+  };
+}
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function toCsv(records) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const record of records) {
+    lines.push(CSV_COLUMNS.map(column => csvCell(record[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Append-only log kept in memory, optionally mirrored to a JSON Lines file
+class AnalyticsLog {
+  constructor({ filePath = null, retentionDays = DEFAULT_RETENTION_DAYS, salt, now = () => Date.now() } = {}) {
+    this.filePath = filePath;
+    this.retentionMs = retentionDays * DAY_MS;
+    this.salt = salt || crypto.randomBytes(16).toString('hex');
+    this.now = now;
+    this.records = [];
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  load() {
+    this.loading = this.loading || this.readFile();
+    return this.loading;
+  }
+
+  async readFile() {
+    const records = [];
+    if (this.filePath) {
+      try {
+        const raw = await fs.promises.readFile(this.filePath, 'utf8');
+        for (const line of raw.split('\n')) {
+          if (!line.trim()) continue;
+          try {
+            records.push(JSON.parse(line));
+          } catch {
+            // A line cut short by a crash; the rest of the file is still good
+          }
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`❌ Could not read analytics file ${this.filePath}:`, error.message);
+        }
+      }
+    }
+    this.records = records;
+    await this.prune();
+  }
+
+  // exchange: { sessionId, engine, intent, language, query, parameters, latencyMs, upstreamMs, upstreamCalls,
+  // resultCount, fallback, empty, error } -> the stored record
+  async record(exchange) {
+    await this.load();
+    const { sessionId, parameters, ...fields } = exchange;
+    const record = {
+      timestamp: new Date(this.now()).toISOString(),
+      session: sessionId ? hashSessionId(sessionId, this.salt) : null,
+      ...fields,
+      city: cityOf(parameters),
+      parameters: withoutPrivate(parameters)
+    };
+
+    this.records.push(record);
+    if (Date.parse(this.records[0].timestamp) < this.now() - this.retentionMs) {
+      await this.prune();
+    } else if (this.filePath) {
+      this.enqueue(() => fs.promises.appendFile(this.filePath, `${JSON.stringify(record)}\n`));
+    }
+    return record;
+  }
+
+  // Records between from and to (Date, ISO string or epoch ms), oldest first
+  async list({ from = null, to = null } = {}) {
+    await this.load();
+    const start = from === null ? -Infinity : new Date(from).getTime();
+    const end = to === null ? Infinity : new Date(to).getTime();
+    return this.records.filter(record => {
+      const time = Date.parse(record.timestamp);
+      return time >= start && time <= end;
+    });
+  }
+
+  async prune() {
+    const cutoff = this.now() - this.retentionMs;
+    const before = this.records.length;
+    this.records = this.records.filter(record => Date.parse(record.timestamp) >= cutoff);
+    if (!this.filePath || before === this.records.length) return;
+
+    // Rewrite through a temp file so a crash never leaves half the log
+    const snapshot = this.records.map(record => `${JSON.stringify(record)}\n`).join('');
+    this.enqueue(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, this.filePath);
+    });
+  }
+
+  enqueue(write) {
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await write();
+      })
+      .catch(error => {
+        console.error(`❌ Could not write analytics file ${this.filePath}:`, error.message);
+      });
+    return this.writeQueue;
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+}
+
+// ANALYTICS_STORE=file (default, ANALYTICS_FILE) or memory; ANALYTICS_RETENTION_DAYS; ANALYTICS_SALT keeps
+// session hashes stable across restarts (a random salt is used when unset)
+function createAnalyticsLog(env = process.env) {
+  const type = (env.ANALYTICS_STORE || 'file').toLowerCase();
+  const options = {
+    retentionDays: Number(env.ANALYTICS_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS,
+    salt: env.ANALYTICS_SALT
+  };
+
+  switch (type) {
+    case 'file':
+      return new AnalyticsLog({ ...options, filePath: env.ANALYTICS_FILE || path.join(process.cwd(), 'data', 'analytics.jsonl') });
+    case 'memory':
+      return new AnalyticsLog(options);
+    default:
+      throw new Error(`Unknown ANALYTICS_STORE "${env.ANALYTICS_STORE}" (expected file or memory)`);
+  }
+}
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  AnalyticsLog,
+  createAnalyticsLog,
+  trackExchange,
+  timeUpstream,
+  markEmpty,
+  hashSessionId,
+  resultCountOf,
+  summarize,
+  toCsv
+};
@@ -0,0 +1,38 @@
+// ============================
+// API ENDPOINTS CONFIGURATION (AVEC ACTIVITÉS)
+// ============================
+
+const API_ENDPOINTS = {
+  attractions: {
+    all: '/api/public/getAll/Attraction',
+    natural: '/api/public/NaturalAttractions',
+    cultural: '/api/public/CulturalAttractions',
+    historical: '/api/public/HistoricalAttractions',
+    artificial: '/api/public/ArtificialAttractions'
+  },
+  amenities: {
+    all: '/api/public/getAll/Amenities',
+    restaurants: '/api/public/Restaurants',
+    hotels: '/api/public/Hotels',
+    lodges: '/api/public/Lodges',
+    guesthouses: '/api/public/GuestHouses',
+    camping: '/api/public/Camping',
+    cafes: '/api/public/Cafes'
+  },
+  activities: {
+    all: '/api/public/getAll/Activities',
+    adventure: '/api/public/Activity/Adventure',
+    sportive: '/api/public/Activity/Sportive',
+    cultural: '/api/public/Activity/Cultural',
+    traditional: '/api/public/Activity/Traditional'
+  }
+};
+
+// Lookup routes that take a path parameter
+const API_LOOKUPS = {
+  locationByCity: '/api/public/getLocationByCity',
+  locationByName: '/api/public/getLocationByName',
+  activityByName: '/api/public/getActivityByName'
+};
+
+module.exports = { API_ENDPOINTS, API_LOOKUPS };
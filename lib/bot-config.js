@@ -0,0 +1,365 @@
+const path = require('path');
+const { MemorySessionStore, FileSessionStore } = require('./session-stores');
+const { LANGUAGES, DEFAULT_LANGUAGE, MESSAGES } = require('./i18n');
+
+// ============================
+// BOT CONFIGURATION
+// ============================
+// What the admin API can change without a deploy: which IntentHandlers function answers an intent
+// and with which arguments, the parameter alias chains those arguments read, reply templates
+// (over the MESSAGES catalog) and local catalog overrides (hide a closed hotel, pin an attraction).
+//
+// An intent binding is { handler, args }. The handler gets the sessionId, then one value per arg:
+//   '@userId', '@userLocation', '@parameters', '@baseUrl'  per-request values
+//   '=price'                                              the literal 'price'
+//   'city'                                                the first set parameter of the 'city' alias
+//                                                         chain, else the parameter called 'city'
+//   'items[]'                                             every value of the chain, arrays flattened
+
+const DEFAULT_ALIASES = {
+  'city': ['city_names', 'city', 'geo-city'],
+  'city-or-name': ['city_names', 'city', 'geo-city', 'name'],
+  'start-city': ['start-city', 'city_names', 'city', 'geo-city'],
+  'attraction-category': ['attraction-type', 'category'],
+  'amenity-category': ['amenity-type', 'category'],
+  'attraction-name': ['attraction-name', 'name'],
+  'amenity-name': ['amenity-name', 'name'],
+  'activity-name': ['activity-name', 'name'],
+  'item-name': ['item-name', 'attraction-name', 'amenity-name', 'activity-name', 'name'],
+  'items': ['items', 'item-name', 'other-item', 'attraction-name', 'amenity-name', 'activity-name', 'name'],
+  'radius': ['radius', 'distance', 'unit-length'],
+  'days': ['days', 'duration', 'number'],
+  'day': ['day', 'number'],
+  'page': ['page', 'number', 'ordinal'],
+  'topic': ['topic', 'follow-up-topic'],
+  'criterion': ['criterion', 'attribute'],
+  'interests': ['interests', 'interest', 'preference'],
+  'time-of-day': ['time-of-day', 'time', 'date-time']
+};
+
+const bind = (handler, ...args) => ({ handler, args });
+
+const DEFAULT_INTENTS = {
+  // Attraction intents
+  'Ask_All_Attractions': bind('handleAllAttractions'),
+  'Ask_Natural_Attractions': bind('handleNaturalAttractions'),
+  'Ask_Cultural_Attractions': bind('handleCulturalAttractions'),
+  'Ask_Historical_Attractions': bind('handleHistoricalAttractions'),
+  'Ask_Artificial_Attractions': bind('handleArtificialAttractions'),
+  'Ask_Attractions_By_City': bind('handleAttractionsByCity', 'city-or-name'),
+  'Ask_Nearby_Attractions': bind('handleNearbyAttractions', '@userLocation', 'attraction-category', 'radius'),
+  'Ask_Attraction_Details': bind('handleAttractionDetails', 'attraction-name'),
+
+  // Amenity intents
+  'Ask_All_Amenities': bind('handleAllAmenities'),
+  'Ask_Restaurants': bind('handleRestaurants'),
+  'Ask_Hotels': bind('handleHotels'),
+  'Ask_Lodges': bind('handleLodges'),
+  'Ask_GuestHouses': bind('handleGuestHouses'),
+  'Ask_Camping': bind('handleCamping'),
+  'Ask_Cafes': bind('handleCafes'),
+  'Ask_Amenities_By_City': bind('handleAmenitiesByCity', 'city-or-name'),
+  'Ask_Filtered_Amenities': bind('handleFilteredAmenities', 'amenity-category', 'city', '@parameters'),
+  'Ask_Nearby_Amenities': bind('handleNearbyAmenities', '@userLocation', 'amenity-category', 'radius'),
+  'Ask_Amenity_Details': bind('handleAmenityDetails', 'amenity-name'),
+
+  // Activity intents
+  'Ask_All_Activities': bind('handleAllActivities'),
+  'Ask_Adventure_Activities': bind('handleAdventureActivities'),
+  'Ask_Sportive_Activities': bind('handleSportiveActivities'),
+  'Ask_Cultural_Activities': bind('handleCulturalActivities'),
+  'Ask_Traditional_Activities': bind('handleTraditionalActivities'),
+  'Ask_Activities_By_City': bind('handleActivitiesByCity', 'city-or-name'),
+  'Ask_Activity_Details': bind('handleActivityDetails', 'activity-name'),
+
+  // Itinerary intents
+  'Plan_Itinerary': bind('handlePlanItinerary', 'days', 'start-city'),
+  'Itinerary_Swap_Day': bind('handleSwapItineraryDay', 'day', 'other-day'),
+  'Itinerary_Add_To_Day': bind('handleAddToItineraryDay', 'day', 'amenity-category'),
+  'Itinerary_Show': bind('handleShowItinerary'),
+
+  // Follow-up intents about the item shown last ("how much is it?", "what's near it?")
+  'Ask_Item_FollowUp': bind('handleFollowUp', 'topic', '@parameters'),
+  'FollowUp_Price': bind('handleFollowUp', '=price', '@parameters'),
+  'FollowUp_Opening_Hours': bind('handleFollowUp', '=hours', '@parameters'),
+  'FollowUp_Guided_Tours': bind('handleFollowUp', '=guide', '@parameters'),
+  'FollowUp_Duration': bind('handleFollowUp', '=duration', '@parameters'),
+  'FollowUp_Age_Restriction': bind('handleFollowUp', '=age', '@parameters'),
+  'FollowUp_Facility': bind('handleFollowUp', '=facility', '@parameters'),
+  'FollowUp_Nearby': bind('handleFollowUp', '=nearby', '@parameters'),
+
+  // Opening hours intents ("is Kasbah Taourirt open now?", "what's open tonight in Merzouga?")
+  'Ask_Open_Now': bind('handleOpenNow', 'item-name', '@parameters'),
+  'Ask_Open_In_City': bind('handleOpenInCity', 'city', 'attraction-type', 'amenity-category', 'time-of-day'),
+
+  // Comparison, recommendation, favorites and export intents
+  'Compare_Items': bind('handleCompareItems', 'items[]', 'criterion'),
+  'Recommend_Items': bind('handleRecommend', '@userId', 'interests'),
+  'Set_Travel_Preferences': bind('handleRecommend', '@userId', 'interests'),
+  'Save_Favorite': bind('handleSaveFavorite', '@userId', 'item-name'),
+  'Show_Favorites': bind('handleShowFavorites', '@userId'),
+  'Remove_Favorite': bind('handleRemoveFavorite', '@userId', 'item-name'),
+  'Export_Items': bind('handleExport', '@userId', 'export-target', 'export-format', '@baseUrl'),
+
+  // Shared intents
+  'Pagination_ShowMore': bind('handleShowMore'),
+  'Pagination_Next': bind('handleShowMore'),
+  'Pagination_Previous': bind('handlePreviousPage'),
+  'Pagination_GoToPage': bind('handleGoToPage', 'page'),
+  'Pagination_Decline': bind('handleDecline'),
+  'Show_Attraction_On_Map': bind('handleShowItemOnMap'),
+  'Map_Request_Yes': bind('handleShowItemOnMap'),
+  'Map_Request_No': bind('handleMapDecline'),
+  'Default Welcome Intent': bind('handleWelcome'),
+  'Default Fallback Intent': bind('handleFallback')
+};
+
+const CONTEXT_ARGS = ['@userId', '@userLocation', '@parameters', '@baseUrl'];
+const MAX_ARGS = 8;
+const NAME_PATTERN = /^[A-Za-z0-9_.\- ]{1,100}$/;
+const PARAMETER_PATTERN = /^[A-Za-z0-9_.-]{1,100}(\[\])?$/;
+const OVERRIDE_ID_PATTERN = /^(attraction|amenity|activity):[A-Za-z0-9_-]{1,64}$/;
+const PLURAL_FORMS = ['zero', 'one', 'two', 'few', 'many', 'other'];
+const MAX_TEMPLATE_LENGTH = 1000;
+const MAX_NOTE_LENGTH = 200;
+
+const isSet = (value) => value !== undefined && value !== null && value !== ''
+  && !(Array.isArray(value) && !value.length);
+
+// binding.args -> the handler's arguments after the sessionId.
+// context: { userId, userLocation, baseUrl }
+function resolveArguments(args, parameters = {}, aliases = DEFAULT_ALIASES, context = {}) {
+  return args.map((arg) => {
+    if (CONTEXT_ARGS.includes(arg)) return arg === '@parameters' ? parameters : context[arg.slice(1)];
+    if (arg.startsWith('=')) return arg.slice(1);
+
+    const all = arg.endsWith('[]');
+    const name = all ? arg.slice(0, -2) : arg;
+    const values = (aliases[name] || [name]).map(parameter => parameters[parameter]).filter(isSet);
+    return all ? values.flat() : values[0];
+  });
+}
+
+const placeholdersOf = (template) => [...String(template).matchAll(/\{(\w+)\}/g)].map(([, name]) => name);
+const formsOf = (template) => (typeof template === 'object' ? Object.values(template) : [template]);
+
+// Placeholders a message key is given, from its templates in every language
+function messagePlaceholders(key) {
+  return new Set(Object.values(MESSAGES)
+    .flatMap(messages => (messages[key] === undefined ? [] : formsOf(messages[key])))
+    .flatMap(placeholdersOf));
+}
+
+// The checks below return a list of problems, empty when the value can be saved
+
+// handlers: the names the binding may point at (IntentHandlers' keys)
+function validateBinding(binding, handlers) {
+  const errors = [];
+  if (!binding || typeof binding !== 'object' || Array.isArray(binding)) return ['binding must be an object'];
+
+  if (!handlers.includes(binding.handler)) {
+    errors.push(`handler must be one of ${handlers.join(', ')}`);
+  }
+  const args = binding.args ?? [];
+  if (!Array.isArray(args) || args.length > MAX_ARGS) {
+    errors.push(`args must be a list of at most ${MAX_ARGS} arguments`);
+  } else {
+    for (const arg of args) {
+      const valid = typeof arg === 'string' && (arg.startsWith('@')
+        ? CONTEXT_ARGS.includes(arg)
+        : arg.startsWith('=') ? arg.length > 1 && arg.length <= 101 : PARAMETER_PATTERN.test(arg));
+      if (!valid) errors.push(`argument ${JSON.stringify(arg)} must be ${CONTEXT_ARGS.join(', ')}, "=literal" or a parameter name`);
+    }
+  }
+  return errors;
+}
+
+function validateAlias(parameters) {
+  if (!Array.isArray(parameters) || !parameters.length || parameters.length > MAX_ARGS) {
+    return [`parameters must be a list of 1 to ${MAX_ARGS} parameter names`];
+  }
+  return parameters
+    .filter(parameter => typeof parameter !== 'string' || !PARAMETER_PATTERN.test(parameter) || parameter.endsWith('[]'))
+    .map(parameter => `${JSON.stringify(parameter)} is not a parameter name`);
+}
+
+function validateTemplateKey(language, key) {
+  if (!LANGUAGES[language]) return [`language must be one of ${Object.keys(LANGUAGES).join(', ')}`];
+  if (MESSAGES[DEFAULT_LANGUAGE][key] === undefined) return [`unknown message key "${key}"`];
+  return [];
+}
+
+// A template keeps its message's shape (text, or plural forms selected by {count}) and placeholders
+function validateTemplate(language, key, template) {
+  const keyErrors = validateTemplateKey(language, key);
+  if (keyErrors.length) return keyErrors;
+
+  const original = MESSAGES[DEFAULT_LANGUAGE][key];
+  const errors = [];
+  if (typeof original === 'object') {
+    const valid = template && typeof template === 'object' && !Array.isArray(template) && typeof template.other === 'string'
+      && Object.entries(template).every(([form, text]) => PLURAL_FORMS.includes(form) && typeof text === 'string');
+    if (!valid) return [`"${key}" takes plural forms: an object of ${PLURAL_FORMS.join('/')} texts with at least "other"`];
+  } else if (typeof template !== 'string') {
+    return [`"${key}" takes a text`];
+  }
+
+  const allowed = messagePlaceholders(key);
+  for (const text of formsOf(template)) {
+    if (!text.trim() || text.length > MAX_TEMPLATE_LENGTH) errors.push(`texts must be 1-${MAX_TEMPLATE_LENGTH} characters`);
+    for (const name of placeholdersOf(text)) {
+      if (!allowed.has(name)) errors.push(`"${key}" has no {${name}} placeholder`);
+    }
+  }
+  return [...new Set(errors)];
+}
+
+const validateOverrideId = (id) => (OVERRIDE_ID_PATTERN.test(id) ? [] : ['id must be an entity id such as attraction:5 or amenity:12']);
+
+function validateOverride(id, override) {
+  const idErrors = validateOverrideId(id);
+  if (idErrors.length) return idErrors;
+  if (!override || typeof override !== 'object' || Array.isArray(override)) return ['override must be an object'];
+
+  const errors = [];
+  for (const [field, value] of Object.entries(override)) {
+    if (field === 'hidden' || field === 'featured') {
+      if (typeof value !== 'boolean') errors.push(`${field} must be true or false`);
+    } else if (field === 'note') {
+      if (typeof value !== 'string' || value.length > MAX_NOTE_LENGTH) errors.push(`note must be a text of at most ${MAX_NOTE_LENGTH} characters`);
+    } else {
+      errors.push(`unknown field "${field}" (expected hidden, featured or note)`);
+    }
+  }
+  if (!override.hidden && !override.featured && !errors.length) errors.push('override must set hidden or featured');
+  return errors;
+}
+
+const STORE_KEY = 'bot-config';
+const emptyDocument = () => ({ intents: {}, aliases: {}, templates: {}, overrides: {}, updatedAt: null });
+
+// Settings over the defaults, kept in a session-store backend. They are loaded once (await ready())
+// and then read synchronously on every reply; changes are written through and apply immediately.
+class BotConfig {
+  constructor(store) {
+    this.store = store;
+    this.document = emptyDocument();
+    this.loading = null;
+    this.queue = Promise.resolve();
+  }
+
+  ready() {
+    this.loading ||= this.store.get(STORE_KEY).then((saved) => {
+      this.document = { ...emptyDocument(), ...saved };
+    });
+    return this.loading;
+  }
+
+  binding(intent) {
+    return this.document.intents[intent] || DEFAULT_INTENTS[intent] || null;
+  }
+
+  get aliases() {
+    return { ...DEFAULT_ALIASES, ...this.document.aliases };
+  }
+
+  get templates() {
+    return this.document.templates;
+  }
+
+  // Catalog entities -> without hidden ones, featured ones first and marked. The list is returned
+  // as-is when no override applies, so cached lists are never modified.
+  applyOverrides(entities) {
+    const { overrides } = this.document;
+    if (!Object.keys(overrides).length || !entities.some(entity => overrides[entity.id])) return entities;
+
+    const visible = entities
+      .filter(entity => !overrides[entity.id]?.hidden)
+      .map(entity => (overrides[entity.id]?.featured ? { ...entity, featured: true } : entity));
+    return [...visible.filter(entity => entity.featured), ...visible.filter(entity => !entity.featured)];
+  }
+
+  // The defaults and what was changed, for GET /admin/config
+  snapshot() {
+    return {
+      intents: { ...DEFAULT_INTENTS, ...this.document.intents },
+      aliases: this.aliases,
+      customized: {
+        intents: Object.keys(this.document.intents),
+        aliases: Object.keys(this.document.aliases)
+      },
+      templates: this.document.templates,
+      overrides: this.document.overrides,
+      updatedAt: this.document.updatedAt
+    };
+  }
+
+  // section: 'intents' | 'aliases' | 'overrides' -> a setting, value null removes it.
+  // Changes are serialised so two quick edits can't drop one another.
+  set(section, name, value) {
+    return this.update((document) => {
+      const entries = { ...document[section] };
+      if (value === null) delete entries[name];
+      else entries[name] = value;
+      return { ...document, [section]: entries };
+    });
+  }
+
+  setTemplate(language, key, template) {
+    return this.update((document) => {
+      const messages = { ...document.templates[language] };
+      if (template === null) delete messages[key];
+      else messages[key] = template;
+
+      const templates = { ...document.templates, [language]: messages };
+      if (!Object.keys(messages).length) delete templates[language];
+      return { ...document, templates };
+    });
+  }
+
+  update(change) {
+    const run = this.queue.then(async () => {
+      await this.ready();
+      const next = { ...change(this.document), updatedAt: new Date().toISOString() };
+      await this.store.set(STORE_KEY, next);
+      this.document = next;
+      return next;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async close() {
+    await this.queue;
+    await this.store.close();
+  }
+}
+
+function createBotConfig(env = process.env) {
+  const type = (env.BOT_CONFIG_STORE || 'file').toLowerCase();
+
+  switch (type) {
+    case 'file':
+      return new BotConfig(new FileSessionStore(env.BOT_CONFIG_FILE || path.join(process.cwd(), 'data', 'bot-config.json')));
+    case 'memory':
+      return new BotConfig(new MemorySessionStore());
+    default:
+      throw new Error(`Unknown BOT_CONFIG_STORE "${env.BOT_CONFIG_STORE}" (expected file or memory)`);
+  }
+}
+
+module.exports = {
+  DEFAULT_ALIASES,
+  DEFAULT_INTENTS,
+  CONTEXT_ARGS,
+  NAME_PATTERN,
+  resolveArguments,
+  validateBinding,
+  validateAlias,
+  validateTemplateKey,
+  validateTemplate,
+  validateOverrideId,
+  validateOverride,
+  BotConfig,
+  createBotConfig
+};
@@ -0,0 +1,111 @@
+// ============================
+// CATALOG CACHE
+// ============================
+// In-memory cache for upstream catalog lists, keyed by API endpoint.
+//   - fresh entries (younger than ttl) are served directly
+//   - stale entries (within staleWhileRevalidate) are served while a background refresh runs
+//   - when the upstream fails, any cached copy is served regardless of age
+//   - identical in-flight fetches share one promise
+
+class CatalogCache {
+  constructor({ ttl = 10 * 60 * 1000, staleWhileRevalidate = 24 * 60 * 60 * 1000, now = Date.now } = {}) {
+    this.ttl = ttl;
+    this.staleWhileRevalidate = staleWhileRevalidate;
+    this.now = now;
+    this.entries = new Map();
+    this.inFlight = new Map();
+    this.stats = { hits: 0, misses: 0, staleHits: 0, staleOnError: 0, revalidations: 0, coalesced: 0, errors: 0 };
+  }
+
+  async get(key, fetcher) {
+    const entry = this.entries.get(key);
+    const age = entry ? this.now() - entry.storedAt : Infinity;
+
+    if (age < this.ttl) {
+      this.stats.hits++;
+      return entry.value;
+    }
+
+    if (age < this.ttl + this.staleWhileRevalidate) {
+      this.stats.staleHits++;
+      this.revalidate(key, fetcher);
+      return entry.value;
+    }
+
+    this.stats.misses++;
+    try {
+      return await this.fetch(key, fetcher);
+    } catch (error) {
+      if (!entry) throw error;
+      this.stats.staleOnError++;
+      console.warn(`⚠️ Upstream failed for ${key}, serving cached copy from ${new Date(entry.storedAt).toISOString()}`);
+      return entry.value;
+    }
+  }
+
+  // Shares a single pending promise between identical concurrent calls
+  coalesce(key, fn) {
+    if (this.inFlight.has(key)) {
+      this.stats.coalesced++;
+      return this.inFlight.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  fetch(key, fetcher) {
+    return this.coalesce(key, async () => {
+      try {
+        const value = await fetcher();
+        this.entries.set(key, { value, storedAt: this.now() });
+        return value;
+      } catch (error) {
+        this.stats.errors++;
+        throw error;
+      }
+    });
+  }
+
+  revalidate(key, fetcher) {
+    if (this.inFlight.has(key)) return;
+    this.stats.revalidations++;
+    this.fetch(key, fetcher).catch(error => {
+      console.warn(`⚠️ Background refresh failed for ${key}:`, error.message);
+    });
+  }
+
+  // Fetches every key one after another so a cold upstream isn't hit with a burst of requests
+  async warmUp(sources) {
+    let warmed = 0;
+    for (const { key, fetcher } of sources) {
+      try {
+        await this.fetch(key, fetcher);
+        warmed++;
+      } catch (error) {
+        console.warn(`⚠️ Warm-up failed for ${key}:`, error.message);
+      }
+    }
+    return { warmed, total: sources.length };
+  }
+
+  invalidate(key) {
+    if (key === undefined) this.entries.clear();
+    else this.entries.delete(key);
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses;
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      inFlight: this.inFlight.size,
+      hitRate: lookups ? Number(((this.stats.hits + this.stats.staleHits) / lookups).toFixed(3)) : 0
+    };
+  }
+}
+
+module.exports = { CatalogCache };
@@ -0,0 +1,326 @@
+const { parseCoordinates } = require('./geo');
+const { parseOpeningHours } = require('./opening-hours');
+
+// ============================
+// CATALOG MODEL
+// ============================
+// Maps tourism API records onto the one entity shape every handler and payload works with:
+//
+//   { id, type, category, sourceId, name, description, city, latitude, longitude,
+//     price, currency, openingHours, images, details }
+//
+// id is type-qualified ('attraction:5') since attractions and amenities share id_Location; price is
+// the entry fee or price in CURRENCY; openingHours is parsed (see opening-hours.js); details holds the
+// fields of the kind of place under plain names (yearBuild -> yearBuilt...), and details.extra the upstream
+// fields the entity doesn't map, as they came, so version 1 payloads keep them. Records without an id or a
+// name, or that can't be told apart, are rejected and reported rather than guessed at.
+
+const CURRENCY = 'MAD'; // the API quotes every price in dirhams
+const ITEM_TYPES = ['attraction', 'amenity', 'activity'];
+const CONTENT_TYPES = { attractions: 'attraction', amenities: 'amenity', activities: 'activity' };
+
+// API list names -> entity categories; attraction and activity lists are named after theirs
+const LIST_CATEGORIES = {
+  restaurants: 'restaurant', hotels: 'hotel', lodges: 'lodge', guesthouses: 'guesthouse', camping: 'camping', cafes: 'cafe'
+};
+
+const AMENITY_FACILITIES = [
+  'hasSwimmingPool', 'breakfastIncluded', 'wifiAvailable', 'hasWaterSupply', 'electricityAvailability', 'viewPanoramic', 'closeNature'
+];
+const NUMERIC_DETAILS = ['stars', 'rooms', 'capacity', 'minimumAge', 'yearBuilt'];
+const BOOLEAN_DETAILS = ['guidedTours', 'protectedArea', 'available'];
+
+const has = (record, field) => record[field] !== undefined && record[field] !== null && record[field] !== '';
+const hasAny = (...fields) => (record) => fields.some(field => has(record, field));
+
+// Per kind: where the id, city and price are, the upstream field -> detail name pairs (optionally
+// only for some categories when turned back into API records), and category rules, first match wins
+const KINDS = {
+  attraction: {
+    idField: 'id_Location',
+    cityField: 'city',
+    priceField: 'entryFre',
+    details: [
+      ['guideToursAvailable', 'guidedTours'],
+      ['protectedArea', 'protectedArea'],
+      ['style', 'style'],
+      ['yearBuild', 'yearBuilt'],
+      ['historicalPeriod', 'historicalPeriod'],
+      ['dynastyName', 'dynasty']
+    ],
+    categories: [
+      ['natural', hasAny('protectedArea')],
+      ['historical', hasAny('historicalPeriod', 'dynastyName')],
+      ['cultural', (record) => has(record, 'style') && has(record, 'yearBuild')],
+      ['artificial', hasAny('yearBuild')],
+      ['historical', hasAny('style')]
+    ]
+  },
+  amenity: {
+    idField: 'id_Location',
+    cityField: 'city',
+    priceField: 'price',
+    details: [
+      ['available', 'available'],
+      ['numberStars', 'stars'],
+      ['numberOfRooms', 'rooms', ['hotel']],
+      ['numberRooms', 'rooms', ['guesthouse']],
+      ['capacity', 'capacity'],
+      ['menu', 'menu'],
+      ['typeCuisine', 'cuisine']
+    ],
+    categories: [
+      ['restaurant', hasAny('menu', 'typeCuisine')],
+      ['hotel', hasAny('numberStars', 'numberOfRooms', 'hasSwimmingPool')],
+      ['lodge', hasAny('viewPanoramic', 'closeNature')],
+      ['guesthouse', hasAny('numberRooms', 'breakfastIncluded')],
+      ['camping', hasAny('capacity', 'hasWaterSupply', 'electricityAvailability')],
+      ['cafe', hasAny('wifiAvailable')]
+    ]
+  },
+  activity: {
+    idField: 'id_Activity',
+    cityField: 'cityOfTheActivity',
+    priceField: 'price',
+    details: [
+      ['locationOfTheActivity', 'location'],
+      ['duration', 'duration'],
+      ['ageRestriction', 'minimumAge'],
+      ['terrainType', 'terrain'],
+      ['typeSport', 'sport'],
+      ['traditionAssociated', 'tradition'],
+      ['craftType', 'craft']
+    ],
+    categories: [
+      ['sportive', hasAny('typeSport')],
+      ['adventure', hasAny('terrainType')],
+      ['cultural', hasAny('traditionAssociated')],
+      ['traditional', hasAny('craftType')]
+    ]
+  }
+};
+
+// 'all' lists have no category; 'hotels' -> 'hotel'
+const categoryOfList = (listName) => (!listName || listName === 'all' ? null : LIST_CATEGORIES[listName] || listName);
+
+// What the records of an API_ENDPOINTS list are: listHint('amenities', 'hotels') -> { type: 'amenity', category: 'hotel' }
+const listHint = (contentType, listName) => ({ type: CONTENT_TYPES[contentType], category: categoryOfList(listName) });
+
+// What a record is from its own fields: activities have id_Activity; locations are attractions when
+// they carry an entry fee or guided tours, amenities when they carry a price or availability
+function detectType(record) {
+  if (has(record, 'id_Activity')) return 'activity';
+  if (hasAny('entryFre', 'guideToursAvailable')(record)) return 'attraction';
+  if (hasAny('price', 'available')(record)) return 'amenity';
+  return null;
+}
+
+// Upstream fields each type has a place for; the others go to details.extra
+const MAPPED_FIELDS = Object.fromEntries(Object.entries(KINDS).map(([type, kind]) => [type, new Set([
+  kind.idField, kind.cityField, kind.priceField,
+  'name', 'description', 'latitude', 'longitude', 'openingHours', 'imageUrls',
+  ...kind.details.map(([field]) => field),
+  ...(type === 'amenity' ? AMENITY_FACILITIES : [])
+])]));
+
+const detectCategory = (type, record) => KINDS[type].categories.find(([, test]) => test(record))?.[0] || null;
+
+const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return undefined;
+}
+
+function readDetail(name, value, warnings) {
+  if (NUMERIC_DETAILS.includes(name)) {
+    const number = Number(value);
+    if (Number.isFinite(number)) return number;
+    warnings.push(`${name} is not a number (${JSON.stringify(value)})`);
+    return undefined;
+  }
+  if (BOOLEAN_DETAILS.includes(name)) {
+    const flag = toBoolean(value);
+    if (flag === undefined) warnings.push(`${name} is not true or false (${JSON.stringify(value)})`);
+    return flag;
+  }
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+function readPrice(value, warnings) {
+  if (value === undefined || value === null || value === '') return null;
+  const price = Number(value);
+  if (Number.isFinite(price) && price >= 0) return price;
+  warnings.push(`price is not an amount (${JSON.stringify(value)})`);
+  return null;
+}
+
+function readImages(value) {
+  const urls = Array.isArray(value) ? value : text(value) ? [value] : [];
+  return urls.filter(url => typeof url === 'string' && url.trim()).map(url => url.trim());
+}
+
+// API record -> { entity, errors, warnings }. entity is null when errors says why it was rejected.
+// hint.type / hint.category come from the list the record was fetched from, when it says.
+function normalizeRecord(record, hint = {}) {
+  const errors = [];
+  const warnings = [];
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { entity: null, errors: ['not an object'], warnings };
+  }
+
+  const detected = detectType(record);
+  if (hint.type && detected && detected !== hint.type) {
+    errors.push(`listed as an ${hint.type} but has the fields of an ${detected}`);
+  }
+  const type = hint.type || detected;
+  if (!type) {
+    return { entity: null, errors: [...errors, 'neither an attraction, an amenity nor an activity'], warnings };
+  }
+
+  const kind = KINDS[type];
+  const sourceId = record[kind.idField];
+  if (!has(record, kind.idField) || !['number', 'string'].includes(typeof sourceId)) errors.push(`${kind.idField} is missing`);
+  const name = text(record.name);
+  if (!name) errors.push('name is missing');
+  if (errors.length) return { entity: null, errors, warnings };
+
+  const category = detectCategory(type, record) || hint.category || null;
+  if (!category) warnings.push(`no ${type} category fits its fields`);
+
+  const position = parseCoordinates(record.latitude, record.longitude);
+  if (!position && (has(record, 'latitude') || has(record, 'longitude'))) {
+    warnings.push(`invalid coordinates (${record.latitude}, ${record.longitude})`);
+  }
+
+  const details = {};
+  for (const [field, detail] of kind.details) {
+    if (!has(record, field) || details[detail] !== undefined) continue;
+    const value = readDetail(detail, record[field], warnings);
+    if (value !== undefined) details[detail] = value;
+  }
+  if (type === 'amenity') {
+    details.facilities = Object.fromEntries(AMENITY_FACILITIES
+      .filter(field => has(record, field))
+      .map(field => [field, toBoolean(record[field])])
+      .filter(([, value]) => value !== undefined));
+  }
+
+  const entity = {
+    id: `${type}:${sourceId}`,
+    type,
+    category,
+    sourceId,
+    name,
+    description: text(record.description),
+    city: text(record[kind.cityField]),
+    latitude: position?.latitude ?? null,
+    longitude: position?.longitude ?? null,
+    price: readPrice(record[kind.priceField], warnings),
+    currency: CURRENCY,
+    openingHours: parseOpeningHours(record.openingHours),
+    images: readImages(record.imageUrls),
+    details
+  };
+  const extra = Object.fromEntries(Object.entries(record).filter(([field]) => !MAPPED_FIELDS[type].has(field)));
+  if (Object.keys(extra).length) details.extra = extra;
+
+  return { entity, errors, warnings };
+}
+
+// What a rejected or doubtful record is called in reports
+const describeRecord = (record) => ({
+  id: record?.id_Location ?? record?.id_Activity ?? null,
+  name: typeof record?.name === 'string' ? record.name : null
+});
+
+// API list -> { entities, rejected, warnings }; rejected: [{ id, name, errors }], warnings: [{ id, name, warnings }]
+function normalizeCatalog(records, hint = {}) {
+  const entities = [];
+  const rejected = [];
+  const warnings = [];
+
+  for (const record of Array.isArray(records) ? records : []) {
+    const result = normalizeRecord(record, hint);
+    if (result.entity) entities.push(result.entity);
+    else rejected.push({ ...describeRecord(record), errors: result.errors });
+    if (result.entity && result.warnings.length) warnings.push({ id: result.entity.id, name: result.entity.name, warnings: result.warnings });
+  }
+
+  return { entities, rejected, warnings };
+}
+
+const isEntity = (value) => !!value && typeof value.id === 'string' && ITEM_TYPES.includes(value.type) && !!value.details;
+
+// Entity -> a record in the API's own field names, for version 1 payloads
+function toLegacy(entity) {
+  if (!isEntity(entity)) return entity;
+  const kind = KINDS[entity.type];
+  const record = { [kind.idField]: entity.sourceId, name: entity.name };
+  const put = (field, value) => {
+    if (value !== null && value !== undefined) record[field] = value;
+  };
+
+  put('description', entity.description);
+  put(kind.cityField, entity.city);
+  put('latitude', entity.latitude);
+  put('longitude', entity.longitude);
+  put(kind.priceField, entity.price);
+  put('openingHours', entity.openingHours?.text);
+  for (const [field, detail, categories] of kind.details) {
+    if (!categories || categories.includes(entity.category)) put(field, entity.details[detail]);
+  }
+  Object.assign(record, entity.details.facilities);
+  record.imageUrls = entity.images;
+  Object.assign(record, entity.details.extra);
+  for (const field of ['distanceKm', 'isOpenNow', 'nextOpening', 'featured']) {
+    if (entity[field] !== undefined) record[field] = entity[field];
+  }
+  return record;
+}
+
+// Latest problems per source (a catalog endpoint or lookup), kept for the admin report. Sources
+// without problems are dropped; past maxSources the oldest goes.
+class CatalogIssues {
+  constructor({ maxSources = 200 } = {}) {
+    this.maxSources = maxSources;
+    this.sources = new Map();
+  }
+
+  record(source, { rejected = [], warnings = [] }, checkedAt = new Date()) {
+    this.sources.delete(source);
+    if (!rejected.length && !warnings.length) return;
+    this.sources.set(source, { source, checkedAt: checkedAt.toISOString(), rejected, warnings });
+    if (this.sources.size > this.maxSources) this.sources.delete(this.sources.keys().next().value);
+  }
+
+  report() {
+    const sources = [...this.sources.values()];
+    return {
+      rejectedCount: sources.reduce((sum, source) => sum + source.rejected.length, 0),
+      warningCount: sources.reduce((sum, source) => sum + source.warnings.length, 0),
+      sources
+    };
+  }
+
+  clear() {
+    this.sources.clear();
+  }
+}
+
+module.exports = {
+  CURRENCY,
+  ITEM_TYPES,
+  CONTENT_TYPES,
+  LIST_CATEGORIES,
+  categoryOfList,
+  listHint,
+  detectType,
+  detectCategory,
+  normalizeRecord,
+  normalizeCatalog,
+  isEntity,
+  toLegacy,
+  CatalogIssues
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+
+// ============================
+// CHAT STREAMS
+// ============================
+// Server-Sent Events channels: a client opens one long-lived response, bound to a session, and the
+// server pushes each reply in steps (typing, text, payload) plus proactive notices on it.
+
+const HEARTBEAT_MS = 25 * 1000; // under the usual 30-60s idle timeouts of proxies
+const RETRY_MS = 3000;
+const DEFAULT_MAX_CHANNELS = 1000;
+
+// One SSE frame; data is JSON on a single line so it never needs splitting
+function formatEvent(event, data, id = null) {
+  return `${id !== null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+class ChatChannel {
+  constructor({ id, sessionId, client, res }) {
+    this.id = id;
+    this.sessionId = sessionId;
+    this.client = client;
+    this.res = res;
+    this.eventId = 0;
+    this.turns = 0;
+    this.closed = false;
+  }
+
+  // -> false once the client has gone away
+  send(event, data) {
+    if (this.closed) return false;
+    this.eventId += 1;
+    this.res.write(formatEvent(event, data, this.eventId));
+    return true;
+  }
+
+  // Numbers the messages sent on this channel so events can be matched to them
+  nextTurn() {
+    this.turns += 1;
+    return this.turns;
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.res.end();
+  }
+}
+
+class ChannelRegistry {
+  constructor({ maxChannels = DEFAULT_MAX_CHANNELS, heartbeatMs = HEARTBEAT_MS } = {}) {
+    this.maxChannels = maxChannels;
+    this.heartbeatMs = heartbeatMs;
+    this.channels = new Map();
+    this.timer = null;
+  }
+
+  // Turns res into an event stream bound to sessionId -> the channel, or null when the registry is full.
+  // The first event, 'ready', tells the client its channel and session ids.
+  open(res, { sessionId, client = null }) {
+    if (this.channels.size >= this.maxChannels) return null;
+
+    const channel = new ChatChannel({ id: crypto.randomUUID(), sessionId, client, res });
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // nginx would otherwise hold events back
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    this.channels.set(channel.id, channel);
+    res.on('close', () => this.remove(channel.id));
+    this.startHeartbeat();
+
+    channel.send('ready', { channelId: channel.id, sessionId });
+    return channel;
+  }
+
+  get(id) {
+    return this.channels.get(id) || null;
+  }
+
+  forSession(sessionId) {
+    return [...this.channels.values()].filter(channel => channel.sessionId === sessionId);
+  }
+
+  // Pushes an event to every channel of a session -> how many received it
+  notify(sessionId, event, data) {
+    return this.forSession(sessionId).filter(channel => channel.send(event, data)).length;
+  }
+
+  remove(id) {
+    const channel = this.channels.get(id);
+    if (!channel) return;
+    channel.closed = true;
+    this.channels.delete(id);
+    if (!this.channels.size) this.stopHeartbeat();
+  }
+
+  // Comment lines keep idle connections open through proxies; clients ignore them
+  startHeartbeat() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      for (const channel of this.channels.values()) channel.res.write(': ping\n\n');
+    }, this.heartbeatMs);
+    this.timer.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  closeAll() {
+    for (const channel of [...this.channels.values()]) {
+      channel.close();
+      this.remove(channel.id);
+    }
+  }
+}
+
+module.exports = {
+  HEARTBEAT_MS,
+  formatEvent,
+  ChatChannel,
+  ChannelRegistry
+};
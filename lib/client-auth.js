@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+// ============================
+// CLIENT AUTHENTICATION
+// ============================
+// Client apps identify themselves with an API key (X-API-Key or a bearer token) or an HS256 JWT
+// signed with JWT_SECRET. With neither configured, authentication is off (local development).
+
+// CLIENT_API_KEYS="flutter-app:k3y,partner:0th3r:120" -> Map key -> { client, limit }
+// The optional third field is that client's requests per minute.
+function parseApiKeys(value) {
+  const keys = new Map();
+  for (const entry of String(value || '').split(',')) {
+    const [client, key, limit] = entry.trim().split(':');
+    if (!client || !key) continue;
+    keys.set(key, { client, limit: Number(limit) > 0 ? Number(limit) : null });
+  }
+  return keys;
+}
+
+// ALLOWED_ORIGINS="https://app.example.com,http://localhost:8080" -> list, or null for any origin
+function parseOrigins(value) {
+  const origins = String(value || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+  return origins.length && !origins.includes('*') ? origins : null;
+}
+
+// TRUST_PROXY="1" (proxy hops), "true", or "loopback, 10.0.0.0/8" -> Express 'trust proxy' setting;
+// false when unset, so req.ip stays the socket address
+function parseTrustProxy(value) {
+  const text = String(value ?? '').trim();
+  if (text === '' || text === 'false') return false;
+  if (text === 'true') return true;
+  return /^\d+$/.test(text) ? Number(text) : text.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// Requests without an Origin header come from apps and servers, not browsers
+const isOriginAllowed = (origin, allowed) => !origin || !allowed || allowed.includes(origin.replace(/\/+$/, ''));
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+// Compares digests so the check takes the same time however much of the secret matches
+function safeEqual(given, expected) {
+  return crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(String(given)).digest(),
+    crypto.createHash('sha256').update(String(expected)).digest()
+  );
+}
+
+// For issuing client tokens (and for tests); claims should carry sub and exp
+function signToken(claims, secret) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify(claims));
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+// -> claims when the token is an HS256 JWT with a valid signature, a sub, and not expired; else null
+function verifyToken(token, secret, now = Date.now()) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  if (!safeEqual(signature, expected)) return null;
+
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return null;
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const seconds = now / 1000;
+    if (!claims.sub || (claims.exp !== undefined && seconds >= claims.exp) || (claims.nbf !== undefined && seconds < claims.nbf)) {
+      return null;
+    }
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+// Download links have to work without credentials (map and calendar apps can't send an API key),
+// so they carry an expiry and a signature of path + expiry instead
+function signPath(pathname, secret, expiresAt) {
+  const expires = Math.floor(expiresAt / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${pathname}:${expires}`).digest('base64url');
+  return { expires, signature };
+}
+
+function verifyPath(pathname, { expires, signature } = {}, secret, now = Date.now()) {
+  if (!expires || !signature || !/^\d+$/.test(String(expires)) || Number(expires) * 1000 <= now) return false;
+  return safeEqual(signature, signPath(pathname, secret, Number(expires) * 1000).signature);
+}
+
+class ClientAuth {
+  constructor({ apiKeys = new Map(), jwtSecret = null } = {}) {
+    this.apiKeys = apiKeys;
+    this.jwtSecret = jwtSecret;
+  }
+
+  get enabled() {
+    return this.apiKeys.size > 0 || !!this.jwtSecret;
+  }
+
+  // headers: { 'x-api-key', authorization } -> { client, limit } or null when the credentials aren't valid.
+  // JWT clients act for one user and also get { subject: sub }; API keys belong to trusted servers.
+  authenticate(headers = {}) {
+    const bearer = String(headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const credential = headers['x-api-key'] || bearer;
+    if (!credential) return null;
+
+    for (const [key, client] of this.apiKeys) {
+      if (safeEqual(credential, key)) return client;
+    }
+
+    if (this.jwtSecret) {
+      const claims = verifyToken(credential, this.jwtSecret);
+      if (claims) return { client: `jwt:${claims.sub}`, limit: null, subject: String(claims.sub) };
+    }
+    return null;
+  }
+}
+
+function createClientAuth(env = process.env) {
+  return new ClientAuth({ apiKeys: parseApiKeys(env.CLIENT_API_KEYS), jwtSecret: env.JWT_SECRET || null });
+}
+
+module.exports = {
+  ClientAuth,
+  createClientAuth,
+  parseApiKeys,
+  parseOrigins,
+  parseTrustProxy,
+  isOriginAllowed,
+  safeEqual,
+  signToken,
+  verifyToken,
+  signPath,
+  verifyPath
+};
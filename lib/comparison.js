@@ -0,0 +1,104 @@
+const { normalizeText } = require('./text');
+const { haversineKm, parseCoordinates } = require('./geo');
+
+// ============================
+// COMPARISON
+// ============================
+// Side-by-side table of places of a compatible kind, plus the facts a verdict is written from.
+// Labels and sentences live in the message catalog; this module only lines the values up.
+
+const MAX_ITEMS = 4;
+
+// Kinds that make sense side by side: all attractions, all activities, places to stay, places to eat
+const GROUPS = {
+  attraction: () => 'attraction',
+  activity: () => 'activity',
+  amenity: (category) => (['restaurant', 'cafe'].includes(category) ? 'food' : ['hotel', 'lodge', 'guesthouse', 'camping'].includes(category) ? 'lodging' : category)
+};
+
+const valueOr = (value) => (value === undefined ? null : value);
+
+// better: which value wins the row ('min', 'max', true), or null when no value wins
+const ATTRIBUTES = [
+  { key: 'price', better: 'min', read: (item) => item.price },
+  { key: 'stars', better: 'max', read: (item) => valueOr(item.details.stars) },
+  { key: 'rooms', better: 'max', read: (item) => valueOr(item.details.rooms) },
+  { key: 'pool', better: true, read: (item) => valueOr(item.details.facilities?.hasSwimmingPool) },
+  { key: 'breakfast', better: true, read: (item) => valueOr(item.details.facilities?.breakfastIncluded) }
+];
+
+// Spoken criterion ("cheaper", "moins cher", "more stars") -> attribute key
+const CRITERIA = {
+  cheaper: 'price', cheapest: 'price', cheap: 'price', price: 'price', 'less expensive': 'price', 'moins cher': 'price', prix: 'price', 'ارخص': 'price',
+  stars: 'stars', 'better rated': 'stars', 'more stars': 'stars', etoiles: 'stars', 'نجوم': 'stars',
+  bigger: 'rooms', larger: 'rooms', rooms: 'rooms', 'plus grand': 'rooms', chambres: 'rooms',
+  pool: 'pool', piscine: 'pool', breakfast: 'breakfast', 'petit dejeuner': 'breakfast'
+};
+
+function parseCriterion(value) {
+  return CRITERIA[normalizeText(value)] || null;
+}
+
+const groupOf = ({ type, category }) => GROUPS[type](category);
+
+// null when every entry can be compared with the first, else the first entry that can't
+function findIncompatible(entries) {
+  const group = groupOf(entries[0]);
+  return entries.find(entry => groupOf(entry) !== group) || null;
+}
+
+// Index(es) of the winning value(s) in a row, or [] when there's nothing to choose between
+function winners(values, better) {
+  const known = values.map((value, index) => ({ value, index })).filter(({ value }) => value !== null);
+  if (known.length < 2 && better !== true) return [];
+
+  if (better === true) {
+    const withIt = known.filter(({ value }) => value === true);
+    return withIt.length && withIt.length < values.length ? withIt.map(({ index }) => index) : [];
+  }
+
+  const best = better === 'min' ? Math.min(...known.map(({ value }) => value)) : Math.max(...known.map(({ value }) => value));
+  const top = known.filter(({ value }) => value === best);
+  return top.length === known.length ? [] : top.map(({ index }) => index);
+}
+
+// entries: [{ type, category, item: catalog entity }] -> { rows, distances, facts }. Rows where no item has a value are left out;
+// facts are ordered with the focus attribute first.
+function compareItems(entries, { focus = null } = {}) {
+  const rows = ATTRIBUTES
+    .map(({ key, better, read }) => {
+      const values = entries.map(({ item }) => read(item));
+      return { key, values, best: winners(values, better) };
+    })
+    .filter(row => row.values.some(value => value !== null));
+
+  const distances = [];
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const from = parseCoordinates(entries[i].item.latitude, entries[i].item.longitude);
+      const to = parseCoordinates(entries[j].item.latitude, entries[j].item.longitude);
+      if (from && to) distances.push({ from: i, to: j, km: Math.round(haversineKm(from, to) * 10) / 10 });
+    }
+  }
+
+  const facts = rows
+    .filter(row => row.best.length)
+    .map(row => ({ key: row.key, winners: row.best, value: row.values[row.best[0]] }))
+    .sort((a, b) => (b.key === focus) - (a.key === focus));
+
+  // "Which is cheaper?" deserves an answer even when they cost the same
+  const focusRow = rows.find(row => row.key === focus);
+  if (focusRow && !focusRow.best.length && focusRow.values.filter(value => value !== null).length > 1) {
+    facts.unshift({ key: focus, winners: [], value: focusRow.values.find(value => value !== null), tie: true });
+  }
+
+  return { rows, distances, facts };
+}
+
+module.exports = {
+  MAX_ITEMS,
+  ATTRIBUTES,
+  parseCriterion,
+  findIncompatible,
+  compareItems
+};
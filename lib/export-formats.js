@@ -0,0 +1,201 @@
+const { parseDurationMinutes } = require('./itinerary');
+const { normalizeText } = require('./text');
+const { TIME_ZONE, localTime, localDate } = require('./opening-hours');
+
+// ============================
+// EXPORT FORMATS
+// ============================
+// Turns places into GeoJSON and GPX waypoints, and activities or planned visits into iCalendar
+// events, so tourists can take results into map and calendar apps.
+// A place is { id, type, name, city, latitude, longitude, url }; an event is
+// { id, name, location, latitude, longitude, start: Date, end: Date, description, url }.
+
+const FORMATS = {
+  geojson: { label: 'GeoJSON', contentType: 'application/geo+json' },
+  gpx: { label: 'GPX', contentType: 'application/gpx+xml' },
+  ics: { label: 'iCalendar', contentType: 'text/calendar' }
+};
+
+// Itinerary slots start at these local times (minutes after midnight)
+const SLOT_START_MINUTES = { morning: 9 * 60, afternoon: 14 * 60, evening: 19 * 60 };
+const DEFAULT_START_MINUTES = 9 * 60;
+const DEFAULT_STOP_MINUTES = 90;
+
+// Spoken format ("gpx", "calendar", "calendrier") -> format key
+const FORMAT_NAMES = {
+  geojson: 'geojson', 'geo json': 'geojson', json: 'geojson', map: 'geojson', carte: 'geojson', 'خريطه': 'geojson',
+  gpx: 'gpx', gps: 'gpx',
+  ics: 'ics', ical: 'ics', icalendar: 'ics', calendar: 'ics', calendrier: 'ics', agenda: 'ics', 'تقويم': 'ics'
+};
+
+// Spoken export target ("this list", "my favorites", "mon itinéraire") -> source
+const SOURCE_NAMES = {
+  list: 'results', results: 'results', 'this list': 'results', liste: 'results', 'cette liste': 'results', 'القائمه': 'results',
+  it: 'item', place: 'item', 'this place': 'item', lieu: 'item', 'ce lieu': 'item', 'هذا المكان': 'item',
+  favorites: 'favorites', 'my favorites': 'favorites', favoris: 'favorites', 'mes favoris': 'favorites', 'المفضله': 'favorites',
+  itinerary: 'itinerary', trip: 'itinerary', 'my trip': 'itinerary', itineraire: 'itinerary', voyage: 'itinerary', 'رحلتي': 'itinerary', 'الرحله': 'itinerary'
+};
+
+const parseFormat = (value) => FORMAT_NAMES[normalizeText(value)] || null;
+const parseSource = (value) => SOURCE_NAMES[normalizeText(value)] || null;
+
+// An activity entity as an event on `date` ('YYYY-MM-DD'): starts when it opens (09:00 otherwise), lasts its duration
+function activityEvent(place, item, date) {
+  const startMinutes = item.openingHours?.periods[0]?.open ?? DEFAULT_START_MINUTES;
+  return {
+    ...place,
+    location: [item.details.location, item.city].filter(Boolean).join(', ') || place.city,
+    start: localTime(date, startMinutes),
+    end: localTime(date, startMinutes + parseDurationMinutes(item.details.duration)),
+    description: item.description || ''
+  };
+}
+
+// Every stop of an itinerary plan as an event, day 1 on startDate, stops back to back within their slot
+function itineraryEvents(plan, startDate) {
+  const [year, month, day] = startDate.split('-').map(Number);
+  const first = new Date(Date.UTC(year, month - 1, day, 12));
+
+  return plan.days.flatMap((planDay, index) => {
+    const date = localDate(first, index);
+    return Object.entries(planDay.slots).flatMap(([slot, stops]) => {
+      let minutes = SLOT_START_MINUTES[slot];
+      return stops.map(stop => {
+        const duration = stop.durationMinutes || DEFAULT_STOP_MINUTES;
+        const event = {
+          id: `${stop.id}:day${planDay.day}`,
+          name: stop.name,
+          location: stop.city || '',
+          latitude: stop.latitude,
+          longitude: stop.longitude,
+          start: localTime(date, minutes),
+          end: localTime(date, minutes + duration),
+          description: '',
+          url: null
+        };
+        minutes += duration;
+        return event;
+      });
+    });
+  });
+}
+
+const hasPosition = (place) => Number.isFinite(place.latitude) && Number.isFinite(place.longitude);
+
+function toGeoJson(places) {
+  return {
+    type: 'FeatureCollection',
+    features: places.filter(hasPosition).map(place => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [place.longitude, place.latitude] },
+      properties: {
+        id: place.id,
+        type: place.type,
+        name: place.name,
+        ...(place.category && { category: place.category }),
+        city: place.city || null,
+        ...(place.url && { url: place.url })
+      }
+    }))
+  };
+}
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const gpxPoint = (tag, place, indent) => [
+  `${indent}<${tag} lat="${place.latitude}" lon="${place.longitude}">`,
+  `${indent}  <name>${escapeXml(place.name)}</name>`,
+  ...(place.city ? [`${indent}  <desc>${escapeXml(place.city)}</desc>`] : []),
+  ...(place.url ? [`${indent}  <link href="${escapeXml(place.url)}"/>`] : []),
+  `${indent}  <type>${escapeXml(place.type)}</type>`,
+  `${indent}</${tag}>`
+];
+
+// Waypoints for every place; options.routes [{ name, places }] adds one route each (e.g. itinerary days)
+function toGpx(places, { name = 'Draa-Tafilalet', routes = [] } = {}) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Tourism-Bot" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(name)}</name></metadata>`,
+    ...places.filter(hasPosition).flatMap(place => gpxPoint('wpt', place, '  '))
+  ];
+
+  for (const route of routes) {
+    const points = route.places.filter(hasPosition);
+    if (!points.length) continue;
+    lines.push('  <rte>', `    <name>${escapeXml(route.name)}</name>`, ...points.flatMap(place => gpxPoint('rtept', place, '    ')), '  </rte>');
+  }
+
+  lines.push('</gpx>');
+  return `${lines.join('\n')}\n`;
+}
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const icsTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 §3.1)
+function fold(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function toIcs(events, { name = 'Draa-Tafilalet', now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Tourism Bot//Draa-Tafilalet//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${escapeText(event.id)}@tourism-bot`,
+      `DTSTAMP:${icsTime(now)}`,
+      `DTSTART:${icsTime(event.start)}`,
+      `DTEND:${icsTime(event.end)}`,
+      `SUMMARY:${escapeText(event.name)}`,
+      ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+      ...(hasPosition(event) ? [`GEO:${event.latitude};${event.longitude}`] : []),
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      ...(event.url ? [`URL:${event.url}`] : []),
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  FORMATS,
+  TIME_ZONE,
+  parseFormat,
+  parseSource,
+  localTime,
+  localDate,
+  activityEvent,
+  itineraryEvents,
+  toGeoJson,
+  toGpx,
+  toIcs
+};
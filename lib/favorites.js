@@ -0,0 +1,121 @@
+const path = require('path');
+const { MemorySessionStore, FileSessionStore } = require('./session-stores');
+const { ITEM_TYPES, isEntity, normalizeRecord } = require('./catalog-model');
+
+// ============================
+// FAVORITES
+// ============================
+// Saved places per user, kept in a key-value store with the session-store interface and no expiry.
+// Each favorite keeps a snapshot of the catalog entity so lists render without upstream calls.
+
+const USER_ID_PATTERN = /^[\w.@:-]{1,128}$/;
+
+function favoriteFromItem(item) {
+  return {
+    key: item.id,
+    type: item.type,
+    id: item.sourceId,
+    name: item.name,
+    savedAt: new Date().toISOString(),
+    item
+  };
+}
+
+// Favorites saved before the catalog model hold raw API records; they're normalized on read and
+// left out of lists when the record can't be (but kept in the store, see FavoritesStore#update)
+function withEntity(favorite) {
+  if (isEntity(favorite.item)) return favorite;
+  const { entity } = normalizeRecord(favorite.item, { type: favorite.type });
+  return entity ? { ...favorite, item: entity } : null;
+}
+
+class FavoritesStore {
+  constructor(store) {
+    this.store = store;
+    this.queue = Promise.resolve();
+  }
+
+  storeKey(userId) {
+    return `favorites:${userId}`;
+  }
+
+  async read(userId) {
+    const stored = (await this.store.get(this.storeKey(userId)))?.favorites || [];
+    const favorites = [];
+    const unreadable = [];
+    for (const favorite of stored) {
+      const readable = withEntity(favorite);
+      if (readable) favorites.push(readable);
+      else unreadable.push(favorite);
+    }
+    if (unreadable.length) {
+      console.warn(`⚠️ ${unreadable.length} stored favorite(s) of ${userId} no longer fit the catalog model and are hidden`);
+    }
+    return { favorites, unreadable };
+  }
+
+  async list(userId) {
+    return (await this.read(userId)).favorites;
+  }
+
+  // Read-modify-write calls are serialised so two quick saves can't drop one another.
+  // Favorites that can't be read are written back untouched rather than lost.
+  update(userId, change) {
+    const run = this.queue.then(async () => {
+      const { favorites, unreadable } = await this.read(userId);
+      const { favorites: next, result } = change(favorites);
+      if (next !== favorites) await this.store.set(this.storeKey(userId), { favorites: [...unreadable, ...next] });
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // -> { favorite, added }; saving twice keeps the first entry
+  add(userId, item) {
+    const favorite = favoriteFromItem(item);
+    return this.update(userId, (favorites) => {
+      const existing = favorites.find(entry => entry.key === favorite.key);
+      if (existing) return { favorites, result: { favorite: existing, added: false } };
+      return { favorites: [...favorites, favorite], result: { favorite, added: true } };
+    });
+  }
+
+  // -> the removed favorite, or null
+  remove(userId, type, id) {
+    const key = `${type}:${id}`;
+    return this.update(userId, (favorites) => {
+      const removed = favorites.find(entry => entry.key === key) || null;
+      if (!removed) return { favorites, result: null };
+      return { favorites: favorites.filter(entry => entry.key !== key), result: removed };
+    });
+  }
+
+  async close() {
+    await this.queue;
+    await this.store.close();
+  }
+}
+
+function createFavoritesStore(env = process.env) {
+  const type = (env.FAVORITES_STORE || 'file').toLowerCase();
+
+  switch (type) {
+    case 'file':
+      return new FavoritesStore(new FileSessionStore(env.FAVORITES_FILE || path.join(process.cwd(), 'data', 'favorites.json')));
+    case 'memory':
+      return new FavoritesStore(new MemorySessionStore());
+    default:
+      throw new Error(`Unknown FAVORITES_STORE "${env.FAVORITES_STORE}" (expected file or memory)`);
+  }
+}
+
+const isValidUserId = (userId) => typeof userId === 'string' && USER_ID_PATTERN.test(userId);
+
+module.exports = {
+  ITEM_TYPES,
+  FavoritesStore,
+  createFavoritesStore,
+  favoriteFromItem,
+  isValidUserId
+};
@@ -0,0 +1,84 @@
+const { normalizeText } = require('./text');
+const { TIME_ZONE, weekdayFromName, isOpenOnDay, openingState } = require('./opening-hours');
+
+// ============================
+// FOLLOW-UP QUESTIONS
+// ============================
+// Answers "how much is it?", "is it open on Friday?", "is it open now?", "is there a guide?"... from the fields of
+// the place discussed last. Wording lives in the message catalog; this module only picks the facts.
+
+// Spoken topic (Dialogflow @follow-up-topic value or synonym) -> topic
+const TOPICS = {
+  price: 'price', cost: 'price', entry: 'price', 'entry fee': 'price', fee: 'price', ticket: 'price', prix: 'price', tarif: 'price', 'سعر': 'price', 'ثمن': 'price',
+  hours: 'hours', 'opening hours': 'hours', open: 'hours', horaires: 'hours', ouvert: 'hours', 'مفتوح': 'hours', 'اوقات': 'hours',
+  'open now': 'openNow', now: 'openNow', 'ouvert maintenant': 'openNow', maintenant: 'openNow', 'مفتوح الان': 'openNow', 'الان': 'openNow',
+  guide: 'guide', 'guided tour': 'guide', 'guided tours': 'guide', 'visite guidee': 'guide', 'مرشد': 'guide',
+  duration: 'duration', 'how long': 'duration', length: 'duration', duree: 'duration', 'مده': 'duration',
+  age: 'age', 'age limit': 'age', 'minimum age': 'age', children: 'age', kids: 'age', enfants: 'age', 'عمر': 'age', 'اطفال': 'age',
+  facility: 'facility', nearby: 'nearby', near: 'nearby', 'a proximite': 'nearby', 'قريب': 'nearby'
+};
+
+function parseTopic(value) {
+  return TOPICS[normalizeText(value)] || null;
+}
+
+// "Friday", "vendredi", "الجمعة" or a Dialogflow @sys.date ("2026-10-23T12:00:00+01:00") -> 0..6
+function parseWeekday(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const byName = weekdayFromName(value);
+  if (byName !== null) return byName;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return weekdayFromName(new Intl.DateTimeFormat('en-US', { timeZone: TIME_ZONE, weekday: 'long' }).format(date));
+}
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+// { topic, field, value } for the catalog entity, value undefined when it doesn't say.
+// options.facilityField names the amenity facility for 'facility' questions, options.weekday narrows 'hours';
+// 'openNow' is answered at options.now with the Ramadan hours of options.ramadan (a RamadanSchedule) if any.
+function answerFollowUp(type, item, topic, options = {}) {
+  const details = item.details || {};
+  switch (topic) {
+    case 'price':
+      return { topic, field: type === 'attraction' ? 'entryFee' : 'price', value: item.price ?? undefined };
+    case 'hours': {
+      const value = item.openingHours?.text;
+      const weekday = options.weekday ?? null;
+      return { topic, field: 'openingHours', value, weekday, openOnDay: value === undefined ? null : isOpenOnDay(item.openingHours, weekday) };
+    }
+    case 'openNow': {
+      const state = openingState(item, options.now ?? new Date(), options.ramadan ?? null);
+      return {
+        topic,
+        field: 'isOpenNow',
+        value: state.isOpenNow ?? undefined,
+        nextOpening: state.nextOpening,
+        hours: state.hours?.text ?? null,
+        ramadan: state.ramadan
+      };
+    }
+    case 'guide':
+      return { topic, field: 'guidedTours', value: details.guidedTours };
+    case 'duration':
+      return { topic, field: 'duration', value: isSet(details.duration) ? details.duration : undefined };
+    case 'age':
+      return { topic, field: 'minimumAge', value: details.minimumAge };
+    case 'facility': {
+      const field = options.facilityField || null;
+      return { topic, field, value: field ? details.facilities?.[field] : undefined };
+    }
+    default:
+      return { topic, field: null, value: undefined };
+  }
+}
+
+module.exports = {
+  TOPICS,
+  parseTopic,
+  parseWeekday,
+  weekdayFromName,
+  answerFollowUp
+};
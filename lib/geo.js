@@ -0,0 +1,73 @@
+// ============================
+// GEO HELPERS
+// ============================
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two { latitude, longitude } points
+function haversineKm(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Returns { latitude, longitude } when both values are valid coordinates, otherwise null
+function parseCoordinates(latitude, longitude) {
+  if (latitude === undefined || latitude === null || latitude === '') return null;
+  if (longitude === undefined || longitude === null || longitude === '') return null;
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+  return { latitude: lat, longitude: lng };
+}
+
+// Accepts 20, "20", "20 km", "500 m", "3 miles" or a Dialogflow @sys.unit-length value { amount, unit }
+function parseRadiusKm(value, defaultKm) {
+  if (value === undefined || value === null || value === '') return defaultKm;
+
+  let amount;
+  let unit = 'km';
+  if (typeof value === 'object') {
+    amount = Number(value.amount);
+    unit = value.unit || unit;
+  } else {
+    const match = String(value).trim().match(/^(\d+(?:[.,]\d+)?)\s*([a-z]*)/i);
+    if (!match) return defaultKm;
+    amount = Number(match[1].replace(',', '.'));
+    unit = match[2] || unit;
+  }
+
+  if (!Number.isFinite(amount) || amount <= 0) return defaultKm;
+
+  const normalizedUnit = unit.toLowerCase();
+  if (['m', 'meter', 'meters', 'metre', 'metres'].includes(normalizedUnit)) return amount / 1000;
+  if (['mi', 'mile', 'miles'].includes(normalizedUnit)) return amount * 1.609344;
+  return amount;
+}
+
+// Keeps the items within radiusKm of origin, nearest first, each with a rounded distanceKm field
+function rankByDistance(items, origin, radiusKm) {
+  return items
+    .map(item => {
+      const position = parseCoordinates(item.latitude, item.longitude);
+      if (!position) return null;
+      return { ...item, distanceKm: Math.round(haversineKm(origin, position) * 10) / 10 };
+    })
+    .filter(item => item && item.distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+module.exports = {
+  haversineKm,
+  parseCoordinates,
+  parseRadiusKm,
+  rankByDistance
+};
@@ -0,0 +1,642 @@
+const { normalizeText } = require('./text');
+
+// ============================
+// MESSAGE CATALOG
+// ============================
+// Bot replies in English, French and Arabic. Values are templates with {placeholders};
+// an object value holds plural forms keyed by Intl.PluralRules category ({count} selects).
+
+const LANGUAGES = {
+  en: { dialogflowCode: 'en-US', direction: 'ltr' },
+  fr: { dialogflowCode: 'fr', direction: 'ltr' },
+  ar: { dialogflowCode: 'ar', direction: 'rtl' }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const MESSAGES = {
+  en: {
+    'noun.attractions': 'attractions',
+    'noun.amenities': 'amenities',
+    'noun.activities': 'activities',
+    'count.attractions': { one: '{count} attraction', other: '{count} attractions' },
+    'count.amenities': { one: '{count} amenity', other: '{count} amenities' },
+    'count.activities': { one: '{count} activity', other: '{count} activities' },
+    'count.days': { one: '{count} day', other: '{count} days' },
+    'type.attraction': 'attraction',
+    'type.amenity': 'amenity',
+    'type.activity': 'activity',
+    'category.restaurants': 'restaurant',
+    'category.hotels': 'hotel',
+    'category.lodges': 'lodge',
+    'category.guesthouses': 'guest house',
+    'category.camping': 'campsite',
+    'category.cafes': 'cafe',
+    'list.or': '{first} or {last}',
+    'list.separator': ', ',
+
+    'where.city': ' in {city}',
+    'where.nearby': ' within {radius} km of you',
+    'where.near': ' within {radius} km of {name}',
+    'where.openNow': ' open now in {city}',
+    'where.openAt': ' open at {time} in {city}',
+    'list.found': 'I found {items}{where}!',
+    'list.firstPage': 'I found {items}{where}. Here are the first {pageSize}:',
+    'list.page': 'Here is page {page} of {pageCount} of {contentType}{where}:',
+    'list.lastPage': 'That was the last page. Say "previous" to go back.',
+    'list.firstPageReached': "You're already on the first page.",
+    'list.noSuchPage': { one: 'There is only {count} page.', other: 'There are only {count} pages. Which one would you like?' },
+    'list.noMore': "I don't have any additional items to show right now.",
+    'list.decline': "No problem! I'm here whenever you need help discovering places in Draa-Tafilalet. Just ask me anytime!",
+
+    'content.none': 'No {contentType} found.',
+    'content.error': 'Having trouble finding {contentType}.',
+    'city.missing': "Please tell me which city you're interested in for {contentType}.",
+    'city.notFound': 'I couldn\'t find {contentType} information about "{city}". Try another city.',
+    'city.none': 'No {contentType} found in {city}.',
+    'city.error': 'Having trouble finding {contentType} in {city}.',
+    'open.none': 'No {contentType} found{where}. Try another time.',
+    'nearby.needLocation': 'Please share your location so I can find {contentType} near you.',
+    'nearby.none': 'No {contentType} found within {radius} km of you. Try a larger radius.',
+    'nearby.error': 'Having trouble finding {contentType} near you.',
+    'nearby.noneNear': 'No {contentType} found within {radius} km of {name}. Try a larger radius.',
+    'filters.none': 'No amenities match {criteria}{where}. Try removing a filter.',
+    'filters.anything': 'your search',
+    'suggestions.didYouMean': 'I couldn\'t find "{query}". Did you mean {list}?',
+
+    'chip.minPrice': 'from {amount} MAD',
+    'chip.maxPrice': 'under {amount} MAD',
+    'chip.openNow': 'Open now',
+    'facility.hasSwimmingPool': 'Pool',
+    'facility.breakfastIncluded': 'Breakfast included',
+    'facility.wifiAvailable': 'Wi-Fi',
+    'facility.hasWaterSupply': 'Water supply',
+    'facility.electricityAvailability': 'Electricity',
+    'facility.viewPanoramic': 'Panoramic view',
+    'facility.closeNature': 'Close to nature',
+
+    'details.missingName': "Please tell me which {itemType} you'd like to know more about.",
+    'details.notFound': 'I couldn\'t find detailed information about "{name}". Please check the spelling.',
+    'details.wrongType': '"{name}" doesn\'t appear to be an {itemType}.',
+    'details.error': 'Sorry, I\'m having trouble retrieving details about "{name}".',
+    'map.unavailable': "I don't have location information available. Please ask about a specific place first.",
+    'map.found': 'Here you can find {name} on the map: ',
+    'map.error': "Sorry, I couldn't retrieve the location information right now.",
+    'map.decline': "No problem! Is there anything else you'd like to know about this place or would you like to explore other locations?",
+
+    'itinerary.askDays': 'How many days would you like to spend in Draa-Tafilalet?',
+    'itinerary.unknownStart': 'I don\'t know where "{city}" is yet. Try starting from another city in Draa-Tafilalet.',
+    'itinerary.noPlaces': "I couldn't find any places to plan a trip around right now.",
+    'itinerary.planned': "Here's your {count}-day plan{from}:",
+    'itinerary.from': ' starting from {city}',
+    'itinerary.error': 'Having trouble planning your trip.',
+    'itinerary.noPlan': 'You don\'t have a trip plan yet. Try "plan 3 days starting from Errachidia".',
+    'itinerary.whichDayToChange': 'Your plan has {days}. Which day would you like to change?',
+    'itinerary.cantSwap': "I can't swap day {day} with day {other}. Your plan has {days}.",
+    'itinerary.swapped': 'Done! Days {day} and {other} are swapped:',
+    'itinerary.noAlternatives': "Every place I know is already in your plan, so I can't change day {day}.",
+    'itinerary.newDay': "Here's a new day {day}:",
+    'itinerary.changeError': 'Having trouble changing your trip plan.',
+    'itinerary.whichDayToAdd': 'Your plan has {days}. Which day should I add it to?',
+    'itinerary.noneNearby': "I couldn't find another {category} near day {day} of your trip.",
+    'itinerary.added': 'I added {name} to the evening of day {day}:',
+    'itinerary.current': "Here's your current trip plan:",
+    'itinerary.day': 'Day {day}: {cities}',
+    'itinerary.freeDay': 'free day',
+    'itinerary.daySeparator': '; ',
+
+    'favorites.saved': 'Saved {name} to your favorites.',
+    'favorites.alreadySaved': '{name} is already in your favorites.',
+    'favorites.removed': 'I removed {name} from your favorites.',
+    'favorites.notSaved': '"{name}" isn\'t in your favorites.',
+    'favorites.notFound': 'I couldn\'t find "{name}" to save.',
+    'favorites.whichToSave': 'Which place would you like to save? Tell me its name or ask about it first.',
+    'favorites.whichToRemove': 'Which favorite would you like to remove? Tell me its name.',
+    'favorites.noneToRemove': "You don't have any favorites to remove.",
+    'favorites.list': 'Your favorites ({count}):',
+    'favorites.empty': 'You don\'t have any favorites yet. Say "save" followed by a place name to add one.',
+    'favorites.error': 'Having trouble with your favorites right now.',
+
+    'followUp.noItem': 'Which place do you mean? Ask me about a place first.',
+    'followUp.whatTopic': 'What would you like to know about {name}? I can tell you about its price, opening hours, guided tours, duration, age limit or what\'s nearby.',
+    'followUp.unknown': "I don't have that information about {name}.",
+    'followUp.free': '{name} is free to visit.',
+    'followUp.entryFee': 'Entry to {name} costs {amount} MAD.',
+    'followUp.price': '{name} costs about {amount} MAD.',
+    'followUp.hours': '{name} opening hours: {hours}.',
+    'followUp.openOn': 'Yes, {name} is open on {day} ({hours}).',
+    'followUp.closedOn': 'No, {name} is closed on {day}. Opening hours: {hours}.',
+    'followUp.openNow': 'Yes, {name} is open now ({hours}).',
+    'followUp.closedNow': 'No, {name} is closed right now. Opening hours: {hours}.',
+    'followUp.closedUntil': 'No, {name} is closed right now. It opens again on {day} at {time} ({hours}).',
+    'followUp.ramadanHours': '{hours}, Ramadan hours',
+    'followUp.guideYes': 'Yes, guided tours are available at {name}.',
+    'followUp.guideNo': "No, {name} doesn't offer guided tours.",
+    'followUp.duration': '{name} takes about {duration}.',
+    'followUp.minAge': '{name} is open to ages {age} and up.',
+    'followUp.allAges': '{name} is suitable for all ages.',
+    'followUp.facilityYes': 'Yes, {name} has {facility}.',
+    'followUp.facilityNo': "No, {name} doesn't have {facility}.",
+    'followUp.noPosition': "I don't know exactly where {name} is, so I can't tell what's nearby.",
+    'followUp.error': 'Having trouble finding places near {name}.',
+
+    'compare.needTwo': 'Tell me at least two places to compare, e.g. "compare Hotel Karam Palace and Hotel Le Berbère Palace".',
+    'compare.tooMany': 'I can compare up to {max} places at a time.',
+    'compare.incompatible': "{first} and {second} are different kinds of places, so I can't compare them side by side.",
+    'compare.intro': 'Comparing {names}:',
+    'compare.versus': ' vs ',
+    'compare.error': "Sorry, I'm having trouble comparing these places.",
+    'compare.row.price': 'Price (MAD)',
+    'compare.row.stars': 'Stars',
+    'compare.row.rooms': 'Rooms',
+    'compare.row.pool': 'Pool',
+    'compare.row.breakfast': 'Breakfast included',
+    'compare.verdict.price': '{name} is the cheapest at {value} MAD.',
+    'compare.verdict.stars': '{name} has the most stars ({value}★).',
+    'compare.verdict.rooms': '{name} is the biggest with {value} rooms.',
+    'compare.verdict.pool': 'Only {name} has a pool.',
+    'compare.verdict.breakfast': 'Only {name} includes breakfast.',
+    'compare.verdict.tie': "They're level on {attribute}.",
+    'compare.verdict.distance': "They're {km} km apart.",
+    'compare.verdict.none': "There isn't much to tell them apart from the details I have.",
+
+    'recommend.intro': "Here's what I'd suggest for you:",
+    'recommend.none': "Tell me what you enjoy (nature, culture, adventure, budget travel, travelling with kids...) or look at a few places first, and I'll suggest some.",
+    'recommend.nothing': "I couldn't find anything new that matches what you like. Try telling me about other interests.",
+    'recommend.error': 'Having trouble preparing recommendations.',
+    'export.ready': 'Download {what} as {formats}:',
+    'export.source.results': 'this list',
+    'export.source.item': 'this place',
+    'export.source.itinerary': 'your trip plan',
+    'export.source.favorites': 'your favorites',
+    'export.nothing': 'There\'s nothing to export yet. Ask for a list of places, a trip plan or your favorites first.',
+    'export.noCalendar': 'Only activities and planned visits can go in a calendar. Try GPX or GeoJSON for places.',
+    'export.error': 'Having trouble preparing your download.',
+    'stream.stillSearching': 'Still searching, this is taking a little longer than usual…',
+    'stream.moreReady': { one: '{count} more result is ready. Say "more" to see it.', other: '{count} more results are ready. Say "more" to see them.' },
+    'recommend.reason.category': "Similar to places you've looked at.",
+    'recommend.reason.city': "In {city}, where you've been looking.",
+    'recommend.reason.nature': 'A natural site for nature lovers.',
+    'recommend.reason.culture': 'Rich in culture and history.',
+    'recommend.reason.adventure': 'An adventure, as you like.',
+    'recommend.reason.free': 'Free to visit.',
+    'recommend.reason.budget': 'Budget-friendly at {price} MAD.',
+    'recommend.reason.luxury': 'A high-end choice.',
+    'recommend.reason.kids': 'Suitable for children from {age}.',
+
+    'action.viewDetails': 'View Details',
+    'action.getDirections': 'Get Directions',
+    'action.addFavorite': 'Add to Favorites',
+    'action.openRoute': 'Open Route',
+    'action.changeDay': 'Change a Day',
+    'action.addRestaurant': 'Add a Restaurant',
+    'action.removeFavorite': 'Remove from Favorites',
+
+    'welcome': 'Welcome to Draa-Tafilalet Tourism Assistant! I can help you discover attractions, restaurants, hotels, lodges, guest houses, camping sites, cafes, and activities.',
+    'unknownIntent': 'I understand you\'re asking about "{intent}", but I\'m not sure how to help with that. Try asking about attractions, restaurants, hotels, activities, or other services.',
+    'error.processing': 'Sorry, there was an error processing your request.',
+    'fallback': "Sorry, I didn't catch that. Try asking about attractions, restaurants, hotels, activities, or other services.",
+    'error.technical': "Sorry, I'm experiencing technical difficulties."
+  },
+
+  fr: {
+    'noun.attractions': 'attractions',
+    'noun.amenities': 'établissements',
+    'noun.activities': 'activités',
+    'count.attractions': { one: '{count} attraction', other: '{count} attractions' },
+    'count.amenities': { one: '{count} établissement', other: '{count} établissements' },
+    'count.activities': { one: '{count} activité', other: '{count} activités' },
+    'count.days': { one: '{count} jour', other: '{count} jours' },
+    'type.attraction': 'attraction',
+    'type.amenity': 'établissement',
+    'type.activity': 'activité',
+    'category.restaurants': 'restaurant',
+    'category.hotels': 'hôtel',
+    'category.lodges': 'lodge',
+    'category.guesthouses': "maison d'hôtes",
+    'category.camping': 'camping',
+    'category.cafes': 'café',
+    'list.or': '{first} ou {last}',
+    'list.separator': ', ',
+
+    'where.city': ' à {city}',
+    'where.nearby': ' à moins de {radius} km de vous',
+    'where.near': ' à moins de {radius} km de {name}',
+    'where.openNow': ' à {city} (ouvert maintenant)',
+    'where.openAt': ' à {city} (ouvert à {time})',
+    'list.found': "J'ai trouvé {items}{where} !",
+    'list.firstPage': "J'ai trouvé {items}{where}. En voici {pageSize} :",
+    'list.page': 'Voici la page {page} sur {pageCount} des {contentType}{where} :',
+    'list.lastPage': "C'était la dernière page. Dites « précédent » pour revenir en arrière.",
+    'list.firstPageReached': 'Vous êtes déjà sur la première page.',
+    'list.noSuchPage': { one: "Il n'y a qu'une seule page.", other: "Il n'y a que {count} pages. Laquelle voulez-vous ?" },
+    'list.noMore': "Je n'ai pas d'autres résultats à afficher pour le moment.",
+    'list.decline': "Pas de problème ! Je suis là dès que vous voulez découvrir le Drâa-Tafilalet. N'hésitez pas à me demander !",
+
+    'content.none': 'Aucun résultat parmi les {contentType}.',
+    'content.error': 'Je rencontre des difficultés pour trouver les {contentType}.',
+    'city.missing': 'Dites-moi quelle ville vous intéresse pour les {contentType}.',
+    'city.notFound': "Je n'ai pas trouvé d'informations sur les {contentType} à « {city} ». Essayez une autre ville.",
+    'city.none': 'Aucun résultat parmi les {contentType} à {city}.',
+    'city.error': 'Je rencontre des difficultés pour trouver les {contentType} à {city}.',
+    'open.none': 'Aucun résultat parmi les {contentType}{where}. Essayez un autre moment.',
+    'nearby.needLocation': 'Partagez votre position pour que je trouve les {contentType} près de vous.',
+    'nearby.none': 'Aucun résultat parmi les {contentType} à moins de {radius} km de vous. Essayez un rayon plus large.',
+    'nearby.error': 'Je rencontre des difficultés pour trouver les {contentType} près de vous.',
+    'nearby.noneNear': 'Aucun résultat parmi les {contentType} à moins de {radius} km de {name}. Essayez un rayon plus large.',
+    'filters.none': 'Aucun établissement ne correspond à {criteria}{where}. Essayez de retirer un filtre.',
+    'filters.anything': 'votre recherche',
+    'suggestions.didYouMean': "Je n'ai pas trouvé « {query} ». Vouliez-vous dire {list} ?",
+
+    'chip.minPrice': 'à partir de {amount} MAD',
+    'chip.maxPrice': 'moins de {amount} MAD',
+    'chip.openNow': 'Ouvert maintenant',
+    'facility.hasSwimmingPool': 'Piscine',
+    'facility.breakfastIncluded': 'Petit-déjeuner inclus',
+    'facility.wifiAvailable': 'Wi-Fi',
+    'facility.hasWaterSupply': 'Eau courante',
+    'facility.electricityAvailability': 'Électricité',
+    'facility.viewPanoramic': 'Vue panoramique',
+    'facility.closeNature': 'Proche de la nature',
+
+    'details.missingName': 'De quel(le) {itemType} souhaitez-vous en savoir plus ?',
+    'details.notFound': "Je n'ai pas trouvé d'informations détaillées sur « {name} ». Vérifiez l'orthographe.",
+    'details.wrongType': '« {name} » ne semble pas être un(e) {itemType}.',
+    'details.error': "Désolé, je n'arrive pas à récupérer les détails de « {name} ».",
+    'map.unavailable': "Je n'ai pas de localisation disponible. Demandez d'abord un lieu précis.",
+    'map.found': 'Voici {name} sur la carte : ',
+    'map.error': "Désolé, je n'arrive pas à récupérer la localisation pour le moment.",
+    'map.decline': "Pas de problème ! Voulez-vous en savoir plus sur ce lieu ou explorer d'autres endroits ?",
+
+    'itinerary.askDays': 'Combien de jours souhaitez-vous passer dans le Drâa-Tafilalet ?',
+    'itinerary.unknownStart': "Je ne sais pas encore où se trouve « {city} ». Essayez de partir d'une autre ville du Drâa-Tafilalet.",
+    'itinerary.noPlaces': "Je n'ai trouvé aucun lieu pour organiser un voyage pour le moment.",
+    'itinerary.planned': 'Voici votre programme de {days}{from} :',
+    'itinerary.from': ' au départ de {city}',
+    'itinerary.error': 'Je rencontre des difficultés pour planifier votre voyage.',
+    'itinerary.noPlan': "Vous n'avez pas encore de programme. Essayez « programme de 3 jours au départ d'Errachidia ».",
+    'itinerary.whichDayToChange': 'Votre programme compte {days}. Quel jour voulez-vous modifier ?',
+    'itinerary.cantSwap': 'Je ne peux pas échanger le jour {day} avec le jour {other}. Votre programme compte {days}.',
+    'itinerary.swapped': "C'est fait ! Les jours {day} et {other} sont échangés :",
+    'itinerary.noAlternatives': 'Tous les lieux que je connais sont déjà dans votre programme, je ne peux donc pas modifier le jour {day}.',
+    'itinerary.newDay': 'Voici un nouveau jour {day} :',
+    'itinerary.changeError': 'Je rencontre des difficultés pour modifier votre programme.',
+    'itinerary.whichDayToAdd': "Votre programme compte {days}. À quel jour dois-je l'ajouter ?",
+    'itinerary.noneNearby': "Je n'ai pas trouvé d'autre {category} près du jour {day} de votre voyage.",
+    'itinerary.added': "J'ai ajouté {name} à la soirée du jour {day} :",
+    'itinerary.current': 'Voici votre programme actuel :',
+    'itinerary.day': 'Jour {day} : {cities}',
+    'itinerary.freeDay': 'journée libre',
+    'itinerary.daySeparator': ' ; ',
+
+    'favorites.saved': '{name} a été ajouté à vos favoris.',
+    'favorites.alreadySaved': '{name} est déjà dans vos favoris.',
+    'favorites.removed': "J'ai retiré {name} de vos favoris.",
+    'favorites.notSaved': "« {name} » n'est pas dans vos favoris.",
+    'favorites.notFound': "Je n'ai pas trouvé « {name} » à enregistrer.",
+    'favorites.whichToSave': "Quel lieu voulez-vous enregistrer ? Donnez-moi son nom ou demandez d'abord des détails.",
+    'favorites.whichToRemove': 'Quel favori voulez-vous retirer ? Donnez-moi son nom.',
+    'favorites.noneToRemove': "Vous n'avez aucun favori à retirer.",
+    'favorites.list': 'Vos favoris ({count}) :',
+    'favorites.empty': "Vous n'avez pas encore de favoris. Dites « enregistrer » suivi du nom d'un lieu pour en ajouter un.",
+    'favorites.error': "J'ai du mal à accéder à vos favoris pour le moment.",
+
+    'followUp.noItem': "De quel lieu parlez-vous ? Demandez-moi d'abord des informations sur un lieu.",
+    'followUp.whatTopic': "Que voulez-vous savoir sur {name} ? Je peux vous indiquer le prix, les horaires, les visites guidées, la durée, l'âge minimum ou ce qu'il y a à proximité.",
+    'followUp.unknown': "Je n'ai pas cette information sur {name}.",
+    'followUp.free': "L'entrée de {name} est gratuite.",
+    'followUp.entryFee': "L'entrée de {name} coûte {amount} MAD.",
+    'followUp.price': '{name} coûte environ {amount} MAD.',
+    'followUp.hours': 'Horaires de {name} : {hours}.',
+    'followUp.openOn': 'Oui, {name} est ouvert le {day} ({hours}).',
+    'followUp.closedOn': 'Non, {name} est fermé le {day}. Horaires : {hours}.',
+    'followUp.openNow': 'Oui, {name} est ouvert en ce moment ({hours}).',
+    'followUp.closedNow': 'Non, {name} est fermé en ce moment. Horaires : {hours}.',
+    'followUp.closedUntil': 'Non, {name} est fermé en ce moment. Réouverture {day} à {time} ({hours}).',
+    'followUp.ramadanHours': '{hours}, horaires du ramadan',
+    'followUp.guideYes': 'Oui, des visites guidées sont proposées à {name}.',
+    'followUp.guideNo': 'Non, {name} ne propose pas de visites guidées.',
+    'followUp.duration': '{name} dure environ {duration}.',
+    'followUp.minAge': "{name} est accessible à partir de {age} ans.",
+    'followUp.allAges': '{name} convient à tous les âges.',
+    'followUp.facilityYes': 'Oui, {name} dispose de : {facility}.',
+    'followUp.facilityNo': 'Non, {name} ne dispose pas de : {facility}.',
+    'followUp.noPosition': "Je ne sais pas exactement où se trouve {name}, je ne peux donc pas dire ce qu'il y a à proximité.",
+    'followUp.error': 'Je rencontre des difficultés pour trouver des lieux près de {name}.',
+
+    'compare.needTwo': 'Indiquez-moi au moins deux lieux à comparer, par ex. « compare Hotel Karam Palace et Hotel Le Berbère Palace ».',
+    'compare.tooMany': "Je peux comparer jusqu'à {max} lieux à la fois.",
+    'compare.incompatible': '{first} et {second} sont des lieux de nature différente, je ne peux pas les comparer côte à côte.',
+    'compare.intro': 'Comparaison {names} :',
+    'compare.versus': ' / ',
+    'compare.error': "Désolé, j'ai du mal à comparer ces lieux.",
+    'compare.row.price': 'Prix (MAD)',
+    'compare.row.stars': 'Étoiles',
+    'compare.row.rooms': 'Chambres',
+    'compare.row.pool': 'Piscine',
+    'compare.row.breakfast': 'Petit-déjeuner inclus',
+    'compare.verdict.price': '{name} est le moins cher, à {value} MAD.',
+    'compare.verdict.stars': '{name} a le plus d\'étoiles ({value}★).',
+    'compare.verdict.rooms': '{name} est le plus grand avec {value} chambres.',
+    'compare.verdict.pool': 'Seul {name} a une piscine.',
+    'compare.verdict.breakfast': 'Seul {name} inclut le petit-déjeuner.',
+    'compare.verdict.tie': 'Ils sont à égalité sur : {attribute}.',
+    'compare.verdict.distance': 'Ils sont à {km} km l\'un de l\'autre.',
+    'compare.verdict.none': "Les informations dont je dispose ne permettent pas vraiment de les départager.",
+
+    'recommend.intro': 'Voici ce que je vous suggère :',
+    'recommend.none': "Dites-moi ce que vous aimez (nature, culture, aventure, petit budget, voyage avec enfants...) ou consultez d'abord quelques lieux, et je vous ferai des suggestions.",
+    'recommend.nothing': "Je n'ai rien trouvé de nouveau qui corresponde à vos goûts. Essayez de me parler d'autres centres d'intérêt.",
+    'recommend.error': "J'ai du mal à préparer des recommandations.",
+    'export.ready': 'Téléchargez {what} en {formats} :',
+    'export.source.results': 'cette liste',
+    'export.source.item': 'ce lieu',
+    'export.source.itinerary': 'votre programme',
+    'export.source.favorites': 'vos favoris',
+    'export.nothing': "Il n'y a rien à exporter pour l'instant. Demandez d'abord une liste de lieux, un programme ou vos favoris.",
+    'export.noCalendar': "Seules les activités et les visites planifiées peuvent aller dans un calendrier. Essayez GPX ou GeoJSON pour les lieux.",
+    'export.error': "J'ai du mal à préparer votre téléchargement.",
+    'stream.stillSearching': 'Je cherche encore, cela prend un peu plus de temps que d\'habitude…',
+    'stream.moreReady': { one: '{count} autre résultat est prêt. Dites « plus » pour le voir.', other: '{count} autres résultats sont prêts. Dites « plus » pour les voir.' },
+    'recommend.reason.category': 'Proche des lieux que vous avez consultés.',
+    'recommend.reason.city': 'À {city}, où vous avez cherché.',
+    'recommend.reason.nature': 'Un site naturel pour les amoureux de la nature.',
+    'recommend.reason.culture': "Riche en culture et en histoire.",
+    'recommend.reason.adventure': 'Une aventure, comme vous aimez.',
+    'recommend.reason.free': 'Entrée gratuite.',
+    'recommend.reason.budget': 'Petit budget : {price} MAD.',
+    'recommend.reason.luxury': 'Un choix haut de gamme.',
+    'recommend.reason.kids': 'Accessible aux enfants dès {age} ans.',
+
+    'action.viewDetails': 'Voir les détails',
+    'action.getDirections': 'Itinéraire',
+    'action.addFavorite': 'Ajouter aux favoris',
+    'action.openRoute': 'Ouvrir le trajet',
+    'action.changeDay': 'Modifier un jour',
+    'action.addRestaurant': 'Ajouter un restaurant',
+    'action.removeFavorite': 'Retirer des favoris',
+
+    'welcome': "Bienvenue sur l'assistant touristique du Drâa-Tafilalet ! Je peux vous aider à découvrir des attractions, restaurants, hôtels, lodges, maisons d'hôtes, campings, cafés et activités.",
+    'unknownIntent': 'Je comprends que vous parlez de « {intent} », mais je ne sais pas comment vous aider. Essayez de demander des attractions, restaurants, hôtels, activités ou autres services.',
+    'error.processing': 'Désolé, une erreur est survenue lors du traitement de votre demande.',
+    'fallback': "Désolé, je n'ai pas compris. Essayez de demander des attractions, restaurants, hôtels, activités ou autres services.",
+    'error.technical': 'Désolé, je rencontre des difficultés techniques.'
+  },
+
+  ar: {
+    'noun.attractions': 'المعالم السياحية',
+    'noun.amenities': 'المرافق',
+    'noun.activities': 'الأنشطة',
+    'count.attractions': { zero: '{count} معلم سياحي', one: 'معلمًا سياحيًا واحدًا', two: 'معلمين سياحيين', few: '{count} معالم سياحية', many: '{count} معلمًا سياحيًا', other: '{count} معلم سياحي' },
+    'count.amenities': { zero: '{count} مرفق', one: 'مرفقًا واحدًا', two: 'مرفقين', few: '{count} مرافق', many: '{count} مرفقًا', other: '{count} مرفق' },
+    'count.activities': { zero: '{count} نشاط', one: 'نشاطًا واحدًا', two: 'نشاطين', few: '{count} أنشطة', many: '{count} نشاطًا', other: '{count} نشاط' },
+    'count.days': { zero: '{count} يوم', one: 'يوم واحد', two: 'يومين', few: '{count} أيام', many: '{count} يومًا', other: '{count} يوم' },
+    'type.attraction': 'معلمًا سياحيًا',
+    'type.amenity': 'مرفقًا',
+    'type.activity': 'نشاطًا',
+    'category.restaurants': 'مطعم',
+    'category.hotels': 'فندق',
+    'category.lodges': 'نزل',
+    'category.guesthouses': 'دار ضيافة',
+    'category.camping': 'مخيم',
+    'category.cafes': 'مقهى',
+    'list.or': '{first} أو {last}',
+    'list.separator': '، ',
+
+    'where.city': ' في {city}',
+    'where.nearby': ' على بعد {radius} كلم منك',
+    'where.near': ' على بعد {radius} كلم من {name}',
+    'where.openNow': ' في {city} (مفتوح الآن)',
+    'where.openAt': ' في {city} (مفتوح على الساعة {time})',
+    'list.found': 'وجدت {items}{where}!',
+    'list.firstPage': 'وجدت {items}{where}. إليك أول {pageSize}:',
+    'list.page': 'إليك الصفحة {page} من {pageCount} من {contentType}{where}:',
+    'list.lastPage': 'كانت هذه الصفحة الأخيرة. قل "السابق" للرجوع.',
+    'list.firstPageReached': 'أنت بالفعل في الصفحة الأولى.',
+    'list.noSuchPage': { zero: 'لا توجد صفحات.', one: 'توجد صفحة واحدة فقط.', two: 'توجد صفحتان فقط. أيهما تريد؟', few: 'توجد {count} صفحات فقط. أي صفحة تريد؟', many: 'توجد {count} صفحة فقط. أي صفحة تريد؟', other: 'توجد {count} صفحة فقط. أي صفحة تريد؟' },
+    'list.noMore': 'ليس لدي عناصر إضافية لعرضها الآن.',
+    'list.decline': 'لا مشكلة! أنا هنا متى احتجت مساعدة لاكتشاف أماكن درعة تافيلالت. اسألني في أي وقت!',
+
+    'content.none': 'لم أجد {contentType}.',
+    'content.error': 'أواجه صعوبة في العثور على {contentType}.',
+    'city.missing': 'من فضلك أخبرني بالمدينة التي تهمك بخصوص {contentType}.',
+    'city.notFound': 'لم أجد معلومات عن {contentType} في "{city}". جرّب مدينة أخرى.',
+    'city.none': 'لم أجد {contentType} في {city}.',
+    'city.error': 'أواجه صعوبة في العثور على {contentType} في {city}.',
+    'open.none': 'لم أجد {contentType}{where}. جرّب وقتًا آخر.',
+    'nearby.needLocation': 'شارك موقعك لأجد {contentType} القريبة منك.',
+    'nearby.none': 'لم أجد {contentType} على بعد {radius} كلم منك. جرّب مسافة أكبر.',
+    'nearby.error': 'أواجه صعوبة في العثور على {contentType} القريبة منك.',
+    'nearby.noneNear': 'لم أجد {contentType} على بعد {radius} كلم من {name}. جرّب نطاقًا أوسع.',
+    'filters.none': 'لا توجد مرافق تطابق {criteria}{where}. جرّب إزالة أحد المرشحات.',
+    'filters.anything': 'بحثك',
+    'suggestions.didYouMean': 'لم أجد "{query}". هل تقصد {list}؟',
+
+    'chip.minPrice': 'من {amount} درهم',
+    'chip.maxPrice': 'أقل من {amount} درهم',
+    'chip.openNow': 'مفتوح الآن',
+    'facility.hasSwimmingPool': 'مسبح',
+    'facility.breakfastIncluded': 'الفطور مشمول',
+    'facility.wifiAvailable': 'واي فاي',
+    'facility.hasWaterSupply': 'ماء',
+    'facility.electricityAvailability': 'كهرباء',
+    'facility.viewPanoramic': 'إطلالة بانورامية',
+    'facility.closeNature': 'قريب من الطبيعة',
+
+    'details.missingName': 'من فضلك أخبرني عن أي {itemType} تريد معرفة المزيد.',
+    'details.notFound': 'لم أجد معلومات مفصلة عن "{name}". تحقق من الإملاء.',
+    'details.wrongType': 'يبدو أن "{name}" ليس {itemType}.',
+    'details.error': 'عذرًا، أواجه صعوبة في جلب تفاصيل "{name}".',
+    'map.unavailable': 'لا تتوفر لدي معلومات عن الموقع. اسأل عن مكان محدد أولًا.',
+    'map.found': 'يمكنك العثور على {name} في الخريطة: ',
+    'map.error': 'عذرًا، لم أتمكن من جلب معلومات الموقع الآن.',
+    'map.decline': 'لا مشكلة! هل تريد معرفة المزيد عن هذا المكان أم استكشاف أماكن أخرى؟',
+
+    'itinerary.askDays': 'كم يومًا تريد أن تقضي في درعة تافيلالت؟',
+    'itinerary.unknownStart': 'لا أعرف موقع "{city}" بعد. جرّب الانطلاق من مدينة أخرى في درعة تافيلالت.',
+    'itinerary.noPlaces': 'لم أجد أماكن لتخطيط رحلة الآن.',
+    'itinerary.planned': 'إليك برنامج رحلتك لمدة {days}{from}:',
+    'itinerary.from': ' انطلاقًا من {city}',
+    'itinerary.error': 'أواجه صعوبة في تخطيط رحلتك.',
+    'itinerary.noPlan': 'ليس لديك برنامج رحلة بعد. جرّب "خطط لثلاثة أيام انطلاقًا من الرشيدية".',
+    'itinerary.whichDayToChange': 'برنامجك يضم {days}. أي يوم تريد تغييره؟',
+    'itinerary.cantSwap': 'لا يمكنني تبديل اليوم {day} باليوم {other}. برنامجك يضم {days}.',
+    'itinerary.swapped': 'تم! بدّلت اليومين {day} و{other}:',
+    'itinerary.noAlternatives': 'كل الأماكن التي أعرفها موجودة في برنامجك، لذا لا يمكنني تغيير اليوم {day}.',
+    'itinerary.newDay': 'إليك برنامجًا جديدًا لليوم {day}:',
+    'itinerary.changeError': 'أواجه صعوبة في تعديل برنامج رحلتك.',
+    'itinerary.whichDayToAdd': 'برنامجك يضم {days}. إلى أي يوم أضيفه؟',
+    'itinerary.noneNearby': 'لم أجد خيارًا آخر ({category}) قرب اليوم {day} من رحلتك.',
+    'itinerary.added': 'أضفت {name} إلى مساء اليوم {day}:',
+    'itinerary.current': 'إليك برنامج رحلتك الحالي:',
+    'itinerary.day': 'اليوم {day}: {cities}',
+    'itinerary.freeDay': 'يوم حر',
+    'itinerary.daySeparator': '؛ ',
+
+    'favorites.saved': 'تم حفظ {name} في مفضلتك.',
+    'favorites.alreadySaved': '{name} موجود بالفعل في مفضلتك.',
+    'favorites.removed': 'أزلت {name} من مفضلتك.',
+    'favorites.notSaved': '"{name}" غير موجود في مفضلتك.',
+    'favorites.notFound': 'لم أجد "{name}" لحفظه.',
+    'favorites.whichToSave': 'أي مكان تريد حفظه؟ أخبرني باسمه أو اسأل عنه أولًا.',
+    'favorites.whichToRemove': 'أي مكان مفضل تريد إزالته؟ أخبرني باسمه.',
+    'favorites.noneToRemove': 'ليست لديك أي أماكن مفضلة لإزالتها.',
+    'favorites.list': 'مفضلتك ({count}):',
+    'favorites.empty': 'ليست لديك أماكن مفضلة بعد. قل "احفظ" متبوعًا باسم المكان لإضافته.',
+    'favorites.error': 'أواجه صعوبة في الوصول إلى مفضلتك الآن.',
+
+    'followUp.noItem': 'أي مكان تقصد؟ اسألني عن مكان أولًا.',
+    'followUp.whatTopic': 'ماذا تريد أن تعرف عن {name}؟ يمكنني إخبارك بالسعر أو أوقات العمل أو الجولات المرشدة أو المدة أو السن الأدنى أو ما يوجد بالقرب منه.',
+    'followUp.unknown': 'ليست لدي هذه المعلومة عن {name}.',
+    'followUp.free': 'زيارة {name} مجانية.',
+    'followUp.entryFee': 'الدخول إلى {name} بـ {amount} درهم.',
+    'followUp.price': 'يكلف {name} حوالي {amount} درهم.',
+    'followUp.hours': 'أوقات عمل {name}: {hours}.',
+    'followUp.openOn': 'نعم، {name} مفتوح يوم {day} ({hours}).',
+    'followUp.closedOn': 'لا، {name} مغلق يوم {day}. أوقات العمل: {hours}.',
+    'followUp.openNow': 'نعم، {name} مفتوح الآن ({hours}).',
+    'followUp.closedNow': 'لا، {name} مغلق الآن. أوقات العمل: {hours}.',
+    'followUp.closedUntil': 'لا، {name} مغلق الآن. يفتح من جديد يوم {day} على الساعة {time} ({hours}).',
+    'followUp.ramadanHours': '{hours}، توقيت رمضان',
+    'followUp.guideYes': 'نعم، تتوفر جولات مرشدة في {name}.',
+    'followUp.guideNo': 'لا، لا يقدم {name} جولات مرشدة.',
+    'followUp.duration': 'يستغرق {name} حوالي {duration}.',
+    'followUp.minAge': '{name} متاح لمن يبلغ {age} سنوات فما فوق.',
+    'followUp.allAges': '{name} مناسب لجميع الأعمار.',
+    'followUp.facilityYes': 'نعم، يتوفر {name} على: {facility}.',
+    'followUp.facilityNo': 'لا، لا يتوفر {name} على: {facility}.',
+    'followUp.noPosition': 'لا أعرف موقع {name} بالضبط، لذا لا يمكنني معرفة ما يوجد بالقرب منه.',
+    'followUp.error': 'أواجه صعوبة في العثور على أماكن قرب {name}.',
+
+    'compare.needTwo': 'أخبرني بمكانين على الأقل للمقارنة، مثلًا "قارن Hotel Karam Palace و Hotel Le Berbère Palace".',
+    'compare.tooMany': 'يمكنني مقارنة {max} أماكن كحد أقصى في المرة الواحدة.',
+    'compare.incompatible': '{first} و {second} مكانان من نوعين مختلفين، لذا لا يمكنني مقارنتهما جنبًا إلى جنب.',
+    'compare.intro': 'مقارنة {names}:',
+    'compare.versus': ' مقابل ',
+    'compare.error': 'عذرًا، أواجه صعوبة في مقارنة هذه الأماكن.',
+    'compare.row.price': 'السعر (درهم)',
+    'compare.row.stars': 'النجوم',
+    'compare.row.rooms': 'الغرف',
+    'compare.row.pool': 'مسبح',
+    'compare.row.breakfast': 'الفطور مشمول',
+    'compare.verdict.price': '{name} هو الأرخص بـ {value} درهم.',
+    'compare.verdict.stars': '{name} لديه أكبر عدد من النجوم ({value}★).',
+    'compare.verdict.rooms': '{name} هو الأكبر بـ {value} غرفة.',
+    'compare.verdict.pool': '{name} وحده يتوفر على مسبح.',
+    'compare.verdict.breakfast': '{name} وحده يشمل الفطور.',
+    'compare.verdict.tie': 'هما متساويان من حيث: {attribute}.',
+    'compare.verdict.distance': 'المسافة بينهما {km} كلم.',
+    'compare.verdict.none': 'المعلومات المتوفرة لدي لا تكفي للتمييز بينهما.',
+
+    'recommend.intro': 'إليك ما أقترحه عليك:',
+    'recommend.none': 'أخبرني بما تحب (الطبيعة، الثقافة، المغامرة، ميزانية محدودة، السفر مع الأطفال...) أو اطّلع على بعض الأماكن أولًا، وسأقترح عليك.',
+    'recommend.nothing': 'لم أجد شيئًا جديدًا يناسب ما تحب. جرّب إخباري باهتمامات أخرى.',
+    'recommend.error': 'أواجه صعوبة في إعداد الاقتراحات.',
+    'export.ready': 'نزّل {what} بصيغة {formats}:',
+    'export.source.results': 'هذه القائمة',
+    'export.source.item': 'هذا المكان',
+    'export.source.itinerary': 'برنامج رحلتك',
+    'export.source.favorites': 'مفضلتك',
+    'export.nothing': 'لا يوجد شيء لتصديره بعد. اطلب أولًا قائمة أماكن أو برنامج رحلة أو مفضلتك.',
+    'export.noCalendar': 'يمكن إضافة الأنشطة والزيارات المبرمجة فقط إلى التقويم. جرّب GPX أو GeoJSON للأماكن.',
+    'export.error': 'أواجه صعوبة في تحضير التنزيل.',
+    'stream.stillSearching': 'ما زلت أبحث، يستغرق الأمر وقتًا أطول من المعتاد…',
+    'stream.moreReady': { zero: 'لا توجد نتائج أخرى.', one: 'نتيجة أخرى جاهزة. قل "المزيد" لرؤيتها.', two: 'نتيجتان أخريان جاهزتان. قل "المزيد" لرؤيتهما.', few: '{count} نتائج أخرى جاهزة. قل "المزيد" لرؤيتها.', many: '{count} نتيجة أخرى جاهزة. قل "المزيد" لرؤيتها.', other: '{count} نتيجة أخرى جاهزة. قل "المزيد" لرؤيتها.' },
+    'recommend.reason.category': 'مشابه للأماكن التي اطلعت عليها.',
+    'recommend.reason.city': 'في {city}، حيث كنت تبحث.',
+    'recommend.reason.nature': 'موقع طبيعي لعشاق الطبيعة.',
+    'recommend.reason.culture': 'غني بالثقافة والتاريخ.',
+    'recommend.reason.adventure': 'مغامرة كما تحب.',
+    'recommend.reason.free': 'الزيارة مجانية.',
+    'recommend.reason.budget': 'مناسب للميزانية بـ {price} درهم.',
+    'recommend.reason.luxury': 'خيار راقٍ.',
+    'recommend.reason.kids': 'مناسب للأطفال ابتداءً من {age} سنوات.',
+
+    'action.viewDetails': 'عرض التفاصيل',
+    'action.getDirections': 'الاتجاهات',
+    'action.addFavorite': 'أضف إلى المفضلة',
+    'action.openRoute': 'افتح المسار',
+    'action.changeDay': 'غيّر يومًا',
+    'action.addRestaurant': 'أضف مطعمًا',
+    'action.removeFavorite': 'أزل من المفضلة',
+
+    'welcome': 'مرحبًا بك في المساعد السياحي لدرعة تافيلالت! يمكنني مساعدتك في اكتشاف المعالم السياحية والمطاعم والفنادق والنزل ودور الضيافة والمخيمات والمقاهي والأنشطة.',
+    'unknownIntent': 'فهمت أنك تسأل عن "{intent}"، لكنني لست متأكدًا من كيفية المساعدة. جرّب السؤال عن المعالم السياحية أو المطاعم أو الفنادق أو الأنشطة أو خدمات أخرى.',
+    'error.processing': 'عذرًا، حدث خطأ أثناء معالجة طلبك.',
+    'fallback': 'عذرًا، لم أفهم. جرّب السؤال عن المعالم السياحية أو المطاعم أو الفنادق أو الأنشطة أو خدمات أخرى.',
+    'error.technical': 'عذرًا، أواجه صعوبات تقنية.'
+  }
+};
+
+// Short function words that give a message away; names of places are shared by all three languages
+const LANGUAGE_HINTS = {
+  fr: new Set(['je', 'j', 'tu', 'vous', 'nous', 'le', 'la', 'les', 'des', 'du', 'de', 'un', 'une', 'est', 'et', 'ou', 'quel', 'quels', 'quelle', 'quelles', 'montre', 'montrez', 'moi', 'donne', 'cherche', 'pres', 'dans', 'avec', 'pour', 'merci', 'oui', 'non', 'bonjour', 'salut', 'voir', 'encore', 'suivant', 'jours', 'autour']),
+  en: new Set(['the', 'an', 'is', 'are', 'what', 'where', 'which', 'show', 'near', 'with', 'for', 'please', 'yes', 'no', 'hello', 'hi', 'thanks', 'thank', 'find', 'i', 'you', 'some', 'any', 'there', 'more', 'in', 'of', 'to', 'my', 'can', 'days', 'around'])
+};
+
+const pluralRules = new Map();
+
+// "fr-FR", "ar_MA", "EN" -> a supported language code, or null
+function normalizeLanguage(value) {
+  if (!value || typeof value !== 'string') return null;
+  const code = value.trim().toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES[code] ? code : null;
+}
+
+// Best guess from the message text, or null when it could be either (e.g. "ok", a city name)
+function detectLanguage(text) {
+  if (!text) return null;
+  if (/[\u0600-\u06FF]/.test(text)) return 'ar';
+
+  const words = normalizeText(text).split(' ');
+  let fr = /[àâçéèêëîïôûùüÿœ]/i.test(text) ? 2 : 0;
+  let en = 0;
+  for (const word of words) {
+    if (LANGUAGE_HINTS.fr.has(word)) fr++;
+    if (LANGUAGE_HINTS.en.has(word)) en++;
+  }
+
+  if (fr > en) return 'fr';
+  if (en > fr) return 'en';
+  return null;
+}
+
+function selectPlural(language, forms, count) {
+  if (!pluralRules.has(language)) pluralRules.set(language, new Intl.PluralRules(language));
+  return forms[pluralRules.get(language).select(count)] ?? forms.other;
+}
+
+// Falls back to English, then to the key itself, so a missing translation never breaks a reply.
+// templates ({ language: { key: template } }, e.g. set through the admin API) win over MESSAGES.
+function translate(language, key, params = {}, templates = {}) {
+  const messages = MESSAGES[language] || MESSAGES[DEFAULT_LANGUAGE];
+  let template = templates[language]?.[key] ?? messages[key]
+    ?? templates[DEFAULT_LANGUAGE]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  if (typeof template === 'object') template = selectPlural(language, template, Number(params.count));
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// t(key, params) bound to a language, with the metadata the app needs to lay the text out
+function createTranslator(language, templates = {}) {
+  const code = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+  const t = (key, params) => translate(code, key, params, templates);
+  t.language = code;
+  t.direction = LANGUAGES[code].direction;
+  t.dialogflowCode = LANGUAGES[code].dialogflowCode;
+  // ["a", "b", "c"] -> "a, b or c"
+  t.list = (items) => (items.length > 1
+    ? translate(code, 'list.or', { first: items.slice(0, -1).join(translate(code, 'list.separator', {}, templates)), last: items[items.length - 1] }, templates)
+    : items[0] || '');
+  return t;
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  MESSAGES,
+  normalizeLanguage,
+  detectLanguage,
+  translate,
+  createTranslator
+};
@@ -0,0 +1,258 @@
+const { normalizeText } = require('./text');
+const { weekdayFromName } = require('./follow-ups');
+
+// ============================
+// LOCAL INTENT CLASSIFIER
+// ============================
+// Offline stand-in for Dialogflow detectIntent: matches a message against training phrases for the
+// intents the backend handles and fills the same parameters the agent would. Used when Dialogflow
+// isn't configured or doesn't answer.
+
+const MIN_CONFIDENCE = 0.5;
+const FALLBACK_INTENT = 'Default Fallback Intent';
+
+// Placeholders in training phrases: {city}, {attraction}, {amenity}, {activity}, {number};
+// {item} stands for any attraction, amenity or activity.
+// context: the intent only applies while that follow-up context is active (e.g. "yes" after "show it on the map?")
+const TRAINING = [
+  { intent: 'Default Welcome Intent', phrases: ['hello', 'hi', 'hey', 'good morning', 'bonjour', 'salut', 'salam', 'مرحبا', 'السلام عليكم'] },
+
+  // Attractions
+  { intent: 'Ask_All_Attractions', phrases: ['show attractions', 'all attractions', 'what can i visit', 'places to visit', 'tourist attractions', 'montre les attractions', 'que visiter', 'lieux a visiter', 'المعالم السياحيه', 'اماكن للزياره'] },
+  { intent: 'Ask_Natural_Attractions', phrases: ['natural attractions', 'nature attractions', 'natural sites', 'attractions naturelles', 'sites naturels', 'المعالم الطبيعيه'] },
+  { intent: 'Ask_Cultural_Attractions', phrases: ['cultural attractions', 'cultural sites', 'attractions culturelles', 'sites culturels', 'المعالم الثقافيه'] },
+  { intent: 'Ask_Historical_Attractions', phrases: ['historical attractions', 'historic sites', 'historical monuments', 'attractions historiques', 'monuments historiques', 'المعالم التاريخيه'] },
+  { intent: 'Ask_Artificial_Attractions', phrases: ['artificial attractions', 'man made attractions', 'attractions artificielles', 'المعالم الاصطناعيه'] },
+  { intent: 'Ask_Attractions_By_City', phrases: ['{city}', 'attractions in {city}', 'what to visit in {city}', 'places to visit in {city}', 'attractions a {city}', 'que visiter a {city}', 'المعالم السياحيه في {city}'] },
+  { intent: 'Ask_Nearby_Attractions', phrases: ['attractions near me', 'attractions nearby', 'places to visit near me', 'attractions pres de moi', 'attractions a proximite', 'معالم قريبه مني'] },
+  { intent: 'Ask_Attraction_Details', phrases: ['tell me about {attraction}', '{attraction}', 'details about {attraction}', 'what is {attraction}', 'parle moi de {attraction}', 'informations sur {attraction}', 'معلومات عن {attraction}'] },
+
+  // Amenities
+  { intent: 'Ask_All_Amenities', phrases: ['show amenities', 'all amenities', 'services', 'where can i stay or eat', 'tous les services', 'montre les etablissements', 'الخدمات', 'كل المرافق'] },
+  { intent: 'Ask_Restaurants', phrases: ['restaurants', 'show restaurants', 'where can i eat', 'food', 'ou manger', 'montre les restaurants', 'المطاعم', 'اين اكل'] },
+  { intent: 'Ask_Hotels', phrases: ['hotels', 'show hotels', 'where can i sleep', 'montre les hotels', 'ou dormir', 'الفنادق'] },
+  { intent: 'Ask_Lodges', phrases: ['lodges', 'show lodges', 'montre les lodges', 'النزل'] },
+  { intent: 'Ask_GuestHouses', phrases: ['guest houses', 'guesthouses', 'riads', 'maisons dhotes', 'montre les riads', 'دور الضيافه'] },
+  { intent: 'Ask_Camping', phrases: ['camping', 'campsites', 'where can i camp', 'ou camper', 'المخيمات'] },
+  { intent: 'Ask_Cafes', phrases: ['cafes', 'coffee shops', 'where can i get coffee', 'montre les cafes', 'المقاهي'] },
+  { intent: 'Ask_Amenities_By_City', phrases: ['amenities in {city}', 'services in {city}', 'where to stay in {city}', 'services a {city}', 'ou dormir a {city}', 'الخدمات في {city}'] },
+  { intent: 'Ask_Filtered_Amenities', phrases: ['hotels in {city}', 'restaurants in {city}', 'cafes in {city}', 'riads in {city}', 'campsites in {city}', 'hotels a {city}', 'restaurants a {city}', 'فنادق في {city}', 'مطاعم في {city}', 'hotels with a pool', 'hotels with a pool in {city}', 'hotels under {number}', '{number} star hotels', 'riads with breakfast included', 'restaurants open now', 'hotels with wifi', 'hotels avec piscine', 'hotels moins de {number}', 'hotels {number} etoiles', 'فنادق مع مسبح'] },
+  { intent: 'Ask_Nearby_Amenities', phrases: ['restaurants near me', 'hotels near me', 'cafes near me', 'riads near me', 'camping near me', 'lodges near me', 'cafes nearby', 'amenities near me', 'restaurants pres de moi', 'hotels a proximite', 'مطاعم قريبه مني', 'فنادق قريبه'] },
+  { intent: 'Ask_Amenity_Details', phrases: ['tell me about {amenity}', '{amenity}', 'details about {amenity}', 'parle moi de {amenity}', 'informations sur {amenity}', 'معلومات عن {amenity}'] },
+
+  // Activities
+  { intent: 'Ask_All_Activities', phrases: ['activities', 'show activities', 'what can i do', 'things to do', 'que faire', 'montre les activites', 'الانشطه', 'ماذا افعل'] },
+  { intent: 'Ask_Adventure_Activities', phrases: ['adventure activities', 'adventures', 'activites daventure', 'انشطه المغامره'] },
+  { intent: 'Ask_Sportive_Activities', phrases: ['sport activities', 'sports', 'activites sportives', 'انشطه رياضيه'] },
+  { intent: 'Ask_Cultural_Activities', phrases: ['cultural activities', 'activites culturelles', 'انشطه ثقافيه'] },
+  { intent: 'Ask_Traditional_Activities', phrases: ['traditional activities', 'activites traditionnelles', 'انشطه تقليديه'] },
+  { intent: 'Ask_Activities_By_City', phrases: ['activities in {city}', 'things to do in {city}', 'what to do in {city}', 'activites a {city}', 'que faire a {city}', 'الانشطه في {city}'] },
+  { intent: 'Ask_Activity_Details', phrases: ['tell me about {activity}', '{activity}', 'details about {activity}', 'parle moi de {activity}', 'informations sur {activity}', 'معلومات عن {activity}'] },
+
+  // Itinerary
+  { intent: 'Plan_Itinerary', phrases: ['plan a {number} day trip', 'plan my trip', 'plan a {number} day trip from {city}', 'itinerary for {number} days', 'plan an itinerary', 'planifie un voyage de {number} jours', 'itineraire de {number} jours', 'خطط رحله {number} ايام'] },
+  { intent: 'Itinerary_Swap_Day', phrases: ['swap day {number} and day {number}', 'swap days {number} and {number}', 'switch day {number} with day {number}', 'echange le jour {number} et le jour {number}', 'بدل اليوم {number} واليوم {number}'] },
+  { intent: 'Itinerary_Add_To_Day', phrases: ['add a restaurant to day {number}', 'add a hotel to day {number}', 'add a cafe to day {number}', 'ajoute un restaurant au jour {number}', 'اضف مطعم الى اليوم {number}'] },
+  { intent: 'Itinerary_Show', phrases: ['show my itinerary', 'my itinerary', 'show my trip', 'montre mon itineraire', 'mon itineraire', 'برنامج رحلتي'] },
+
+  // Follow-ups about the item shown last
+  { intent: 'Ask_Item_FollowUp', phrases: ['tell me more about it', 'more details about it', 'what else should i know', "dis m'en plus", 'dis moi en plus', 'plus de details', 'اخبرني المزيد عنه'] },
+  { intent: 'FollowUp_Price', phrases: ['how much is it', 'how much does it cost', 'what is the price', 'entry fee', 'combien ca coute', 'quel est le prix', 'كم الثمن', 'ما السعر'] },
+  { intent: 'FollowUp_Opening_Hours', phrases: ['when is it open', 'what are the opening hours', 'is it open on {weekday}', 'opening hours', 'quels sont les horaires', 'est il ouvert le {weekday}', 'ما هي اوقات العمل', 'هل هو مفتوح يوم {weekday}'] },
+  { intent: 'FollowUp_Guided_Tours', phrases: ['is there a guide', 'are there guided tours', 'guided tour', 'y a t il un guide', 'visite guidee', 'هل يوجد مرشد'] },
+  { intent: 'FollowUp_Duration', phrases: ['how long does it take', 'how long is it', 'duration', 'combien de temps ca dure', 'quelle est la duree', 'كم المده'] },
+  { intent: 'FollowUp_Age_Restriction', phrases: ['is it ok for kids', 'minimum age', 'age limit', 'can children come', 'age minimum', 'pour les enfants', 'هل هو مناسب للاطفال', 'ما هو السن الادنى'] },
+  { intent: 'FollowUp_Facility', phrases: ['does it have a pool', 'does it have wifi', 'is breakfast included', 'y a t il une piscine', 'y a t il le wifi', 'هل يوجد مسبح'] },
+  { intent: 'FollowUp_Nearby', phrases: ['what is near it', 'what is nearby', 'restaurants near it', 'hotels near it', 'what is around it', "qu'y a-t-il à proximité", 'qu y a t il a proximite', 'restaurants a cote', 'ماذا يوجد بالقرب منه'] },
+
+  // Opening hours, of a place or of a city at a time of day
+  { intent: 'Ask_Open_Now', phrases: ['is {item} open now', 'is {item} open right now', 'is it open now', 'is it still open', 'est ce que {item} est ouvert maintenant', 'est il ouvert maintenant', 'هل {item} مفتوح الان', 'هل هو مفتوح الان'] },
+  { intent: 'Ask_Open_In_City', phrases: ['what is open now in {city}', 'what is open tonight in {city}', 'open now in {city}', 'restaurants open tonight in {city}', 'cafes open now in {city}', 'attractions open now in {city}', 'quest ce qui est ouvert ce soir a {city}', 'ouvert maintenant a {city}', 'restaurants ouverts ce soir a {city}', 'ما المفتوح الليله في {city}', 'مفتوح الان في {city}'] },
+
+  // Comparison, recommendations, favorites
+  { intent: 'Compare_Items', phrases: ['compare {item} and {item}', 'compare {item} with {item}', '{item} or {item}', 'which is cheaper {item} or {item}', 'compare {item} et {item}', 'quel est le moins cher {item} ou {item}', 'قارن بين {item} و {item}'] },
+  { intent: 'Recommend_Items', phrases: ['recommend something', 'what do you recommend', 'suggest something for me', 'any recommendations', 'que me recommandes tu', 'une suggestion', 'ماذا تنصحني'] },
+  { intent: 'Set_Travel_Preferences', phrases: ['i like nature', 'i love culture', 'i am traveling with kids', 'i travel on a budget', 'i prefer luxury', 'jaime la nature', 'je voyage avec enfants', 'petit budget', 'احب الطبيعه', 'مع الاطفال'] },
+  { intent: 'Save_Favorite', phrases: ['save it', 'add it to my favorites', 'save {item}', 'add {item} to favorites', 'ajoute aux favoris', 'garde le', 'احفظه في المفضله'] },
+  { intent: 'Show_Favorites', phrases: ['show my favorites', 'my favorites', 'saved places', 'mes favoris', 'montre mes favoris', 'المفضله'] },
+  { intent: 'Remove_Favorite', phrases: ['remove it from my favorites', 'remove {item} from favorites', 'delete {item} from my favorites', 'retire des favoris', 'supprime {item} des favoris', 'احذفه من المفضله'] },
+
+  // Exports
+  { intent: 'Export_Items', phrases: ['export this list', 'export it', 'download as gpx', 'export it as gpx', 'download the list as geojson', 'add it to my calendar', 'export my itinerary', 'export my trip', 'add my trip to my calendar', 'download the map', 'export my favorites', 'exporte la liste', 'telecharger en gpx', 'ajoute au calendrier', 'exporte mes favoris', 'صدر القائمه', 'صدر المفضله', 'نزل بصيغه gpx', 'اضفه الى التقويم'] },
+
+  // Paging and map follow-ups
+  { intent: 'Pagination_ShowMore', phrases: ['show more', 'more', 'more results', 'plus', 'voir plus', 'المزيد'] },
+  { intent: 'Pagination_ShowMore', context: 'pagination-followup', phrases: ['yes', 'yes please', 'sure', 'ok', 'oui', 'daccord', 'نعم'] },
+  { intent: 'Pagination_Next', phrases: ['next page', 'next', 'page suivante', 'suivant', 'الصفحه التاليه'] },
+  { intent: 'Pagination_Previous', phrases: ['previous page', 'go back', 'previous', 'page precedente', 'precedent', 'الصفحه السابقه'] },
+  { intent: 'Pagination_GoToPage', phrases: ['page {number}', 'go to page {number}', 'show page {number}', 'aller a la page {number}', 'الصفحه {number}'] },
+  { intent: 'Pagination_Decline', context: 'pagination-followup', phrases: ['no', 'no thanks', 'thats enough', 'non', 'non merci', 'لا', 'لا شكرا'] },
+  { intent: 'Show_Attraction_On_Map', phrases: ['show it on the map', 'show on map', 'where is it', 'montre sur la carte', 'ou est ce', 'اعرضه على الخريطه', 'اين يوجد'] },
+  { intent: 'Map_Request_Yes', context: 'map-followup', phrases: ['yes', 'yes please', 'sure', 'ok', 'oui', 'daccord', 'نعم'] },
+  { intent: 'Map_Request_No', context: 'map-followup', phrases: ['no', 'no thanks', 'non', 'non merci', 'لا', 'لا شكرا'] }
+];
+
+// Words that don't tell intents apart
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'me', 'please', 'can', 'could', 'you', 'i', 'to', 'of', 'some', 'any', 'us',
+  'le', 'la', 'les', 'l', 'de', 'des', 'du', 'un', 'une', 'moi', 'sil', 'vous', 'plait', 'svp', 'est',
+  'من', 'على', 'لي', 'هل', 'ما'
+]);
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  deux: 2, trois: 3, quatre: 4, cinq: 5, sept: 7, huit: 8, neuf: 9, dix: 10,
+  'اثنين': 2, 'ثلاثه': 3, 'اربعه': 4, 'خمسه': 5, 'سته': 6, 'سبعه': 7
+};
+
+// A number right after one of these words is a price cap, right before one of these a star rating
+const MAX_PRICE_WORDS = new Set(['under', 'below', 'max', 'maximum', 'moins', 'اقل']);
+const STAR_WORDS = new Set(['star', 'etoile', 'نجوم', 'نجمه']);
+
+const ITEM_SLOTS = new Set(['slotattraction', 'slotamenity', 'slotactivity']);
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Plural and article folding so "hotels" matches "hotel" and "الفنادق" matches "فنادق"
+function stem(word) {
+  if (/^[a-z]{4,}s$/.test(word)) return word.slice(0, -1);
+  if (/^ال[\u0600-\u06ff]{3,}$/.test(word)) return word.slice(2);
+  return word;
+}
+
+// Phrase -> token set, with {placeholder} turned into a slot token
+function tokenize(phrase) {
+  const words = normalizeText(phrase.replace(/\{(\w+)\}/g, ' slot$1 ')).split(' ');
+  return new Set(words.filter(word => word && !STOPWORDS.has(word)).map(stem));
+}
+
+const sameToken = (a, b) => a === b || (a === 'slotitem' && ITEM_SLOTS.has(b)) || (b === 'slotitem' && ITEM_SLOTS.has(a));
+
+// Dice coefficient between a training phrase and the message
+function similarity(phraseTokens, messageTokens) {
+  if (!phraseTokens.size || !messageTokens.size) return 0;
+  let shared = 0;
+  for (const token of phraseTokens) {
+    if ([...messageTokens].some(other => sameToken(token, other))) shared++;
+  }
+  return (2 * shared) / (phraseTokens.size + messageTokens.size);
+}
+
+const MODEL = TRAINING.map(({ intent, context = null, phrases }) => ({ intent, context, phrases: phrases.map(tokenize) }));
+
+const toNumber = (word) => (/^[0-9\u0660-\u0669]+$/.test(word)
+  ? Number(word.replace(/[\u0660-\u0669]/g, digit => digit.charCodeAt(0) - 0x0660))
+  : NUMBER_WORDS[word] ?? null);
+
+// Message -> words with catalog names, numbers and weekdays replaced by slot tokens, and the slot values.
+// mentions: NameIndex#findMentions output for the same message.
+function extractSlots(message, mentions = [], slotParsers = {}) {
+  const words = normalizeText(message).split(' ').filter(Boolean);
+  const slots = { city: null, items: [], numbers: [], weekday: null, stars: null, maxPrice: null, values: {} };
+  const tokens = [];
+
+  const mentionAt = new Map(mentions.map(mention => [mention.start, mention]));
+  for (let position = 0; position < words.length; position++) {
+    const mention = mentionAt.get(position);
+    if (mention) {
+      if (mention.kind === 'city') slots.city = slots.city || mention.name;
+      else slots.items.push({ name: mention.name, kind: mention.kind });
+      tokens.push(`slot${mention.kind}`);
+      position += mention.length - 1;
+      continue;
+    }
+
+    const word = words[position];
+    let number = toNumber(word);
+    if (number !== null) {
+      const start = position;
+      // "1,500" and "1 500" reach here as "1" "500": groups of three digits continue the number
+      while (/^\d{1,3}$/.test(words[start]) && /^\d{3}$/.test(words[position + 1] || '')) {
+        number = number * 1000 + Number(words[++position]);
+      }
+      if (MAX_PRICE_WORDS.has(words[start - 1])) slots.maxPrice = number;
+      else if (STAR_WORDS.has(stem(words[position + 1] || ''))) slots.stars = number;
+      slots.numbers.push(number);
+      tokens.push('slotnumber');
+      continue;
+    }
+
+    const weekday = weekdayFromName(word);
+    if (weekday !== null) {
+      slots.weekday = weekday;
+      tokens.push('slotweekday');
+      continue;
+    }
+
+    tokens.push(word);
+  }
+
+  // Vocabulary parameters (categories, facilities, interests...): runs of up to three words the parser accepts
+  for (const [parameter, parse] of Object.entries(slotParsers)) {
+    const found = [];
+    for (let start = 0; start < words.length; start++) {
+      for (let length = Math.min(3, words.length - start); length >= 1; length--) {
+        const run = words.slice(start, start + length).join(' ');
+        if (parse(run)) {
+          found.push(run);
+          start += length - 1;
+          break;
+        }
+      }
+    }
+    if (found.length) slots.values[parameter] = found.length === 1 ? found[0] : found;
+  }
+
+  return { tokens: new Set(tokens.filter(token => !STOPWORDS.has(token)).map(stem)), slots };
+}
+
+// Slots -> the parameters the Dialogflow agent fills for the same message
+function toParameters(slots) {
+  const parameters = { ...slots.values };
+  const [first, second] = slots.numbers;
+
+  if (slots.city) parameters.city = slots.city;
+  if (slots.items.length) {
+    parameters.name = slots.items[0].name;
+    parameters[`${slots.items[0].kind}-name`] = slots.items[0].name;
+    parameters.items = slots.items.map(item => item.name);
+  }
+  if (first !== undefined) Object.assign(parameters, { number: first, days: first, page: first, day: first });
+  if (second !== undefined) parameters['other-day'] = second;
+  if (slots.weekday !== null) parameters['day-of-week'] = WEEKDAY_NAMES[slots.weekday];
+  if (slots.stars !== null) parameters.stars = slots.stars;
+  if (slots.maxPrice !== null) parameters['max-price'] = slots.maxPrice;
+
+  return parameters;
+}
+
+// -> { intent, confidence, parameters } shaped like a detectIntent queryResult's essentials.
+// options.mentions: catalog names found in the message, options.contexts: active follow-up contexts,
+// options.slotParsers: { parameter: (text) => truthy when text is a value for it }
+function classify(message, { mentions = [], contexts = [], slotParsers = {} } = {}) {
+  const { tokens, slots } = extractSlots(message, mentions, slotParsers);
+  const parameters = toParameters(slots);
+
+  let best = { intent: FALLBACK_INTENT, confidence: 0 };
+  for (const { intent, context, phrases } of MODEL) {
+    if (context && !contexts.includes(context)) continue;
+    // Within the follow-up context its own answers beat the general phrases that say the same thing
+    const boost = context ? 0.01 : 0;
+    for (const phrase of phrases) {
+      const confidence = similarity(phrase, tokens) + boost;
+      if (confidence > best.confidence) best = { intent, confidence };
+    }
+  }
+
+  if (best.confidence < MIN_CONFIDENCE) best = { intent: FALLBACK_INTENT, confidence: best.confidence };
+  return { intent: best.intent, confidence: Math.min(1, Math.round(best.confidence * 100) / 100), parameters };
+}
+
+// Intents with training phrases, for checking every one of them has a handler
+const INTENTS = [...new Set(TRAINING.map(entry => entry.intent))];
+
+module.exports = {
+  MIN_CONFIDENCE,
+  FALLBACK_INTENT,
+  INTENTS,
+  classify
+};
@@ -0,0 +1,321 @@
+const { haversineKm, parseCoordinates } = require('./geo');
+const { normalizeText } = require('./text');
+
+// ============================
+// ITINERARY PLANNER
+// ============================
+// Spreads attractions and activities over days and morning/afternoon slots, visiting cities
+// in nearest-first order from the starting point. Added amenities (restaurants, lodging)
+// go to the evening slot. Everything here is pure so plans are reproducible in tests.
+
+const SLOT_MINUTES = 240; // 09:00-13:00 and 14:00-18:00
+const DAY_SLOTS = ['morning', 'afternoon'];
+const DEFAULT_VISIT_MINUTES = 90;
+const DEFAULT_ACTIVITY_MINUTES = 120;
+const SAME_SLOT_MAX_KM = 60; // farther than this and the next stop starts a new slot
+const MAX_DAYS = 14;
+
+// "2h", "1h30", "90 min", "3 hours", 4, "half day", "2 days" -> minutes; a day is both slots
+function parseDurationMinutes(duration) {
+  if (duration === undefined || duration === null || duration === '') return DEFAULT_ACTIVITY_MINUTES;
+  if (typeof duration === 'number') return duration <= 12 ? duration * 60 : duration;
+
+  const text = String(duration).toLowerCase();
+  if (/\b(?:half|demi)[\s-]*(?:a\s+)?(?:day|journ[ée]e)/.test(text)) return SLOT_MINUTES;
+  const days = text.match(/(\d+(?:[.,]\d+)?)\s*(?:days?|jours?|journ[ée]es?)\b/);
+  if (days) return Math.round(Number(days[1].replace(',', '.')) * DAY_SLOTS.length * SLOT_MINUTES);
+
+  const hours = text.match(/(\d+(?:[.,]\d+)?)\s*h/);
+  const minutes = text.match(/(\d+)\s*(?:min|m\b)/) || text.match(/h\s*(\d{1,2})\b/);
+  if (!hours && !minutes) {
+    if (/\bday\b|journ[ée]e/.test(text)) return DAY_SLOTS.length * SLOT_MINUTES; // "full day", "day trip"
+    const number = Number(text.replace(',', '.'));
+    return Number.isFinite(number) && number > 0 ? parseDurationMinutes(number) : DEFAULT_ACTIVITY_MINUTES;
+  }
+  return Math.round((hours ? Number(hours[1].replace(',', '.')) * 60 : 0) + (minutes ? Number(minutes[1]) : 0));
+}
+
+// Accepts 3, "3", "3 days" or a Dialogflow @sys.duration value { amount, unit }; null when unusable
+function parseDayCount(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const amount = Number(typeof value === 'object' ? value.amount : String(value).match(/\d+/)?.[0]);
+  if (!Number.isFinite(amount) || amount <= 0) return null;
+
+  const unit = typeof value === 'object' ? String(value.unit || 'day').toLowerCase() : String(value).toLowerCase();
+  const days = /^(wk|week)/.test(unit) || /\bweeks?\b/.test(unit) ? amount * 7 : amount;
+  return Math.min(Math.round(days), MAX_DAYS);
+}
+
+// Average position of the located records of each city
+function cityCentroids(locations) {
+  const sums = new Map();
+  for (const location of locations) {
+    const position = parseCoordinates(location.latitude, location.longitude);
+    if (!position || !location.city) continue;
+    const key = normalizeText(location.city);
+    const sum = sums.get(key) || { latitude: 0, longitude: 0, count: 0 };
+    sum.latitude += position.latitude;
+    sum.longitude += position.longitude;
+    sum.count++;
+    sums.set(key, sum);
+  }
+
+  return new Map([...sums].map(([key, sum]) => [key, { latitude: sum.latitude / sum.count, longitude: sum.longitude / sum.count }]));
+}
+
+// Flattens catalog entities into stops with a position and a duration; activities take the position
+// of the attraction they happen at, or of their city
+function buildStops({ attractions = [], activities = [] }, centroids = cityCentroids(attractions)) {
+  const stops = [];
+  const attractionsByName = new Map(attractions.map(item => [normalizeText(item.name), item]));
+
+  for (const item of attractions) {
+    const position = parseCoordinates(item.latitude, item.longitude);
+    if (!position) continue;
+    stops.push({
+      id: item.id,
+      type: 'attraction',
+      name: item.name,
+      city: item.city,
+      ...position,
+      durationMinutes: DEFAULT_VISIT_MINUTES
+    });
+  }
+
+  for (const item of activities) {
+    const site = attractionsByName.get(normalizeText(item.details.location));
+    const position = (site && parseCoordinates(site.latitude, site.longitude)) ||
+      centroids.get(normalizeText(item.city));
+    if (!position) continue;
+    stops.push({
+      id: item.id,
+      type: 'activity',
+      name: item.name,
+      city: item.city,
+      latitude: position.latitude,
+      longitude: position.longitude,
+      durationMinutes: parseDurationMinutes(item.details.duration)
+    });
+  }
+
+  return stops;
+}
+
+// Groups stops by city, then orders groups (and the stops inside them) nearest-first from `start`
+function orderStops(stops, start) {
+  const groups = new Map();
+  for (const stop of stops) {
+    const key = normalizeText(stop.city) || stop.id;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(stop);
+  }
+
+  const centre = (group) => ({
+    latitude: group.reduce((sum, stop) => sum + stop.latitude, 0) / group.length,
+    longitude: group.reduce((sum, stop) => sum + stop.longitude, 0) / group.length
+  });
+
+  const ordered = [];
+  let position = start || centre(stops);
+  const remaining = [...groups.values()];
+
+  while (remaining.length) {
+    remaining.sort((a, b) => haversineKm(position, centre(a)) - haversineKm(position, centre(b)) ||
+      a[0].name.localeCompare(b[0].name));
+    const group = remaining.shift();
+
+    const pending = [...group];
+    while (pending.length) {
+      pending.sort((a, b) => haversineKm(position, a) - haversineKm(position, b) || a.name.localeCompare(b.name));
+      const stop = pending.shift();
+      ordered.push(stop);
+      position = stop;
+    }
+  }
+
+  return ordered;
+}
+
+function emptyDay(day) {
+  return { day, cities: [], slots: { morning: [], afternoon: [], evening: [] }, googleMapsUrl: null };
+}
+
+// Google Maps directions through the day's stops, starting where the previous day ended
+const formatPoint = ({ latitude, longitude }) => `${Number(latitude.toFixed(5))},${Number(longitude.toFixed(5))}`;
+
+function buildRouteUrl(stops, origin = null) {
+  const points = stops.map(formatPoint);
+  if (!points.length) return null;
+
+  const from = origin ? formatPoint(origin) : points.shift();
+  const destination = points.length ? points.pop() : from;
+  const params = new URLSearchParams({ api: '1', origin: from, destination, travelmode: 'driving' });
+  if (points.length) params.set('waypoints', points.join('|'));
+
+  return `https://www.google.com/maps/dir/?${params.toString()}`;
+}
+
+const dayStops = (day) => [...day.slots.morning, ...day.slots.afternoon, ...day.slots.evening];
+
+// Recomputes the derived fields (numbering, cities, route URLs) after any change
+function finalizePlan(plan) {
+  let origin = plan.start ? { latitude: plan.start.latitude, longitude: plan.start.longitude } : null;
+
+  const days = plan.days.map((day, index) => {
+    const stops = dayStops(day);
+    const route = buildRouteUrl(stops, origin);
+    if (stops.length) origin = stops[stops.length - 1];
+    return { ...day, day: index + 1, cities: [...new Set(stops.map(stop => stop.city).filter(Boolean))], googleMapsUrl: route };
+  });
+
+  return { ...plan, days };
+}
+
+// Places ordered stops into days x slots; returns the stops that didn't fit
+function fillDays(days, orderedStops) {
+  const unscheduled = [];
+  let dayIndex = 0;
+  let slotIndex = 0;
+  let used = 0;
+  let position = null;
+
+  const nextSlot = () => {
+    slotIndex++;
+    used = 0;
+    if (slotIndex >= DAY_SLOTS.length) {
+      dayIndex++;
+      slotIndex = 0;
+    }
+  };
+
+  for (const stop of orderedStops) {
+    if (dayIndex >= days.length) {
+      unscheduled.push(stop);
+      continue;
+    }
+
+    // A new city far from the last stop starts a fresh slot
+    if (used > 0 && position && haversineKm(position, stop) > SAME_SLOT_MAX_KM) nextSlot();
+
+    if (stop.durationMinutes > SLOT_MINUTES) {
+      // Full-day activities need a whole day
+      if (slotIndex > 0 || used > 0) {
+        dayIndex++;
+        slotIndex = 0;
+        used = 0;
+      }
+      if (dayIndex >= days.length) {
+        unscheduled.push(stop);
+        continue;
+      }
+      days[dayIndex].slots.morning.push({ ...stop, slot: 'morning', fullDay: true });
+      position = stop;
+      dayIndex++;
+      slotIndex = 0;
+      used = 0;
+      continue;
+    }
+
+    if (used + stop.durationMinutes > SLOT_MINUTES) nextSlot();
+    if (dayIndex >= days.length) {
+      unscheduled.push(stop);
+      continue;
+    }
+
+    const slot = DAY_SLOTS[slotIndex];
+    days[dayIndex].slots[slot].push({ ...stop, slot });
+    used += stop.durationMinutes;
+    position = stop;
+  }
+
+  return unscheduled;
+}
+
+function planItinerary({ stops, days, start = null }) {
+  const dayCount = Math.min(Math.max(Math.round(Number(days) || 1), 1), MAX_DAYS);
+  const plan = {
+    totalDays: dayCount,
+    start,
+    days: Array.from({ length: dayCount }, (_, i) => emptyDay(i + 1)),
+    unscheduledCount: 0
+  };
+
+  const unscheduled = fillDays(plan.days, orderStops(stops, start));
+  return finalizePlan({ ...plan, unscheduledCount: unscheduled.length });
+}
+
+const usedIds = (plan) => new Set(plan.days.flatMap(day => dayStops(day).map(stop => stop.id)));
+
+function swapDays(plan, first, second) {
+  const a = first - 1;
+  const b = second - 1;
+  if (!plan.days[a] || !plan.days[b] || a === b) return null;
+
+  const days = [...plan.days];
+  [days[a], days[b]] = [days[b], days[a]];
+  return finalizePlan({ ...plan, days });
+}
+
+// Replaces a day's attractions/activities with unused stops closest to where that day was
+function replanDay(plan, dayNumber, stops) {
+  const target = plan.days[dayNumber - 1];
+  if (!target) return null;
+
+  const current = [...target.slots.morning, ...target.slots.afternoon];
+  const anchor = current[0] || target.slots.evening[0] || plan.start;
+  const taken = usedIds(plan);
+  const candidates = stops.filter(stop => !taken.has(stop.id));
+  if (!candidates.length) return null;
+
+  const replacement = emptyDay(dayNumber);
+  replacement.slots.evening = target.slots.evening;
+  fillDays([replacement], orderStops(candidates, anchor));
+
+  const days = plan.days.map((day, index) => (index === dayNumber - 1 ? replacement : day));
+  return finalizePlan({ ...plan, days });
+}
+
+// Adds an amenity (restaurant, lodging...) to a day's evening slot
+function addStop(plan, dayNumber, stop) {
+  if (!plan.days[dayNumber - 1]) return null;
+
+  const days = plan.days.map((day, index) => (index === dayNumber - 1
+    ? { ...day, slots: { ...day.slots, evening: [...day.slots.evening, { ...stop, slot: 'evening' }] } }
+    : day));
+  return finalizePlan({ ...plan, days });
+}
+
+// Centre of a day's stops, used to pick nearby amenities. A free day takes the centre of the
+// closest day with stops (the earlier one on a tie), then the start; null for a plan with no stops
+function dayCentre(plan, dayNumber) {
+  for (let offset = 0; offset < plan.days.length; offset++) {
+    for (const number of [dayNumber - offset, dayNumber + offset]) {
+      const day = plan.days[number - 1];
+      const stops = day ? dayStops(day) : [];
+      if (!stops.length) continue;
+
+      return {
+        latitude: stops.reduce((sum, stop) => sum + stop.latitude, 0) / stops.length,
+        longitude: stops.reduce((sum, stop) => sum + stop.longitude, 0) / stops.length
+      };
+    }
+  }
+  return plan.start || null;
+}
+
+module.exports = {
+  MAX_DAYS,
+  parseDayCount,
+  parseDurationMinutes,
+  cityCentroids,
+  buildStops,
+  orderStops,
+  buildRouteUrl,
+  planItinerary,
+  swapDays,
+  replanDay,
+  addStop,
+  dayCentre,
+  usedIds
+};
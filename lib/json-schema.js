@@ -0,0 +1,86 @@
+// ============================
+// JSON SCHEMA VALIDATION
+// ============================
+// The subset of JSON Schema (draft-07) the payload schemas use: type, const, enum, properties,
+// required, additionalProperties, items, minimum, oneOf and local $refs ('#/definitions/name').
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+function resolveRef(ref, root) {
+  const name = ref.replace(/^#\/definitions\//, '');
+  const schema = root.definitions?.[name];
+  if (!schema) throw new Error(`Unknown schema reference ${ref}`);
+  return schema;
+}
+
+const hasType = (value, schema, root) => {
+  const { type } = schema.$ref ? resolveRef(schema.$ref, root) : schema;
+  return type === undefined || [].concat(type).some(option => matchesType(value, option));
+};
+
+// -> list of "path: problem" strings, empty when value matches schema
+function validate(value, schema, root = schema, path = '$') {
+  if (schema.$ref) return validate(value, resolveRef(schema.$ref, root), root, path);
+
+  const errors = [];
+  const types = schema.type === undefined ? null : [].concat(schema.type);
+  if (types && !types.some(type => matchesType(value, type))) {
+    return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${path}: expected ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: expected one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${path}: expected at least ${schema.minimum}`);
+  }
+
+  if (schema.oneOf) {
+    const results = schema.oneOf.map(option => validate(value, option, root, path));
+    const matching = results.filter(result => !result.length).length;
+    if (!matching) {
+      // The closest shape of the right type says most about what's wrong
+      const candidates = results.filter((result, index) => hasType(value, schema.oneOf[index], root));
+      errors.push(...(candidates.length ? candidates : results).reduce((closest, result) => (result.length < closest.length ? result : closest)));
+    } else if (matching > 1) {
+      errors.push(`${path}: expected exactly one of ${schema.oneOf.length} shapes, matched ${matching}`);
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (child === undefined) continue;
+      if (properties[key]) {
+        errors.push(...validate(child, properties[key], root, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(child, schema.additionalProperties, root, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((child, index) => errors.push(...validate(child, schema.items, root, `${path}[${index}]`)));
+  }
+
+  return errors;
+}
+
+module.exports = { validate };
@@ -0,0 +1,203 @@
+const { normalizeText } = require('./text');
+
+// ============================
+// NAME INDEX
+// ============================
+// Local index of known place names (cities, attractions, amenities, activities) used to
+// resolve misspelled or transliterated user input before calling the upstream API.
+
+// Canonical city -> French/English/Arabic spellings seen in user messages
+const CITY_ALIASES = {
+  'Errachidia': ['Er Rachidia', 'Rachidia', 'Ksar es Souk', 'الرشيدية', 'الراشيدية'],
+  'Ouarzazate': ['Warzazat', 'Ouarzazat', 'ورزازات'],
+  'Merzouga': ['Merzuga', 'مرزوكة', 'مرزوقة'],
+  'Tinghir': ['Tinerhir', 'Tineghir', 'Tinghir', 'تنغير'],
+  'Zagora': ['Zakoura', 'زاكورة'],
+  'Rissani': ['Risani', 'Er Rissani', 'الريصاني'],
+  'Erfoud': ['Arfoud', 'أرفود'],
+  'Midelt': ['ميدلت'],
+  'Skoura': ['سكورة'],
+  'Ait Benhaddou': ['Ait Ben Haddou', 'Aït Benhaddou', 'آيت بن حدو'],
+  "M'Hamid El Ghizlane": ['Mhamid', "M'Hamid", 'Mhamid El Ghizlane', 'امحاميد الغزلان', 'محاميد الغزلان'],
+  "Kelaat M'Gouna": ['Kalaat Mgouna', 'Qalaat Mgouna', 'El Kelaa Mgouna', 'قلعة مكونة'],
+  'Boumalne Dades': ['Boumalne', 'Boumalne du Dades', 'بومالن دادس'],
+  'Goulmima': ['كلميمة'],
+  'Tinejdad': ['تنجداد'],
+  'Agdz': ['أكدز']
+};
+
+// Collapses common French/English/Arabic transliteration differences:
+// ou/w/u, kh/q/k, gh/g, ch/sh, doubled letters and a silent final "e"
+function phoneticKey(normalized) {
+  return normalized
+    .replace(/ou/g, 'u')
+    .replace(/w/g, 'u')
+    .replace(/kh|q/g, 'k')
+    .replace(/gh/g, 'g')
+    .replace(/ch/g, 'sh')
+    .replace(/(.)\1+/g, '$1')
+    .replace(/e\b/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Words in `needle` appear, in order, as whole words in `haystack`
+const containsWords = (haystack, needle) => ` ${haystack} `.includes(` ${needle} `);
+
+// Smallest edit distance between the query and any run of the same number of consecutive words
+// in the key, so "erg chebi" is close to "camel trek in erg chebbi"
+function windowDistance(query, key) {
+  const queryWords = query.split(' ');
+  const keyWords = key.split(' ');
+  if (keyWords.length <= queryWords.length) return levenshtein(query, key);
+
+  let best = Infinity;
+  for (let start = 0; start + queryWords.length <= keyWords.length; start++) {
+    best = Math.min(best, levenshtein(query, keyWords.slice(start, start + queryWords.length).join(' ')));
+  }
+  return best;
+}
+
+class NameIndex {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // kind: 'city' | 'attraction' | 'amenity' | 'activity'
+  add(name, kind, aliases = []) {
+    const key = normalizeText(name);
+    if (!key) return;
+
+    const id = `${kind}:${key}`;
+    const entry = this.entries.get(id) || { name, kind, keys: new Set() };
+    for (const spelling of [name, ...aliases]) {
+      const normalized = normalizeText(spelling);
+      if (normalized) entry.keys.add(normalized);
+    }
+    this.entries.set(id, entry);
+  }
+
+  // Returns { match, suggestions }: match is set for an exact, alias, transliteration or
+  // unambiguous partial match; otherwise suggestions holds the closest names by edit distance.
+  lookup(query, { kinds = null, limit = 3 } = {}) {
+    const normalized = normalizeText(query);
+    if (!normalized) return { match: null, suggestions: [] };
+
+    const phonetic = phoneticKey(normalized);
+    const candidates = [...this.entries.values()].filter(entry => !kinds || kinds.includes(entry.kind));
+
+    const exact = candidates.find(entry => entry.keys.has(normalized)) ||
+      candidates.find(entry => [...entry.keys].some(key => phoneticKey(key) === phonetic));
+    if (exact) return { match: this.toResult(exact, 0), suggestions: [] };
+
+    const partial = candidates.filter(entry => [...entry.keys].some(key => containsWords(key, normalized)));
+    if (partial.length === 1) return { match: this.toResult(partial[0], 0), suggestions: [] };
+
+    const maxDistance = Math.max(2, Math.floor(normalized.length * 0.4));
+    const scored = candidates
+      .map(entry => {
+        const keys = [...entry.keys];
+        const fullDistance = Math.min(...keys.map(key =>
+          Math.min(levenshtein(normalized, key), levenshtein(phonetic, phoneticKey(key)))
+        ));
+        const distance = partial.includes(entry) ? 0 : Math.min(fullDistance, ...keys.map(key =>
+          Math.min(windowDistance(normalized, key), windowDistance(phonetic, phoneticKey(key)))
+        ));
+        return { entry, distance, fullDistance };
+      })
+      .filter(({ distance }) => distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance || a.fullDistance - b.fullDistance || a.entry.name.localeCompare(b.entry.name));
+
+    return {
+      match: null,
+      suggestions: scored.slice(0, limit).map(({ entry, distance }) => this.toResult(entry, distance))
+    };
+  }
+
+  // Names mentioned in free text ("hotels in warzazat please"): [{ name, kind, start, length, distance }],
+  // longest first and non-overlapping. start/length count words of the normalized text. Word runs match
+  // exactly, by transliteration, or within one edit for names of six letters or more.
+  findMentions(text, { kinds = null } = {}) {
+    const words = normalizeText(text).split(' ').filter(Boolean);
+    const found = [];
+
+    for (const entry of this.entries.values()) {
+      if (kinds && !kinds.includes(entry.kind)) continue;
+
+      for (const key of entry.keys) {
+        const length = key.split(' ').length;
+        for (let start = 0; start + length <= words.length; start++) {
+          const run = words.slice(start, start + length).join(' ');
+          const distance = run === key || phoneticKey(run) === phoneticKey(key) ? 0
+            : key.length >= 6 ? levenshtein(run, key) : Infinity;
+          if (distance <= 1) found.push({ name: entry.name, kind: entry.kind, start, length, distance });
+        }
+      }
+    }
+
+    found.sort((a, b) => b.length - a.length || a.distance - b.distance || a.start - b.start);
+    const taken = new Set();
+    const mentions = [];
+    for (const mention of found) {
+      const span = Array.from({ length: mention.length }, (_, offset) => mention.start + offset);
+      if (span.some(position => taken.has(position))) continue;
+      span.forEach(position => taken.add(position));
+      mentions.push(mention);
+    }
+    return mentions.sort((a, b) => a.start - b.start);
+  }
+
+  toResult(entry, distance) {
+    return { name: entry.name, kind: entry.kind, distance };
+  }
+
+  // Builds the index from catalog lists; cities come from the records and the alias table
+  static fromCatalog({ attractions = [], amenities = [], activities = [] }) {
+    const index = new NameIndex();
+
+    for (const [city, aliases] of Object.entries(CITY_ALIASES)) index.add(city, 'city', aliases);
+
+    for (const item of attractions) {
+      index.add(item.name, 'attraction');
+      if (item.city) index.add(item.city, 'city', CITY_ALIASES[item.city]);
+    }
+    for (const item of amenities) {
+      index.add(item.name, 'amenity');
+      if (item.city) index.add(item.city, 'city', CITY_ALIASES[item.city]);
+    }
+    for (const item of activities) {
+      index.add(item.name, 'activity');
+      if (item.city) index.add(item.city, 'city', CITY_ALIASES[item.city]);
+    }
+
+    return index;
+  }
+}
+
+module.exports = {
+  NameIndex,
+  CITY_ALIASES,
+  levenshtein,
+  phoneticKey
+};
@@ -0,0 +1,275 @@
+const { normalizeText } = require('./text');
+
+// ============================
+// OPENING HOURS
+// ============================
+// Parses the opening-hours strings of the catalog ("08:00-18:00", "Mon-Fri 9h-17h", "24/7",
+// "Sat-Thu 09:00-17:00, closed Friday") into the days and times a place opens, in Morocco time.
+// During Ramadan places keep other hours; RAMADAN_DATES says when it falls and RAMADAN_HOURS which
+// hours replace the catalog's, per place id, category or type.
+
+const TIME_ZONE = 'Africa/Casablanca';
+const DAY_MINUTES = 24 * 60;
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+const LOOKAHEAD_DAYS = 7; // how far ahead nextOpening looks
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Index = Date#getDay(); English, abbreviated, French and Arabic names in normalized form
+const WEEKDAYS = [
+  ['sunday', 'sun', 'dimanche', 'dim', 'الاحد'],
+  ['monday', 'mon', 'lundi', 'lun', 'الاثنين'],
+  ['tuesday', 'tue', 'mardi', 'mar', 'الثلاثاء'],
+  ['wednesday', 'wed', 'mercredi', 'mer', 'الاربعاء'],
+  ['thursday', 'thu', 'jeudi', 'jeu', 'الخميس'],
+  ['friday', 'fri', 'vendredi', 'ven', 'الجمعه'],
+  ['saturday', 'sat', 'samedi', 'sam', 'السبت']
+];
+
+const DAY_PATTERN = WEEKDAYS.map(names => names.join('|')).join('|');
+// Explicit spaces rather than \b, which doesn't see Arabic letters as word characters
+const CLOSED_PATTERN = new RegExp(`(?:closed|ferme|مغلق)(?: on| le| يوم)? (${DAY_PATTERN})(?= |$)`, 'g');
+const DAY_RANGE_PATTERN = new RegExp(`(?:^| )(${DAY_PATTERN}) (${DAY_PATTERN})(?= |$)`);
+const TIME_RANGE_PATTERN = /(\d{1,2})(?:[:h](\d{2})?)?\s*-\s*(\d{1,2})(?:[:h](\d{2})?)?/g;
+
+const weekdayFromName = (value) => {
+  const name = normalizeText(value);
+  const index = WEEKDAYS.findIndex(names => names.includes(name));
+  return index === -1 ? null : index;
+};
+
+function daysBetween(from, to) {
+  return EVERY_DAY.filter(day => (from <= to ? day >= from && day <= to : day >= from || day <= to));
+}
+
+// "08:00-18:00, closed Friday" -> { text, alwaysOpen, days, periods }, null when there are no hours.
+// days lists the weekdays it opens (null when the text doesn't say), periods the { open, close }
+// minutes after midnight; a close before the open runs past midnight.
+function parseOpeningHours(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+
+  const text = String(value).trim();
+  const lower = text.toLowerCase();
+  const normalized = normalizeText(text);
+
+  const alwaysOpen = lower.includes('24/7') || /\b24h\b/.test(lower);
+  const periods = alwaysOpen ? [{ open: 0, close: DAY_MINUTES }] : [...lower.matchAll(TIME_RANGE_PATTERN)]
+    .map(([, openHour, openMinute, closeHour, closeMinute]) => ({
+      open: Number(openHour) * 60 + Number(openMinute || 0),
+      close: Number(closeHour) * 60 + Number(closeMinute || 0)
+    }))
+    .filter(({ open, close }) => open < DAY_MINUTES && close <= DAY_MINUTES);
+
+  const range = normalized.match(DAY_RANGE_PATTERN);
+  const closed = [...normalized.matchAll(CLOSED_PATTERN)].map(match => weekdayFromName(match[1]));
+
+  let days = null;
+  if (range) days = daysBetween(weekdayFromName(range[1]), weekdayFromName(range[2]));
+  else if (closed.length || periods.length) days = EVERY_DAY;
+  if (days) days = days.filter(day => !closed.includes(day));
+
+  return { text, alwaysOpen, days, periods };
+}
+
+// Weekday (0-6) and minutes since midnight in Morocco for the given instant
+function localClock(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE, weekday: 'long', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => parts.find(part => part.type === type).value;
+  return { weekday: weekdayFromName(get('weekday')), minutes: Number(get('hour')) * 60 + Number(get('minute')) };
+}
+
+// true/false when the hours say whether the place opens that weekday, null when they don't
+function isOpenOnDay(hours, weekday) {
+  if (!hours?.days || weekday === null || weekday === undefined) return null;
+  return hours.days.includes(weekday);
+}
+
+// true/false when the hours say whether the place is open at that instant, null when they don't
+function isOpenAt(hours, date) {
+  if (!hours?.periods.length) return null;
+  const { weekday, minutes } = localClock(date);
+  if (hours.days && !hours.days.includes(weekday)) return false;
+  return hours.periods.some(({ open, close }) => (close > open ? minutes >= open && minutes < close : minutes >= open || minutes < close));
+}
+
+// Minutes east of UTC in Casablanca on that instant (+60 most of the year, 0 during Ramadan)
+function utcOffsetMinutes(date) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone: TIME_ZONE, timeZoneName: 'longOffset' })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName').value;
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+}
+
+// 'YYYY-MM-DD' + minutes after local midnight in Casablanca -> Date
+function localTime(date, minutes) {
+  const [year, month, day] = date.split('-').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, 0, minutes);
+  return new Date(asUtc - utcOffsetMinutes(new Date(asUtc)) * 60000);
+}
+
+// Calendar date in Casablanca, days after `from`
+function localDate(from, plusDays = 0) {
+  const shifted = new Date(from.getTime() + plusDays * 24 * 60 * 60 * 1000);
+  return new Intl.DateTimeFormat('en-CA', { timeZone: TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit' }).format(shifted);
+}
+
+// Calendar arithmetic on 'YYYY-MM-DD' strings, clear of the clock changes around Ramadan
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+const weekdayOfDate = (date) => new Date(`${date}T12:00:00Z`).getUTCDay();
+
+// ----------------------------
+// Ramadan
+// ----------------------------
+
+// "2027-02-08/2027-03-09, 2028-01-28/2028-02-26" -> [{ from, to }], local calendar dates, both included
+function parseRamadanDates(value) {
+  return String(value || '').split(',').map(range => range.trim()).filter(Boolean).map(range => {
+    const [from, to] = range.split('/').map(part => part.trim());
+    if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '') || from > to) {
+      throw new Error(`Invalid RAMADAN_DATES range "${range}" (expected YYYY-MM-DD/YYYY-MM-DD)`);
+    }
+    return { from, to };
+  });
+}
+
+// '{ "restaurant": "19:00-02:00", "attraction:6": "Sat-Thu 09:00-15:00" }' -> Map key -> parsed hours
+function parseRamadanHours(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return new Map();
+
+  let overrides = null;
+  try {
+    overrides = JSON.parse(value);
+  } catch {
+    // reported below
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Invalid RAMADAN_HOURS (expected a JSON object of place id, category or type -> opening hours)');
+  }
+  return new Map(Object.entries(overrides).map(([key, text]) => [key, parseOpeningHours(text)]).filter(([, hours]) => hours));
+}
+
+class RamadanSchedule {
+  // periods: [{ from, to }] local dates; hours: Map of place id, category or type -> parsed hours
+  constructor({ periods = [], hours = new Map() } = {}) {
+    this.periods = periods;
+    this.hours = hours;
+  }
+
+  // date: 'YYYY-MM-DD' in Casablanca
+  includes(date) {
+    return this.periods.some(({ from, to }) => date >= from && date <= to);
+  }
+
+  // The place's own Ramadan hours, else its category's, else its type's; null when none is configured
+  hoursFor(place) {
+    const key = [place.id, place.category, place.type].find(candidate => candidate && this.hours.has(candidate));
+    return key ? this.hours.get(key) : null;
+  }
+}
+
+function createRamadanSchedule(env = process.env) {
+  return new RamadanSchedule({ periods: parseRamadanDates(env.RAMADAN_DATES), hours: parseRamadanHours(env.RAMADAN_HOURS) });
+}
+
+// ----------------------------
+// Open now / next opening
+// ----------------------------
+
+// -> { hours, ramadan } a catalog entity keeps on a local date: its Ramadan hours when that day
+// falls in Ramadan and some are configured, its own otherwise
+function hoursOn(place, date, schedule = null) {
+  const ramadanHours = schedule?.includes(date) ? schedule.hoursFor(place) : null;
+  return ramadanHours ? { hours: ramadanHours, ramadan: true } : { hours: place.openingHours ?? null, ramadan: false };
+}
+
+// Same answers as isOpenAt, for a catalog entity and with Ramadan hours applied
+function isOpenNow(place, date = new Date(), schedule = null) {
+  return isOpenAt(hoursOn(place, localDate(date), schedule).hours, date);
+}
+
+// The first time after `from` the place opens, within a week; null when its hours don't say
+function nextOpening(place, from = new Date(), schedule = null) {
+  const today = localDate(from);
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    const date = addDays(today, offset);
+    const { hours } = hoursOn(place, date, schedule);
+    if (!hours?.periods.length || (hours.days && !hours.days.includes(weekdayOfDate(date)))) continue;
+
+    const opening = hours.periods
+      .map(({ open }) => localTime(date, open))
+      .filter(time => time > from)
+      .sort((a, b) => a - b)[0];
+    if (opening) return opening;
+  }
+  return null;
+}
+
+// -> { isOpenNow, nextOpening, hours, ramadan } for a catalog entity at an instant. isOpenNow is null
+// when its hours don't say; nextOpening (ISO time) is only set while it is closed.
+function openingState(place, date = new Date(), schedule = null) {
+  const { hours, ramadan } = hoursOn(place, localDate(date), schedule);
+  const open = isOpenAt(hours, date);
+  const next = open === false ? nextOpening(place, date, schedule) : null;
+  return { isOpenNow: open, nextOpening: next ? next.toISOString() : null, hours, ramadan };
+}
+
+// Spoken time of day -> minutes after midnight ("tonight" -> 21:00)
+const TIMES_OF_DAY = {
+  morning: 9 * 60, matin: 9 * 60, 'ce matin': 9 * 60, 'الصباح': 9 * 60, 'صباحا': 9 * 60,
+  noon: 13 * 60, lunch: 13 * 60, midi: 13 * 60, 'ce midi': 13 * 60, 'الظهر': 13 * 60,
+  afternoon: 15 * 60, 'apres midi': 15 * 60, 'cet apres midi': 15 * 60, 'بعد الظهر': 15 * 60,
+  evening: 21 * 60, tonight: 21 * 60, night: 21 * 60, soir: 21 * 60, 'ce soir': 21 * 60, 'المساء': 21 * 60, 'الليله': 21 * 60, 'الليل': 21 * 60
+};
+const NOW_WORDS = new Set(['now', 'right now', 'maintenant', 'en ce moment', 'الان', 'حاليا']);
+
+// "now" -> 'now', "tonight" / "ce soir" / "الليلة" -> minutes after midnight, null for anything else
+function parseTimeOfDay(value) {
+  const spoken = normalizeText(value);
+  if (NOW_WORDS.has(spoken)) return 'now';
+  return TIMES_OF_DAY[spoken] ?? null;
+}
+
+// A spoken time of day or a Dialogflow @sys.time / @sys.date-time -> the instant to check: the time
+// of day is taken today in Casablanca, or now once it has passed. null when the value isn't a time.
+function parseCheckTime(value, now = new Date()) {
+  if (value === undefined || value === null || value === '') return now;
+
+  const timeOfDay = parseTimeOfDay(value);
+  if (timeOfDay === 'now') return now;
+  if (timeOfDay !== null) {
+    const time = localTime(localDate(now), timeOfDay);
+    return time > now ? time : now;
+  }
+
+  const date = typeof value === 'string' && /\d{1,2}:\d{2}/.test(value) ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+module.exports = {
+  TIME_ZONE,
+  LOOKAHEAD_DAYS,
+  WEEKDAYS,
+  weekdayFromName,
+  parseOpeningHours,
+  localClock,
+  localTime,
+  localDate,
+  isOpenOnDay,
+  isOpenAt,
+  parseRamadanDates,
+  parseRamadanHours,
+  RamadanSchedule,
+  createRamadanSchedule,
+  hoursOn,
+  isOpenNow,
+  nextOpening,
+  openingState,
+  parseTimeOfDay,
+  parseCheckTime
+};
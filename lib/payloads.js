@@ -0,0 +1,425 @@
+const { validate } = require('./json-schema');
+const { CURRENCY, ITEM_TYPES, isEntity, toLegacy } = require('./catalog-model');
+
+// ============================
+// FLUTTER PAYLOADS
+// ============================
+// Every reply with something for the app to draw is built by flutterResponse() and described by a
+// JSON Schema per payload type and version. Handlers build the version 1 layout around catalog entities;
+// prepare() converts to the version the client asked for and validates the result.
+//
+// Version 1, the format released apps read, carries places as tourism API records (toLegacy).
+// Version 2 carries the entities themselves and names things the same way everywhere: lists carry
+// items + contentType and a pagination object (no separate *_list_with_more types), single items are
+// { itemType, item } and map_location always has coordinates (null for activities).
+
+const VERSIONS = [1, 2];
+const DEFAULT_VERSION = 1; // apps that don't ask get the format they were built for
+const LATEST_VERSION = 2;
+
+const CONTENT_TYPES = { attraction: 'attractions', amenity: 'amenities', activity: 'activities' };
+
+// The one way replies with a payload are built; category and actions are left out when not given
+function flutterResponse(text, type, data, { category, actions } = {}) {
+  return {
+    fulfillmentText: text,
+    payload: {
+      flutter: {
+        type,
+        ...(category !== undefined && { category }),
+        data,
+        ...(actions && { actions })
+      }
+    }
+  };
+}
+
+// "2", 2 -> 2; undefined when not given; null when not a version we serve
+function parseVersion(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const version = Number(value);
+  return VERSIONS.includes(version) ? version : null;
+}
+
+// ----------------------------
+// Schemas
+// ----------------------------
+
+const ref = (name) => ({ $ref: `#/definitions/${name}` });
+const string = { type: 'string' };
+const count = { type: 'integer', minimum: 0 };
+const arrayOf = (items) => ({ type: 'array', items });
+const nullable = (schema) => ({ ...schema, type: [].concat(schema.type, 'null') });
+const object = (properties, required = Object.keys(properties), extra = {}) => ({
+  type: 'object', properties, required, additionalProperties: false, ...extra
+});
+
+const definitions = {
+  // Version 1 items: catalog records as the tourism API returns them
+  item: { type: 'object', required: ['name'], properties: { name: string } },
+  // Version 2 items: catalog entities (see catalog-model.js)
+  entity: object({
+    id: string,
+    type: { enum: ITEM_TYPES },
+    category: nullable(string),
+    sourceId: { type: ['integer', 'string'] },
+    name: string,
+    description: nullable(string),
+    city: nullable(string),
+    latitude: nullable({ type: 'number' }),
+    longitude: nullable({ type: 'number' }),
+    price: nullable({ type: 'number', minimum: 0 }),
+    currency: { const: CURRENCY },
+    openingHours: { oneOf: [ref('openingHours'), { type: 'null' }] },
+    images: arrayOf(string),
+    details: { type: 'object', properties: { facilities: { type: 'object', additionalProperties: { type: 'boolean' } } } },
+    distanceKm: { type: 'number' },
+    // Set on attractions and amenities as the reply goes out (see opening-hours.js openingState)
+    isOpenNow: nullable({ type: 'boolean' }),
+    nextOpening: nullable(string),
+    // Pinned by an admin catalog override (see bot-config.js)
+    featured: { type: 'boolean' }
+  }, ['id', 'type', 'category', 'sourceId', 'name', 'description', 'city', 'latitude', 'longitude', 'price', 'currency', 'openingHours', 'images', 'details']),
+  openingHours: object({
+    text: string,
+    alwaysOpen: { type: 'boolean' },
+    days: nullable(arrayOf({ enum: [0, 1, 2, 3, 4, 5, 6] })),
+    periods: arrayOf(object({ open: count, close: count }))
+  }),
+  location: object({ latitude: { type: 'number' }, longitude: { type: 'number' } }),
+  actions: arrayOf(object({ type: string, label: string, icon: string })),
+  locale: object({ language: { enum: ['en', 'fr', 'ar'] }, direction: { enum: ['ltr', 'rtl'] } }),
+  downloads: object({ geojson: string, gpx: string, ics: string }, []),
+  chip: object({ key: string, label: string, value: {} }),
+  stop: {
+    type: 'object',
+    required: ['id', 'type', 'name', 'latitude', 'longitude'],
+    properties: { id: string, type: { enum: ITEM_TYPES }, name: string, latitude: { type: 'number' }, longitude: { type: 'number' } }
+  },
+  day: object({
+    day: { type: 'integer', minimum: 1 },
+    cities: arrayOf(string),
+    slots: object({ morning: arrayOf(ref('stop')), afternoon: arrayOf(ref('stop')), evening: arrayOf(ref('stop')) }),
+    googleMapsUrl: nullable(string)
+  }),
+  suggestion: object({ name: string, type: string })
+};
+
+// Optional list data: search radius and origin (nearby), filter chips (filtered amenities), the time
+// places were checked open at ("what's open tonight")
+const LIST_EXTRAS = {
+  radiusKm: { type: 'number' },
+  openAt: string,
+  userLocation: ref('location'),
+  appliedFilters: arrayOf(ref('chip')),
+  downloads: ref('downloads')
+};
+
+const PAGE_FIELDS = {
+  page: { type: 'integer', minimum: 1 },
+  pageCount: { type: 'integer', minimum: 1 },
+  pageSize: { type: 'integer', minimum: 1 },
+  totalCount: count,
+  remainingCount: count,
+  hasMore: { type: 'boolean' },
+  hasPrevious: { type: 'boolean' }
+};
+
+// { type, [type]: item, ...fields } for any item type (version 1 entries)
+const typedEntry = (fields = {}, required = Object.keys(fields)) => ({
+  oneOf: ITEM_TYPES.map(itemType => object(
+    { type: { const: itemType }, [itemType]: ref('item'), ...fields },
+    ['type', itemType, ...required]
+  ))
+});
+
+// { itemType, item, ...fields } (version 2 entries)
+const itemEntry = (fields = {}, required = Object.keys(fields)) => object(
+  { itemType: { enum: ITEM_TYPES }, item: ref('entity'), ...fields },
+  ['itemType', 'item', ...required]
+);
+
+// Payload envelope: type, data, and the optional category, actions and locale
+function envelope(type, data, version, { category = false, actions = false } = {}) {
+  const properties = { type: { const: type }, data, locale: ref('locale') };
+  const required = ['type', 'data'];
+  if (category) {
+    properties.category = nullable(string);
+    required.push('category');
+  }
+  if (actions) {
+    properties.actions = ref('actions');
+    required.push('actions');
+  }
+  if (version > 1) {
+    properties.version = { const: version };
+    required.push('version');
+  }
+  return object(properties, required);
+}
+
+const SHARED_DATA = {
+  location_request: object({ contentType: { enum: Object.values(CONTENT_TYPES) } }),
+  suggestions: object({ query: string, searchType: string, suggestions: arrayOf(ref('suggestion')) }),
+  itinerary: object(
+    { startCity: nullable(string), totalDays: count, days: arrayOf(ref('day')), unscheduledCount: count, downloads: ref('downloads') },
+    ['startCity', 'totalDays', 'days', 'unscheduledCount']
+  ),
+  export_links: object({ source: { enum: ['results', 'item', 'favorites', 'itinerary'] }, count, downloads: ref('downloads') })
+};
+
+const comparisonData = (entry) => object({
+  items: arrayOf(entry),
+  columns: arrayOf(string),
+  rows: arrayOf(object({ key: string, label: string, values: { type: 'array' }, best: { type: 'array' } })),
+  distances: arrayOf(object({ from: string, to: string, km: { type: 'number' } })),
+  verdict: string
+});
+
+function version1Types() {
+  const types = {
+    location_request: envelope('location_request', SHARED_DATA.location_request, 1),
+    suggestions: envelope('suggestions', SHARED_DATA.suggestions, 1),
+    itinerary: envelope('itinerary', SHARED_DATA.itinerary, 1, { actions: true }),
+    export_links: envelope('export_links', SHARED_DATA.export_links, 1),
+    map_location: envelope('map_location', {
+      oneOf: ITEM_TYPES.map(itemType => object(
+        { [itemType]: ref('item'), coordinates: ref('location'), googleMapsUrl: string, downloads: ref('downloads') },
+        // Activities have no coordinates of their own, only a search link
+        itemType === 'activity' ? [itemType, 'googleMapsUrl'] : [itemType, 'coordinates', 'googleMapsUrl']
+      ))
+    }, 1),
+    item_follow_up: envelope('item_follow_up', {
+      oneOf: ITEM_TYPES.map(itemType => object(
+        { [itemType]: ref('item'), topic: string, field: nullable(string), value: {} },
+        [itemType, 'topic']
+      ))
+    }, 1),
+    comparison: envelope('comparison', comparisonData(typedEntry({ category: nullable(string) })), 1, { category: true }),
+    recommendations: envelope('recommendations', object({
+      items: arrayOf(typedEntry({ category: nullable(string), score: { type: 'number' }, reason: string })),
+      count,
+      interests: arrayOf(string),
+      downloads: ref('downloads')
+    }, ['items', 'count', 'interests']), 1, { category: true, actions: true }),
+    favorites_list: envelope('favorites_list', object({
+      attractions: arrayOf(ref('item')),
+      amenities: arrayOf(ref('item')),
+      activities: arrayOf(ref('item')),
+      count,
+      cityName: { type: 'null' },
+      downloads: ref('downloads')
+    }, ['attractions', 'amenities', 'activities', 'count', 'cityName']), 1, { category: true, actions: true }),
+    favorite_updated: envelope('favorite_updated', typedEntry(
+      { key: string, id: { type: ['string', 'integer'] }, name: string, savedAt: string, saved: { type: 'boolean' }, count },
+      ['key', 'id', 'name', 'saved', 'count']
+    ), 1)
+  };
+
+  for (const [itemType, contentType] of Object.entries(CONTENT_TYPES)) {
+    const list = { [contentType]: arrayOf(ref('item')), count, cityName: nullable(string) };
+    types[`${contentType}_list`] = envelope(`${contentType}_list`,
+      object({ ...list, ...LIST_EXTRAS }, Object.keys(list)), 1, { category: true, actions: true });
+
+    const paged = { ...list, ...PAGE_FIELDS, sendMoreMessage: { type: 'boolean' } };
+    types[`${contentType}_list_with_more`] = envelope(`${contentType}_list_with_more`,
+      object({ ...paged, ...LIST_EXTRAS }, Object.keys(paged)), 1, { category: true, actions: true });
+
+    types[`${itemType}_details`] = envelope(`${itemType}_details`, object(
+      { [itemType]: ref('item'), [`${itemType}Type`]: nullable(string), onlyImages: { type: 'boolean' }, downloads: ref('downloads') },
+      [itemType, `${itemType}Type`, 'onlyImages']
+    ), 1, { category: true });
+  }
+  return types;
+}
+
+function version2Types() {
+  const types = {
+    location_request: envelope('location_request', SHARED_DATA.location_request, 2),
+    suggestions: envelope('suggestions', SHARED_DATA.suggestions, 2),
+    itinerary: envelope('itinerary', SHARED_DATA.itinerary, 2, { actions: true }),
+    export_links: envelope('export_links', SHARED_DATA.export_links, 2),
+    map_location: envelope('map_location', itemEntry(
+      { coordinates: { oneOf: [ref('location'), { type: 'null' }] }, googleMapsUrl: string, downloads: ref('downloads') },
+      ['coordinates', 'googleMapsUrl']
+    ), 2),
+    item_follow_up: envelope('item_follow_up', itemEntry({ topic: string, field: nullable(string), value: {} }, ['topic']), 2),
+    comparison: envelope('comparison', comparisonData(itemEntry({ category: nullable(string) })), 2, { category: true }),
+    recommendations: envelope('recommendations', object({
+      items: arrayOf(itemEntry({ category: nullable(string), score: { type: 'number' }, reason: string })),
+      count,
+      interests: arrayOf(string),
+      downloads: ref('downloads')
+    }, ['items', 'count', 'interests']), 2, { category: true, actions: true }),
+    favorites_list: envelope('favorites_list', object(
+      { items: arrayOf(itemEntry()), count, downloads: ref('downloads') },
+      ['items', 'count']
+    ), 2, { category: true, actions: true }),
+    favorite_updated: envelope('favorite_updated', itemEntry(
+      { key: string, id: { type: ['string', 'integer'] }, name: string, savedAt: string, saved: { type: 'boolean' }, count },
+      ['key', 'id', 'name', 'saved', 'count']
+    ), 2)
+  };
+
+  for (const [itemType, contentType] of Object.entries(CONTENT_TYPES)) {
+    const list = {
+      contentType: { const: contentType },
+      items: arrayOf(ref('entity')),
+      count,
+      cityName: nullable(string),
+      pagination: { oneOf: [object(PAGE_FIELDS), { type: 'null' }] }
+    };
+    types[`${contentType}_list`] = envelope(`${contentType}_list`,
+      object({ ...list, ...LIST_EXTRAS }, Object.keys(list)), 2, { category: true, actions: true });
+
+    types[`${itemType}_details`] = envelope(`${itemType}_details`, object(
+      { itemType: { const: itemType }, item: ref('entity'), downloads: ref('downloads') },
+      ['itemType', 'item']
+    ), 2, { category: true });
+  }
+  return types;
+}
+
+// SCHEMAS[version][type] -> a standalone JSON Schema document
+const SCHEMAS = Object.fromEntries([[1, version1Types()], [2, version2Types()]].map(([version, types]) => [
+  version,
+  Object.fromEntries(Object.entries(types).map(([type, schema]) => [type, {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `tourism-bot/payloads/v${version}/${type}`,
+    ...schema,
+    definitions
+  }]))
+]));
+
+// -> problems with a payload.flutter object, empty when it matches its type's schema
+function validatePayload(flutter, version = DEFAULT_VERSION) {
+  const schema = SCHEMAS[version]?.[flutter?.type];
+  if (!schema) return [`$.type: no version ${version} schema for payload type ${JSON.stringify(flutter?.type)}`];
+  return validate(flutter, schema);
+}
+
+// ----------------------------
+// Versions
+// ----------------------------
+
+const itemTypeOf = (data) => ITEM_TYPES.find(itemType => data[itemType] !== undefined);
+
+// { type, [type]: item, ...rest } -> { itemType, ...rest, item }
+function toItemEntry(entry) {
+  const { type, [type]: item, ...rest } = entry;
+  return { itemType: type, ...rest, item };
+}
+
+function upgradeData(type, data) {
+  const list = type.match(/^(attractions|amenities|activities)_list(_with_more)?$/);
+  if (list) {
+    const [, contentType, paged] = list;
+    const { [contentType]: items, page, pageCount, pageSize, totalCount, remainingCount, hasMore, hasPrevious, sendMoreMessage, ...rest } = data;
+    return {
+      type: `${contentType}_list`,
+      data: {
+        contentType,
+        items,
+        ...rest,
+        pagination: paged ? { page, pageCount, pageSize, totalCount, remainingCount, hasMore, hasPrevious } : null
+      }
+    };
+  }
+
+  if (type.endsWith('_details')) {
+    const itemType = itemTypeOf(data);
+    return { type, data: { itemType, item: data[itemType], ...(data.downloads && { downloads: data.downloads }) } };
+  }
+
+  switch (type) {
+    case 'map_location':
+    case 'item_follow_up': {
+      const itemType = itemTypeOf(data);
+      const { [itemType]: item, ...rest } = data;
+      return { type, data: { itemType, item, ...(type === 'map_location' && { coordinates: null }), ...rest } };
+    }
+    case 'favorite_updated':
+      return { type, data: toItemEntry(data) };
+    case 'comparison':
+    case 'recommendations':
+      return { type, data: { ...data, items: data.items.map(toItemEntry) } };
+    case 'favorites_list': {
+      const { attractions, amenities, activities, cityName, ...rest } = data;
+      const items = Object.entries({ attraction: attractions, amenity: amenities, activity: activities })
+        .flatMap(([itemType, records]) => records.map(item => ({ itemType, item })));
+      return { type, data: { items, ...rest } };
+    }
+    default:
+      return { type, data };
+  }
+}
+
+// Applies fn to every catalog item of version 1 data: single items under their type, lists under
+// their content type and { type, [type]: item } entries
+function mapItems(data, fn) {
+  const mapped = { ...data };
+  for (const [itemType, contentType] of Object.entries(CONTENT_TYPES)) {
+    if (isEntity(data[itemType])) mapped[itemType] = fn(data[itemType]);
+    if (Array.isArray(data[contentType])) mapped[contentType] = data[contentType].map(fn);
+  }
+  if (Array.isArray(data.items)) {
+    mapped.items = data.items.map(entry => (isEntity(entry[entry.type]) ? { ...entry, [entry.type]: fn(entry[entry.type]) } : entry));
+  }
+  return mapped;
+}
+
+// Payload.flutter as built by the handlers -> the same payload in `version`
+function toVersion(flutter, version = DEFAULT_VERSION) {
+  if (version === 1) return { ...flutter, data: mapItems(flutter.data, toLegacy) };
+  return { ...flutter, ...upgradeData(flutter.type, flutter.data), version };
+}
+
+// Pagination state of a list payload in either version -> { hasMore, remainingCount } or null
+function paginationOf(flutter) {
+  const data = flutter?.data;
+  if (!data) return null;
+  if (data.pagination) return data.pagination;
+  return data.hasMore !== undefined ? { hasMore: data.hasMore, remainingCount: data.remainingCount } : null;
+}
+
+// PAYLOAD_VALIDATION: strict (throw, for tests), warn (log, the default outside production) or off
+function validationMode(env = process.env) {
+  return (env.PAYLOAD_VALIDATION || (env.NODE_ENV === 'production' ? 'off' : 'warn')).toLowerCase();
+}
+
+// A version 1 reply -> the reply in the requested payload version, checked against its schema
+function prepare(response, { version = DEFAULT_VERSION, mode = 'off' } = {}) {
+  const flutter = response?.payload?.flutter;
+  if (!flutter) return response;
+
+  const converted = toVersion(flutter, version);
+  if (mode !== 'off') {
+    const errors = validatePayload(converted, version);
+    if (errors.length) {
+      const message = `Invalid ${converted.type} payload (v${version}): ${errors.slice(0, 5).join('; ')}`;
+      if (mode === 'strict') {
+        const error = new Error(message);
+        error.errors = errors;
+        throw error;
+      }
+      console.warn(`⚠️ ${message}`);
+    }
+  }
+
+  return { ...response, payload: { ...response.payload, flutter: converted } };
+}
+
+module.exports = {
+  VERSIONS,
+  DEFAULT_VERSION,
+  LATEST_VERSION,
+  SCHEMAS,
+  flutterResponse,
+  parseVersion,
+  validatePayload,
+  mapItems,
+  toVersion,
+  paginationOf,
+  validationMode,
+  prepare
+};
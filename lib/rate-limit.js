@@ -0,0 +1,46 @@
+// ============================
+// RATE LIMITING
+// ============================
+// Fixed-window request counters per key (client, session...). In memory, so limits are per process.
+
+const DEFAULT_WINDOW_MS = 60 * 1000;
+
+class RateLimiter {
+  constructor({ limit, windowMs = DEFAULT_WINDOW_MS, now = () => Date.now() }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.now = now;
+    this.windows = new Map();
+    this.nextSweep = 0;
+  }
+
+  // Counts one request for key -> { allowed, limit, remaining, retryAfterMs }.
+  // limit overrides the default for this key (e.g. a client with its own quota).
+  hit(key, limit = this.limit) {
+    const now = this.now();
+    this.sweep(now);
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+
+    if (window.count >= limit) {
+      return { allowed: false, limit, remaining: 0, retryAfterMs: window.resetAt - now };
+    }
+    window.count += 1;
+    return { allowed: true, limit, remaining: limit - window.count, retryAfterMs: 0 };
+  }
+
+  // Forgets finished windows once per window length so idle keys don't pile up
+  sweep(now) {
+    if (now < this.nextSweep) return;
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+    this.nextSweep = now + this.windowMs;
+  }
+}
+
+module.exports = { RateLimiter, DEFAULT_WINDOW_MS };
@@ -0,0 +1,145 @@
+const { normalizeText } = require('./text');
+const { CONTENT_TYPES, LIST_CATEGORIES } = require('./catalog-model');
+
+// ============================
+// RECOMMENDATIONS
+// ============================
+// Scores catalog items against what the user looked at in the session, their favorites and
+// their stated interests. Scoring is deterministic: equal scores are ordered by name.
+
+const DEFAULT_LIMIT = 5;
+const BUDGET_MAX_PRICE = 300; // MAD
+const LUXURY_MIN_PRICE = 1500; // MAD
+const KIDS_MAX_AGE = 8;
+
+const WEIGHTS = {
+  viewedCategory: 2,
+  viewedCity: 1,
+  favoriteCategory: 3,
+  favoriteCity: 2,
+  interest: 4
+};
+
+// Spoken interest ("I like nature", "budget travel", "avec enfants") -> interest
+const INTERESTS = {
+  nature: 'nature', natural: 'nature', outdoors: 'nature', 'الطبيعه': 'nature',
+  culture: 'culture', cultural: 'culture', history: 'culture', heritage: 'culture', patrimoine: 'culture', 'الثقافه': 'culture', 'التاريخ': 'culture',
+  adventure: 'adventure', sport: 'adventure', aventure: 'adventure', 'مغامره': 'adventure',
+  budget: 'budget', 'budget travel': 'budget', cheap: 'budget', 'petit budget': 'budget', 'ميزانيه محدوده': 'budget',
+  luxury: 'luxury', luxe: 'luxury', 'فاخر': 'luxury',
+  kids: 'kids', children: 'kids', 'with kids': 'kids', family: 'kids', enfants: 'kids', 'avec enfants': 'kids', famille: 'kids', 'اطفال': 'kids', 'مع الاطفال': 'kids'
+};
+
+const keyOf = ({ item }) => item.id;
+
+function parseInterests(value) {
+  const values = Array.isArray(value) ? value : value === undefined || value === null || value === '' ? [] : [value];
+  return [...new Set(values.map(entry => INTERESTS[normalizeText(entry)]).filter(Boolean))];
+}
+
+// A list or detail view as history records it: { type, category, city }, category null for "all" lists
+function viewFromList(contentType, category, city = null) {
+  const categoryName = LIST_CATEGORIES[category] || category;
+  return {
+    type: CONTENT_TYPES[contentType] || contentType,
+    category: !categoryName || categoryName.startsWith('all') || categoryName.includes('_') ? null : categoryName,
+    city
+  };
+}
+
+const bump = (map, key, by) => {
+  if (key) map.set(key, (map.get(key) || 0) + by);
+};
+
+// views: [{ type, category, city }], favorites: [{ type, category, item }], interests: ['nature', ...]
+function buildProfile({ views = [], favorites = [], interests = [] } = {}) {
+  const profile = { categories: new Map(), cities: new Map(), interests: new Set(interests), saved: new Set() };
+
+  for (const view of views) {
+    if (view.category) bump(profile.categories, `${view.type}:${view.category}`, WEIGHTS.viewedCategory);
+    bump(profile.cities, normalizeText(view.city) || null, WEIGHTS.viewedCity);
+  }
+  for (const favorite of favorites) {
+    if (favorite.category) bump(profile.categories, `${favorite.type}:${favorite.category}`, WEIGHTS.favoriteCategory);
+    bump(profile.cities, normalizeText(favorite.item.city) || null, WEIGHTS.favoriteCity);
+    profile.saved.add(keyOf(favorite));
+  }
+
+  return profile;
+}
+
+const isEmptyProfile = (profile) => !profile.categories.size && !profile.cities.size && !profile.interests.size;
+
+// Interest -> score and reason for one entry, or null when the interest says nothing about it.
+// A reason is { key, ...params } for the message catalog ('recommend.reason.<key>').
+const INTEREST_RULES = {
+  nature: ({ type, category, item }) => (item.details.protectedArea === true || (type === 'attraction' && category === 'natural')
+    ? { score: WEIGHTS.interest, reason: { key: 'nature' } } : null),
+  culture: ({ type, category }) => (['cultural', 'historical', 'traditional'].includes(category) && type !== 'amenity'
+    ? { score: WEIGHTS.interest, reason: { key: 'culture' } } : null),
+  adventure: ({ type, category }) => (type === 'activity' && ['adventure', 'sportive'].includes(category)
+    ? { score: WEIGHTS.interest, reason: { key: 'adventure' } } : null),
+  budget: (entry) => {
+    const { price } = entry.item;
+    if (price === null) return null;
+    if (price === 0) return { score: WEIGHTS.interest, reason: { key: 'free' } };
+    return price <= BUDGET_MAX_PRICE ? { score: WEIGHTS.interest - 1, reason: { key: 'budget', price } } : { score: -WEIGHTS.interest, reason: null };
+  },
+  luxury: (entry) => {
+    const { price } = entry.item;
+    return entry.item.details.stars >= 5 || (price !== null && price >= LUXURY_MIN_PRICE)
+      ? { score: WEIGHTS.interest, reason: { key: 'luxury' } } : null;
+  },
+  kids: ({ item }) => {
+    const age = item.details.minimumAge;
+    if (age === undefined) return null;
+    return age <= KIDS_MAX_AGE ? { score: WEIGHTS.interest - 1, reason: { key: 'kids', age } } : { excluded: true };
+  }
+};
+
+// -> { score, reason } where reason is the biggest contribution, or { excluded: true }
+function scoreEntry(entry, profile) {
+  const contributions = [];
+
+  const categoryScore = profile.categories.get(`${entry.type}:${entry.category}`);
+  if (categoryScore) contributions.push({ score: categoryScore, reason: { key: 'category' } });
+
+  const { city } = entry.item;
+  const cityScore = profile.cities.get(normalizeText(city));
+  if (cityScore) contributions.push({ score: cityScore, reason: { key: 'city', city } });
+
+  for (const interest of profile.interests) {
+    const result = INTEREST_RULES[interest]?.(entry);
+    if (result?.excluded) return { excluded: true };
+    if (result) contributions.push(result);
+  }
+
+  const score = contributions.reduce((sum, contribution) => sum + contribution.score, 0);
+  const best = contributions.filter(contribution => contribution.reason).sort((a, b) => b.score - a.score)[0];
+  return { score, reason: best?.reason || null };
+}
+
+// entries: [{ type, category, item: catalog entity }] -> top entries with { score, reason }, best first.
+// Saved favorites and the keys in options.exclude (e.g. the place on screen) are left out.
+function recommend(entries, profile, { limit = DEFAULT_LIMIT, exclude = [] } = {}) {
+  const skip = new Set([...profile.saved, ...exclude]);
+
+  return entries
+    .filter(entry => !skip.has(keyOf(entry)))
+    .map(entry => ({ ...entry, ...scoreEntry(entry, profile) }))
+    .filter(entry => !entry.excluded && entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.item.name.localeCompare(b.item.name, 'en'))
+    .slice(0, limit);
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  WEIGHTS,
+  parseInterests,
+  viewFromList,
+  buildProfile,
+  isEmptyProfile,
+  scoreEntry,
+  recommend,
+  keyOf
+};
@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+
+// ============================
+// SESSION STORES
+// ============================
+// Every store exposes the same async interface:
+//   get(key) -> value | null, set(key, value, ttlMs), delete(key), close()
+// Values are plain JSON-serialisable objects; expiry is tracked per key.
+
+class MemorySessionStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+      this.removeEntry(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.removeEntry(key);
+    const entry = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null, timer: null };
+
+    // Drop the entry when it expires so idle sessions don't pile up in memory
+    if (ttlMs) {
+      entry.timer = setTimeout(() => this.entries.delete(key), ttlMs);
+      entry.timer.unref();
+    }
+    this.entries.set(key, entry);
+  }
+
+  async delete(key) {
+    this.removeEntry(key);
+  }
+
+  async close() {
+    for (const key of [...this.entries.keys()]) this.removeEntry(key);
+  }
+
+  removeEntry(key) {
+    const entry = this.entries.get(key);
+    if (entry?.timer) clearTimeout(entry.timer);
+    this.entries.delete(key);
+  }
+}
+
+class FileSessionStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    if (this.entries) return;
+    this.entries = {};
+
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf8');
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(JSON.parse(raw))) {
+        if (!entry.expiresAt || entry.expiresAt > now) this.entries[key] = entry;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Could not read session file ${this.filePath}:`, error.message);
+      }
+    }
+  }
+
+  async get(key) {
+    await this.load();
+    const entry = this.entries[key];
+    if (!entry) return null;
+    if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+      delete this.entries[key];
+      await this.persist();
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    await this.load();
+    this.entries[key] = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+    await this.persist();
+  }
+
+  async delete(key) {
+    await this.load();
+    if (!(key in this.entries)) return;
+    delete this.entries[key];
+    await this.persist();
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+
+  // Writes are serialised and go through a temp file so a crash never leaves half a JSON document
+  persist() {
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(this.entries)) {
+      if (entry.expiresAt && entry.expiresAt <= now) delete this.entries[key];
+    }
+
+    const snapshot = JSON.stringify(this.entries);
+    this.writeQueue = this.writeQueue.then(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, this.filePath);
+    }).catch(error => {
+      console.error(`❌ Could not write session file ${this.filePath}:`, error.message);
+    });
+    return this.writeQueue;
+  }
+}
+
+// Minimal RESP2 client: enough for AUTH/SELECT/GET/SET/DEL against Redis or any
+// protocol-compatible server (KeyDB, Dragonfly, Valkey...).
+class RedisSessionStore {
+  constructor(url, { keyPrefix = 'tourism-bot:session:', timeout = 5000 } = {}) {
+    this.url = new URL(url);
+    this.keyPrefix = keyPrefix;
+    this.timeout = timeout;
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  async get(key) {
+    const raw = await this.command('GET', this.keyPrefix + key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlMs) {
+    const args = ['SET', this.keyPrefix + key, JSON.stringify(value)];
+    if (ttlMs) args.push('PX', String(ttlMs));
+    await this.command(...args);
+  }
+
+  async delete(key) {
+    await this.command('DEL', this.keyPrefix + key);
+  }
+
+  async close() {
+    if (!this.socket) return;
+    const socket = this.socket;
+    try {
+      await this.command('QUIT');
+    } catch (error) {
+      // The server may drop the connection before answering QUIT
+    }
+    socket.destroy();
+  }
+
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({
+        host: this.url.hostname || '127.0.0.1',
+        port: Number(this.url.port) || 6379
+      });
+
+      socket.setTimeout(this.timeout);
+      socket.on('data', chunk => this.onData(chunk));
+      socket.on('timeout', () => socket.destroy(new Error('Redis connection timed out')));
+      socket.on('error', error => this.onClose(error));
+      socket.on('close', () => this.onClose(new Error('Redis connection closed')));
+
+      socket.once('connect', async () => {
+        socket.setTimeout(0);
+        this.socket = socket;
+        try {
+          const password = decodeURIComponent(this.url.password || '');
+          const username = decodeURIComponent(this.url.username || '');
+          if (password) {
+            await this.send(username ? ['AUTH', username, password] : ['AUTH', password]);
+          }
+          const db = this.url.pathname.replace('/', '');
+          if (db) await this.send(['SELECT', db]);
+          resolve();
+        } catch (error) {
+          socket.destroy();
+          reject(error);
+        }
+      });
+      socket.once('error', reject);
+    }).finally(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) return reject(new Error('Redis connection closed'));
+      this.pending.push({ resolve, reject });
+      const parts = args.map(arg => {
+        const value = String(arg);
+        return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+      });
+      this.socket.write(`*${args.length}\r\n${parts.join('')}`);
+    });
+  }
+
+  onClose(error) {
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    for (const { reject } of this.pending.splice(0)) reject(error);
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length) {
+      const parsed = RedisSessionStore.parseReply(this.buffer, 0);
+      if (!parsed) return;
+      this.buffer = this.buffer.subarray(parsed.offset);
+
+      const request = this.pending.shift();
+      if (!request) continue;
+      if (parsed.value instanceof Error) request.reject(parsed.value);
+      else request.resolve(parsed.value);
+    }
+  }
+
+  // Returns { value, offset } or null when the buffer doesn't hold a full reply yet
+  static parseReply(buffer, start) {
+    const lineEnd = buffer.indexOf('\r\n', start);
+    if (lineEnd === -1) return null;
+
+    const prefix = String.fromCharCode(buffer[start]);
+    const line = buffer.toString('utf8', start + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (prefix) {
+      case '+':
+        return { value: line, offset: next };
+      case '-':
+        return { value: new Error(line), offset: next };
+      case ':':
+        return { value: Number(line), offset: next };
+      case '$': {
+        const length = Number(line);
+        if (length === -1) return { value: null, offset: next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+      }
+      case '*': {
+        const count = Number(line);
+        if (count === -1) return { value: null, offset: next };
+        const items = [];
+        let offset = next;
+        for (let i = 0; i < count; i++) {
+          const item = this.parseReply(buffer, offset);
+          if (!item) return null;
+          items.push(item.value);
+          offset = item.offset;
+        }
+        return { value: items, offset };
+      }
+      default:
+        return { value: new Error(`Unexpected Redis reply: ${line}`), offset: next };
+    }
+  }
+}
+
+function createSessionStore(env = process.env) {
+  const type = (env.SESSION_STORE || 'memory').toLowerCase();
+
+  switch (type) {
+    case 'file':
+      return new FileSessionStore(env.SESSION_FILE || path.join(process.cwd(), 'data', 'sessions.json'));
+    case 'redis':
+      return new RedisSessionStore(env.REDIS_URL || 'redis://127.0.0.1:6379');
+    case 'memory':
+      return new MemorySessionStore();
+    default:
+      throw new Error(`Unknown SESSION_STORE "${env.SESSION_STORE}" (expected memory, file or redis)`);
+  }
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  RedisSessionStore,
+  createSessionStore
+};
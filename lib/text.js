@@ -0,0 +1,19 @@
+// ============================
+// TEXT HELPERS
+// ============================
+
+// Lower-case, accent-free, punctuation-free form used to compare user input with catalog names.
+// Arabic harakat/hamza marks are dropped and ta marbuta / alef maqsura folded, so spelling variants compare equal.
+function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f\u064b-\u065f\u0670]/g, '')
+    .replace(/\u0629/g, '\u0647')
+    .replace(/\u0649/g, '\u064a')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .replace(/[^a-z0-9\u0600-\u06ff]+/g, ' ')
+    .trim();
+}
+
+module.exports = { normalizeText };
@@ -0,0 +1,43 @@
+// ============================
+// REQUEST VALIDATION
+// ============================
+// Checks on what clients send to the chat endpoints before anything reaches Dialogflow.
+
+const Payloads = require('./payloads');
+
+// Dialogflow's own limits: 256 characters of text input, session ids of up to 36 [A-Za-z0-9_-]
+const MAX_MESSAGE_LENGTH = 256;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,36}$/;
+
+const isValidSessionId = (sessionId) => typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+
+// body -> list of problems, empty when the request can be processed
+function validateChatRequest(body) {
+  const errors = [];
+  const { message, sessionId, payloadVersion } = body || {};
+
+  if (typeof message !== 'string' || !message.trim()) {
+    errors.push('message is required');
+  } else if (message.length > MAX_MESSAGE_LENGTH) {
+    errors.push(`message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  if (sessionId === undefined || sessionId === null || sessionId === '') {
+    errors.push('sessionId is required');
+  } else if (!isValidSessionId(sessionId)) {
+    errors.push('sessionId must be 1-36 letters, digits, "-" or "_"');
+  }
+
+  if (Payloads.parseVersion(payloadVersion) === null) {
+    errors.push(`payloadVersion must be ${Payloads.VERSIONS.join(' or ')}`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  SESSION_ID_PATTERN,
+  isValidSessionId,
+  validateChatRequest
+};
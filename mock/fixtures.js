@@ -0,0 +1,270 @@
+// ============================
+// MOCK CATALOG FIXTURES
+// ============================
+// Shapes mirror the tourism API: locations (attractions + amenities) share id_Location,
+// activities use id_Activity. Category-specific fields are what the catalog model keys on.
+
+const attractions = [
+  // Natural
+  {
+    id_Location: 1, name: 'Erg Chebbi Dunes', city: 'Merzouga',
+    description: 'Sea of golden sand dunes rising up to 150 metres, famous for sunrise camel rides.',
+    latitude: 31.1472, longitude: -3.9683, entryFre: 0, guideToursAvailable: true,
+    openingHours: '24/7', protectedArea: true, imageUrls: ['https://images.example.com/erg-chebbi.jpg']
+  },
+  {
+    id_Location: 2, name: 'Todra Gorge', city: 'Tinghir',
+    description: 'Limestone canyon with 300-metre walls, popular with climbers and hikers.',
+    latitude: 31.5906, longitude: -5.5906, entryFre: 0, guideToursAvailable: true,
+    openingHours: '24/7', protectedArea: false, imageUrls: ['https://images.example.com/todra.jpg']
+  },
+  {
+    id_Location: 3, name: 'Erg Chigaga', city: "M'Hamid El Ghizlane",
+    description: 'Remote and wild dune field reachable only by 4x4 from M\'Hamid.',
+    latitude: 29.8167, longitude: -6.0167, entryFre: 0, guideToursAvailable: true,
+    openingHours: '24/7', protectedArea: true, imageUrls: []
+  },
+  {
+    id_Location: 4, name: 'Dades Gorge', city: 'Boumalne Dades',
+    description: 'Winding gorge road lined with rock formations known as the "monkey fingers".',
+    latitude: 31.4566, longitude: -5.9728, entryFre: 0, guideToursAvailable: false,
+    openingHours: '24/7', protectedArea: false, imageUrls: []
+  },
+  // Cultural
+  {
+    id_Location: 5, name: 'Kasbah Amridil', city: 'Skoura',
+    description: 'Seventeenth-century kasbah in the Skoura palm grove, featured on the old 50 dirham note.',
+    latitude: 31.0497, longitude: -6.5603, entryFre: 20, guideToursAvailable: true,
+    openingHours: '08:00-18:00', style: 'Pisé earthen architecture', yearBuild: 1650,
+    imageUrls: ['https://images.example.com/amridil.jpg']
+  },
+  {
+    id_Location: 6, name: 'Kasbah Taourirt', city: 'Ouarzazate',
+    description: 'Former residence of the Glaoui family in the heart of Ouarzazate.',
+    latitude: 30.9189, longitude: -6.9036, entryFre: 20, guideToursAvailable: true,
+    openingHours: 'Mon-Sun 9h-18h', style: 'Glaoui kasbah', yearBuild: 1754,
+    imageUrls: ['https://images.example.com/taourirt.jpg']
+  },
+  // Historical
+  {
+    id_Location: 7, name: 'Ksar Ait Benhaddou', city: 'Ait Benhaddou',
+    description: 'Fortified village on the former caravan route, a UNESCO World Heritage site.',
+    latitude: 31.0470, longitude: -7.1319, entryFre: 10, guideToursAvailable: true,
+    openingHours: '08:00-19:00', style: 'Ksar', yearBuild: 1100, historicalPeriod: 'Medieval',
+    imageUrls: ['https://images.example.com/ait-benhaddou.jpg']
+  },
+  {
+    id_Location: 8, name: 'Mausoleum of Moulay Ali Cherif', city: 'Rissani',
+    description: 'Resting place of the founder of the Alaouite dynasty.',
+    latitude: 31.2700, longitude: -4.2600, entryFre: 0, guideToursAvailable: false,
+    openingHours: 'Sat-Thu 09:00-17:00, closed Friday', style: 'Alaouite', yearBuild: 1640,
+    dynastyName: 'Alaouite', imageUrls: []
+  },
+  {
+    id_Location: 9, name: 'Ruins of Sijilmassa', city: 'Rissani',
+    description: 'Ancient ruins of the medieval trading city at the edge of the Sahara.',
+    latitude: 31.2800, longitude: -4.2700, entryFre: 0, guideToursAvailable: true,
+    openingHours: '24/7', style: 'Medieval ruins', imageUrls: []
+  },
+  // Artificial
+  {
+    id_Location: 10, name: 'Atlas Film Studios', city: 'Ouarzazate',
+    description: 'One of the largest film studios in the world, with sets from famous productions.',
+    latitude: 30.9300, longitude: -6.8700, entryFre: 80, guideToursAvailable: true,
+    openingHours: '08:15-17:45', yearBuild: 1983, imageUrls: ['https://images.example.com/atlas-studios.jpg']
+  },
+  {
+    id_Location: 11, name: 'Hassan Addakhil Dam', city: 'Errachidia',
+    description: 'Reservoir on the Ziz river forming a lake north of Errachidia.',
+    latitude: 32.0667, longitude: -4.4667, entryFre: 0, guideToursAvailable: false,
+    openingHours: '24/7', yearBuild: 1971, imageUrls: []
+  },
+  {
+    id_Location: 12, name: 'Noor Ouarzazate Solar Complex', city: 'Ouarzazate',
+    description: 'Concentrated solar power plant, visits by appointment.',
+    latitude: 31.0000, longitude: -6.8667, entryFre: 0, guideToursAvailable: true,
+    openingHours: 'Mon-Fri 9h-17h', yearBuild: 2016, imageUrls: []
+  }
+];
+
+const amenities = [
+  // Restaurants
+  {
+    id_Location: 101, name: 'Restaurant Chez Mimi', city: 'Merzouga',
+    description: 'Berber pizza and tagines at the foot of the dunes.',
+    latitude: 31.0990, longitude: -4.0110, price: 120, openingHours: '11:00-22:00', available: true,
+    menu: 'Berber pizza, tagine, couscous', typeCuisine: 'Moroccan', imageUrls: []
+  },
+  {
+    id_Location: 102, name: 'Restaurant Accord Majeur', city: 'Ouarzazate',
+    description: 'French-Moroccan cuisine opposite the Atlas studios.',
+    latitude: 30.9250, longitude: -6.8950, price: 250, openingHours: 'Mon-Sat 12h-23h', available: true,
+    menu: 'Lamb shoulder, pastilla, crème brûlée', typeCuisine: 'French', imageUrls: []
+  },
+  {
+    id_Location: 103, name: 'Restaurant Dar Tinghir', city: 'Tinghir',
+    description: 'Family restaurant with a terrace over the palm grove.',
+    latitude: 31.5150, longitude: -5.5330, price: 90, openingHours: '12:00-21:00', available: true,
+    menu: 'Madfouna, tagine', typeCuisine: 'Moroccan', imageUrls: []
+  },
+  // Hotels
+  {
+    id_Location: 104, name: 'Hotel Le Berbère Palace', city: 'Ouarzazate',
+    description: 'Five-star hotel favoured by film crews, with gardens and a large pool.',
+    latitude: 30.9280, longitude: -6.9000, price: 1800, openingHours: '24/7', available: true,
+    numberStars: 5, numberOfRooms: 240, hasSwimmingPool: true, imageUrls: []
+  },
+  {
+    id_Location: 105, name: 'Hotel Karam Palace', city: 'Ouarzazate',
+    description: 'Four-star hotel close to the kasbah Taourirt.',
+    latitude: 30.9200, longitude: -6.9100, price: 900, openingHours: '24/7', available: true,
+    numberStars: 4, numberOfRooms: 120, hasSwimmingPool: true, imageUrls: []
+  },
+  {
+    id_Location: 106, name: 'Hotel Kenzi Rissani', city: 'Rissani',
+    description: 'Comfortable hotel on the road to Merzouga.',
+    latitude: 31.2820, longitude: -4.2640, price: 650, openingHours: '24/7', available: true,
+    numberStars: 4, numberOfRooms: 100, hasSwimmingPool: false, imageUrls: []
+  },
+  {
+    id_Location: 107, name: 'Hotel Tomboctou', city: 'Tinghir',
+    description: 'Restored kasbah turned into a small hotel.',
+    latitude: 31.5180, longitude: -5.5350, price: 450, openingHours: '24/7', available: true,
+    numberStars: 3, numberOfRooms: 18, hasSwimmingPool: true, imageUrls: []
+  },
+  // Lodges
+  {
+    id_Location: 108, name: 'Dar Ahlam Lodge', city: 'Skoura',
+    description: 'Luxury lodge hidden in the Skoura oasis.',
+    latitude: 31.0600, longitude: -6.5500, price: 3500, openingHours: '24/7', available: true,
+    viewPanoramic: true, closeNature: true, imageUrls: []
+  },
+  {
+    id_Location: 109, name: 'Ksar Merzouga Lodge', city: 'Merzouga',
+    description: 'Eco-lodge with rooftop views over Erg Chebbi.',
+    latitude: 31.1010, longitude: -4.0080, price: 700, openingHours: '24/7', available: false,
+    viewPanoramic: true, closeNature: true, imageUrls: []
+  },
+  // Guest houses
+  {
+    id_Location: 110, name: 'Riad Dar Sidi Bounou', city: "M'Hamid El Ghizlane",
+    description: 'Family guest house at the gateway to Erg Chigaga.',
+    latitude: 29.8260, longitude: -5.7250, price: 400, openingHours: '24/7', available: true,
+    numberRooms: 8, breakfastIncluded: true, imageUrls: []
+  },
+  {
+    id_Location: 111, name: 'Maison d\'Hôtes Zagora Oasis', city: 'Zagora',
+    description: 'Quiet guest house in the palm grove.',
+    latitude: 30.3300, longitude: -5.8400, price: 550, openingHours: '24/7', available: true,
+    numberRooms: 6, breakfastIncluded: false, imageUrls: []
+  },
+  // Camping
+  {
+    id_Location: 112, name: 'Camping Erg Chebbi Stars', city: 'Merzouga',
+    description: 'Desert camp with traditional tents and shared facilities.',
+    latitude: 31.1200, longitude: -3.9800, price: 150, openingHours: '24/7', available: true,
+    capacity: 60, hasWaterSupply: true, electricityAvailability: false, imageUrls: []
+  },
+  {
+    id_Location: 113, name: 'Camping Todra', city: 'Tinghir',
+    description: 'Shaded campsite at the entrance of the Todra Gorge.',
+    latitude: 31.5700, longitude: -5.5880, price: 80, openingHours: '24/7', available: true,
+    capacity: 40, hasWaterSupply: true, electricityAvailability: true, imageUrls: []
+  },
+  // Cafes
+  {
+    id_Location: 114, name: 'Café Kasbah Errachidia', city: 'Errachidia',
+    description: 'Coffee and mint tea on the main boulevard.',
+    latitude: 31.9310, longitude: -4.4240, price: 25, openingHours: '07:00-23:00', available: true,
+    wifiAvailable: true, imageUrls: []
+  },
+  {
+    id_Location: 115, name: 'Café des Dunes', city: 'Merzouga',
+    description: 'Terrace cafe facing the dunes.',
+    latitude: 31.0980, longitude: -4.0120, price: 30, openingHours: '08:00-20:00, closed Friday', available: true,
+    wifiAvailable: false, imageUrls: []
+  }
+];
+
+const activities = [
+  // Adventure
+  {
+    id_Activity: 201, name: 'Camel Trek in Erg Chebbi', cityOfTheActivity: 'Merzouga',
+    locationOfTheActivity: 'Erg Chebbi Dunes', description: 'Sunset camel ride with a night in a desert camp.',
+    duration: '2h', price: 350, terrainType: 'Sand dunes', ageRestriction: 6, imageUrls: []
+  },
+  {
+    id_Activity: 202, name: '4x4 Desert Expedition', cityOfTheActivity: "M'Hamid El Ghizlane",
+    locationOfTheActivity: 'Erg Chigaga', description: 'Full-day off-road expedition to the Chigaga dunes.',
+    duration: '8h', price: 1200, terrainType: 'Desert tracks', ageRestriction: 12, imageUrls: []
+  },
+  // Sportive
+  {
+    id_Activity: 203, name: 'Rock Climbing in Todra', cityOfTheActivity: 'Tinghir',
+    locationOfTheActivity: 'Todra Gorge', description: 'Guided climbing on the limestone walls of the gorge.',
+    duration: '4h', price: 500, typeSport: 'Climbing', imageUrls: []
+  },
+  {
+    id_Activity: 204, name: 'Sandboarding', cityOfTheActivity: 'Merzouga',
+    locationOfTheActivity: 'Erg Chebbi Dunes', description: 'Board down the highest dunes of Erg Chebbi.',
+    duration: '1h30', price: 150, typeSport: 'Sandboarding', imageUrls: []
+  },
+  // Cultural
+  {
+    id_Activity: 205, name: 'Gnawa Music Evening', cityOfTheActivity: 'Merzouga',
+    locationOfTheActivity: 'Khamlia', description: 'Live Gnawa music with the musicians of Khamlia village.',
+    duration: '2h', price: 100, traditionAssociated: 'Gnawa', imageUrls: []
+  },
+  {
+    id_Activity: 206, name: 'Rose Festival Visit', cityOfTheActivity: 'Kelaat M\'Gouna',
+    locationOfTheActivity: 'Valley of Roses', description: 'Join the annual rose harvest festival.',
+    duration: '5h', price: 200, traditionAssociated: 'Rose harvest', imageUrls: []
+  },
+  // Traditional
+  {
+    id_Activity: 207, name: 'Pottery Workshop in Tamegroute', cityOfTheActivity: 'Zagora',
+    locationOfTheActivity: 'Tamegroute', description: 'Learn the green-glazed pottery of Tamegroute.',
+    duration: '3h', price: 180, craftType: 'Pottery', imageUrls: []
+  },
+  {
+    id_Activity: 208, name: 'Carpet Weaving with Berber Women', cityOfTheActivity: 'Ouarzazate',
+    locationOfTheActivity: 'Tabounte cooperative', description: 'Traditional weaving at a women\'s cooperative.',
+    duration: '2h', price: 120, craftType: 'Weaving', imageUrls: []
+  }
+];
+
+const ofType = (items, props) => items.filter(item => props.some(prop => item.hasOwnProperty(prop)));
+
+const attractionsByType = {
+  natural: attractions.filter(item => item.hasOwnProperty('protectedArea')),
+  cultural: attractions.filter(item => item.hasOwnProperty('style') && item.hasOwnProperty('yearBuild') &&
+    !item.hasOwnProperty('historicalPeriod') && !item.hasOwnProperty('dynastyName')),
+  historical: attractions.filter(item => item.hasOwnProperty('historicalPeriod') || item.hasOwnProperty('dynastyName') ||
+    (item.hasOwnProperty('style') && !item.hasOwnProperty('yearBuild'))),
+  artificial: attractions.filter(item => item.hasOwnProperty('yearBuild') && !item.hasOwnProperty('style'))
+};
+
+const amenitiesByType = {
+  restaurants: ofType(amenities, ['typeCuisine']),
+  hotels: ofType(amenities, ['numberStars']),
+  lodges: ofType(amenities, ['viewPanoramic']),
+  guesthouses: ofType(amenities, ['breakfastIncluded']),
+  camping: ofType(amenities, ['capacity']),
+  cafes: ofType(amenities, ['wifiAvailable'])
+};
+
+const activitiesByType = {
+  adventure: ofType(activities, ['terrainType']),
+  sportive: ofType(activities, ['typeSport']),
+  cultural: ofType(activities, ['traditionAssociated']),
+  traditional: ofType(activities, ['craftType'])
+};
+
+module.exports = {
+  attractions,
+  amenities,
+  activities,
+  attractionsByType,
+  amenitiesByType,
+  activitiesByType
+};
@@ -0,0 +1,96 @@
+const express = require('express');
+const { API_ENDPOINTS, API_LOOKUPS } = require('../lib/api-endpoints');
+const fixtures = require('./fixtures');
+
+// ============================
+// MOCK TOURISM API
+// ============================
+// Serves every catalog path in API_ENDPOINTS plus the by-city / by-name lookups from
+// local fixtures, so the bot can run with API_BASE_URL=http://localhost:4000 and no network.
+
+const MOCK_PORT = process.env.MOCK_PORT || 4000;
+
+const normalize = (value) => String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+// Resolves an upstream path to { status, body }; shared by the HTTP mock and the test stubs
+function createMockResolver(data = fixtures) {
+  const locations = [...data.attractions, ...data.amenities];
+
+  const routes = {
+    [API_ENDPOINTS.attractions.all]: data.attractions,
+    [API_ENDPOINTS.attractions.natural]: data.attractionsByType.natural,
+    [API_ENDPOINTS.attractions.cultural]: data.attractionsByType.cultural,
+    [API_ENDPOINTS.attractions.historical]: data.attractionsByType.historical,
+    [API_ENDPOINTS.attractions.artificial]: data.attractionsByType.artificial,
+    [API_ENDPOINTS.amenities.all]: data.amenities,
+    [API_ENDPOINTS.amenities.restaurants]: data.amenitiesByType.restaurants,
+    [API_ENDPOINTS.amenities.hotels]: data.amenitiesByType.hotels,
+    [API_ENDPOINTS.amenities.lodges]: data.amenitiesByType.lodges,
+    [API_ENDPOINTS.amenities.guesthouses]: data.amenitiesByType.guesthouses,
+    [API_ENDPOINTS.amenities.camping]: data.amenitiesByType.camping,
+    [API_ENDPOINTS.amenities.cafes]: data.amenitiesByType.cafes,
+    [API_ENDPOINTS.activities.all]: data.activities,
+    [API_ENDPOINTS.activities.adventure]: data.activitiesByType.adventure,
+    [API_ENDPOINTS.activities.sportive]: data.activitiesByType.sportive,
+    [API_ENDPOINTS.activities.cultural]: data.activitiesByType.cultural,
+    [API_ENDPOINTS.activities.traditional]: data.activitiesByType.traditional
+  };
+
+  const lookups = {
+    [API_LOOKUPS.locationByCity]: (value) => {
+      const city = normalize(value);
+      return { status: 200, body: locations.filter(location => normalize(location.city || '') === city) };
+    },
+    [API_LOOKUPS.locationByName]: (value) => {
+      const name = normalize(value);
+      return { status: 200, body: locations.filter(location => normalize(location.name).includes(name)) };
+    },
+    [API_LOOKUPS.activityByName]: (value) => {
+      const name = normalize(value);
+      const activity = data.activities.find(item => normalize(item.name) === name) ||
+        data.activities.find(item => normalize(item.name).includes(name));
+
+      return activity
+        ? { status: 200, body: activity }
+        : { status: 404, body: { message: `Activity "${value}" not found` } };
+    }
+  };
+
+  return (pathname) => {
+    if (routes[pathname]) return { status: 200, body: routes[pathname] };
+
+    const separator = pathname.lastIndexOf('/');
+    const lookup = lookups[pathname.slice(0, separator)];
+    if (lookup && separator < pathname.length - 1) {
+      return lookup(decodeURIComponent(pathname.slice(separator + 1)));
+    }
+
+    return { status: 404, body: { message: `No mock route for ${pathname}` } };
+  };
+}
+
+function createMockApi({ data = fixtures, latency = Number(process.env.MOCK_LATENCY_MS) || 0 } = {}) {
+  const mockApp = express();
+  const resolve = createMockResolver(data);
+
+  // Simulates a slow (cold) upstream when MOCK_LATENCY_MS is set
+  if (latency > 0) {
+    mockApp.use((req, res, next) => setTimeout(next, latency));
+  }
+
+  mockApp.get('*', (req, res) => {
+    const { status, body } = resolve(req.path);
+    res.status(status).json(body);
+  });
+
+  return mockApp;
+}
+
+if (require.main === module) {
+  createMockApi().listen(MOCK_PORT, () => {
+    console.log(`🧪 Mock tourism API running on http://localhost:${MOCK_PORT}`);
+    console.log(`   Start the bot with API_BASE_URL=http://localhost:${MOCK_PORT}`);
+  });
+}
+
+module.exports = { createMockApi, createMockResolver };
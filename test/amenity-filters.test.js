@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFilters, applyFilters, describeFilters } = require('../lib/amenity-filters');
+const { createRamadanSchedule } = require('../lib/opening-hours');
+const { catalog } = require('./helpers');
+
+// 11:00 in Morocco (UTC+1)
+const MORNING = new Date('2026-06-15T10:00:00Z');
+// 23:30 in Morocco
+const LATE = new Date('2026-06-15T22:30:00Z');
+
+describe('amenity filters', () => {
+  it('parses Dialogflow parameters into filters', () => {
+    assert.deepEqual(parseFilters({ stars: '4', facilities: ['pool', 'Wi-Fi', 'swimming pool'], 'max-price': { amount: 50, currency: 'EUR' } }), {
+      stars: 4,
+      maxPrice: 540,
+      facilities: ['hasSwimmingPool', 'wifiAvailable']
+    });
+    assert.deepEqual(parseFilters({ 'min-stars': '3', 'max-price': '500 MAD', 'open-now': 'true', facility: 'breakfast' }), {
+      minStars: 3,
+      maxPrice: 500,
+      facilities: ['breakfastIncluded'],
+      openNow: true
+    });
+    assert.deepEqual(parseFilters({ city: 'Merzouga', facilities: ['jacuzzi'] }), {});
+    assert.deepEqual(parseFilters({ 'max-price': '1,500' }), { maxPrice: 1500 });
+    assert.deepEqual(parseFilters({ 'max-price': '1 500 MAD', 'min-stars': '3,5' }), { maxPrice: 1500, minStars: 3.5 });
+    assert.deepEqual(parseFilters({ budget: '1,250,000 DH' }), { maxPrice: 1250000 });
+    assert.deepEqual(parseFilters({ budget: 'cheap', stars: 'five' }), {});
+    assert.deepEqual(parseFilters({ 'max-price': 'between 300 and 500 MAD' }), { maxPrice: 300 });
+    assert.deepEqual(parseFilters({ 'max-price': 'under 50 EUR' }), { maxPrice: 540 });
+    assert.deepEqual(parseFilters({ 'max-price': { amount: null, currency: 'MAD' } }), {});
+  });
+
+  it('applies every filter in the pipeline', () => {
+    const names = (filters, now) => applyFilters(catalog.amenities, filters, now).map(item => item.name);
+
+    assert.deepEqual(names({ stars: 4, facilities: ['hasSwimmingPool'] }), ['Hotel Karam Palace']);
+    assert.deepEqual(names({ minStars: 4 }), ['Hotel Le Berbère Palace', 'Hotel Karam Palace', 'Hotel Kenzi Rissani']);
+    assert.deepEqual(names({ facilities: ['breakfastIncluded'], maxPrice: 500 }), ['Riad Dar Sidi Bounou']);
+    assert.deepEqual(names({ facilities: ['wifiAvailable'], openNow: true }, MORNING), ['Café Kasbah Errachidia']);
+    assert.deepEqual(names({ facilities: ['wifiAvailable'], openNow: true }, LATE), []);
+  });
+
+  it('goes by the Ramadan hours for "open now" when a schedule is given', () => {
+    const ramadan = createRamadanSchedule({ RAMADAN_DATES: '2026-06-01/2026-06-30', RAMADAN_HOURS: '{ "cafe": "20:00-02:00" }' });
+    const cafes = catalog.amenities.filter(item => item.category === 'cafe');
+    const names = (now, schedule) => applyFilters(cafes, { openNow: true }, now, schedule).map(item => item.name);
+
+    assert.deepEqual(names(MORNING), ['Café Kasbah Errachidia', 'Café des Dunes']);
+    assert.deepEqual(names(MORNING, ramadan), []);
+    assert.deepEqual(names(LATE, ramadan), ['Café Kasbah Errachidia', 'Café des Dunes']);
+  });
+
+  it('describes filters as chips', () => {
+    assert.deepEqual(describeFilters({ stars: 4, maxPrice: 500, facilities: ['hasSwimmingPool'], openNow: true }), [
+      { key: 'stars', label: '4★', value: 4 },
+      { key: 'maxPrice', label: 'under 500 MAD', value: 500 },
+      { key: 'facility', label: 'Pool', value: 'hasSwimmingPool' },
+      { key: 'openNow', label: 'Open now', value: true }
+    ]);
+  });
+});
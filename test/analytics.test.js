@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  AnalyticsLog, createAnalyticsLog, trackExchange, timeUpstream, markEmpty, hashSessionId, resultCountOf, summarize, toCsv
+} = require('../lib/analytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const exchange = (overrides = {}) => ({
+  sessionId: 'session-1', engine: 'local', intent: 'Ask_Hotels', language: 'en', query: 'hotels',
+  parameters: {}, latencyMs: 10, upstreamMs: 0, upstreamCalls: 0, resultCount: 3, fallback: false, empty: false, error: false,
+  ...overrides
+});
+
+describe('analytics', () => {
+  it('tracks handler time, upstream calls and empty results per exchange', async () => {
+    const { result, error, exchange: tracked } = await trackExchange(async () => {
+      await timeUpstream(() => new Promise(resolve => setTimeout(resolve, 5)));
+      await timeUpstream(async () => 'cached');
+      markEmpty();
+      return 'done';
+    });
+
+    assert.equal(result, 'done');
+    assert.equal(error, null);
+    assert.equal(tracked.upstreamCalls, 2);
+    assert.ok(tracked.latencyMs >= tracked.upstreamMs);
+    assert.equal(tracked.empty, true);
+
+    const failed = await trackExchange(async () => { throw new Error('boom'); });
+    assert.equal(failed.error.message, 'boom');
+  });
+
+  it('counts listed items and treats suggestions as no results', () => {
+    assert.equal(resultCountOf({ payload: { flutter: { type: 'amenities_list', data: { amenities: [1, 2], count: 7 } } } }), 7);
+    assert.equal(resultCountOf({ payload: { flutter: { type: 'favorites_list', data: { favorites: [1] } } } }), 1);
+    assert.equal(resultCountOf({ payload: { flutter: { type: 'suggestions', data: { suggestions: [1, 2] } } } }), 0);
+    assert.equal(resultCountOf({ fulfillmentText: 'Welcome!' }), null);
+  });
+
+  it('hashes session ids and leaves coordinates out', async () => {
+    const log = new AnalyticsLog({ salt: 'pepper' });
+    const record = await log.record(exchange({ parameters: { city: ' Merzouga ', latitude: 31.1, longitude: -4.0 } }));
+
+    assert.equal(record.session, hashSessionId('session-1', 'pepper'));
+    assert.notEqual(record.session, 'session-1');
+    assert.equal(record.city, 'Merzouga');
+    assert.deepEqual(record.parameters, { city: ' Merzouga ' });
+  });
+
+  it('drops records past the retention window', async () => {
+    let now = Date.parse('2026-01-01T00:00:00Z');
+    const log = new AnalyticsLog({ retentionDays: 7, now: () => now });
+    await log.record(exchange({ query: 'old' }));
+    now += 8 * DAY_MS;
+    await log.record(exchange({ query: 'new' }));
+
+    assert.deepEqual((await log.list()).map(record => record.query), ['new']);
+    assert.deepEqual(await log.list({ to: '2026-01-02T00:00:00Z' }), []);
+  });
+
+  it('summarizes intents, cities, zero-result queries, fallbacks and latency', () => {
+    const records = [
+      exchange({ intent: 'Ask_Hotels', city: 'Merzouga', latencyMs: 10 }),
+      exchange({ intent: 'Ask_Hotels', city: 'merzouga', latencyMs: 30 }),
+      exchange({ intent: 'Ask_Hotels', city: 'Zagora', latencyMs: 20 }),
+      exchange({ intent: 'Ask_Amenities_By_City', query: 'hotels in Atlantis', city: 'Atlantis', empty: true, resultCount: 0 }),
+      exchange({ intent: 'Default Fallback Intent', query: 'qwerty', fallback: true })
+    ];
+
+    const summary = summarize(records);
+
+    assert.equal(summary.total, 5);
+    assert.equal(summary.fallbackRate, 0.2);
+    assert.deepEqual(summary.topIntents[0], { intent: 'Ask_Hotels', count: 3 });
+    assert.deepEqual(summary.topCities[0], { city: 'Merzouga', count: 2 });
+    assert.deepEqual(summary.zeroResults, [{ query: 'hotels in Atlantis', count: 1, intents: ['Ask_Amenities_By_City'] }]);
+    assert.deepEqual(summary.latency[0], { intent: 'Ask_Hotels', count: 3, p50: 20, p95: 30, upstreamP50: 0, upstreamP95: 0 });
+  });
+
+  it('exports CSV with quoted cells', () => {
+    const csv = toCsv([{ ...exchange(), query: 'hotels, "cheap"', parameters: { city: 'Zagora' } }]);
+    const [header, row] = csv.trim().split('\n');
+
+    assert.ok(header.startsWith('timestamp,session,engine,intent'));
+    assert.match(row, /"hotels, ""cheap"""/);
+    assert.match(row, /"\{""city"":""Zagora""\}"/);
+  });
+
+  it('persists to a JSON Lines file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-'));
+    const env = { ANALYTICS_STORE: 'file', ANALYTICS_FILE: path.join(dir, 'analytics.jsonl'), ANALYTICS_SALT: 'pepper' };
+
+    const log = createAnalyticsLog(env);
+    await log.record(exchange());
+    await log.close();
+
+    const reopened = createAnalyticsLog(env);
+    assert.equal((await reopened.list())[0].session, hashSessionId('session-1', 'pepper'));
+    await reopened.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    assert.throws(() => createAnalyticsLog({ ANALYTICS_STORE: 'mongo' }), /Unknown ANALYTICS_STORE/);
+  });
+});
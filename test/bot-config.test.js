@@ -0,0 +1,116 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const BotConfig = require('../lib/bot-config');
+const { INTENTS } = require('../lib/intent-classifier');
+const { catalog } = require('./helpers');
+
+const HANDLERS = [...new Set(Object.values(BotConfig.DEFAULT_INTENTS).map(binding => binding.handler))];
+const memoryConfig = () => BotConfig.createBotConfig({ BOT_CONFIG_STORE: 'memory' });
+
+describe('bot config', () => {
+  it('binds every intent the local classifier knows', () => {
+    assert.deepEqual(INTENTS.filter(intent => !BotConfig.DEFAULT_INTENTS[intent]), []);
+  });
+
+  it('resolveArguments reads alias chains, literals and request values', () => {
+    const parameters = { city: '', 'geo-city': 'Merzouga', name: 'Erg Chebbi', 'item-name': ['Hotel A'], 'other-item': 'Hotel B' };
+    const context = { userId: 'user-1', userLocation: { latitude: 31, longitude: -4 } };
+
+    assert.deepEqual(
+      BotConfig.resolveArguments(['city', 'city-or-name', '=price', '@userId', '@userLocation', 'items[]', 'export-format'], parameters, BotConfig.DEFAULT_ALIASES, context),
+      ['Merzouga', 'Merzouga', 'price', 'user-1', { latitude: 31, longitude: -4 }, ['Hotel A', 'Hotel B', 'Erg Chebbi'], undefined]
+    );
+    assert.equal(BotConfig.resolveArguments(['@parameters'], parameters)[0], parameters);
+    assert.deepEqual(BotConfig.resolveArguments(['city'], { town: 'Rissani' }, { city: ['town'] }), ['Rissani']);
+  });
+
+  it('validates bindings and aliases', () => {
+    assert.deepEqual(BotConfig.validateBinding({ handler: 'handleHotels' }, HANDLERS), []);
+    assert.deepEqual(BotConfig.validateBinding({ handler: 'handleFollowUp', args: ['=price', '@parameters'] }, HANDLERS), []);
+    assert.match(BotConfig.validateBinding({ handler: 'eval' }, HANDLERS)[0], /^handler must be one of handleAllAttractions/);
+    assert.deepEqual(BotConfig.validateBinding({ handler: 'handleHotels', args: ['@secret', 'a b'] }, HANDLERS), [
+      'argument "@secret" must be @userId, @userLocation, @parameters, @baseUrl, "=literal" or a parameter name',
+      'argument "a b" must be @userId, @userLocation, @parameters, @baseUrl, "=literal" or a parameter name'
+    ]);
+    assert.deepEqual(BotConfig.validateAlias(['town', 'geo-city']), []);
+    assert.deepEqual(BotConfig.validateAlias([]), ['parameters must be a list of 1 to 8 parameter names']);
+    assert.deepEqual(BotConfig.validateAlias(['items[]']), ['"items[]" is not a parameter name']);
+  });
+
+  it('validates templates against the message catalog', () => {
+    assert.deepEqual(BotConfig.validateTemplate('fr', 'welcome', 'Bienvenue au Tafilalet !'), []);
+    assert.deepEqual(BotConfig.validateTemplate('en', 'list.found', 'Found {items}{where}'), []);
+    assert.deepEqual(BotConfig.validateTemplate('en', 'count.days', { one: 'one day', other: '{count} days' }), []);
+    assert.deepEqual(BotConfig.validateTemplate('de', 'welcome', 'Willkommen'), ['language must be one of en, fr, ar']);
+    assert.deepEqual(BotConfig.validateTemplate('en', 'no.such.key', 'x'), ['unknown message key "no.such.key"']);
+    assert.deepEqual(BotConfig.validateTemplate('en', 'list.found', 'Found {total}'), ['"list.found" has no {total} placeholder']);
+    assert.match(BotConfig.validateTemplate('en', 'count.days', '{count} days')[0], /takes plural forms/);
+    assert.deepEqual(BotConfig.validateTemplate('en', 'welcome', { other: 'Hi' }), ['"welcome" takes a text']);
+    assert.deepEqual(BotConfig.validateTemplate('en', 'welcome', ' '), ['texts must be 1-1000 characters']);
+  });
+
+  it('validates catalog overrides', () => {
+    assert.deepEqual(BotConfig.validateOverride('amenity:105', { hidden: true, note: 'Closed for renovation' }), []);
+    assert.deepEqual(BotConfig.validateOverride('hotel:105', { hidden: true }), ['id must be an entity id such as attraction:5 or amenity:12']);
+    assert.deepEqual(BotConfig.validateOverride('amenity:105', { hidden: 'yes', price: 0 }), [
+      'hidden must be true or false',
+      'unknown field "price" (expected hidden, featured or note)'
+    ]);
+    assert.deepEqual(BotConfig.validateOverride('amenity:105', { note: 'why' }), ['override must set hidden or featured']);
+  });
+
+  it('applies overrides without touching the cached list', async () => {
+    const config = memoryConfig();
+    await config.set('overrides', 'attraction:1', { hidden: true });
+    await config.set('overrides', 'attraction:6', { featured: true });
+
+    const { attractions } = catalog;
+    const shown = config.applyOverrides(attractions);
+    assert.equal(shown.length, attractions.length - 1);
+    assert.equal(shown[0].name, 'Kasbah Taourirt');
+    assert.equal(shown[0].featured, true);
+    assert.ok(!shown.some(entity => entity.id === 'attraction:1'));
+    assert.equal(attractions.find(entity => entity.id === 'attraction:6').featured, undefined);
+    assert.equal(config.applyOverrides(catalog.activities), catalog.activities);
+  });
+
+  it('custom bindings, aliases and templates win over the defaults until removed', async () => {
+    const config = memoryConfig();
+    await config.set('intents', 'Ask_Hotels', { handler: 'handleLodges', args: [] });
+    await config.set('aliases', 'city', ['town']);
+    await config.setTemplate('en', 'welcome', 'Hi!');
+
+    assert.deepEqual(config.binding('Ask_Hotels'), { handler: 'handleLodges', args: [] });
+    assert.deepEqual(config.aliases.city, ['town']);
+    assert.deepEqual(config.templates, { en: { welcome: 'Hi!' } });
+    assert.deepEqual(config.snapshot().customized, { intents: ['Ask_Hotels'], aliases: ['city'] });
+
+    await config.set('intents', 'Ask_Hotels', null);
+    await config.setTemplate('en', 'welcome', null);
+    assert.equal(config.binding('Ask_Hotels').handler, 'handleHotels');
+    assert.deepEqual(config.templates, {});
+    assert.equal(config.binding('Unknown_Intent'), null);
+  });
+
+  it('keeps changes in a file across restarts', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-config-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const env = { BOT_CONFIG_STORE: 'file', BOT_CONFIG_FILE: path.join(dir, 'bot-config.json') };
+
+    const first = BotConfig.createBotConfig(env);
+    await Promise.all([
+      first.set('overrides', 'amenity:105', { hidden: true }),
+      first.set('aliases', 'radius', ['radius'])
+    ]);
+    await first.close();
+
+    const second = BotConfig.createBotConfig(env);
+    await second.ready();
+    assert.deepEqual(second.snapshot().overrides, { 'amenity:105': { hidden: true } });
+    assert.deepEqual(second.aliases.radius, ['radius']);
+    assert.throws(() => BotConfig.createBotConfig({ BOT_CONFIG_STORE: 'redis' }), /Unknown BOT_CONFIG_STORE "redis"/);
+  });
+});
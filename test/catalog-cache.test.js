@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CatalogCache } = require('../lib/catalog-cache');
+
+function setup() {
+  let now = 0;
+  const cache = new CatalogCache({ ttl: 100, staleWhileRevalidate: 1000, now: () => now });
+  const upstream = { calls: 0, fail: false };
+  const fetcher = async () => {
+    upstream.calls++;
+    if (upstream.fail) throw new Error('upstream down');
+    return [`v${upstream.calls}`];
+  };
+  return { cache, upstream, fetcher, tick: (ms) => { now += ms; } };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('CatalogCache', () => {
+  it('serves fresh entries without calling the upstream', async () => {
+    const { cache, upstream, fetcher } = setup();
+    assert.deepEqual(await cache.get('/api/public/Hotels', fetcher), ['v1']);
+    assert.deepEqual(await cache.get('/api/public/Hotels', fetcher), ['v1']);
+
+    assert.equal(upstream.calls, 1);
+    assert.equal(cache.getStats().hits, 1);
+    assert.equal(cache.getStats().misses, 1);
+  });
+
+  it('coalesces identical in-flight requests', async () => {
+    const { cache, upstream, fetcher } = setup();
+    const results = await Promise.all([cache.get('k', fetcher), cache.get('k', fetcher), cache.get('k', fetcher)]);
+
+    assert.deepEqual(results, [['v1'], ['v1'], ['v1']]);
+    assert.equal(upstream.calls, 1);
+    assert.equal(cache.getStats().coalesced, 2);
+  });
+
+  it('serves stale entries while revalidating in the background', async () => {
+    const { cache, upstream, fetcher, tick } = setup();
+    await cache.get('k', fetcher);
+    tick(150);
+
+    assert.deepEqual(await cache.get('k', fetcher), ['v1']);
+    await flush();
+    assert.equal(upstream.calls, 2);
+    assert.deepEqual(await cache.get('k', fetcher), ['v2']);
+  });
+
+  it('falls back to an expired copy when the upstream is down', async () => {
+    const { cache, upstream, fetcher, tick } = setup();
+    await cache.get('k', fetcher);
+    tick(5000);
+    upstream.fail = true;
+
+    assert.deepEqual(await cache.get('k', fetcher), ['v1']);
+    assert.equal(cache.getStats().staleOnError, 1);
+  });
+
+  it('propagates errors when nothing is cached', async () => {
+    const { cache, upstream, fetcher } = setup();
+    upstream.fail = true;
+    await assert.rejects(cache.get('k', fetcher), /upstream down/);
+  });
+
+  it('warms up every source and reports failures', async () => {
+    const { cache, fetcher } = setup();
+    const result = await cache.warmUp([
+      { key: 'a', fetcher },
+      { key: 'b', fetcher: async () => { throw new Error('nope'); } }
+    ]);
+
+    assert.deepEqual(result, { warmed: 1, total: 2 });
+    assert.equal(cache.getStats().entries, 1);
+  });
+});
@@ -0,0 +1,176 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CatalogModel = require('../lib/catalog-model');
+const { fixtures } = require('./helpers');
+
+const { detectType, normalizeRecord, normalizeCatalog, toLegacy, CatalogIssues } = CatalogModel;
+const categoryOf = (record, hint) => normalizeRecord(record, hint).entity?.category;
+
+describe('catalog model', () => {
+  describe('normalizeRecord', () => {
+    it('maps an attraction onto the entity shape', () => {
+      const { entity, errors, warnings } = normalizeRecord(fixtures.attractions[7]);
+
+      assert.deepEqual(errors, []);
+      assert.deepEqual(warnings, []);
+      assert.deepEqual(entity, {
+        id: 'attraction:8',
+        type: 'attraction',
+        category: 'historical',
+        sourceId: 8,
+        name: 'Mausoleum of Moulay Ali Cherif',
+        description: 'Resting place of the founder of the Alaouite dynasty.',
+        city: 'Rissani',
+        latitude: 31.27,
+        longitude: -4.26,
+        price: 0,
+        currency: 'MAD',
+        openingHours: { text: 'Sat-Thu 09:00-17:00, closed Friday', alwaysOpen: false, days: [0, 1, 2, 3, 4, 6], periods: [{ open: 540, close: 1020 }] },
+        images: [],
+        details: { guidedTours: false, style: 'Alaouite', yearBuilt: 1640, dynasty: 'Alaouite' }
+      });
+    });
+
+    it('keeps amenity facilities and activity details under plain names', () => {
+      const riad = normalizeRecord(fixtures.amenities[9]).entity;
+      assert.equal(riad.category, 'guesthouse');
+      assert.deepEqual(riad.details, { available: true, rooms: 8, facilities: { breakfastIncluded: true } });
+
+      const trek = normalizeRecord(fixtures.activities[0]).entity;
+      assert.equal(trek.id, 'activity:201');
+      assert.equal(trek.city, 'Merzouga');
+      assert.deepEqual(trek.details, { location: 'Erg Chebbi Dunes', duration: '2h', minimumAge: 6, terrain: 'Sand dunes' });
+    });
+
+    it('puts every fixture in the category of the list it comes from', () => {
+      const lists = [['attraction', fixtures.attractionsByType], ['amenity', fixtures.amenitiesByType], ['activity', fixtures.activitiesByType]];
+      for (const [type, byList] of lists) {
+        for (const [listName, records] of Object.entries(byList)) {
+          for (const record of records) {
+            const { entity } = normalizeRecord(record);
+            assert.equal(entity.type, type, record.name);
+            assert.equal(entity.category, CatalogModel.categoryOfList(listName), record.name);
+          }
+        }
+      }
+    });
+
+    it('detectType recognises every fixture by its fields', () => {
+      for (const record of fixtures.attractions) assert.equal(detectType(record), 'attraction', record.name);
+      for (const record of fixtures.amenities) assert.equal(detectType(record), 'amenity', record.name);
+      for (const record of fixtures.activities) assert.equal(detectType(record), 'activity', record.name);
+      assert.equal(detectType({ name: 'Roundabout' }), null);
+    });
+
+    it('tells categories apart from fields alone', () => {
+      const attraction = { id_Location: 1, name: 'x', entryFre: 0 };
+      assert.equal(categoryOf({ ...attraction, protectedArea: true, style: 'x', yearBuild: 1900 }), 'natural');
+      assert.equal(categoryOf({ ...attraction, historicalPeriod: 'Medieval' }), 'historical');
+      assert.equal(categoryOf({ ...attraction, style: 'Ksar', yearBuild: 1100, historicalPeriod: 'Medieval' }), 'historical');
+      assert.equal(categoryOf({ ...attraction, style: 'Alaouite', yearBuild: 1640, dynastyName: 'Alaouite' }), 'historical');
+      assert.equal(categoryOf({ ...attraction, style: 'Pisé', yearBuild: 1650 }), 'cultural');
+      assert.equal(categoryOf({ ...attraction, yearBuild: 1983 }), 'artificial');
+      assert.equal(categoryOf({ ...attraction, style: 'Ruins' }), 'historical');
+
+      const amenity = { id_Location: 2, name: 'y', price: 10 };
+      assert.equal(categoryOf({ ...amenity, menu: 'x', wifiAvailable: true }), 'restaurant');
+      assert.equal(categoryOf({ ...amenity, numberStars: 4 }), 'hotel');
+      assert.equal(categoryOf({ ...amenity, closeNature: true }), 'lodge');
+      assert.equal(categoryOf({ ...amenity, breakfastIncluded: true }), 'guesthouse');
+      assert.equal(categoryOf({ ...amenity, hasWaterSupply: true }), 'camping');
+      assert.equal(categoryOf({ ...amenity, wifiAvailable: true }), 'cafe');
+
+      const activity = { id_Activity: 3, name: 'z' };
+      assert.equal(categoryOf({ ...activity, typeSport: 'Climbing', terrainType: 'Rock', ageRestriction: 12 }), 'sportive');
+      assert.equal(categoryOf({ ...activity, terrainType: 'Sand', ageRestriction: 6 }), 'adventure');
+      assert.equal(categoryOf({ ...activity, traditionAssociated: 'Gnawa' }), 'cultural');
+      assert.equal(categoryOf({ ...activity, craftType: 'Pottery' }), 'traditional');
+    });
+
+    it('does not guess categories from names', () => {
+      const cases = [
+        [{ id_Location: 1, entryFre: 0, name: 'Oasis of Fint' }, 'natural'],
+        [{ id_Location: 1, entryFre: 0, name: 'Ancient fortress' }, 'historical'],
+        [{ id_Location: 2, price: 10, name: 'Coffee corner' }, 'cafe'],
+        [{ id_Location: 2, price: 10, name: 'Desert camp' }, 'camping'],
+        [{ id_Activity: 3, name: 'Desert hiking' }, 'adventure'],
+        [{ id_Activity: 3, name: 'Weaving class' }, 'traditional']
+      ];
+      for (const [record, listCategory] of cases) {
+        assert.equal(categoryOf(record), null, record.name);
+        assert.equal(categoryOf(record, { category: listCategory }), listCategory, record.name);
+      }
+    });
+
+    it('falls back on the list category and warns when neither says', () => {
+      const hammam = { id_Location: 120, name: 'Hammam Tinghir', price: 50 };
+      assert.equal(categoryOf(hammam, { type: 'amenity', category: 'cafe' }), 'cafe');
+
+      const { entity, warnings } = normalizeRecord(hammam);
+      assert.equal(entity.category, null);
+      assert.deepEqual(warnings, ['no amenity category fits its fields']);
+    });
+
+    it('cleans up values and warns about the ones it drops', () => {
+      const { entity, warnings } = normalizeRecord({
+        id_Location: 121, name: ' Hotel Test ', price: 'on request', numberStars: '4', hasSwimmingPool: 'true',
+        latitude: 'north', longitude: -5, imageUrls: 'https://images.example.com/test.jpg', available: true
+      });
+
+      assert.equal(entity.name, 'Hotel Test');
+      assert.equal(entity.price, null);
+      assert.equal(entity.latitude, null);
+      assert.deepEqual(entity.details, { available: true, stars: 4, facilities: { hasSwimmingPool: true } });
+      assert.deepEqual(entity.images, ['https://images.example.com/test.jpg']);
+      assert.deepEqual(warnings, ['invalid coordinates (north, -5)', 'price is not an amount ("on request")']);
+    });
+
+    it('rejects records it cannot identify', () => {
+      assert.deepEqual(normalizeRecord({ name: 'Nameless id' }).errors, ['neither an attraction, an amenity nor an activity']);
+      assert.deepEqual(normalizeRecord({ id_Location: 3, entryFre: 0 }).errors, ['name is missing']);
+      assert.deepEqual(normalizeRecord({ name: 'No id', entryFre: 0 }).errors, ['id_Location is missing']);
+      assert.deepEqual(normalizeRecord(fixtures.activities[0], { type: 'attraction' }).errors, [
+        'listed as an attraction but has the fields of an activity',
+        'id_Location is missing'
+      ]);
+      assert.deepEqual(normalizeRecord('Kasbah').errors, ['not an object']);
+    });
+  });
+
+  it('normalizeCatalog keeps the good records and reports the others', () => {
+    const { entities, rejected, warnings } = normalizeCatalog([fixtures.amenities[0], { id_Location: 122 }, { id_Location: 123, name: 'Shop', price: 5 }], { type: 'amenity' });
+
+    assert.deepEqual(entities.map(entity => entity.id), ['amenity:101', 'amenity:123']);
+    assert.deepEqual(rejected, [{ id: 122, name: null, errors: ['name is missing'] }]);
+    assert.deepEqual(warnings, [{ id: 'amenity:123', name: 'Shop', warnings: ['no amenity category fits its fields'] }]);
+  });
+
+  it('toLegacy gives back the fields of the API', () => {
+    for (const record of [...fixtures.attractions, ...fixtures.amenities, ...fixtures.activities]) {
+      assert.deepEqual(toLegacy(normalizeRecord(record).entity), record, record.name);
+    }
+    assert.deepEqual(toLegacy({ name: 'not an entity' }), { name: 'not an entity' });
+  });
+
+  it('keeps fields the model does not map for version 1 records', () => {
+    const record = { ...fixtures.amenities[0], phoneNumber: '+212 535 000000', tags: ['family'] };
+    const { entity } = normalizeRecord(record);
+
+    assert.deepEqual(entity.details.extra, { phoneNumber: '+212 535 000000', tags: ['family'] });
+    assert.deepEqual(toLegacy(entity), record);
+    assert.equal(normalizeRecord(fixtures.amenities[0]).entity.details.extra, undefined);
+  });
+
+  it('CatalogIssues keeps the latest problems per source', () => {
+    const issues = new CatalogIssues({ maxSources: 2 });
+    const problem = { rejected: [{ id: 1, name: null, errors: ['name is missing'] }], warnings: [] };
+
+    issues.record('/a', problem, new Date('2026-10-19T10:00:00Z'));
+    issues.record('/b', problem);
+    issues.record('/c', { rejected: [], warnings: [{ id: 'amenity:1', name: 'x', warnings: ['w'] }] });
+    assert.deepEqual(issues.report().sources.map(source => source.source), ['/b', '/c']);
+
+    issues.record('/b', { rejected: [], warnings: [] });
+    assert.deepEqual(issues.report(), { rejectedCount: 0, warningCount: 1, sources: [issues.sources.get('/c')] });
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { formatEvent, ChannelRegistry } = require('../lib/chat-stream');
+
+// Just enough of http.ServerResponse to record what a channel writes
+class FakeResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.chunks = [];
+    this.ended = false;
+  }
+
+  writeHead(status, headers) {
+    this.status = status;
+    this.headers = headers;
+  }
+
+  write(chunk) {
+    this.chunks.push(chunk);
+  }
+
+  end() {
+    this.ended = true;
+  }
+
+  events() {
+    return this.chunks.join('').split('\n\n')
+      .map(frame => frame.match(/^event: (.+)\ndata: (.+)$/m))
+      .filter(Boolean)
+      .map(([, event, data]) => ({ event, data: JSON.parse(data) }));
+  }
+}
+
+describe('chat streams', () => {
+  it('formats Server-Sent Events with an optional id', () => {
+    assert.equal(formatEvent('message', { text: 'a\nb' }, 3), 'id: 3\nevent: message\ndata: {"text":"a\\nb"}\n\n');
+    assert.equal(formatEvent('ready', {}), 'event: ready\ndata: {}\n\n');
+  });
+
+  it('opens a stream bound to a session and announces it', () => {
+    const registry = new ChannelRegistry();
+    const res = new FakeResponse();
+    const channel = registry.open(res, { sessionId: 'abc', client: 'test-app' });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['Content-Type'], /^text\/event-stream/);
+    assert.deepEqual(res.events(), [{ event: 'ready', data: { channelId: channel.id, sessionId: 'abc' } }]);
+    assert.equal(registry.get(channel.id), channel);
+    assert.deepEqual([channel.nextTurn(), channel.nextTurn()], [1, 2]);
+    registry.closeAll();
+  });
+
+  it('notifies every open stream of a session and forgets closed ones', () => {
+    const registry = new ChannelRegistry();
+    const phone = new FakeResponse();
+    const tablet = new FakeResponse();
+    const other = new FakeResponse();
+    registry.open(phone, { sessionId: 'abc' });
+    const second = registry.open(tablet, { sessionId: 'abc' });
+    registry.open(other, { sessionId: 'xyz' });
+
+    assert.equal(registry.notify('abc', 'notice', { type: 'more_results' }), 2);
+    assert.equal(other.events().length, 1);
+
+    tablet.emit('close');
+    assert.equal(registry.get(second.id), null);
+    assert.equal(second.send('notice', {}), false);
+    assert.equal(registry.notify('abc', 'notice', {}), 1);
+
+    registry.closeAll();
+    assert.equal(phone.ended, true);
+    assert.equal(registry.channels.size, 0);
+    assert.equal(registry.timer, null);
+  });
+
+  it('refuses streams past the limit', () => {
+    const registry = new ChannelRegistry({ maxChannels: 1 });
+    assert.ok(registry.open(new FakeResponse(), { sessionId: 'a' }));
+    assert.equal(registry.open(new FakeResponse(), { sessionId: 'b' }), null);
+    registry.closeAll();
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ClientAuth, createClientAuth, parseApiKeys, parseOrigins, parseTrustProxy, isOriginAllowed, signToken, verifyToken, signPath, verifyPath } = require('../lib/client-auth');
+
+describe('client authentication', () => {
+  it('parses API keys with optional per-client limits', () => {
+    const keys = parseApiKeys('flutter-app:k3y, partner:0th3r:120,broken');
+    assert.deepEqual([...keys.entries()], [
+      ['k3y', { client: 'flutter-app', limit: null }],
+      ['0th3r', { client: 'partner', limit: 120 }]
+    ]);
+  });
+
+  it('accepts the key from X-API-Key or a bearer header', () => {
+    const auth = createClientAuth({ CLIENT_API_KEYS: 'flutter-app:k3y' });
+
+    assert.equal(auth.enabled, true);
+    assert.deepEqual(auth.authenticate({ 'x-api-key': 'k3y' }), { client: 'flutter-app', limit: null });
+    assert.equal(auth.authenticate({ authorization: 'Bearer k3y' }).client, 'flutter-app');
+    assert.equal(auth.authenticate({ 'x-api-key': 'k3y-not' }), null);
+    assert.equal(auth.authenticate({}), null);
+    assert.equal(new ClientAuth().enabled, false);
+  });
+
+  it('verifies HS256 tokens, their expiry and their subject', () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    const seconds = now / 1000;
+
+    assert.equal(verifyToken(signToken({ sub: 'web', exp: seconds + 60 }, 's3cret'), 's3cret', now).sub, 'web');
+    assert.equal(verifyToken(signToken({ sub: 'web', exp: seconds - 1 }, 's3cret'), 's3cret', now), null);
+    assert.equal(verifyToken(signToken({ sub: 'web', nbf: seconds + 60 }, 's3cret'), 's3cret', now), null);
+    assert.equal(verifyToken(signToken({ exp: seconds + 60 }, 's3cret'), 's3cret', now), null);
+    assert.equal(verifyToken(signToken({ sub: 'web' }, 'other'), 's3cret', now), null);
+    assert.equal(verifyToken('not.a.token', 's3cret', now), null);
+
+    const auth = createClientAuth({ JWT_SECRET: 's3cret' });
+    assert.deepEqual(auth.authenticate({ authorization: `Bearer ${signToken({ sub: 'web' }, 's3cret')}` }), { client: 'jwt:web', limit: null, subject: 'web' });
+  });
+
+  it('signs download paths until they expire', () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    const signed = signPath('/items/attraction/5/export.gpx', 's3cret', now + 60000);
+
+    assert.equal(signed.expires, now / 1000 + 60);
+    assert.equal(verifyPath('/items/attraction/5/export.gpx', signed, 's3cret', now), true);
+    assert.equal(verifyPath('/items/attraction/5/export.gpx', { ...signed, expires: String(signed.expires) }, 's3cret', now), true);
+    assert.equal(verifyPath('/items/attraction/6/export.gpx', signed, 's3cret', now), false);
+    assert.equal(verifyPath('/items/attraction/5/export.gpx', signed, 'other', now), false);
+    assert.equal(verifyPath('/items/attraction/5/export.gpx', signed, 's3cret', now + 60000), false);
+    assert.equal(verifyPath('/items/attraction/5/export.gpx', {}, 's3cret', now), false);
+  });
+
+  it('allows any origin unless ALLOWED_ORIGINS lists some', () => {
+    assert.equal(parseOrigins(''), null);
+    assert.equal(parseOrigins('*'), null);
+
+    const allowed = parseOrigins('https://app.example.com/, http://localhost:8080');
+    assert.deepEqual(allowed, ['https://app.example.com', 'http://localhost:8080']);
+    assert.equal(isOriginAllowed('https://app.example.com', allowed), true);
+    assert.equal(isOriginAllowed('https://evil.example.com', allowed), false);
+    assert.equal(isOriginAllowed(undefined, allowed), true);
+    assert.equal(isOriginAllowed('https://evil.example.com', null), true);
+  });
+
+  it('reads TRUST_PROXY as hops, true or trusted addresses', () => {
+    assert.equal(parseTrustProxy(undefined), false);
+    assert.equal(parseTrustProxy('false'), false);
+    assert.equal(parseTrustProxy('true'), true);
+    assert.equal(parseTrustProxy('1'), 1);
+    assert.deepEqual(parseTrustProxy('loopback, 10.0.0.0/8'), ['loopback', '10.0.0.0/8']);
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCriterion, findIncompatible, compareItems } = require('../lib/comparison');
+const { catalog } = require('./helpers');
+
+const byName = (name) => [...catalog.attractions, ...catalog.amenities].find(item => item.name === name);
+const hotel = (name) => ({ type: 'amenity', category: 'hotel', item: byName(name) });
+const karam = hotel('Hotel Karam Palace');
+const kenzi = hotel('Hotel Kenzi Rissani');
+const riad = { type: 'amenity', category: 'guesthouse', item: byName('Riad Dar Sidi Bounou') };
+const mimi = { type: 'amenity', category: 'restaurant', item: byName('Restaurant Chez Mimi') };
+
+describe('comparison', () => {
+  it('parseCriterion maps spoken criteria to attributes', () => {
+    assert.equal(parseCriterion('cheaper'), 'price');
+    assert.equal(parseCriterion('moins cher'), 'price');
+    assert.equal(parseCriterion('more stars'), 'stars');
+    assert.equal(parseCriterion('nicer'), null);
+  });
+
+  it('findIncompatible groups places to stay and places to eat', () => {
+    assert.equal(findIncompatible([karam, riad]), null);
+    assert.equal(findIncompatible([karam, mimi]), mimi);
+    assert.equal(findIncompatible([{ type: 'attraction', category: 'natural', item: byName('Todra Gorge') }, { type: 'attraction', category: 'cultural', item: byName('Kasbah Amridil') }]), null);
+  });
+
+  it('lines attributes up and marks the winners', () => {
+    const { rows, distances, facts } = compareItems([karam, kenzi]);
+    const row = (key) => rows.find(entry => entry.key === key);
+
+    assert.deepEqual(rows.map(entry => entry.key), ['price', 'stars', 'rooms', 'pool']);
+    assert.deepEqual(row('price'), { key: 'price', values: [900, 650], best: [1] });
+    assert.deepEqual(row('stars').best, []);
+    assert.deepEqual(row('pool'), { key: 'pool', values: [true, false], best: [0] });
+    assert.deepEqual(facts.map(fact => fact.key), ['price', 'rooms', 'pool']);
+    assert.equal(distances.length, 1);
+    assert.ok(distances[0].km > 200 && distances[0].km < 300);
+  });
+
+  it('puts the asked criterion first and reports ties on it', () => {
+    assert.equal(compareItems([karam, kenzi], { focus: 'pool' }).facts[0].key, 'pool');
+
+    const tie = compareItems([karam, kenzi], { focus: 'stars' }).facts[0];
+    assert.deepEqual(tie, { key: 'stars', winners: [], value: 4, tie: true });
+  });
+
+  it('compares entry fees and rooms across kinds of place', () => {
+    const kasbah = { type: 'attraction', category: 'cultural', item: byName('Kasbah Amridil') };
+    const dunes = { type: 'attraction', category: 'natural', item: byName('Erg Chebbi Dunes') };
+    assert.deepEqual(compareItems([kasbah, dunes]).rows[0], { key: 'price', values: [20, 0], best: [1] });
+    assert.deepEqual(compareItems([karam, riad]).rows.find(row => row.key === 'rooms').values, [120, 8]);
+  });
+});
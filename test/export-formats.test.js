@@ -0,0 +1,116 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ExportFormats = require('../lib/export-formats');
+const { normalizeRecord } = require('../lib/catalog-model');
+
+const place = (fields = {}) => ({
+  id: 'attraction:1',
+  type: 'attraction',
+  name: 'Kasbah Amridil',
+  city: 'Skoura',
+  latitude: 31.06,
+  longitude: -6.55,
+  url: 'https://www.google.com/maps?q=31.06,-6.55',
+  ...fields
+});
+
+describe('export format names', () => {
+  it('understands spoken formats and targets in every language', () => {
+    assert.equal(ExportFormats.parseFormat('GPX'), 'gpx');
+    assert.equal(ExportFormats.parseFormat('calendrier'), 'ics');
+    assert.equal(ExportFormats.parseFormat('خريطة'), 'geojson');
+    assert.equal(ExportFormats.parseFormat('pdf'), null);
+
+    assert.equal(ExportFormats.parseSource('this list'), 'results');
+    assert.equal(ExportFormats.parseSource('mes favoris'), 'favorites');
+    assert.equal(ExportFormats.parseSource('itinéraire'), 'itinerary');
+    assert.equal(ExportFormats.parseSource('it'), 'item');
+    assert.equal(ExportFormats.parseSource(undefined), null);
+  });
+});
+
+describe('Casablanca local time', () => {
+  it('converts local times to UTC, including the Ramadan offset', () => {
+    assert.equal(ExportFormats.localTime('2026-10-20', 9 * 60).toISOString(), '2026-10-20T08:00:00.000Z');
+    assert.equal(ExportFormats.localTime('2026-03-01', 9 * 60).toISOString(), '2026-03-01T09:00:00.000Z');
+    assert.equal(ExportFormats.localDate(new Date('2026-10-20T23:30:00Z'), 1), '2026-10-22');
+  });
+});
+
+describe('events', () => {
+  it('schedules an activity from its opening time for its duration', () => {
+    const { entity: item } = normalizeRecord({
+      id_Activity: 7, name: 'Camel trek', duration: '2 hours', openingHours: '16:00-20:00', locationOfTheActivity: 'Erg Chebbi', cityOfTheActivity: 'Merzouga'
+    }, { type: 'activity' });
+    const event = ExportFormats.activityEvent(place({ id: 'activity:7', type: 'activity', name: 'Camel trek' }), item, '2026-10-20');
+
+    assert.equal(event.start.toISOString(), '2026-10-20T15:00:00.000Z');
+    assert.equal(event.end.toISOString(), '2026-10-20T17:00:00.000Z');
+    assert.equal(event.location, 'Erg Chebbi, Merzouga');
+  });
+
+  it('lays itinerary stops back to back from each slot start, one day after another', () => {
+    const stop = (id, fields = {}) => ({ id, type: 'attraction', name: id, city: 'Ouarzazate', latitude: 30.9, longitude: -6.9, durationMinutes: 90, ...fields });
+    const plan = {
+      days: [
+        { day: 1, slots: { morning: [stop('a'), stop('b')], afternoon: [], evening: [stop('c', { type: 'amenity', durationMinutes: undefined })] } },
+        { day: 2, slots: { morning: [], afternoon: [stop('d', { durationMinutes: 120 })], evening: [] } }
+      ]
+    };
+
+    const events = ExportFormats.itineraryEvents(plan, '2026-10-20');
+    assert.deepEqual(events.map(event => [event.id, event.start.toISOString(), event.end.toISOString()]), [
+      ['a:day1', '2026-10-20T08:00:00.000Z', '2026-10-20T09:30:00.000Z'],
+      ['b:day1', '2026-10-20T09:30:00.000Z', '2026-10-20T11:00:00.000Z'],
+      ['c:day1', '2026-10-20T18:00:00.000Z', '2026-10-20T19:30:00.000Z'],
+      ['d:day2', '2026-10-21T13:00:00.000Z', '2026-10-21T15:00:00.000Z']
+    ]);
+  });
+});
+
+describe('GeoJSON and GPX', () => {
+  it('writes places with a position as points', () => {
+    const geojson = ExportFormats.toGeoJson([place({ category: 'historical' }), place({ id: 'activity:2', latitude: null, longitude: null })]);
+
+    assert.equal(geojson.type, 'FeatureCollection');
+    assert.equal(geojson.features.length, 1);
+    assert.deepEqual(geojson.features[0].geometry, { type: 'Point', coordinates: [-6.55, 31.06] });
+    assert.equal(geojson.features[0].properties.category, 'historical');
+  });
+
+  it('writes waypoints and one route per day, escaping names', () => {
+    const gpx = ExportFormats.toGpx([place({ name: 'Café <Atlas> & Co' })], {
+      name: 'My trip',
+      routes: [{ name: 'Day 1', places: [place()] }, { name: 'Day 2', places: [] }]
+    });
+
+    assert.match(gpx, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<gpx version="1.1"/);
+    assert.match(gpx, /<wpt lat="31.06" lon="-6.55">\n {4}<name>Café &lt;Atlas&gt; &amp; Co<\/name>/);
+    assert.equal(gpx.match(/<rte>/g).length, 1);
+    assert.match(gpx, /<rtept lat="31.06" lon="-6.55">/);
+  });
+});
+
+describe('iCalendar', () => {
+  it('writes UTC events with escaped text and folded lines', () => {
+    const ics = ExportFormats.toIcs([{
+      ...place({ id: 'activity:7', name: 'Camel trek; sunset, dunes' }),
+      location: 'Erg Chebbi',
+      start: new Date('2026-10-20T15:00:00Z'),
+      end: new Date('2026-10-20T17:00:00Z'),
+      description: 'A long ride through the dunes of Erg Chebbi with a stop at a nomad camp for tea and music.'
+    }], { now: new Date('2026-10-19T10:00:00Z') });
+
+    const lines = ics.split('\r\n');
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.ok(lines.includes('UID:activity:7@tourism-bot'));
+    assert.ok(lines.includes('DTSTAMP:20261019T100000Z'));
+    assert.ok(lines.includes('DTSTART:20261020T150000Z'));
+    assert.ok(lines.includes('DTEND:20261020T170000Z'));
+    assert.ok(lines.includes('SUMMARY:Camel trek\\; sunset\\, dunes'));
+    assert.ok(lines.includes('GEO:31.06;-6.55'));
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+    assert.ok(lines.some(line => line.startsWith(' ')));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  });
+});
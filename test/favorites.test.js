@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FavoritesStore, createFavoritesStore, isValidUserId } = require('../lib/favorites');
+const { MemorySessionStore } = require('../lib/session-stores');
+const { fixtures, catalog } = require('./helpers');
+
+const [dunes] = catalog.attractions;
+const kasbah = catalog.attractions.find(item => item.name === 'Kasbah Amridil');
+const [trek] = catalog.activities;
+
+describe('favorites store', () => {
+  it('adds favorites keyed on the entity id, once each', async () => {
+    const store = new FavoritesStore(new MemorySessionStore());
+
+    assert.equal((await store.add('u1', dunes)).added, true);
+    assert.equal((await store.add('u1', trek)).added, true);
+    const again = await store.add('u1', dunes);
+
+    assert.equal(again.added, false);
+    assert.deepEqual((await store.list('u1')).map(favorite => favorite.key), ['attraction:1', 'activity:201']);
+    assert.deepEqual(await store.list('u2'), []);
+  });
+
+  it('removes by type and id and reports unknown ones', async () => {
+    const store = new FavoritesStore(new MemorySessionStore());
+    await store.add('u1', kasbah);
+
+    assert.equal((await store.remove('u1', 'attraction', '5')).name, 'Kasbah Amridil');
+    assert.equal(await store.remove('u1', 'attraction', 5), null);
+    assert.deepEqual(await store.list('u1'), []);
+  });
+
+  it('keeps concurrent saves', async () => {
+    const store = new FavoritesStore(new MemorySessionStore());
+    await Promise.all(catalog.attractions.map(item => store.add('u1', item)));
+
+    assert.equal((await store.list('u1')).length, catalog.attractions.length);
+  });
+
+  it('persists to a file without expiry', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'favorites-'));
+    const env = { FAVORITES_STORE: 'file', FAVORITES_FILE: path.join(dir, 'favorites.json') };
+
+    const store = createFavoritesStore(env);
+    await store.add('u1', kasbah);
+    await store.close();
+
+    const reopened = createFavoritesStore(env);
+    assert.deepEqual((await reopened.list('u1')).map(favorite => favorite.item), [kasbah]);
+    await reopened.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('normalizes favorites saved as API records', async () => {
+    const sessions = new MemorySessionStore();
+    const legacy = (item) => ({ key: `attraction:${item.id_Location}`, type: 'attraction', id: item.id_Location, name: item.name, item });
+    await sessions.set('favorites:u1', { favorites: [legacy(fixtures.attractions[4]), legacy({ id_Location: 99 })] });
+
+    assert.deepEqual((await new FavoritesStore(sessions).list('u1')).map(favorite => favorite.item), [kasbah]);
+  });
+
+  it('keeps favorites it can\'t read when saving or removing others', async () => {
+    const sessions = new MemorySessionStore();
+    const unreadable = { key: 'attraction:99', type: 'attraction', id: 99, name: null, item: { id_Location: 99 } };
+    await sessions.set('favorites:u1', { favorites: [unreadable] });
+    const favorites = new FavoritesStore(sessions);
+
+    await favorites.add('u1', kasbah);
+    await favorites.remove('u1', 'attraction', 5);
+    assert.deepEqual((await sessions.get('favorites:u1')).favorites, [unreadable]);
+    assert.deepEqual(await favorites.list('u1'), []);
+  });
+
+  it('rejects unknown store types and odd user ids', () => {
+    assert.throws(() => createFavoritesStore({ FAVORITES_STORE: 'mongo' }), /Unknown FAVORITES_STORE/);
+    assert.equal(isValidUserId('user-42@example.com'), true);
+    assert.equal(isValidUserId('../etc'), false);
+    assert.equal(isValidUserId(''), false);
+    assert.equal(isValidUserId(undefined), false);
+  });
+});
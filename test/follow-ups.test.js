@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTopic, parseWeekday, answerFollowUp } = require('../lib/follow-ups');
+const { catalog } = require('./helpers');
+
+const byName = (items, name) => items.find(item => item.name === name);
+const kasbah = byName(catalog.attractions, 'Kasbah Amridil');
+const trek = byName(catalog.activities, 'Camel Trek in Erg Chebbi');
+const FRIDAY = 5;
+
+describe('follow-up questions', () => {
+  it('parseTopic maps spoken topics in every language', () => {
+    assert.equal(parseTopic('Entry fee'), 'price');
+    assert.equal(parseTopic('horaires'), 'hours');
+    assert.equal(parseTopic('ouvert maintenant'), 'openNow');
+    assert.equal(parseTopic('مدة'), 'duration');
+    assert.equal(parseTopic('weather'), null);
+  });
+
+  it('parseWeekday reads day names and Dialogflow dates in Morocco time', () => {
+    assert.equal(parseWeekday('Friday'), FRIDAY);
+    assert.equal(parseWeekday('vendredi'), FRIDAY);
+    assert.equal(parseWeekday('الجمعة'), FRIDAY);
+    assert.equal(parseWeekday('2026-10-23T12:00:00+01:00'), FRIDAY);
+    assert.equal(parseWeekday('someday'), null);
+  });
+
+  it('answerFollowUp reads the field that fits the item type', () => {
+    assert.deepEqual(answerFollowUp('attraction', kasbah, 'price'), { topic: 'price', field: 'entryFee', value: 20 });
+    assert.deepEqual(answerFollowUp('activity', trek, 'price'), { topic: 'price', field: 'price', value: 350 });
+    assert.equal(answerFollowUp('activity', trek, 'age').value, 6);
+    assert.equal(answerFollowUp('activity', trek, 'duration').value, '2h');
+    assert.equal(answerFollowUp('attraction', kasbah, 'guide').value, true);
+    assert.equal(answerFollowUp('activity', trek, 'hours').value, undefined);
+    assert.deepEqual(answerFollowUp('attraction', byName(catalog.attractions, 'Mausoleum of Moulay Ali Cherif'), 'hours', { weekday: FRIDAY }), {
+      topic: 'hours', field: 'openingHours', value: 'Sat-Thu 09:00-17:00, closed Friday', weekday: FRIDAY, openOnDay: false
+    });
+    assert.deepEqual(answerFollowUp('attraction', kasbah, 'openNow', { now: new Date('2026-06-15T22:30:00Z') }), {
+      topic: 'openNow', field: 'isOpenNow', value: false, nextOpening: '2026-06-16T07:00:00.000Z', hours: '08:00-18:00', ramadan: false
+    });
+    assert.equal(answerFollowUp('activity', trek, 'openNow').value, undefined);
+    assert.equal(answerFollowUp('amenity', catalog.amenities[3], 'facility', { facilityField: 'hasSwimmingPool' }).value, true);
+    assert.equal(answerFollowUp('amenity', catalog.amenities[0], 'facility', { facilityField: null }).value, undefined);
+  });
+});
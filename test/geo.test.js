@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { haversineKm, parseCoordinates, parseRadiusKm, rankByDistance } = require('../lib/geo');
+
+describe('geo helpers', () => {
+  it('haversineKm computes great-circle distances', () => {
+    const errachidia = { latitude: 31.9314, longitude: -4.4244 };
+    const merzouga = { latitude: 31.0990, longitude: -4.0110 };
+
+    assert.equal(haversineKm(errachidia, errachidia), 0);
+    assert.ok(Math.abs(haversineKm(errachidia, merzouga) - 100.4) < 1);
+  });
+
+  it('parseCoordinates accepts numbers and numeric strings within range', () => {
+    assert.deepEqual(parseCoordinates('31.1', -4), { latitude: 31.1, longitude: -4 });
+    assert.equal(parseCoordinates(91, 0), null);
+    assert.equal(parseCoordinates('abc', 0), null);
+    assert.equal(parseCoordinates(undefined, 0), null);
+    assert.equal(parseCoordinates(null, null), null);
+  });
+
+  it('parseRadiusKm understands units and Dialogflow unit-length values', () => {
+    assert.equal(parseRadiusKm(undefined, 20), 20);
+    assert.equal(parseRadiusKm(15, 20), 15);
+    assert.equal(parseRadiusKm('20 km', 10), 20);
+    assert.equal(parseRadiusKm('500 m', 10), 0.5);
+    assert.equal(parseRadiusKm({ amount: 2, unit: 'mi' }, 10).toFixed(2), '3.22');
+    assert.equal(parseRadiusKm('nearby', 10), 10);
+    assert.equal(parseRadiusKm(-5, 10), 10);
+  });
+
+  it('rankByDistance filters by radius, sorts and annotates', () => {
+    const origin = { latitude: 31.0990, longitude: -4.0110 };
+    const items = [
+      { name: 'far', latitude: 31.9314, longitude: -4.4244 },
+      { name: 'near', latitude: 31.1200, longitude: -3.9800 },
+      { name: 'here', latitude: 31.0990, longitude: -4.0110 },
+      { name: 'unknown' }
+    ];
+
+    assert.deepEqual(rankByDistance(items, origin, 10).map(item => [item.name, item.distanceKm]), [['here', 0], ['near', 3.8]]);
+  });
+});
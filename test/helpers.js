@@ -0,0 +1,46 @@
+const { createMockResolver } = require('../mock/server');
+const fixtures = require('../mock/fixtures');
+const { normalizeCatalog } = require('../lib/catalog-model');
+
+let sessionCounter = 0;
+
+// The fixtures as the catalog model hands them to handlers
+const catalog = {
+  attractions: normalizeCatalog(fixtures.attractions, { type: 'attraction' }).entities,
+  amenities: normalizeCatalog(fixtures.amenities, { type: 'amenity' }).entities,
+  activities: normalizeCatalog(fixtures.activities, { type: 'activity' }).entities
+};
+
+// Routes ApiService.makeCall to the mock fixtures instead of the network
+function stubApi(t, ApiService, catalogCache, data = fixtures) {
+  const resolve = createMockResolver(data);
+  catalogCache.invalidate();
+
+  return t.mock.method(ApiService, 'makeCall', async (url) => {
+    const { status, body } = resolve(new URL(url).pathname);
+    if (status >= 400) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status, data: body };
+      throw error;
+    }
+    return { data: body };
+  });
+}
+
+function queryResult(displayName, parameters = {}) {
+  return { queryText: displayName, intent: { displayName }, parameters };
+}
+
+function newSessionId() {
+  sessionCounter += 1;
+  return `test-session-${process.pid}-${sessionCounter}`;
+}
+
+// Starts an http.Server on a random port and resolves its base URL
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+module.exports = { stubApi, queryResult, newSessionId, listen, fixtures, catalog };
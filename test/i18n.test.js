@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MESSAGES, normalizeLanguage, detectLanguage, translate, createTranslator } = require('../lib/i18n');
+
+describe('message catalog', () => {
+  it('has every English message in French and Arabic', () => {
+    const keys = Object.keys(MESSAGES.en);
+    for (const language of ['fr', 'ar']) {
+      assert.deepEqual(keys.filter(key => !(key in MESSAGES[language])), [], `missing ${language} messages`);
+    }
+  });
+
+  it('normalizeLanguage reduces locales to supported languages', () => {
+    assert.equal(normalizeLanguage('fr-FR'), 'fr');
+    assert.equal(normalizeLanguage('ar_MA'), 'ar');
+    assert.equal(normalizeLanguage('EN'), 'en');
+    assert.equal(normalizeLanguage('es'), null);
+    assert.equal(normalizeLanguage(undefined), null);
+  });
+
+  it('detectLanguage recognises Arabic script and French or English wording', () => {
+    assert.equal(detectLanguage('فنادق في مرزوكة'), 'ar');
+    assert.equal(detectLanguage('montre-moi les hôtels à Merzouga'), 'fr');
+    assert.equal(detectLanguage('show me the hotels in Merzouga'), 'en');
+    assert.equal(detectLanguage('Merzouga'), null);
+    assert.equal(detectLanguage('ok'), null);
+  });
+
+  it('picks plural forms with the language rules', () => {
+    const count = (language, n) => translate(language, 'count.attractions', { count: n });
+
+    assert.equal(count('en', 1), '1 attraction');
+    assert.equal(count('en', 0), '0 attractions');
+    assert.equal(count('fr', 0), '0 attraction');
+    assert.equal(count('fr', 2), '2 attractions');
+    assert.equal(count('ar', 1), 'معلمًا سياحيًا واحدًا');
+    assert.equal(count('ar', 2), 'معلمين سياحيين');
+    assert.equal(count('ar', 5), '5 معالم سياحية');
+    assert.equal(count('ar', 12), '12 معلمًا سياحيًا');
+  });
+
+  it('falls back to English and then to the key', () => {
+    assert.equal(translate('de', 'content.none', { contentType: 'cafes' }), 'No cafes found.');
+    assert.equal(translate('fr', 'no.such.key'), 'no.such.key');
+  });
+
+  it('prefers template overrides, in the language first', () => {
+    const templates = { en: { welcome: 'Hi!', 'list.separator': ' / ' }, fr: { 'content.none': 'Aucun {contentType}.' } };
+
+    assert.equal(translate('en', 'welcome', {}, templates), 'Hi!');
+    assert.equal(translate('fr', 'content.none', { contentType: 'café' }, templates), 'Aucun café.');
+    assert.equal(translate('fr', 'welcome', {}, templates), MESSAGES.fr.welcome);
+    assert.equal(createTranslator('en', templates).list(['a', 'b', 'c']), 'a / b or c');
+  });
+
+  it('createTranslator exposes direction, Dialogflow code and list joining', () => {
+    const ar = createTranslator('ar-MA');
+    const fr = createTranslator('fr');
+
+    assert.equal(ar.direction, 'rtl');
+    assert.equal(ar.dialogflowCode, 'ar');
+    assert.equal(ar.list(['أ', 'ب', 'ج']), 'أ، ب أو ج');
+    assert.equal(fr.list(['Merzouga', 'Rissani']), 'Merzouga ou Rissani');
+    assert.equal(createTranslator('xx').language, 'en');
+  });
+});
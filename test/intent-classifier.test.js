@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { classify, FALLBACK_INTENT, MIN_CONFIDENCE } = require('../lib/intent-classifier');
+const { NameIndex } = require('../lib/name-index');
+const { parseTimeOfDay } = require('../lib/opening-hours');
+const { fixtures } = require('./helpers');
+
+const index = NameIndex.fromCatalog(fixtures);
+const slotParsers = {
+  'amenity-type': (text) => ['hotels', 'restaurants', 'cafes'].includes(text),
+  interests: (text) => ['nature', 'with kids'].includes(text),
+  'time-of-day': (text) => parseTimeOfDay(text) !== null
+};
+const run = (message, options = {}) => classify(message, { mentions: index.findMentions(message), slotParsers, ...options });
+
+describe('local intent classifier', () => {
+  it('recognizes list intents in English, French and Arabic', () => {
+    assert.equal(run('show me hotels').intent, 'Ask_Hotels');
+    assert.equal(run('montre-moi les cafés').intent, 'Ask_Cafes');
+    assert.equal(run('المطاعم').intent, 'Ask_Restaurants');
+    assert.equal(run('what can I do?').intent, 'Ask_All_Activities');
+  });
+
+  it('fills city and item slots from catalog mentions', () => {
+    assert.deepEqual(run('hotels in warzazat please'), {
+      intent: 'Ask_Filtered_Amenities',
+      confidence: 1,
+      parameters: { 'amenity-type': 'hotels', city: 'Ouarzazate' }
+    });
+    assert.equal(run('activités à Zagora').intent, 'Ask_Activities_By_City');
+
+    const details = run('tell me about kasbah amridil');
+    assert.equal(details.intent, 'Ask_Attraction_Details');
+    assert.equal(details.parameters['attraction-name'], 'Kasbah Amridil');
+
+    const compare = run('compare Hotel Karam Palace and Hotel Kenzi Rissani');
+    assert.equal(compare.intent, 'Compare_Items');
+    assert.deepEqual(compare.parameters.items, ['Hotel Karam Palace', 'Hotel Kenzi Rissani']);
+  });
+
+  it('reads numbers, weekdays and vocabulary parameters', () => {
+    assert.deepEqual(run('plan a three day trip from Errachidia').parameters, { city: 'Errachidia', number: 3, days: 3, page: 3, day: 3 });
+    assert.equal(run('swap day 1 and day 3').parameters['other-day'], 3);
+    assert.equal(run('go to page ٢').parameters.page, 2);
+    assert.equal(run('is it open on vendredi?').parameters['day-of-week'], 'friday');
+    assert.equal(run('hotels under 800').parameters['max-price'], 800);
+    assert.equal(run('hotels under 1,500 MAD').parameters['max-price'], 1500);
+    assert.equal(run('4 star hotels').parameters.stars, 4);
+    assert.deepEqual(run('I like nature, with kids').parameters.interests, ['nature', 'with kids']);
+  });
+
+  it('tells "is it open now?" about a place from "what is open tonight?" in a city', () => {
+    const place = run('Is Kasbah Taourirt open now?');
+    assert.equal(place.intent, 'Ask_Open_Now');
+    assert.equal(place.parameters['attraction-name'], 'Kasbah Taourirt');
+    assert.equal(run('est-il ouvert maintenant ?').intent, 'Ask_Open_Now');
+    assert.equal(run('هل هو مفتوح الآن؟').intent, 'Ask_Open_Now');
+
+    const city = run("What's open tonight in Merzouga?");
+    assert.equal(city.intent, 'Ask_Open_In_City');
+    assert.equal(city.parameters.city, 'Merzouga');
+    assert.equal(city.parameters['time-of-day'], 'tonight');
+    assert.deepEqual(run('restaurants ouverts ce soir à Zagora').parameters, { 'amenity-type': 'restaurants', 'time-of-day': 'ce soir', city: 'Zagora' });
+  });
+
+  it('understands French follow-ups written with apostrophes and hyphens', () => {
+    assert.deepEqual(run("dis m'en plus"), { intent: 'Ask_Item_FollowUp', confidence: 1, parameters: {} });
+    assert.equal(run('dis-moi en plus').intent, 'Ask_Item_FollowUp');
+    assert.equal(run("qu'y a-t-il à proximité ?").intent, 'FollowUp_Nearby');
+  });
+
+  it('only takes yes and no as follow-up answers while the follow-up is pending', () => {
+    assert.equal(run('yes', { contexts: ['map-followup'] }).intent, 'Map_Request_Yes');
+    assert.equal(run('oui', { contexts: ['pagination-followup'] }).intent, 'Pagination_ShowMore');
+    assert.equal(run('non merci', { contexts: ['pagination-followup'] }).intent, 'Pagination_Decline');
+    assert.equal(run('yes').intent, FALLBACK_INTENT);
+  });
+
+  it('falls back below the confidence threshold', () => {
+    const result = run('qwerty zxcv');
+    assert.equal(result.intent, FALLBACK_INTENT);
+    assert.ok(result.confidence < MIN_CONFIDENCE);
+  });
+});
@@ -0,0 +1,966 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ApiService, CatalogSearch, Localization, Preferences, catalogCache, ramadanSchedule, processDialogflowResponse } = require('../index');
+const Payloads = require('../lib/payloads');
+const { INTENTS } = require('../lib/intent-classifier');
+const { stubApi, queryResult, newSessionId, fixtures } = require('./helpers');
+
+const LIST_INTENTS = [
+  // [intent, payload type, content type, expected count]
+  ['Ask_All_Attractions', 'attractions_list_with_more', 'attractions', 10],
+  ['Ask_Natural_Attractions', 'attractions_list', 'attractions', fixtures.attractionsByType.natural.length],
+  ['Ask_Cultural_Attractions', 'attractions_list', 'attractions', fixtures.attractionsByType.cultural.length],
+  ['Ask_Historical_Attractions', 'attractions_list', 'attractions', fixtures.attractionsByType.historical.length],
+  ['Ask_Artificial_Attractions', 'attractions_list', 'attractions', fixtures.attractionsByType.artificial.length],
+  ['Ask_All_Amenities', 'amenities_list_with_more', 'amenities', 10],
+  ['Ask_Restaurants', 'amenities_list', 'amenities', fixtures.amenitiesByType.restaurants.length],
+  ['Ask_Hotels', 'amenities_list', 'amenities', fixtures.amenitiesByType.hotels.length],
+  ['Ask_Lodges', 'amenities_list', 'amenities', fixtures.amenitiesByType.lodges.length],
+  ['Ask_GuestHouses', 'amenities_list', 'amenities', fixtures.amenitiesByType.guesthouses.length],
+  ['Ask_Camping', 'amenities_list', 'amenities', fixtures.amenitiesByType.camping.length],
+  ['Ask_Cafes', 'amenities_list', 'amenities', fixtures.amenitiesByType.cafes.length],
+  ['Ask_All_Activities', 'activities_list', 'activities', fixtures.activities.length],
+  ['Ask_Adventure_Activities', 'activities_list', 'activities', fixtures.activitiesByType.adventure.length],
+  ['Ask_Sportive_Activities', 'activities_list', 'activities', fixtures.activitiesByType.sportive.length],
+  ['Ask_Cultural_Activities', 'activities_list', 'activities', fixtures.activitiesByType.cultural.length],
+  ['Ask_Traditional_Activities', 'activities_list', 'activities', fixtures.activitiesByType.traditional.length]
+];
+
+const LIST_ACTIONS = ['view_details', 'get_directions', 'add_favorite'];
+
+describe('processDialogflowResponse', () => {
+  beforeEach((t) => {
+    stubApi(t, ApiService, catalogCache);
+    CatalogSearch.invalidate();
+  });
+
+  describe('category list intents', () => {
+    for (const [intent, type, contentType, count] of LIST_INTENTS) {
+      it(`${intent} returns a ${type} payload`, async () => {
+        const response = await processDialogflowResponse(queryResult(intent), newSessionId());
+        const { flutter } = response.payload;
+
+        assert.equal(flutter.type, type);
+        assert.equal(flutter.data[contentType].length, count);
+        assert.equal(flutter.data.count, count);
+        assert.deepEqual(flutter.actions.map(action => action.type), LIST_ACTIONS);
+        assert.match(response.fulfillmentText, /^I found \d+/);
+      });
+    }
+
+    it('reports an empty category', async (t) => {
+      stubApi(t, ApiService, catalogCache, { ...fixtures, amenitiesByType: { ...fixtures.amenitiesByType, cafes: [] } });
+      const response = await processDialogflowResponse(queryResult('Ask_Cafes'), newSessionId());
+
+      assert.equal(response.fulfillmentText, 'No amenities found.');
+      assert.equal(response.payload, undefined);
+    });
+
+    it('reports upstream failures without throwing', async (t) => {
+      t.mock.method(ApiService, 'makeCall', async () => { throw new Error('ECONNRESET'); });
+      const response = await processDialogflowResponse(queryResult('Ask_Hotels'), newSessionId());
+
+      assert.equal(response.fulfillmentText, 'Having trouble finding amenities.');
+    });
+  });
+
+  describe('city intents', () => {
+    it('Ask_Attractions_By_City keeps only attractions', async () => {
+      const response = await processDialogflowResponse(
+        queryResult('Ask_Attractions_By_City', { city_names: 'ouarzazate' }), newSessionId()
+      );
+      const { flutter } = response.payload;
+
+      assert.equal(flutter.type, 'attractions_list');
+      assert.equal(flutter.category, 'city_attractions_ouarzazate');
+      assert.equal(flutter.data.cityName, 'Ouarzazate');
+      assert.deepEqual(flutter.data.attractions.map(item => item.name).sort(),
+        ['Atlas Film Studios', 'Kasbah Taourirt', 'Noor Ouarzazate Solar Complex']);
+    });
+
+    it('Ask_Amenities_By_City accepts the geo-city parameter', async () => {
+      const response = await processDialogflowResponse(
+        queryResult('Ask_Amenities_By_City', { 'geo-city': 'Merzouga' }), newSessionId()
+      );
+
+      assert.equal(response.payload.flutter.type, 'amenities_list');
+      assert.ok(response.payload.flutter.data.amenities.every(item => item.city === 'Merzouga'));
+      assert.equal(response.fulfillmentText, `I found ${response.payload.flutter.data.count} amenities in Merzouga!`);
+    });
+
+    it('Ask_Activities_By_City matches the activity city, ignoring case and accents', async () => {
+      for (const city of ['merzouga', 'MERZOUGA', 'Mérzouga']) {
+        const response = await processDialogflowResponse(queryResult('Ask_Activities_By_City', { city }), newSessionId());
+        const { flutter } = response.payload;
+
+        assert.equal(flutter.type, 'activities_list');
+        assert.deepEqual(flutter.data.activities.map(item => item.name).sort(),
+          ['Camel Trek in Erg Chebbi', 'Gnawa Music Evening', 'Sandboarding']);
+      }
+    });
+
+    it('Ask_Activities_By_City also matches the activity location', async () => {
+      const byLocation = await processDialogflowResponse(
+        queryResult('Ask_Activities_By_City', { city_names: 'Erg Chebbi' }), newSessionId()
+      );
+      assert.deepEqual(byLocation.payload.flutter.data.activities.map(item => item.name).sort(),
+        ['Camel Trek in Erg Chebbi', 'Sandboarding']);
+
+      const withApostrophe = await processDialogflowResponse(
+        queryResult('Ask_Activities_By_City', { city: 'mhamid el ghizlane' }), newSessionId()
+      );
+      assert.equal(withApostrophe.payload.flutter.data.activities[0].name, '4x4 Desert Expedition');
+    });
+
+    it('Ask_Activities_By_City reports cities without activities', async () => {
+      const response = await processDialogflowResponse(
+        queryResult('Ask_Activities_By_City', { city: 'Midelt' }), newSessionId()
+      );
+      assert.equal(response.fulfillmentText, 'No activities found in Midelt.');
+    });
+
+    it('asks for a city when none is given', async () => {
+      const response = await processDialogflowResponse(queryResult('Ask_Amenities_By_City'), newSessionId());
+      assert.equal(response.fulfillmentText, "Please tell me which city you're interested in for amenities.");
+    });
+
+    it('reports unknown cities', async () => {
+      const response = await processDialogflowResponse(
+        queryResult('Ask_Attractions_By_City', { city: 'Atlantis' }), newSessionId()
+      );
+      assert.match(response.fulfillmentText, /couldn't find attractions information about "Atlantis"/);
+    });
+  });
+
+  describe('fuzzy matching', () => {
+    it('resolves misspelled and transliterated cities with a single upstream lookup', async (t) => {
+      for (const city of ['Ouarzazat', 'Warzazat', 'ورزازات']) {
+        const makeCall = stubApi(t, ApiService, catalogCache);
+        const response = await processDialogflowResponse(queryResult('Ask_Attractions_By_City', { city }), newSessionId());
+
+        assert.equal(response.payload.flutter.data.cityName, 'Ouarzazate');
+        assert.equal(response.payload.flutter.category, 'city_attractions_ouarzazate');
+        const cityCalls = makeCall.mock.calls.filter(call => call.arguments[0].includes('/getLocationByCity/'));
+        assert.equal(cityCalls.length, 1);
+        assert.match(cityCalls[0].arguments[0], /getLocationByCity\/Ouarzazate$/);
+      }
+    });
+
+    it('suggests close city names', async () => {
+      const response = await processDialogflowResponse(
+        queryResult('Ask_Amenities_By_City', { city: 'Merzoga' }), newSessionId()
+      );
+
+      assert.equal(response.fulfillmentText, 'I couldn\'t find "Merzoga". Did you mean Merzouga?');
+      assert.deepEqual(response.payload.flutter, {
+        type: 'suggestions',
+        data: { query: 'Merzoga', searchType: 'city', suggestions: [{ name: 'Merzouga', type: 'city' }] },
+        locale: { language: 'en', direction: 'ltr' }
+      });
+    });
+
+    it('suggests the closest names for a misspelled item', async () => {
+      const response = await processDialogflowResponse(
+        queryResult('Ask_Attraction_Details', { 'attraction-name': 'Erg Chigga' }), newSessionId()
+      );
+
+      assert.equal(response.payload.flutter.type, 'suggestions');
+      assert.equal(response.payload.flutter.data.suggestions[0].name, 'Erg Chigaga');
+      assert.match(response.fulfillmentText, /^I couldn't find "Erg Chigga"\. Did you mean Erg Chigaga/);
+    });
+
+    it('uses the full name for an unambiguous partial match', async () => {
+      const response = await processDialogflowResponse(
+        queryResult('Ask_Activity_Details', { 'activity-name': 'pottery workshop' }), newSessionId()
+      );
+      assert.equal(response.payload.flutter.data.activity.name, 'Pottery Workshop in Tamegroute');
+    });
+
+    it('falls back to the upstream lookup when the catalog is unavailable', async (t) => {
+      t.mock.method(ApiService, 'getCatalog', async () => { throw new Error('upstream down'); });
+
+      const response = await processDialogflowResponse(
+        queryResult('Ask_Amenity_Details', { name: 'Hotel Karam Palace' }), newSessionId()
+      );
+      assert.equal(response.payload.flutter.data.amenity.name, 'Hotel Karam Palace');
+    });
+  });
+
+  describe('filtered amenities', () => {
+    it('"4-star hotels with a pool in Ouarzazat"', async () => {
+      const response = await processDialogflowResponse(queryResult('Ask_Filtered_Amenities', {
+        'amenity-type': 'hotel', stars: 4, facilities: ['pool'], city: 'Ouarzazat'
+      }), newSessionId());
+      const { flutter } = response.payload;
+
+      assert.equal(flutter.type, 'amenities_list');
+      assert.equal(flutter.category, 'filtered_hotels');
+      assert.equal(flutter.data.cityName, 'Ouarzazate');
+      assert.deepEqual(flutter.data.amenities.map(item => item.name), ['Hotel Karam Palace']);
+      assert.deepEqual(flutter.data.appliedFilters, [
+        { key: 'stars', label: '4★', value: 4 },
+        { key: 'facility', label: 'Pool', value: 'hasSwimmingPool' }
+      ]);
+    });
+
+    it('"guesthouses with breakfast under 500 MAD"', async () => {
+      const response = await processDialogflowResponse(queryResult('Ask_Filtered_Amenities', {
+        'amenity-type': 'guesthouses', facilities: 'breakfast', 'max-price': { amount: 500, currency: 'MAD' }
+      }), newSessionId());
+
+      assert.deepEqual(response.payload.flutter.data.amenities.map(item => item.name), ['Riad Dar Sidi Bounou']);
+    });
+
+    it('"cafes open now with wifi"', async (t) => {
+      t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-06-15T10:00:00Z') });
+      const response = await processDialogflowResponse(queryResult('Ask_Filtered_Amenities', {
+        'amenity-type': 'cafe', facilities: ['wifi'], 'open-now': true
+      }), newSessionId());
+
+      assert.deepEqual(response.payload.flutter.data.amenities.map(item => item.name), ['Café Kasbah Errachidia']);
+      assert.deepEqual(response.payload.flutter.data.appliedFilters.map(filter => filter.key), ['facility', 'openNow']);
+    });
+
+    it('keeps the chips on the show-more page', async () => {
+      const sessionId = newSessionId();
+      const first = await processDialogflowResponse(queryResult('Ask_Filtered_Amenities', { 'max-price': 5000 }), sessionId);
+      assert.equal(first.payload.flutter.type, 'amenities_list_with_more');
+
+      const more = await processDialogflowResponse(queryResult('Pagination_ShowMore'), sessionId);
+      assert.deepEqual(more.payload.flutter.data.appliedFilters, [{ key: 'maxPrice', label: 'under 5000 MAD', value: 5000 }]);
+    });
+
+    it('explains when nothing matches', async () => {
+      const response = await processDialogflowResponse(queryResult('Ask_Filtered_Amenities', {
+        'amenity-type': 'hotel', stars: 5, city: 'Merzouga'
+      }), newSessionId());
+
+      assert.equal(response.fulfillmentText, 'No amenities match 5★ in Merzouga. Try removing a filter.');
+    });
+  });
+
+  describe('nearby intents', () => {
+    const merzouga = { latitude: 31.0990, longitude: -4.0110 };
+
+    it('Ask_Nearby_Amenities ranks the requested category by distance', async () => {
+      const response = await processDialogflowResponse(
+        queryResult('Ask_Nearby_Amenities', { 'amenity-type': 'restaurant' }), newSessionId(), { userLocation: merzouga }
+      );
+      const { flutter } = response.payload;
+
+      assert.equal(flutter.type, 'amenities_list');
+      assert.equal(flutter.category, 'nearby_restaurants');
+      assert.deepEqual(flutter.data.amenities.map(item => [item.name, item.distanceKm]), [['Restaurant Chez Mimi', 0]]);
+      assert.equal(flutter.data.radiusKm, 20);
+      assert.equal(response.fulfillmentText, 'I found 1 amenity within 20 km of you!');
+    });
+
+    it('Ask_Nearby_Attractions honours the requested radius', async () => {
+      const response = await processDialogflowResponse(
+        queryResult('Ask_Nearby_Attractions', { distance: { amount: 50, unit: 'km' } }), newSessionId(), { userLocation: merzouga }
+      );
+      const distances = response.payload.flutter.data.attractions.map(item => item.distanceKm);
+
+      assert.deepEqual(response.payload.flutter.data.attractions.map(item => item.name),
+        ['Erg Chebbi Dunes', 'Mausoleum of Moulay Ali Cherif', 'Ruins of Sijilmassa']);
+      assert.deepEqual(distances, [...distances].sort((a, b) => a - b));
+      assert.equal(response.payload.flutter.data.radiusKm, 50);
+    });
+
+    it('reads coordinates from the Dialogflow parameters', async () => {
+      const response = await processDialogflowResponse(
+        queryResult('Ask_Nearby_Amenities', { 'amenity-type': 'cafe', latitude: '31.93', longitude: '-4.42' }), newSessionId()
+      );
+      assert.equal(response.payload.flutter.data.amenities[0].name, 'Café Kasbah Errachidia');
+    });
+
+    it('asks for the location when it is missing', async () => {
+      const response = await processDialogflowResponse(queryResult('Ask_Nearby_Amenities'), newSessionId());
+
+      assert.equal(response.fulfillmentText, 'Please share your location so I can find amenities near you.');
+      assert.equal(response.payload.flutter.type, 'location_request');
+    });
+
+    it('suggests a larger radius when nothing is close', async () => {
+      const response = await processDialogflowResponse(
+        queryResult('Ask_Nearby_Amenities', { 'amenity-type': 'hotels', radius: '5 km' }), newSessionId(), { userLocation: merzouga }
+      );
+      assert.equal(response.fulfillmentText, 'No amenities found within 5 km of you. Try a larger radius.');
+    });
+  });
+
+  describe('detail and map intents', () => {
+    it('Ask_Attraction_Details returns attraction_details and enables the map follow-up', async () => {
+      const sessionId = newSessionId();
+      const details = await processDialogflowResponse(
+        queryResult('Ask_Attraction_Details', { 'attraction-name': 'Kasbah Amridil' }), sessionId
+      );
+
+      assert.equal(details.payload.flutter.type, 'attraction_details');
+      assert.equal(details.payload.flutter.category, 'cultural');
+      assert.equal(details.payload.flutter.data.attraction.name, 'Kasbah Amridil');
+      assert.equal(details.payload.flutter.data.attractionType, 'cultural');
+      assert.equal(details.payload.flutter.data.onlyImages, true);
+
+      const map = await processDialogflowResponse(queryResult('Map_Request_Yes'), sessionId);
+      assert.equal(map.payload.flutter.type, 'map_location');
+      assert.deepEqual(map.payload.flutter.data.coordinates, { latitude: 31.0497, longitude: -6.5603 });
+      assert.match(map.payload.flutter.data.googleMapsUrl, /^https:\/\/www\.google\.com\/maps\?q=31\.0497,-6\.5603/);
+    });
+
+    it('Ask_Amenity_Details returns amenity_details', async () => {
+      const response = await processDialogflowResponse(
+        queryResult('Ask_Amenity_Details', { 'amenity-name': 'Hotel Karam Palace' }), newSessionId()
+      );
+
+      assert.equal(response.payload.flutter.type, 'amenity_details');
+      assert.equal(response.payload.flutter.category, 'hotel');
+      assert.equal(response.payload.flutter.data.amenityType, 'hotel');
+    });
+
+    it('Ask_Activity_Details returns activity_details and a search-based map link', async () => {
+      const sessionId = newSessionId();
+      const details = await processDialogflowResponse(
+        queryResult('Ask_Activity_Details', { 'activity-name': 'Sandboarding' }), sessionId
+      );
+
+      assert.equal(details.payload.flutter.type, 'activity_details');
+      assert.equal(details.payload.flutter.category, 'sportive');
+
+      const map = await processDialogflowResponse(queryResult('Show_Attraction_On_Map'), sessionId);
+      assert.equal(map.payload.flutter.type, 'map_location');
+      assert.equal(map.payload.flutter.data.activity.name, 'Sandboarding');
+      assert.match(map.payload.flutter.data.googleMapsUrl, /^https:\/\/www\.google\.com\/maps\/search\//);
+    });
+
+    it('keeps the list browsable after showing one of its items and its map', async () => {
+      const sessionId = newSessionId();
+      const first = await processDialogflowResponse(queryResult('Ask_All_Amenities'), sessionId);
+      const [item] = first.payload.flutter.data.amenities;
+
+      await processDialogflowResponse(queryResult('Ask_Amenity_Details', { 'amenity-name': item.name }), sessionId);
+      await processDialogflowResponse(queryResult('Map_Request_Yes'), sessionId);
+
+      const next = await processDialogflowResponse(queryResult('Pagination_Next'), sessionId);
+      assert.equal(next.payload.flutter.type, 'amenities_list_with_more');
+      assert.equal(next.payload.flutter.data.page, 2);
+      assert.equal(next.fulfillmentText, 'Here is page 2 of 2 of amenities:');
+    });
+
+    it('rejects items of the wrong type', async () => {
+      const response = await processDialogflowResponse(
+        queryResult('Ask_Amenity_Details', { name: 'Todra Gorge' }), newSessionId()
+      );
+      assert.equal(response.fulfillmentText, '"Todra Gorge" doesn\'t appear to be an amenity.');
+    });
+
+    it('reports unknown items', async () => {
+      const response = await processDialogflowResponse(
+        queryResult('Ask_Activity_Details', { name: 'Skiing' }), newSessionId()
+      );
+      assert.match(response.fulfillmentText, /couldn't find detailed information about "Skiing"/);
+    });
+
+    it('Map_Request_No and Show_Attraction_On_Map without context answer politely', async () => {
+      const sessionId = newSessionId();
+      const decline = await processDialogflowResponse(queryResult('Map_Request_No'), sessionId);
+      assert.match(decline.fulfillmentText, /^No problem!/);
+
+      const map = await processDialogflowResponse(queryResult('Show_Attraction_On_Map'), sessionId);
+      assert.match(map.fulfillmentText, /don't have location information/);
+    });
+  });
+
+  describe('itinerary intents', () => {
+    const plan = (sessionId, parameters = { days: 3, 'start-city': 'Errachidia' }) =>
+      processDialogflowResponse(queryResult('Plan_Itinerary', parameters), sessionId);
+
+    it('Plan_Itinerary returns an itinerary payload with per-day slots and routes', async () => {
+      const response = await plan(newSessionId());
+      const { flutter } = response.payload;
+
+      assert.equal(flutter.type, 'itinerary');
+      assert.equal(flutter.data.startCity, 'Errachidia');
+      assert.equal(flutter.data.days.length, 3);
+      assert.equal(flutter.data.days[0].slots.morning[0].name, 'Hassan Addakhil Dam');
+      assert.match(flutter.data.days[0].googleMapsUrl, /^https:\/\/www\.google\.com\/maps\/dir\/\?api=1/);
+      assert.equal(response.fulfillmentText,
+        "Here's your 3-day plan starting from Errachidia: Day 1: Errachidia, Rissani; Day 2: Merzouga; Day 3: Tinghir, Boumalne Dades.");
+    });
+
+    it('asks for the number of days and suggests close city names', async () => {
+      const noDays = await plan(newSessionId(), { 'start-city': 'Errachidia' });
+      assert.equal(noDays.fulfillmentText, 'How many days would you like to spend in Draa-Tafilalet?');
+
+      const typo = await plan(newSessionId(), { days: 2, 'start-city': 'Ouarzazte' });
+      assert.equal(typo.payload.flutter.type, 'suggestions');
+    });
+
+    it('keeps the plan across other intents and swaps days', async () => {
+      const sessionId = newSessionId();
+      const original = (await plan(sessionId)).payload.flutter.data;
+      await processDialogflowResponse(queryResult('Ask_All_Attractions'), sessionId);
+
+      const response = await processDialogflowResponse(queryResult('Itinerary_Swap_Day', { day: 1, 'other-day': 3 }), sessionId);
+
+      assert.equal(response.payload.flutter.type, 'itinerary');
+      assert.deepEqual(response.payload.flutter.data.days[0].slots, original.days[2].slots);
+      assert.match(response.fulfillmentText, /^Done! Days 1 and 3 are swapped:/);
+    });
+
+    it('Itinerary_Swap_Day with one day replaces its places with unplanned ones', async () => {
+      const sessionId = newSessionId();
+      const original = (await plan(sessionId)).payload.flutter.data;
+
+      const response = await processDialogflowResponse(queryResult('Itinerary_Swap_Day', { day: 2 }), sessionId);
+      const before = new Set(original.days[1].slots.morning.map(stop => stop.id));
+
+      assert.ok(response.payload.flutter.data.days[1].slots.morning.every(stop => !before.has(stop.id)));
+      assert.deepEqual(response.payload.flutter.data.days[0], original.days[0]);
+    });
+
+    it('Itinerary_Add_To_Day adds the closest amenity to the evening', async () => {
+      const sessionId = newSessionId();
+      await plan(sessionId, { days: 1, 'start-city': 'Merzouga' });
+
+      const response = await processDialogflowResponse(queryResult('Itinerary_Add_To_Day', { day: 1, 'amenity-type': 'restaurant' }), sessionId);
+      const [dinner] = response.payload.flutter.data.days[0].slots.evening;
+
+      assert.equal(dinner.name, 'Restaurant Chez Mimi');
+      assert.equal(dinner.type, 'amenity');
+      assert.match(response.fulfillmentText, /^I added Restaurant Chez Mimi to the evening of day 1:/);
+
+      const shown = await processDialogflowResponse(queryResult('Itinerary_Show'), sessionId);
+      assert.equal(shown.payload.flutter.data.days[0].slots.evening[0].name, 'Restaurant Chez Mimi');
+    });
+
+    it('adds to a free day at the end of a plan without a start city', async () => {
+      const sessionId = newSessionId();
+      await plan(sessionId, { days: 14 });
+
+      const response = await processDialogflowResponse(queryResult('Itinerary_Add_To_Day', { day: 14, 'amenity-type': 'restaurant' }), sessionId);
+      assert.match(response.fulfillmentText, /^I added .+ to the evening of day 14:/);
+      assert.equal(response.payload.flutter.data.days[13].slots.evening.length, 1);
+    });
+
+    it('explains when there is no plan or the day is out of range', async () => {
+      const sessionId = newSessionId();
+      const none = await processDialogflowResponse(queryResult('Itinerary_Show'), sessionId);
+      assert.match(none.fulfillmentText, /^You don't have a trip plan yet/);
+
+      await plan(sessionId, { days: 2 });
+      const outOfRange = await processDialogflowResponse(queryResult('Itinerary_Add_To_Day', { day: 5 }), sessionId);
+      assert.equal(outOfRange.fulfillmentText, 'Your plan has 2 days. Which day should I add it to?');
+    });
+  });
+
+  describe('follow-up intents', () => {
+    const viewed = async (intent, parameters) => {
+      const sessionId = newSessionId();
+      await processDialogflowResponse(queryResult(intent, parameters), sessionId);
+      return sessionId;
+    };
+    const ask = async (sessionId, intent, parameters = {}) => processDialogflowResponse(queryResult(intent, parameters), sessionId);
+
+    it('answers price, guide and opening-day questions about the attraction shown last', async () => {
+      const sessionId = await viewed('Ask_Attraction_Details', { 'attraction-name': 'Mausoleum of Moulay Ali Cherif' });
+
+      assert.equal((await ask(sessionId, 'FollowUp_Price')).fulfillmentText, 'Mausoleum of Moulay Ali Cherif is free to visit.');
+      assert.equal((await ask(sessionId, 'FollowUp_Guided_Tours')).fulfillmentText, "No, Mausoleum of Moulay Ali Cherif doesn't offer guided tours.");
+
+      const friday = await ask(sessionId, 'FollowUp_Opening_Hours', { 'day-of-week': 'Friday' });
+      assert.equal(friday.fulfillmentText, 'No, Mausoleum of Moulay Ali Cherif is closed on Friday. Opening hours: Sat-Thu 09:00-17:00, closed Friday.');
+      assert.equal(friday.payload.flutter.type, 'item_follow_up');
+      assert.equal(friday.payload.flutter.data.field, 'openingHours');
+    });
+
+    it('answers activity and amenity questions from their own fields', async () => {
+      const trek = await viewed('Ask_Activity_Details', { 'activity-name': 'Camel Trek in Erg Chebbi' });
+      assert.equal((await ask(trek, 'Ask_Item_FollowUp', { topic: 'price' })).fulfillmentText, 'Camel Trek in Erg Chebbi costs about 350 MAD.');
+      assert.equal((await ask(trek, 'FollowUp_Age_Restriction')).fulfillmentText, 'Camel Trek in Erg Chebbi is open to ages 6 and up.');
+      assert.equal((await ask(trek, 'FollowUp_Duration')).fulfillmentText, 'Camel Trek in Erg Chebbi takes about 2h.');
+      assert.equal((await ask(trek, 'FollowUp_Opening_Hours')).fulfillmentText, "I don't have that information about Camel Trek in Erg Chebbi.");
+
+      const hotel = await viewed('Ask_Amenity_Details', { 'amenity-name': 'Hotel Le Berbère Palace' });
+      assert.equal((await ask(hotel, 'FollowUp_Facility', { facility: 'pool' })).fulfillmentText, 'Yes, Hotel Le Berbère Palace has pool.');
+      assert.equal((await ask(hotel, 'FollowUp_Facility', { facility: 'parking' })).fulfillmentText, "I don't have that information about Hotel Le Berbère Palace.");
+    });
+
+    it('lists places near the item and keeps it for later questions', async () => {
+      const sessionId = await viewed('Ask_Attraction_Details', { 'attraction-name': 'Kasbah Taourirt' });
+
+      const near = await ask(sessionId, 'FollowUp_Nearby', { 'amenity-type': 'hotels' });
+      assert.match(near.fulfillmentText, /within 20 km of Kasbah Taourirt/);
+      assert.ok(near.payload.flutter.data.amenities.every(item => item.city === 'Ouarzazate'));
+
+      const attractions = await ask(sessionId, 'FollowUp_Nearby');
+      assert.ok(!attractions.payload?.flutter.data.attractions.some(item => item.name === 'Kasbah Taourirt'));
+
+      assert.equal((await ask(sessionId, 'FollowUp_Price')).fulfillmentText, 'Entry to Kasbah Taourirt costs 20 MAD.');
+    });
+
+    it('places activities at their site to find what is near them', async () => {
+      const sessionId = await viewed('Ask_Activity_Details', { 'activity-name': 'Camel Trek in Erg Chebbi' });
+      const near = await ask(sessionId, 'FollowUp_Nearby', { 'amenity-type': 'restaurants' });
+
+      assert.deepEqual(near.payload.flutter.data.amenities.map(item => item.name), ['Restaurant Chez Mimi']);
+    });
+
+    it('asks for a place or a topic when it cannot tell', async () => {
+      assert.equal((await ask(newSessionId(), 'FollowUp_Price')).fulfillmentText, 'Which place do you mean? Ask me about a place first.');
+
+      const sessionId = await viewed('Ask_Attraction_Details', { 'attraction-name': 'Kasbah Amridil' });
+      assert.match((await ask(sessionId, 'Ask_Item_FollowUp')).fulfillmentText, /^What would you like to know about Kasbah Amridil\?/);
+    });
+  });
+
+  describe('opening hours intents', () => {
+    // Monday 11:00 and 23:30 in Morocco
+    const MORNING = new Date('2026-06-15T10:00:00Z');
+    const LATE = new Date('2026-06-15T22:30:00Z');
+    const ask = async (sessionId, intent, parameters = {}) => processDialogflowResponse(queryResult(intent, parameters), sessionId);
+
+    it('Ask_Open_Now answers for a named place, then for "it"', async (t) => {
+      t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-06-15T16:50:00Z') });
+      const sessionId = newSessionId();
+
+      const open = await ask(sessionId, 'Ask_Open_Now', { 'attraction-name': 'Kasbah Taourirt' });
+      assert.equal(open.fulfillmentText, 'Yes, Kasbah Taourirt is open now (Mon-Sun 9h-18h).');
+      assert.equal(open.payload.flutter.type, 'item_follow_up');
+      assert.deepEqual([open.payload.flutter.data.field, open.payload.flutter.data.value], ['isOpenNow', true]);
+      assert.equal(open.payload.flutter.data.attraction.isOpenNow, true);
+
+      t.mock.timers.setTime(new Date('2026-06-15T17:10:00Z').getTime());
+      const closed = await ask(sessionId, 'Ask_Open_Now');
+      assert.equal(closed.fulfillmentText, 'No, Kasbah Taourirt is closed right now. It opens again on Tuesday at 09:00 (Mon-Sun 9h-18h).');
+      assert.equal(closed.payload.flutter.data.attraction.nextOpening, '2026-06-16T08:00:00.000Z');
+      assert.equal((await ask(sessionId, 'FollowUp_Price')).fulfillmentText, 'Entry to Kasbah Taourirt costs 20 MAD.');
+
+      assert.equal((await ask(newSessionId(), 'Ask_Open_Now')).fulfillmentText, 'Which place do you mean? Ask me about a place first.');
+      assert.match((await ask(newSessionId(), 'Ask_Open_Now', { name: 'Kasbah Taourit' })).fulfillmentText, /Did you mean Kasbah Taourirt/);
+    });
+
+    it('Ask_Open_In_City lists what is open at the time asked', async (t) => {
+      t.mock.timers.enable({ apis: ['Date'], now: MORNING });
+
+      const tonight = await ask(newSessionId(), 'Ask_Open_In_City', { city: 'merzouga', 'time-of-day': 'tonight' });
+      assert.equal(tonight.fulfillmentText, 'I found 2 amenities open at 21:00 in Merzouga!');
+      assert.deepEqual(tonight.payload.flutter.data.amenities.map(item => item.name), ['Restaurant Chez Mimi', 'Camping Erg Chebbi Stars']);
+      assert.equal(tonight.payload.flutter.data.openAt, '2026-06-15T20:00:00.000Z');
+
+      const cafes = await ask(newSessionId(), 'Ask_Open_In_City', { city: 'Merzouga', 'amenity-type': 'cafe', 'time-of-day': 'ce soir' });
+      assert.equal(cafes.fulfillmentText, 'No amenities found open at 21:00 in Merzouga. Try another time.');
+
+      const attractions = await ask(newSessionId(), 'Ask_Open_In_City', { city: 'Ouarzazate', 'attraction-type': 'cultural' });
+      assert.equal(attractions.fulfillmentText, 'I found 1 attraction open now in Ouarzazate!');
+      assert.equal((await ask(newSessionId(), 'Ask_Open_In_City')).fulfillmentText, "Please tell me which city you're interested in for amenities.");
+    });
+
+    it('goes by the Ramadan hours configured for the place', async (t) => {
+      t.mock.timers.enable({ apis: ['Date'], now: MORNING });
+      const { periods, hours } = ramadanSchedule;
+      ramadanSchedule.periods = [{ from: '2026-06-01', to: '2026-06-30' }];
+      ramadanSchedule.hours = new Map([['restaurant', { text: '19:00-01:00', alwaysOpen: false, days: null, periods: [{ open: 1140, close: 60 }] }]]);
+      t.after(() => Object.assign(ramadanSchedule, { periods, hours }));
+
+      const response = await ask(newSessionId(), 'Ask_Open_Now', { 'amenity-name': 'Restaurant Chez Mimi' });
+      assert.equal(response.fulfillmentText, 'No, Restaurant Chez Mimi is closed right now. It opens again on Monday at 19:00 (19:00-01:00, Ramadan hours).');
+    });
+
+    it('puts the opening state on attractions and amenities but not activities', async (t) => {
+      t.mock.timers.enable({ apis: ['Date'], now: LATE });
+
+      const attractions = (await ask(newSessionId(), 'Ask_Natural_Attractions')).payload.flutter.data.attractions;
+      assert.ok(attractions.every(item => item.isOpenNow === true && item.nextOpening === null));
+
+      const restaurant = (await ask(newSessionId(), 'Ask_Restaurants')).payload.flutter.data.amenities.find(item => item.name === 'Restaurant Chez Mimi');
+      assert.deepEqual([restaurant.isOpenNow, restaurant.nextOpening], [false, '2026-06-16T10:00:00.000Z']);
+
+      const activities = (await ask(newSessionId(), 'Ask_All_Activities')).payload.flutter.data.activities;
+      assert.ok(activities.every(item => !('isOpenNow' in item)));
+    });
+  });
+
+  describe('comparison intents', () => {
+    it('Compare_Items returns a comparison table with a verdict', async () => {
+      const response = await processDialogflowResponse(
+        queryResult('Compare_Items', { items: ['Hotel Karam Palace', 'Hotel Kenzi Rissani'] }), newSessionId()
+      );
+      const { flutter } = response.payload;
+
+      assert.equal(flutter.type, 'comparison');
+      assert.deepEqual(flutter.data.columns, ['Hotel Karam Palace', 'Hotel Kenzi Rissani']);
+      assert.deepEqual(flutter.data.rows.map(row => row.label), ['Price (MAD)', 'Stars', 'Rooms', 'Pool']);
+      assert.equal(flutter.data.items[0].amenity.id_Location, 105);
+      assert.match(response.fulfillmentText, /^Comparing Hotel Karam Palace vs Hotel Kenzi Rissani: Hotel Kenzi Rissani is the cheapest at 650 MAD\. Hotel Karam Palace is the biggest with 120 rooms\. Only Hotel Karam Palace has a pool\. They're [\d.]+ km apart\.$/);
+    });
+
+    it('answers the asked criterion first, ties included', async () => {
+      const cheaper = await processDialogflowResponse(
+        queryResult('Compare_Items', { 'amenity-name': ['Camping Todra', 'Camping Erg Chebbi Stars'], criterion: 'cheaper' }), newSessionId()
+      );
+      assert.match(cheaper.payload.flutter.data.verdict, /^Camping Todra is the cheapest at 80 MAD\./);
+
+      const stars = await processDialogflowResponse(
+        queryResult('Compare_Items', { items: ['Hotel Karam Palace', 'Hotel Kenzi Rissani'], criterion: 'more stars' }), newSessionId()
+      );
+      assert.match(stars.payload.flutter.data.verdict, /^They're level on stars\./);
+    });
+
+    it('compares activities fetched by name', async () => {
+      const response = await processDialogflowResponse(
+        queryResult('Compare_Items', { 'activity-name': ['Camel Trek in Erg Chebbi', '4x4 Desert Expedition'] }), newSessionId()
+      );
+      assert.equal(response.payload.flutter.category, 'activity');
+      assert.deepEqual(response.payload.flutter.data.rows[0].values, [350, 1200]);
+    });
+
+    it('refuses places of different kinds and asks for two names', async () => {
+      const mixed = await processDialogflowResponse(
+        queryResult('Compare_Items', { items: ['Hotel Karam Palace', 'Restaurant Chez Mimi'] }), newSessionId()
+      );
+      assert.equal(mixed.fulfillmentText, "Hotel Karam Palace and Restaurant Chez Mimi are different kinds of places, so I can't compare them side by side.");
+
+      const single = await processDialogflowResponse(queryResult('Compare_Items', { items: ['Hotel Karam Palace'] }), newSessionId());
+      assert.match(single.fulfillmentText, /^Tell me at least two places to compare/);
+
+      const typo = await processDialogflowResponse(queryResult('Compare_Items', { items: ['Hotel Karam Palace', 'Kasbah Amridl'] }), newSessionId());
+      assert.equal(typo.payload.flutter.type, 'suggestions');
+    });
+  });
+
+  describe('recommendation intents', () => {
+    it('asks for interests when it knows nothing about the user', async () => {
+      const response = await processDialogflowResponse(queryResult('Recommend_Items'), newSessionId());
+      assert.match(response.fulfillmentText, /^Tell me what you enjoy/);
+    });
+
+    it('remembers stated interests and explains each pick', async () => {
+      const sessionId = newSessionId();
+      await processDialogflowResponse(queryResult('Set_Travel_Preferences', { interests: ['nature', 'with kids'] }), sessionId);
+
+      const response = await processDialogflowResponse(queryResult('Recommend_Items'), sessionId);
+      const { flutter } = response.payload;
+
+      assert.equal(flutter.type, 'recommendations');
+      assert.deepEqual(flutter.data.interests, ['nature', 'kids']);
+      assert.equal(flutter.data.items[0].attraction.name, 'Dades Gorge');
+      assert.equal(flutter.data.items[0].reason, 'A natural site for nature lovers.');
+      assert.equal(flutter.data.items.at(-1).reason, 'Suitable for children from 6.');
+      assert.match(response.fulfillmentText, /^Here's what I'd suggest for you: Dades Gorge, /);
+    });
+
+    it('suggests places like the ones viewed, but not the one on screen', async () => {
+      const sessionId = newSessionId();
+      await processDialogflowResponse(queryResult('Ask_Attraction_Details', { 'attraction-name': 'Kasbah Amridil' }), sessionId);
+
+      const { items } = (await processDialogflowResponse(queryResult('Recommend_Items'), sessionId)).payload.flutter.data;
+      assert.equal(items[0].attraction.name, 'Kasbah Taourirt');
+      assert.equal(items[0].reason, "Similar to places you've looked at.");
+      assert.ok(!items.some(item => item.attraction?.name === 'Kasbah Amridil'));
+    });
+
+    it('uses the favorites of the user', async () => {
+      const context = { userId: 'recommend-user' };
+      await processDialogflowResponse(queryResult('Save_Favorite', { name: 'Hotel Karam Palace' }), newSessionId(), context);
+
+      const { items } = (await processDialogflowResponse(queryResult('Recommend_Items'), newSessionId(), context)).payload.flutter.data;
+      assert.equal(items[0].amenity.name, 'Hotel Le Berbère Palace');
+      assert.ok(!items.some(item => item.amenity?.name === 'Hotel Karam Palace'));
+    });
+  });
+
+  describe('favorites intents', () => {
+    it('Save_Favorite saves a named place and Show_Favorites lists it in a list payload', async () => {
+      const sessionId = newSessionId();
+      const saved = await processDialogflowResponse(queryResult('Save_Favorite', { name: 'Kasbah Amridil' }), sessionId);
+
+      assert.equal(saved.fulfillmentText, 'Saved Kasbah Amridil to your favorites.');
+      assert.equal(saved.payload.flutter.type, 'favorite_updated');
+      assert.equal(saved.payload.flutter.data.key, 'attraction:5');
+      assert.equal(saved.payload.flutter.data.attraction.name, 'Kasbah Amridil');
+
+      await processDialogflowResponse(queryResult('Save_Favorite', { 'activity-name': 'Camel Trek in Erg Chebbi' }), sessionId);
+      const again = await processDialogflowResponse(queryResult('Save_Favorite', { name: 'Kasbah Amridil' }), sessionId);
+      assert.equal(again.fulfillmentText, 'Kasbah Amridil is already in your favorites.');
+
+      const list = await processDialogflowResponse(queryResult('Show_Favorites'), sessionId);
+      const { flutter } = list.payload;
+      assert.equal(list.fulfillmentText, 'Your favorites (2):');
+      assert.equal(flutter.type, 'favorites_list');
+      assert.deepEqual(flutter.data.attractions.map(item => item.name), ['Kasbah Amridil']);
+      assert.deepEqual(flutter.data.activities.map(item => item.id_Activity), [201]);
+      assert.deepEqual(flutter.data.amenities, []);
+      assert.equal(flutter.data.count, 2);
+      assert.deepEqual(flutter.actions.map(action => action.type), ['view_details', 'get_directions', 'remove_favorite']);
+    });
+
+    it('"save it" and "remove it" use the place viewed last', async () => {
+      const sessionId = newSessionId();
+      await processDialogflowResponse(queryResult('Ask_Amenity_Details', { 'amenity-name': 'Restaurant Chez Mimi' }), sessionId);
+
+      const saved = await processDialogflowResponse(queryResult('Save_Favorite'), sessionId);
+      assert.equal(saved.payload.flutter.data.key, 'amenity:101');
+
+      const removed = await processDialogflowResponse(queryResult('Remove_Favorite'), sessionId);
+      assert.equal(removed.fulfillmentText, 'I removed Restaurant Chez Mimi from your favorites.');
+      assert.equal(removed.payload.flutter.data.saved, false);
+      assert.equal(removed.payload.flutter.data.count, 0);
+    });
+
+    it('asks which favorite to remove when the place viewed last isn\'t saved', async () => {
+      const sessionId = newSessionId();
+      await processDialogflowResponse(queryResult('Save_Favorite', { name: 'Kasbah Amridil' }), sessionId);
+      await processDialogflowResponse(queryResult('Ask_Amenity_Details', { 'amenity-name': 'Restaurant Chez Mimi' }), sessionId);
+
+      const removed = await processDialogflowResponse(queryResult('Remove_Favorite'), sessionId);
+      assert.equal(removed.fulfillmentText, 'Which favorite would you like to remove? Tell me its name.');
+      assert.equal(removed.payload.flutter.type, 'favorites_list');
+      const none = await processDialogflowResponse(queryResult('Remove_Favorite'), newSessionId());
+      assert.equal(none.fulfillmentText, "You don't have any favorites to remove.");
+      const list = await processDialogflowResponse(queryResult('Show_Favorites'), sessionId);
+      assert.equal(list.payload.flutter.data.count, 1);
+    });
+
+    it('keeps favorites per user across sessions', async () => {
+      await processDialogflowResponse(queryResult('Save_Favorite', { name: 'Kasbah Amridil' }), newSessionId(), { userId: 'traveller-1' });
+
+      const list = await processDialogflowResponse(queryResult('Show_Favorites'), newSessionId(), { userId: 'traveller-1' });
+      assert.equal(list.payload.flutter.data.count, 1);
+    });
+
+    it('explains empty lists, unknown names and nothing to save', async () => {
+      const sessionId = newSessionId();
+
+      const empty = await processDialogflowResponse(queryResult('Show_Favorites'), sessionId);
+      assert.match(empty.fulfillmentText, /^You don't have any favorites yet/);
+      assert.equal(empty.payload.flutter.data.count, 0);
+
+      const nothing = await processDialogflowResponse(queryResult('Save_Favorite'), sessionId);
+      assert.match(nothing.fulfillmentText, /^Which place would you like to save\?/);
+
+      const typo = await processDialogflowResponse(queryResult('Save_Favorite', { name: 'Kasbah Amridl' }), sessionId);
+      assert.equal(typo.payload.flutter.type, 'suggestions');
+
+      const notSaved = await processDialogflowResponse(queryResult('Remove_Favorite', { name: 'Kasbah Amridil' }), sessionId);
+      assert.equal(notSaved.fulfillmentText, '"Kasbah Amridil" isn\'t in your favorites.');
+    });
+  });
+
+  describe('export intents', () => {
+    it('adds signed download links to lists, details and itineraries', async () => {
+      const sessionId = newSessionId();
+
+      const list = await processDialogflowResponse(queryResult('Ask_Restaurants'), sessionId, { baseUrl: 'https://bot.example.com' });
+      const { downloads } = list.payload.flutter.data;
+      assert.deepEqual(Object.keys(downloads), ['geojson', 'gpx']);
+      assert.match(downloads.gpx, /^https:\/\/bot\.example\.com\/exports\/[0-9a-f-]{36}\.gpx\?expires=\d+&signature=/);
+      assert.ok(!downloads.gpx.includes(sessionId));
+
+      const activities = await processDialogflowResponse(queryResult('Ask_Adventure_Activities'), sessionId);
+      assert.deepEqual(Object.keys(activities.payload.flutter.data.downloads), ['geojson', 'gpx', 'ics']);
+
+      const details = await processDialogflowResponse(queryResult('Ask_Attraction_Details', { 'attraction-name': 'Kasbah Amridil' }), sessionId);
+      assert.match(details.payload.flutter.data.downloads.geojson, /^\/items\/attraction\/5\/export\.geojson\?/);
+
+      const map = await processDialogflowResponse(queryResult('Map_Request_Yes'), sessionId);
+      assert.ok(map.payload.flutter.data.googleMapsUrl);
+      assert.match(map.payload.flutter.data.downloads.gpx, /^\/items\/attraction\/5\/export\.gpx\?/);
+
+      const trip = await processDialogflowResponse(queryResult('Plan_Itinerary', { days: 2 }), sessionId);
+      assert.deepEqual(Object.keys(trip.payload.flutter.data.downloads), ['geojson', 'gpx', 'ics']);
+    });
+
+    it('Export_Items exports what was shown last, or the target the user names', async () => {
+      const sessionId = newSessionId();
+      await processDialogflowResponse(queryResult('Ask_Hotels'), sessionId);
+
+      const last = await processDialogflowResponse(queryResult('Export_Items'), sessionId);
+      assert.equal(last.fulfillmentText, 'Download this list as GeoJSON or GPX:');
+      assert.equal(last.payload.flutter.type, 'export_links');
+      assert.equal(last.payload.flutter.data.source, 'results');
+      assert.equal(last.payload.flutter.data.count, fixtures.amenitiesByType.hotels.length);
+
+      const gpx = await processDialogflowResponse(queryResult('Export_Items', { 'export-format': 'gpx' }), sessionId);
+      assert.deepEqual(Object.keys(gpx.payload.flutter.data.downloads), ['gpx']);
+
+      const calendar = await processDialogflowResponse(queryResult('Export_Items', { 'export-format': 'calendar' }), sessionId);
+      assert.match(calendar.fulfillmentText, /^Only activities and planned visits can go in a calendar/);
+
+      await processDialogflowResponse(queryResult('Save_Favorite', { 'activity-name': 'Camel Trek in Erg Chebbi' }), sessionId);
+      const favorites = await processDialogflowResponse(queryResult('Export_Items', { 'export-target': 'my favorites', 'export-format': 'ics' }), sessionId);
+      assert.equal(favorites.fulfillmentText, 'Download your favorites as iCalendar:');
+      assert.match(favorites.payload.flutter.data.downloads.ics, new RegExp(`^/users/${sessionId}/favorites/export\\.ics\\?`));
+    });
+
+    it('explains when there is nothing to export', async () => {
+      const sessionId = newSessionId();
+      const nothing = await processDialogflowResponse(queryResult('Export_Items'), sessionId);
+      assert.match(nothing.fulfillmentText, /^There's nothing to export yet/);
+
+      const noPlan = await processDialogflowResponse(queryResult('Export_Items', { 'export-target': 'itinerary' }), sessionId);
+      assert.match(noPlan.fulfillmentText, /^There's nothing to export yet/);
+    });
+  });
+
+  describe('payload versions', () => {
+    const inVersion2 = async () => {
+      const sessionId = newSessionId();
+      await Preferences.update(sessionId, { payloadVersion: 2 });
+      return sessionId;
+    };
+
+    it('sends version 1 payloads unless the session asks for another version', async () => {
+      const { flutter } = (await processDialogflowResponse(queryResult('Ask_All_Attractions'), newSessionId())).payload;
+
+      assert.equal(flutter.version, undefined);
+      assert.equal(flutter.type, 'attractions_list_with_more');
+      assert.deepEqual(Payloads.validatePayload(flutter, 1), []);
+    });
+
+    it('merges paged and short lists into one version 2 list type', async () => {
+      const sessionId = await inVersion2();
+      const paged = (await processDialogflowResponse(queryResult('Ask_All_Amenities'), sessionId)).payload.flutter;
+
+      assert.equal(paged.version, 2);
+      assert.equal(paged.type, 'amenities_list');
+      assert.equal(paged.data.contentType, 'amenities');
+      assert.equal(paged.data.items.length, 10);
+      assert.equal(paged.data.pagination.page, 1);
+      assert.equal(paged.data.pagination.hasMore, true);
+      assert.equal(paged.data.amenities, undefined);
+
+      const short = (await processDialogflowResponse(queryResult('Ask_Cafes'), sessionId)).payload.flutter;
+      assert.equal(short.type, 'amenities_list');
+      assert.equal(short.data.pagination, null);
+    });
+
+    it('gives single items and item entries one shape in version 2', async () => {
+      const sessionId = await inVersion2();
+
+      const details = (await processDialogflowResponse(queryResult('Ask_Activity_Details', { 'activity-name': 'Sandboarding' }), sessionId)).payload.flutter;
+      assert.equal(details.data.itemType, 'activity');
+      assert.equal(details.data.item.name, 'Sandboarding');
+
+      const map = (await processDialogflowResponse(queryResult('Show_Attraction_On_Map'), sessionId)).payload.flutter;
+      assert.equal(map.data.itemType, 'activity');
+      assert.equal(map.data.coordinates, null);
+
+      const comparison = (await processDialogflowResponse(
+        queryResult('Compare_Items', { items: ['Hotel Karam Palace', 'Hotel Kenzi Rissani'] }), sessionId
+      )).payload.flutter;
+      assert.deepEqual(comparison.data.items.map(entry => [entry.itemType, entry.item.name]), [
+        ['amenity', 'Hotel Karam Palace'], ['amenity', 'Hotel Kenzi Rissani']
+      ]);
+
+      const context = { userId: 'versioned-user' };
+      const saved = (await processDialogflowResponse(queryResult('Save_Favorite', { name: 'Kasbah Amridil' }), sessionId, context)).payload.flutter;
+      assert.equal(saved.data.itemType, 'attraction');
+      assert.equal(saved.data.key, 'attraction:5');
+
+      const favorites = (await processDialogflowResponse(queryResult('Show_Favorites'), sessionId, context)).payload.flutter;
+      assert.deepEqual(favorites.data.items.map(entry => [entry.itemType, entry.item.name]), [['attraction', 'Kasbah Amridil']]);
+      assert.equal(favorites.data.attractions, undefined);
+    });
+
+    it('checks every payload against its schema', async () => {
+      for (const version of Payloads.VERSIONS) {
+        const sessionId = newSessionId();
+        await Preferences.update(sessionId, { payloadVersion: version });
+        for (const [intent, parameters] of [
+          ['Ask_All_Attractions', {}],
+          ['Pagination_ShowMore', {}],
+          ['Ask_Attraction_Details', { 'attraction-name': 'Kasbah Taourirt' }],
+          ['Show_Attraction_On_Map', {}],
+          ['Ask_Item_FollowUp', { topic: 'price' }],
+          ['Recommend_Items', {}],
+          ['Plan_Itinerary', { days: 2, 'start-city': 'Errachidia' }]
+        ]) {
+          const { flutter } = (await processDialogflowResponse(queryResult(intent, parameters), sessionId)).payload;
+          assert.deepEqual(Payloads.validatePayload(flutter, version), [], `${intent} v${version}`);
+        }
+      }
+    });
+  });
+
+  describe('localized replies', () => {
+    const inLanguage = async (language) => {
+      const sessionId = newSessionId();
+      await Localization.resolve(sessionId, { requested: language });
+      return sessionId;
+    };
+
+    it('answers list intents in French with plural forms', async () => {
+      const sessionId = await inLanguage('fr');
+      const response = await processDialogflowResponse(queryResult('Ask_Attractions_By_City', { city: 'Rissani' }), sessionId);
+
+      assert.equal(response.fulfillmentText, "J'ai trouvé 2 attractions à Rissani !");
+      assert.equal(response.payload.flutter.actions[0].label, 'Voir les détails');
+      assert.deepEqual(response.payload.flutter.locale, { language: 'fr', direction: 'ltr' });
+    });
+
+    it('marks Arabic payloads as right-to-left', async () => {
+      const sessionId = await inLanguage('ar');
+      const response = await processDialogflowResponse(queryResult('Ask_Cafes'), sessionId);
+
+      assert.equal(response.fulfillmentText, 'وجدت مرفقين!');
+      assert.deepEqual(response.payload.flutter.locale, { language: 'ar', direction: 'rtl' });
+    });
+
+    it('localizes follow-ups, filter chips and suggestions', async () => {
+      const sessionId = await inLanguage('fr');
+
+      const more = await processDialogflowResponse(queryResult('Pagination_ShowMore'), sessionId);
+      assert.equal(more.fulfillmentText, "Je n'ai pas d'autres résultats à afficher pour le moment.");
+
+      const filtered = await processDialogflowResponse(queryResult('Ask_Filtered_Amenities', { facilities: ['pool'] }), sessionId);
+      assert.deepEqual(filtered.payload.flutter.data.appliedFilters, [{ key: 'facility', label: 'Piscine', value: 'hasSwimmingPool' }]);
+
+      const typo = await processDialogflowResponse(queryResult('Ask_Amenities_By_City', { city: 'Merzoga' }), sessionId);
+      assert.equal(typo.fulfillmentText, "Je n'ai pas trouvé « Merzoga ». Vouliez-vous dire Merzouga ?");
+    });
+
+    it('keeps text-only replies and unknown intents in the session language', async () => {
+      const sessionId = await inLanguage('ar');
+
+      const welcome = await processDialogflowResponse(queryResult('Default Welcome Intent'), sessionId);
+      assert.match(welcome.fulfillmentText, /^مرحبًا بك/);
+
+      const plan = await processDialogflowResponse(queryResult('Plan_Itinerary', { days: 2 }), sessionId);
+      assert.match(plan.fulfillmentText, /^إليك برنامج رحلتك لمدة يومين:/);
+    });
+  });
+
+  describe('shared intents', () => {
+    it('Default Welcome Intent greets the user', async () => {
+      const response = await processDialogflowResponse(queryResult('Default Welcome Intent'), newSessionId());
+      assert.match(response.fulfillmentText, /^Welcome to Draa-Tafilalet Tourism Assistant!/);
+    });
+
+    it('Pagination_Decline clears the pending page', async () => {
+      const sessionId = newSessionId();
+      await processDialogflowResponse(queryResult('Ask_All_Amenities'), sessionId);
+      await processDialogflowResponse(queryResult('Pagination_Decline'), sessionId);
+
+      const more = await processDialogflowResponse(queryResult('Pagination_ShowMore'), sessionId);
+      assert.equal(more.fulfillmentText, "I don't have any additional items to show right now.");
+    });
+
+    it('Default Fallback Intent asks the user to rephrase', async () => {
+      const response = await processDialogflowResponse(queryResult('Default Fallback Intent'), newSessionId());
+      assert.match(response.fulfillmentText, /^Sorry, I didn't catch that/);
+    });
+
+    it('every intent the local classifier knows has a handler', async () => {
+      for (const intent of INTENTS) {
+        const response = await processDialogflowResponse(queryResult(intent), newSessionId());
+        assert.doesNotMatch(response.fulfillmentText, /I understand you're asking about/, intent);
+      }
+    });
+
+    it('unknown intents get a generic answer', async () => {
+      const response = await processDialogflowResponse(queryResult('Ask_Weather'), newSessionId());
+      assert.match(response.fulfillmentText, /asking about "Ask_Weather"/);
+    });
+  });
+});
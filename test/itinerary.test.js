@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseDayCount, parseDurationMinutes, cityCentroids, buildStops, buildRouteUrl,
+  planItinerary, swapDays, replanDay, addStop, usedIds, dayCentre
+} = require('../lib/itinerary');
+const { catalog } = require('./helpers');
+
+const errachidia = { name: 'Errachidia', latitude: 31.9314, longitude: -4.4244 };
+const stops = buildStops(catalog, cityCentroids([...catalog.attractions, ...catalog.amenities]));
+const names = (slot) => slot.map(stop => stop.name);
+
+describe('itinerary planner', () => {
+  it('parseDayCount understands numbers, text and Dialogflow durations', () => {
+    assert.equal(parseDayCount(3), 3);
+    assert.equal(parseDayCount('3 days'), 3);
+    assert.equal(parseDayCount({ amount: 1, unit: 'wk' }), 7);
+    assert.equal(parseDayCount(30), 14);
+    assert.equal(parseDayCount('a few'), null);
+    assert.equal(parseDayCount(undefined), null);
+  });
+
+  it('parseDurationMinutes reads the activity duration formats', () => {
+    assert.equal(parseDurationMinutes('2h'), 120);
+    assert.equal(parseDurationMinutes('1h30'), 90);
+    assert.equal(parseDurationMinutes('45 min'), 45);
+    assert.equal(parseDurationMinutes(3), 180);
+    assert.equal(parseDurationMinutes(undefined), 120);
+    assert.equal(parseDurationMinutes('half day'), 240);
+    assert.equal(parseDurationMinutes('Demi-journée'), 240);
+    assert.equal(parseDurationMinutes('1 day'), 480);
+    assert.equal(parseDurationMinutes('2 days'), 960);
+    assert.equal(parseDurationMinutes('full day'), 480);
+  });
+
+  it('buildStops places activities at their site or in their city, and skips unplaceable ones', () => {
+    const trek = stops.find(stop => stop.name === 'Camel Trek in Erg Chebbi');
+    const gnawa = stops.find(stop => stop.name === 'Gnawa Music Evening');
+
+    assert.deepEqual([trek.latitude, trek.longitude], [31.1472, -3.9683]);
+    assert.equal(gnawa.city, 'Merzouga');
+    assert.equal(gnawa.durationMinutes, 120);
+    // Kelaat M'Gouna has no located records to take a position from
+    assert.ok(!stops.some(stop => stop.name === 'Rose Festival Visit'));
+    assert.equal(stops.length, catalog.attractions.length + catalog.activities.length - 1);
+  });
+
+  it('visits cities nearest-first from the start and fills morning and afternoon slots', () => {
+    const plan = planItinerary({ stops, days: 3, start: errachidia });
+    const [day1, day2, day3] = plan.days;
+
+    assert.deepEqual(names(day1.slots.morning), ['Hassan Addakhil Dam']);
+    assert.deepEqual(day1.cities, ['Errachidia', 'Rissani']);
+    assert.deepEqual(day2.cities, ['Merzouga']);
+    assert.deepEqual(names(day3.slots.morning), ['Rock Climbing in Todra']);
+    assert.equal(plan.unscheduledCount, stops.length - usedIds(plan).size);
+
+    for (const day of plan.days) {
+      for (const slot of ['morning', 'afternoon']) {
+        const minutes = day.slots[slot].reduce((sum, stop) => sum + stop.durationMinutes, 0);
+        assert.ok(minutes <= 240, `day ${day.day} ${slot} is ${minutes} minutes`);
+      }
+    }
+  });
+
+  it('gives full-day activities a day of their own', () => {
+    const expedition = stops.find(stop => stop.name === '4x4 Desert Expedition');
+    const plan = planItinerary({ stops: [stops[0], expedition], days: 2, start: errachidia });
+
+    assert.equal(plan.days[1].slots.morning[0].name, '4x4 Desert Expedition');
+    assert.equal(plan.days[1].slots.morning[0].fullDay, true);
+    assert.deepEqual(plan.days[1].slots.afternoon, []);
+  });
+
+  it('routes each day from where the previous one ended', () => {
+    const plan = planItinerary({ stops, days: 2, start: errachidia });
+    const lastOfDay1 = plan.days[0].slots.afternoon.at(-1);
+    const url = new URL(plan.days[1].googleMapsUrl);
+
+    assert.equal(new URL(plan.days[0].googleMapsUrl).searchParams.get('origin'), '31.9314,-4.4244');
+    assert.equal(url.searchParams.get('origin'), `${lastOfDay1.latitude},${lastOfDay1.longitude}`);
+    assert.equal(url.searchParams.get('travelmode'), 'driving');
+  });
+
+  it('buildRouteUrl starts at the first stop without an origin', () => {
+    const url = new URL(buildRouteUrl([{ latitude: 31, longitude: -4 }, { latitude: 31.5, longitude: -5 }]));
+
+    assert.equal(url.searchParams.get('origin'), '31,-4');
+    assert.equal(url.searchParams.get('destination'), '31.5,-5');
+    assert.equal(url.searchParams.get('waypoints'), null);
+    assert.equal(buildRouteUrl([]), null);
+  });
+
+  it('swapDays reorders days and renumbers them', () => {
+    const plan = planItinerary({ stops, days: 3, start: errachidia });
+    const swapped = swapDays(plan, 1, 3);
+
+    assert.deepEqual(swapped.days[0].slots, plan.days[2].slots);
+    assert.deepEqual(swapped.days.map(day => day.day), [1, 2, 3]);
+    assert.equal(plan.days[2].day, 3);
+    assert.equal(swapDays(plan, 1, 4), null);
+  });
+
+  it('replanDay fills a day with places not planned yet', () => {
+    const plan = planItinerary({ stops, days: 2, start: errachidia });
+    const replanned = replanDay(plan, 2, stops);
+    const before = usedIds({ days: [plan.days[1]] });
+
+    assert.deepEqual(replanned.days[0], plan.days[0]);
+    for (const id of usedIds({ days: [replanned.days[1]] })) assert.ok(!before.has(id));
+    assert.equal(replanDay(plan, 2, stops.filter(stop => usedIds(plan).has(stop.id))), null);
+  });
+
+  it('addStop appends to the evening slot', () => {
+    const plan = planItinerary({ stops, days: 1, start: errachidia });
+    const updated = addStop(plan, 1, { id: 'amenity:114', type: 'amenity', name: 'Café Kasbah Errachidia', city: 'Errachidia', latitude: 31.93, longitude: -4.42 });
+
+    assert.deepEqual(names(updated.days[0].slots.evening), ['Café Kasbah Errachidia']);
+    assert.equal(updated.days[0].slots.evening[0].slot, 'evening');
+    assert.deepEqual(plan.days[0].slots.evening, []);
+    assert.equal(addStop(plan, 2, {}), null);
+  });
+
+  it('dayCentre of a free day falls back to the closest day with stops, then the start', () => {
+    const plan = planItinerary({ stops, days: 14 });
+    const last = plan.days.findLastIndex(day => usedIds({ days: [day] }).size) + 1;
+
+    assert.ok(last < 14);
+    assert.deepEqual(dayCentre(plan, 14), dayCentre(plan, last));
+    assert.deepEqual(dayCentre({ days: [plan.days[13]], start: errachidia }, 1), errachidia);
+    assert.equal(dayCentre({ days: [plan.days[13]], start: null }, 1), null);
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../lib/json-schema');
+
+const schema = {
+  type: 'object',
+  required: ['name', 'tags'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string' },
+    stars: { type: 'integer', minimum: 1 },
+    kind: { enum: ['hotel', 'lodge'] },
+    tags: { type: 'array', items: { type: 'string' } },
+    location: { oneOf: [{ $ref: '#/definitions/point' }, { type: 'null' }] }
+  },
+  definitions: {
+    point: {
+      type: 'object',
+      required: ['latitude', 'longitude'],
+      properties: { latitude: { type: 'number' }, longitude: { type: 'number' } }
+    }
+  }
+};
+
+describe('validate', () => {
+  it('accepts values that match', () => {
+    assert.deepEqual(validate({ name: 'Kasbah', tags: [], stars: 4, kind: 'lodge', location: null }, schema), []);
+    assert.deepEqual(validate({ name: 'Kasbah', tags: ['pool'], location: { latitude: 31, longitude: -6.5 } }, schema), []);
+  });
+
+  it('reports each problem with its path', () => {
+    assert.deepEqual(validate({ name: 3, tags: ['pool', 7], stars: 0, kind: 'riad', extra: true }, schema), [
+      '$.name: expected string, got integer',
+      '$.tags[1]: expected string, got integer',
+      '$.stars: expected at least 1',
+      '$.kind: expected one of "hotel", "lodge"',
+      '$.extra: is not allowed'
+    ]);
+    assert.deepEqual(validate({ name: 'Kasbah' }, schema), ['$.tags: is required']);
+    assert.deepEqual(validate([], schema), ['$: expected object, got array']);
+  });
+
+  it('explains a oneOf miss with the closest shape', () => {
+    assert.deepEqual(validate({ name: 'Kasbah', tags: [], location: { latitude: '31' } }, schema), [
+      '$.location.longitude: is required',
+      '$.location.latitude: expected number, got string'
+    ]);
+  });
+
+  it('treats integers as numbers but not the other way round', () => {
+    assert.deepEqual(validate(2, { type: 'number' }), []);
+    assert.deepEqual(validate(2.5, { type: 'integer' }), ['$: expected integer, got number']);
+  });
+
+  it('fails on references it cannot resolve', () => {
+    assert.throws(() => validate({}, { $ref: '#/definitions/missing' }), /Unknown schema reference/);
+  });
+});
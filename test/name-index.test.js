@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { NameIndex, levenshtein, phoneticKey } = require('../lib/name-index');
+const { catalog } = require('./helpers');
+
+const index = NameIndex.fromCatalog(catalog);
+
+describe('NameIndex', () => {
+  it('levenshtein counts edits', () => {
+    assert.equal(levenshtein('ouarzazat', 'ouarzazate'), 1);
+    assert.equal(levenshtein('chebbi', 'chigaga'), 5);
+    assert.equal(levenshtein('', 'abc'), 3);
+  });
+
+  it('phoneticKey folds French/English transliterations together', () => {
+    assert.equal(phoneticKey('warzazat'), phoneticKey('ouarzazate'));
+    assert.equal(phoneticKey('erg chebi'), phoneticKey('erg chebbi'));
+  });
+
+  it('matches names regardless of case and accents', () => {
+    assert.equal(index.lookup('CAFE DES DUNES').match.name, 'Café des Dunes');
+    assert.equal(index.lookup('ksar aït benhaddou').match.name, 'Ksar Ait Benhaddou');
+  });
+
+  it('matches city aliases in Arabic, French and English', () => {
+    for (const spelling of ['Ksar es Souk', 'الراشيدية', 'errachidia']) {
+      assert.equal(index.lookup(spelling, { kinds: ['city'] }).match.name, 'Errachidia', spelling);
+    }
+    assert.equal(index.lookup('Tinerhir', { kinds: ['city'] }).match.name, 'Tinghir');
+    assert.equal(index.lookup('mhamid', { kinds: ['city'] }).match.name, "M'Hamid El Ghizlane");
+  });
+
+  it('restricts lookups to the requested kinds', () => {
+    assert.equal(index.lookup('Todra Gorge', { kinds: ['attraction'] }).match.kind, 'attraction');
+    assert.equal(index.lookup('Todra Gorge', { kinds: ['amenity'] }).match, null);
+  });
+
+  it('returns ranked suggestions for misspellings and ambiguous partial names', () => {
+    const misspelled = index.lookup('Sandbording');
+    assert.equal(misspelled.match, null);
+    assert.deepEqual(misspelled.suggestions[0], { name: 'Sandboarding', kind: 'activity', distance: 1 });
+
+    const ambiguous = index.lookup('Kasbah', { kinds: ['attraction'] });
+    assert.deepEqual(ambiguous.suggestions.map(item => item.name), ['Kasbah Amridil', 'Kasbah Taourirt']);
+
+    const partialTypo = index.lookup('Erg Chebi', { kinds: ['attraction'] });
+    assert.equal(partialTypo.suggestions[0].name, 'Erg Chebbi Dunes');
+  });
+
+  it('finds names mentioned in a sentence, longest first', () => {
+    assert.deepEqual(index.findMentions('hotels in warzazat please'), [
+      { name: 'Ouarzazate', kind: 'city', start: 2, length: 1, distance: 0 }
+    ]);
+
+    const pair = index.findMentions('compare Hotel Karam Palace and Hotel Kenzi Rissani', { kinds: ['amenity'] });
+    assert.deepEqual(pair.map(mention => mention.name), ['Hotel Karam Palace', 'Hotel Kenzi Rissani']);
+
+    assert.equal(index.findMentions('restaurants in Merzoga')[0].name, 'Merzouga');
+    assert.equal(index.findMentions('الفنادق في ورزازات')[0].name, 'Ouarzazate');
+    assert.deepEqual(index.findMentions('show me hotels'), []);
+  });
+
+  it('returns nothing for unrelated input', () => {
+    assert.deepEqual(index.lookup('Paris', { kinds: ['city'] }), { match: null, suggestions: [] });
+    assert.deepEqual(index.lookup('   '), { match: null, suggestions: [] });
+  });
+});
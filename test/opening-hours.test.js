@@ -0,0 +1,135 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseOpeningHours, localClock, isOpenOnDay, isOpenAt, parseRamadanDates, parseRamadanHours, RamadanSchedule,
+  createRamadanSchedule, isOpenNow, nextOpening, openingState, parseTimeOfDay, parseCheckTime
+} = require('../lib/opening-hours');
+const { catalog } = require('./helpers');
+
+// Monday 11:00 in Morocco (UTC+1)
+const MORNING = new Date('2026-06-15T10:00:00Z');
+// Monday 23:30 in Morocco
+const LATE = new Date('2026-06-15T22:30:00Z');
+const FRIDAY = 5;
+
+const openOnDay = (text, weekday) => isOpenOnDay(parseOpeningHours(text), weekday);
+const openAt = (text, date) => isOpenAt(parseOpeningHours(text), date);
+const place = (name) => [...catalog.attractions, ...catalog.amenities].find(item => item.name === name);
+
+// Ramadan 2027 in Morocco (UTC+0 while it lasts); restaurants open for iftar
+const ramadan = createRamadanSchedule({
+  RAMADAN_DATES: '2027-02-08/2027-03-09',
+  RAMADAN_HOURS: '{ "restaurant": "19:00-01:00", "attraction:6": "Mon-Sat 10:00-15:00" }'
+});
+const RAMADAN_NOON = new Date('2027-02-15T12:00:00Z'); // Monday 12:00 in Morocco
+
+describe('opening hours', () => {
+  it('parses days and periods', () => {
+    assert.deepEqual(parseOpeningHours('Sat-Thu 09:00-17:00, closed Friday'), {
+      text: 'Sat-Thu 09:00-17:00, closed Friday', alwaysOpen: false, days: [0, 1, 2, 3, 4, 6], periods: [{ open: 540, close: 1020 }]
+    });
+    assert.deepEqual(parseOpeningHours('24/7').periods, [{ open: 0, close: 1440 }]);
+    assert.equal(parseOpeningHours('24/7').alwaysOpen, true);
+    assert.deepEqual(parseOpeningHours('on request'), { text: 'on request', alwaysOpen: false, days: null, periods: [] });
+    assert.equal(parseOpeningHours('  '), null);
+    assert.equal(parseOpeningHours(undefined), null);
+  });
+
+  it('reads the clock in Morocco time', () => {
+    assert.deepEqual(localClock(MORNING), { weekday: 1, minutes: 660 });
+  });
+
+  it('understands closing days, day ranges and daily hours', () => {
+    assert.equal(openOnDay('Sat-Thu 09:00-17:00, closed Friday', FRIDAY), false);
+    assert.equal(openOnDay('Sat-Thu 09:00-17:00, closed Friday', 6), true);
+    assert.equal(openOnDay('Mon-Sun 9h-18h', 0), true);
+    assert.equal(openOnDay('Mon-Fri 9h-18h', 6), false);
+    assert.deepEqual(parseOpeningHours('Lun-Ven 9h-17h').days, [1, 2, 3, 4, 5]);
+    assert.equal(openOnDay('Lun-Ven 9h-17h', 6), false);
+    assert.equal(openOnDay('Mar-Dim 10h-18h, fermé lun', 1), false);
+    assert.equal(openOnDay('مغلق يوم الجمعة', FRIDAY), false);
+    assert.equal(openOnDay('08:00-18:00', FRIDAY), true);
+    assert.equal(openOnDay('on request', FRIDAY), null);
+    assert.equal(openOnDay('08:00-18:00', null), null);
+  });
+
+  it('tells whether a place is open at an instant', () => {
+    assert.equal(openAt('24/7', LATE), true);
+    assert.equal(openAt('08:00-18:00', MORNING), true);
+    assert.equal(openAt('Mon-Sat 12h-23h', MORNING), false);
+    assert.equal(openAt('Tue-Sun 08:00-18:00', MORNING), false);
+    assert.equal(openAt('Lun-Ven 9h-17h', new Date('2026-06-20T10:00:00Z')), false); // Saturday
+    assert.equal(openAt('18:00-02:00', LATE), true);
+    assert.equal(openAt('on request', MORNING), null);
+    assert.equal(openAt(undefined, MORNING), null);
+  });
+
+  it('finds the next opening, skipping closing days', () => {
+    const mausoleum = place('Mausoleum of Moulay Ali Cherif'); // Sat-Thu 09:00-17:00, closed Friday
+    const thursdayEvening = new Date('2026-06-18T18:00:00Z');
+
+    assert.equal(isOpenNow(mausoleum, thursdayEvening), false);
+    assert.equal(nextOpening(mausoleum, thursdayEvening).toISOString(), '2026-06-20T08:00:00.000Z');
+    assert.equal(nextOpening(place('Kasbah Taourirt'), LATE).toISOString(), '2026-06-16T08:00:00.000Z');
+    assert.equal(nextOpening({ ...mausoleum, openingHours: parseOpeningHours('on request') }, LATE), null);
+  });
+
+  it('reports the opening state of a catalog place', () => {
+    assert.deepEqual(openingState(place('Kasbah Taourirt'), LATE), {
+      isOpenNow: false, nextOpening: '2026-06-16T08:00:00.000Z', hours: parseOpeningHours('Mon-Sun 9h-18h'), ramadan: false
+    });
+    assert.equal(openingState(place('Erg Chebbi Dunes'), LATE).isOpenNow, true);
+    assert.equal(openingState(place('Erg Chebbi Dunes'), LATE).nextOpening, null);
+    assert.deepEqual(openingState({ ...place('Kasbah Taourirt'), openingHours: null }, LATE), {
+      isOpenNow: null, nextOpening: null, hours: null, ramadan: false
+    });
+  });
+
+  it('applies Ramadan hours by place, then category, then type', () => {
+    const restaurant = place('Restaurant Chez Mimi'); // 11:00-22:00
+    const taourirt = place('Kasbah Taourirt'); // attraction:6, Mon-Sun 9h-18h
+
+    assert.equal(isOpenNow(restaurant, RAMADAN_NOON), true);
+    assert.equal(isOpenNow(restaurant, RAMADAN_NOON, ramadan), false);
+    assert.deepEqual(openingState(restaurant, RAMADAN_NOON, ramadan), {
+      isOpenNow: false, nextOpening: '2027-02-15T19:00:00.000Z', hours: parseOpeningHours('19:00-01:00'), ramadan: true
+    });
+    assert.equal(isOpenNow(restaurant, new Date('2027-02-15T23:30:00Z'), ramadan), true);
+    assert.equal(isOpenNow(taourirt, RAMADAN_NOON, ramadan), true);
+    assert.equal(nextOpening(taourirt, new Date('2027-02-13T16:00:00Z'), ramadan).toISOString(), '2027-02-15T10:00:00.000Z');
+    // Outside the configured dates, and for places nothing is configured for, the catalog hours apply
+    assert.equal(openingState(restaurant, MORNING, ramadan).ramadan, false);
+    assert.equal(openingState(place('Café des Dunes'), RAMADAN_NOON, ramadan).ramadan, false);
+  });
+
+  it('reads the Ramadan configuration and rejects malformed values', () => {
+    assert.deepEqual(parseRamadanDates(' 2027-02-08/2027-03-09, 2028-01-28/2028-02-26 '), [
+      { from: '2027-02-08', to: '2027-03-09' }, { from: '2028-01-28', to: '2028-02-26' }
+    ]);
+    assert.deepEqual(parseRamadanDates(undefined), []);
+    assert.throws(() => parseRamadanDates('2027-03-09/2027-02-08'), /Invalid RAMADAN_DATES range/);
+    assert.throws(() => parseRamadanDates('February'), /Invalid RAMADAN_DATES range/);
+
+    assert.deepEqual([...parseRamadanHours('{ "cafe": "20:00-02:00", "hotel": "" }').keys()], ['cafe']);
+    assert.equal(parseRamadanHours('').size, 0);
+    assert.throws(() => parseRamadanHours('cafe=20:00-02:00'), /Invalid RAMADAN_HOURS/);
+    assert.throws(() => parseRamadanHours('["20:00-02:00"]'), /Invalid RAMADAN_HOURS/);
+
+    assert.deepEqual(createRamadanSchedule({}), new RamadanSchedule());
+    assert.equal(ramadan.includes('2027-03-09'), true);
+    assert.equal(ramadan.includes('2027-03-10'), false);
+  });
+
+  it('turns spoken times of day into the instant to check', () => {
+    assert.equal(parseTimeOfDay('ce soir'), 21 * 60);
+    assert.equal(parseTimeOfDay('الآن'), 'now');
+    assert.equal(parseTimeOfDay('open'), null);
+
+    assert.equal(parseCheckTime('tonight', MORNING).toISOString(), '2026-06-15T20:00:00.000Z');
+    assert.equal(parseCheckTime('this morning', LATE), null);
+    assert.equal(parseCheckTime('morning', LATE), LATE);
+    assert.equal(parseCheckTime(undefined, MORNING), MORNING);
+    assert.equal(parseCheckTime('2026-06-15T19:30:00+01:00', MORNING).toISOString(), '2026-06-15T18:30:00.000Z');
+    assert.equal(parseCheckTime('2', MORNING), null);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ContentHandler, IntentHandlers, Preferences, SessionManager, ITEMS_PER_PAGE } = require('../index');
+const { newSessionId } = require('./helpers');
+
+const makeItems = (count) => Array.from({ length: count }, (_, i) => ({ id_Location: i + 1, name: `Place ${i + 1}` }));
+
+describe('createPaginationResponse', () => {
+  for (const count of [1, ITEMS_PER_PAGE - 1, ITEMS_PER_PAGE]) {
+    it(`returns a single page for ${count} item(s)`, async () => {
+      const sessionId = newSessionId();
+      const response = await ContentHandler.createPaginationResponse(makeItems(count), 'hotels', sessionId, null, 'amenities');
+      const { flutter } = response.payload;
+
+      assert.equal(flutter.type, 'amenities_list');
+      assert.equal(flutter.category, 'hotels');
+      assert.deepEqual(Object.keys(flutter.data).sort(), ['amenities', 'cityName', 'count']);
+      assert.equal(flutter.data.count, count);
+      assert.equal(response.fulfillmentText, `I found ${count} ${count === 1 ? 'amenity' : 'amenities'}!`);
+      assert.equal(await SessionManager.get(sessionId), null);
+    });
+  }
+
+  it(`splits ${ITEMS_PER_PAGE + 1} items into a first page and keeps the list in the session`, async () => {
+    const sessionId = newSessionId();
+    const items = makeItems(ITEMS_PER_PAGE + 1);
+    const response = await ContentHandler.createPaginationResponse(items, 'city_attractions_merzouga', sessionId, 'Merzouga', 'attractions');
+    const { flutter } = response.payload;
+
+    assert.equal(flutter.type, 'attractions_list_with_more');
+    assert.equal(response.fulfillmentText, `I found ${ITEMS_PER_PAGE + 1} attractions in Merzouga. Here are the first ${ITEMS_PER_PAGE}:`);
+    assert.deepEqual(flutter.data, {
+      attractions: items.slice(0, ITEMS_PER_PAGE),
+      count: ITEMS_PER_PAGE,
+      hasMore: true,
+      hasPrevious: false,
+      page: 1,
+      pageCount: 2,
+      pageSize: ITEMS_PER_PAGE,
+      totalCount: ITEMS_PER_PAGE + 1,
+      remainingCount: 1,
+      cityName: 'Merzouga',
+      sendMoreMessage: true
+    });
+
+    assert.equal((await SessionManager.get(sessionId)).waitingForMoreResponse, true);
+    const list = await SessionManager.get(sessionId, 'list');
+    assert.equal(list.offset, 0);
+    assert.deepEqual(list.items, items);
+  });
+
+  it('uses the activities payload types', async () => {
+    const response = await ContentHandler.createPaginationResponse(makeItems(25), 'all_activities', newSessionId(), null, 'activities');
+    assert.equal(response.payload.flutter.type, 'activities_list_with_more');
+    assert.equal(response.payload.flutter.data.activities.length, ITEMS_PER_PAGE);
+  });
+
+  it('honours the page size chosen by the client', async () => {
+    const sessionId = newSessionId();
+    await Preferences.update(sessionId, { pageSize: 4 });
+
+    const response = await ContentHandler.createPaginationResponse(makeItems(9), 'hotels', sessionId, null, 'amenities');
+    assert.equal(response.payload.flutter.data.amenities.length, 4);
+    assert.equal(response.payload.flutter.data.pageCount, 3);
+    assert.match(response.fulfillmentText, /Here are the first 4:$/);
+  });
+});
+
+describe('page navigation', () => {
+  const names = (response) => response.payload.flutter.data.amenities.map(item => item.name);
+
+  it('moves forward and back one page at a time', async () => {
+    const sessionId = newSessionId();
+    const items = makeItems(25);
+    await ContentHandler.createPaginationResponse(items, 'camping', sessionId, null, 'amenities');
+
+    const second = await IntentHandlers.handleShowMore(sessionId);
+    assert.equal(second.fulfillmentText, 'Here is page 2 of 3 of amenities:');
+    assert.equal(second.payload.flutter.type, 'amenities_list_with_more');
+    assert.equal(second.payload.flutter.category, 'camping');
+    assert.deepEqual(names(second), items.slice(10, 20).map(item => item.name));
+    assert.equal(second.payload.flutter.data.hasPrevious, true);
+    assert.equal(second.payload.flutter.data.hasMore, true);
+
+    const third = await IntentHandlers.handleShowMore(sessionId);
+    assert.deepEqual(names(third), items.slice(20).map(item => item.name));
+    assert.equal(third.payload.flutter.data.hasMore, false);
+    assert.equal(third.payload.flutter.data.remainingCount, 0);
+
+    const past = await IntentHandlers.handleShowMore(sessionId);
+    assert.equal(past.fulfillmentText, 'That was the last page. Say "previous" to go back.');
+
+    const back = await IntentHandlers.handlePreviousPage(sessionId);
+    assert.equal(back.payload.flutter.data.page, 2);
+  });
+
+  it('jumps to a page and rejects pages out of range', async () => {
+    const sessionId = newSessionId();
+    await ContentHandler.createPaginationResponse(makeItems(25), 'camping', sessionId, null, 'amenities');
+
+    const third = await IntentHandlers.handleGoToPage(sessionId, '3');
+    assert.equal(third.payload.flutter.data.page, 3);
+
+    const first = await IntentHandlers.handleGoToPage(sessionId, 1);
+    assert.equal(first.payload.flutter.data.hasPrevious, false);
+
+    const before = await IntentHandlers.handlePreviousPage(sessionId);
+    assert.equal(before.fulfillmentText, "You're already on the first page.");
+
+    const missing = await IntentHandlers.handleGoToPage(sessionId, 7);
+    assert.equal(missing.fulfillmentText, 'There are only 3 pages. Which one would you like?');
+  });
+
+  it('mentions the city when the list was city-scoped', async () => {
+    const sessionId = newSessionId();
+    await ContentHandler.createPaginationResponse(makeItems(12), 'city_attractions_rissani', sessionId, 'Rissani', 'attractions');
+
+    const more = await IntentHandlers.handleShowMore(sessionId);
+    assert.equal(more.fulfillmentText, 'Here is page 2 of 2 of attractions in Rissani:');
+    assert.equal(more.payload.flutter.data.cityName, 'Rissani');
+  });
+
+  it('has nothing to show without a list', async () => {
+    const more = await IntentHandlers.handleShowMore(newSessionId());
+    assert.equal(more.fulfillmentText, "I don't have any additional items to show right now.");
+  });
+});
@@ -0,0 +1,182 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Payloads = require('../lib/payloads');
+const { catalog } = require('./helpers');
+
+const kasbah = catalog.attractions.find(item => item.name === 'Kasbah Amridil');
+const hotel = catalog.amenities.find(item => item.name === 'Hotel Karam Palace');
+const trek = catalog.activities[0];
+
+const pagedList = () => Payloads.flutterResponse('I found 12 attractions', 'attractions_list_with_more', {
+  attractions: [kasbah],
+  count: 1,
+  cityName: null,
+  page: 1,
+  pageCount: 12,
+  pageSize: 1,
+  totalCount: 12,
+  remainingCount: 11,
+  hasMore: true,
+  hasPrevious: false,
+  sendMoreMessage: true
+}, { category: 'all', actions: [{ type: 'view_details', label: 'View details', icon: 'info' }] });
+
+describe('flutterResponse', () => {
+  it('leaves out category and actions when not given', () => {
+    assert.deepEqual(Payloads.flutterResponse('Where are you?', 'location_request', { contentType: 'amenities' }), {
+      fulfillmentText: 'Where are you?',
+      payload: { flutter: { type: 'location_request', data: { contentType: 'amenities' } } }
+    });
+  });
+});
+
+describe('parseVersion', () => {
+  it('tells missing versions from unsupported ones', () => {
+    assert.equal(Payloads.parseVersion('2'), 2);
+    assert.equal(Payloads.parseVersion(1), 1);
+    assert.equal(Payloads.parseVersion(undefined), undefined);
+    assert.equal(Payloads.parseVersion(''), undefined);
+    assert.equal(Payloads.parseVersion(9), null);
+    assert.equal(Payloads.parseVersion('latest'), null);
+  });
+});
+
+describe('schemas', () => {
+  it('describes every payload type in every version', () => {
+    assert.ok(Payloads.SCHEMAS[1].attractions_list_with_more);
+    assert.equal(Payloads.SCHEMAS[2].attractions_list_with_more, undefined);
+    assert.equal(Payloads.SCHEMAS[2].amenity_details.$id, 'tourism-bot/payloads/v2/amenity_details');
+  });
+
+  it('reports payloads that drift from their schema', () => {
+    const { flutter } = pagedList().payload;
+    assert.deepEqual(Payloads.validatePayload(flutter, 1), []);
+    assert.deepEqual(Payloads.validatePayload({ ...flutter, data: { ...flutter.data, count: -1 } }, 1), ['$.data.count: expected at least 0']);
+    assert.deepEqual(Payloads.validatePayload({ type: 'carousel', data: {} }), ['$.type: no version 1 schema for payload type "carousel"']);
+  });
+});
+
+describe('version 2', () => {
+  it('moves list items and paging into items and pagination', () => {
+    const flutter = Payloads.toVersion(pagedList().payload.flutter, 2);
+
+    assert.equal(flutter.type, 'attractions_list');
+    assert.equal(flutter.version, 2);
+    assert.equal(flutter.category, 'all');
+    assert.deepEqual(flutter.data, {
+      contentType: 'attractions',
+      items: [kasbah],
+      count: 1,
+      cityName: null,
+      pagination: { page: 1, pageCount: 12, pageSize: 1, totalCount: 12, remainingCount: 11, hasMore: true, hasPrevious: false }
+    });
+    assert.deepEqual(Payloads.validatePayload(flutter, 2), []);
+  });
+
+  it('names single items and entries the same way', () => {
+    const details = Payloads.toVersion({
+      type: 'amenity_details', category: 'hotels', data: { amenity: hotel, amenityType: 'hotels', onlyImages: false }
+    }, 2);
+    assert.deepEqual(details.data, { itemType: 'amenity', item: hotel });
+
+    const map = Payloads.toVersion({ type: 'map_location', data: { activity: trek, googleMapsUrl: 'https://maps' } }, 2);
+    assert.deepEqual(map.data, { itemType: 'activity', item: trek, coordinates: null, googleMapsUrl: 'https://maps' });
+    assert.deepEqual(Payloads.validatePayload(map, 2), []);
+
+    const favorites = Payloads.toVersion({
+      type: 'favorites_list',
+      category: 'favorites',
+      data: { attractions: [kasbah], amenities: [hotel], activities: [], count: 2, cityName: null },
+      actions: []
+    }, 2);
+    assert.deepEqual(favorites.data, { items: [{ itemType: 'attraction', item: kasbah }, { itemType: 'amenity', item: hotel }], count: 2 });
+    assert.deepEqual(Payloads.validatePayload(favorites, 2), []);
+  });
+
+  it('describes entities precisely', () => {
+    const flutter = Payloads.toVersion(pagedList().payload.flutter, 2);
+    const broken = { ...flutter, data: { ...flutter.data, items: [{ ...kasbah, price: '20', currency: 'EUR' }] } };
+
+    assert.deepEqual(Payloads.validatePayload(broken, 2), [
+      '$.data.items[0].price: expected number or null, got string',
+      '$.data.items[0].currency: expected "MAD"'
+    ]);
+  });
+
+  it('carries the opening state of places, set as the reply goes out', () => {
+    const open = { ...kasbah, isOpenNow: false, nextOpening: '2026-06-16T07:00:00.000Z' };
+    const reply = Payloads.flutterResponse('', 'attraction_details', { attraction: open, attractionType: 'cultural', onlyImages: true }, { category: 'cultural' });
+    const v1 = Payloads.toVersion(reply.payload.flutter, 1);
+    const v2 = Payloads.toVersion(reply.payload.flutter, 2);
+
+    assert.equal(v1.data.attraction.isOpenNow, false);
+    assert.equal(v1.data.attraction.nextOpening, '2026-06-16T07:00:00.000Z');
+    assert.deepEqual(Payloads.validatePayload(v2, 2), []);
+    assert.deepEqual(Payloads.validatePayload({ ...v2, data: { ...v2.data, item: { ...open, isOpenNow: 'no' } } }, 2), [
+      '$.data.item.isOpenNow: expected boolean or null, got string'
+    ]);
+    assert.deepEqual(Payloads.mapItems({ attractions: [kasbah], count: 1 }, item => item.name), { attractions: ['Kasbah Amridil'], count: 1 });
+  });
+
+  it('reads pagination from either version', () => {
+    const v1 = pagedList().payload.flutter;
+    assert.deepEqual(Payloads.paginationOf(v1), { hasMore: true, remainingCount: 11 });
+    assert.equal(Payloads.paginationOf(Payloads.toVersion(v1, 2)).remainingCount, 11);
+    assert.equal(Payloads.paginationOf({ type: 'itinerary', data: {} }), null);
+  });
+});
+
+describe('version 1', () => {
+  it('sends places as tourism API records', () => {
+    const { data } = Payloads.toVersion(pagedList().payload.flutter, 1);
+    assert.deepEqual(data.attractions, [{
+      id_Location: 5,
+      name: 'Kasbah Amridil',
+      description: kasbah.description,
+      city: 'Skoura',
+      latitude: 31.0497,
+      longitude: -6.5603,
+      entryFre: 20,
+      openingHours: '08:00-18:00',
+      guideToursAvailable: true,
+      style: 'Pisé earthen architecture',
+      yearBuild: 1650,
+      imageUrls: ['https://images.example.com/amridil.jpg']
+    }]);
+    assert.deepEqual(Payloads.validatePayload({ ...pagedList().payload.flutter, data }, 1), []);
+
+    const saved = Payloads.toVersion({ type: 'favorite_updated', data: { type: 'activity', activity: trek, key: trek.id } }, 1);
+    assert.equal(saved.data.activity.id_Activity, 201);
+    assert.equal(saved.data.activity.cityOfTheActivity, 'Merzouga');
+  });
+});
+
+describe('prepare', () => {
+  it('converts the reply and keeps the rest of it', () => {
+    const response = { ...pagedList(), outputContexts: [] };
+    const prepared = Payloads.prepare(response, { version: 2, mode: 'strict' });
+
+    assert.equal(prepared.fulfillmentText, 'I found 12 attractions');
+    assert.deepEqual(prepared.outputContexts, []);
+    assert.equal(prepared.payload.flutter.version, 2);
+    assert.equal(response.payload.flutter.type, 'attractions_list_with_more');
+    assert.deepEqual(Payloads.prepare({ fulfillmentText: 'Hello' }, { version: 2, mode: 'strict' }), { fulfillmentText: 'Hello' });
+  });
+
+  it('throws on invalid payloads only in strict mode', () => {
+    const broken = Payloads.flutterResponse('Saved', 'favorite_updated', { type: 'attraction', attraction: kasbah });
+
+    assert.throws(() => Payloads.prepare(broken, { mode: 'strict' }), (error) => {
+      assert.match(error.message, /^Invalid favorite_updated payload \(v1\): \$\.data\.key: is required/);
+      assert.ok(error.errors.length > 1);
+      return true;
+    });
+    assert.equal(Payloads.prepare(broken, { mode: 'off' }).payload.flutter.data.attraction.id_Location, 5);
+  });
+
+  it('validates by default outside production', () => {
+    assert.equal(Payloads.validationMode({}), 'warn');
+    assert.equal(Payloads.validationMode({ NODE_ENV: 'production' }), 'off');
+    assert.equal(Payloads.validationMode({ NODE_ENV: 'production', PAYLOAD_VALIDATION: 'Strict' }), 'strict');
+  });
+});
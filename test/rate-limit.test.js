@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter } = require('../lib/rate-limit');
+
+describe('RateLimiter', () => {
+  it('allows up to the limit per window, then reports when to retry', () => {
+    let now = 0;
+    const limiter = new RateLimiter({ limit: 2, windowMs: 60000, now: () => now });
+
+    assert.deepEqual(limiter.hit('a'), { allowed: true, limit: 2, remaining: 1, retryAfterMs: 0 });
+    assert.equal(limiter.hit('a').remaining, 0);
+    now = 45000;
+    assert.deepEqual(limiter.hit('a'), { allowed: false, limit: 2, remaining: 0, retryAfterMs: 15000 });
+    assert.equal(limiter.hit('b').allowed, true);
+
+    now = 60000;
+    assert.equal(limiter.hit('a').allowed, true);
+  });
+
+  it('takes a per-key limit and forgets idle keys', () => {
+    let now = 0;
+    const limiter = new RateLimiter({ limit: 1, windowMs: 1000, now: () => now });
+
+    assert.equal(limiter.hit('partner', 3).remaining, 2);
+    now = 5000;
+    limiter.hit('other');
+    assert.deepEqual([...limiter.windows.keys()], ['other']);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseInterests, viewFromList, buildProfile, isEmptyProfile, scoreEntry, recommend } = require('../lib/recommendations');
+const { catalog } = require('./helpers');
+
+const entries = [...catalog.attractions, ...catalog.amenities, ...catalog.activities]
+  .map(item => ({ type: item.type, category: item.category, item }));
+const entry = (name) => entries.find(({ item }) => item.name === name);
+const names = (picks) => picks.map(({ item }) => item.name);
+
+describe('recommendations', () => {
+  it('parseInterests maps stated preferences in every language', () => {
+    assert.deepEqual(parseInterests(['I like nature', 'nature', 'budget travel', 'avec enfants']), ['nature', 'budget', 'kids']);
+    assert.deepEqual(parseInterests('الطبيعة'), ['nature']);
+    assert.deepEqual(parseInterests(undefined), []);
+  });
+
+  it('viewFromList turns list categories into item categories', () => {
+    assert.deepEqual(viewFromList('amenities', 'restaurants'), { type: 'amenity', category: 'restaurant', city: null });
+    assert.deepEqual(viewFromList('attractions', 'all'), { type: 'attraction', category: null, city: null });
+    assert.deepEqual(viewFromList('activities', null, 'Merzouga'), { type: 'activity', category: null, city: 'Merzouga' });
+    assert.equal(isEmptyProfile(buildProfile()), true);
+  });
+
+  it('favours natural sites and child-friendly activities for "nature, with kids"', () => {
+    const picks = recommend(entries, buildProfile({ interests: ['nature', 'kids'] }));
+
+    assert.deepEqual(names(picks), ['Dades Gorge', 'Erg Chebbi Dunes', 'Erg Chigaga', 'Todra Gorge', 'Camel Trek in Erg Chebbi']);
+    assert.deepEqual(picks.at(-1).reason, { key: 'kids', age: 6 });
+    assert.deepEqual(scoreEntry(entry('4x4 Desert Expedition'), buildProfile({ interests: ['kids'] })), { excluded: true });
+  });
+
+  it('weighs viewed categories above viewed cities', () => {
+    const profile = buildProfile({ views: [viewFromList('amenities', 'restaurants'), viewFromList('attractions', null, 'Merzouga')] });
+    const [first, second] = recommend(entries, profile);
+
+    assert.equal(first.item.name, 'Restaurant Chez Mimi');
+    assert.equal(first.score, 3);
+    assert.deepEqual(first.reason, { key: 'category' });
+    assert.equal(second.score, 2);
+    assert.deepEqual(scoreEntry(entry('Café des Dunes'), profile).reason, { key: 'city', city: 'Merzouga' });
+  });
+
+  it('learns from favorites without suggesting them again', () => {
+    const favorite = entry('Kasbah Amridil');
+    const picks = recommend(entries, buildProfile({ favorites: [favorite] }));
+
+    assert.ok(!names(picks).includes('Kasbah Amridil'));
+    assert.equal(picks[0].item.name, 'Kasbah Taourirt');
+    assert.ok(!names(recommend(entries, buildProfile({ favorites: [favorite] }), { exclude: ['attraction:6'] })).includes('Kasbah Taourirt'));
+  });
+
+  it('pushes expensive places down on a budget and ranks deterministically', () => {
+    const profile = buildProfile({ interests: ['budget', 'culture'] });
+
+    assert.equal(scoreEntry(entry('Hotel Le Berbère Palace'), profile).score, -4);
+    assert.deepEqual(scoreEntry(entry('Ruins of Sijilmassa'), profile), { score: 8, reason: { key: 'free' } });
+    assert.deepEqual(names(recommend(entries, profile)), names(recommend([...entries].reverse(), profile)));
+  });
+});
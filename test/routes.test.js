@@ -0,0 +1,785 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { stubApi, newSessionId, listen, fixtures } = require('./helpers');
+const { signToken } = require('../lib/client-auth');
+
+// Fake Dialogflow detectIntent endpoint; each test sets how it should answer
+let dialogflowHandler = null;
+const dialogflowRequests = [];
+const fakeDialogflow = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    dialogflowRequests.push({ url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+    const { status, json } = dialogflowHandler();
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(json));
+  });
+});
+
+let bot;
+let botUrl;
+let server;
+
+const JWT_SECRET = 'test-jwt-secret';
+const API_KEY = 'test-key';
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+const post = (path, body, headers = { 'X-API-Key': API_KEY }) => fetch(`${botUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body)
+});
+const hook = (body, headers = { 'X-Webhook-Secret': WEBHOOK_SECRET }) => post('/webhook', body, headers);
+
+// Collects Server-Sent Events from a fetch response; until() reads on until an event matches
+function eventStream(res) {
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  const events = [];
+  let buffer = '';
+
+  return {
+    events,
+    async until(predicate) {
+      for (;;) {
+        const found = events.find(predicate);
+        if (found) return found;
+
+        const { value, done } = await reader.read();
+        if (done) throw new Error('stream ended');
+        buffer += value;
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+        for (const frame of frames) {
+          const match = frame.match(/^event: (.+)\ndata: (.+)$/m);
+          if (match) events.push({ event: match[1], data: JSON.parse(match[2]) });
+        }
+      }
+    },
+    close: () => reader.cancel()
+  };
+}
+
+before(async () => {
+  process.env.DIALOGFLOW_API_URL = await listen(fakeDialogflow);
+  process.env.ADMIN_TOKEN = 'test-admin-token';
+  process.env.WEBHOOK_SECRET = WEBHOOK_SECRET;
+  process.env.CLIENT_API_KEYS = `test-app:${API_KEY},tiny-app:tiny-key:2`;
+  process.env.JWT_SECRET = JWT_SECRET;
+  process.env.CLIENT_RATE_LIMIT_PER_MINUTE = '1000';
+  process.env.SESSION_RATE_LIMIT_PER_MINUTE = '5';
+  process.env.ALLOWED_ORIGINS = 'https://app.example.com';
+  process.env.STREAM_SLOW_NOTICE_MS = '200';
+  bot = require('../index');
+  server = http.createServer(bot);
+  botUrl = await listen(server);
+});
+
+after(() => {
+  server.close();
+  fakeDialogflow.close();
+});
+
+beforeEach((t) => {
+  dialogflowRequests.length = 0;
+  stubApi(t, bot.ApiService, bot.catalogCache);
+});
+
+describe('POST /dialogflow-proxy', () => {
+  it('falls back to the local classifier when Dialogflow credentials are missing', async () => {
+    const res = await post('/dialogflow-proxy', { message: 'show me hotels', sessionId: newSessionId() });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.payload.flutter.type, 'amenities_list');
+    assert.deepEqual(body.engine, { name: 'local', intent: 'Ask_Hotels', confidence: 1 });
+    assert.equal(dialogflowRequests.length, 0);
+  });
+
+  it('fills city and item slots from the catalog', async () => {
+    const sessionId = newSessionId();
+
+    const city = await (await post('/dialogflow-proxy', { message: 'activities in Zagora', sessionId })).json();
+    assert.equal(city.engine.intent, 'Ask_Activities_By_City');
+    assert.equal(city.payload.flutter.data.cityName, 'Zagora');
+
+    const item = await (await post('/dialogflow-proxy', { message: 'tell me about kasbah amridil', sessionId })).json();
+    assert.equal(item.engine.intent, 'Ask_Attraction_Details');
+    assert.equal(item.payload.flutter.data.attraction.name, 'Kasbah Amridil');
+    assert.equal(item.payload.flutter.data.attraction.id_Location, 5);
+
+    const price = await (await post('/dialogflow-proxy', { message: 'how much is it?', sessionId })).json();
+    assert.equal(price.engine.intent, 'FollowUp_Price');
+    assert.equal(price.payload.flutter.data.attraction.name, 'Kasbah Amridil');
+  });
+
+  it('answers in the payload version the client asks for, for the rest of the session', async () => {
+    const sessionId = newSessionId();
+
+    const list = await (await post('/dialogflow-proxy', { message: 'show me hotels', sessionId, payloadVersion: 2 })).json();
+    assert.equal(list.payload.flutter.version, 2);
+    assert.equal(list.payload.flutter.type, 'amenities_list');
+    assert.equal(list.payload.flutter.data.contentType, 'amenities');
+    assert.ok(list.payload.flutter.data.items.length > 0);
+    assert.equal(list.payload.flutter.data.pagination, null);
+
+    const item = await (await post('/dialogflow-proxy', { message: 'tell me about kasbah amridil', sessionId })).json();
+    assert.equal(item.payload.flutter.data.itemType, 'attraction');
+    assert.equal(item.payload.flutter.data.item.name, 'Kasbah Amridil');
+    assert.equal(item.payload.flutter.data.item.id, 'attraction:5');
+    assert.equal(item.payload.flutter.data.item.openingHours.text, '08:00-18:00');
+
+    const res = await post('/dialogflow-proxy', { message: 'show me hotels', sessionId, payloadVersion: 9 });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).fulfillmentText, /payloadVersion must be 1 or 2/);
+  });
+
+  it('asks to rephrase when nothing matches', async () => {
+    const body = await (await post('/dialogflow-proxy', { message: 'qwerty zxcv', sessionId: newSessionId() })).json();
+
+    assert.equal(body.engine.intent, 'Default Fallback Intent');
+    assert.match(body.fulfillmentText, /^Sorry, I didn't catch that/);
+  });
+
+  describe('with credentials', () => {
+    beforeEach((t) => {
+      t.mock.method(bot.DialogflowService, 'isConfigured', () => true);
+      t.mock.method(bot.DialogflowService, 'getAccessToken', async () => 'fake-token');
+    });
+
+    it('forwards the message and renders the detected intent', async () => {
+      dialogflowHandler = () => ({ status: 200, json: { queryResult: { intent: { displayName: 'Ask_Hotels' }, parameters: {} } } });
+      const sessionId = newSessionId();
+
+      const res = await post('/dialogflow-proxy', { message: 'show hotels', sessionId });
+      const body = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.equal(body.payload.flutter.type, 'amenities_list');
+      assert.deepEqual(body.engine, { name: 'dialogflow', intent: 'Ask_Hotels', confidence: null });
+
+      const [request] = dialogflowRequests;
+      assert.equal(request.url, `/v2/projects/tourisme-bot-sxin/agent/sessions/${sessionId}:detectIntent`);
+      assert.equal(request.headers.authorization, 'Bearer fake-token');
+      assert.deepEqual(request.body.queryInput.text, { text: 'show hotels', languageCode: 'en-US' });
+    });
+
+    it('detects the message language, forwards it and remembers it for the session', async () => {
+      dialogflowHandler = () => ({ status: 200, json: { queryResult: { intent: { displayName: 'Ask_Cafes' }, parameters: {} } } });
+      const sessionId = newSessionId();
+
+      const first = await (await post('/dialogflow-proxy', { message: 'montre-moi les cafés', sessionId })).json();
+      const second = await (await post('/dialogflow-proxy', { message: 'Errachidia', sessionId })).json();
+
+      assert.equal(first.fulfillmentText, "J'ai trouvé 2 établissements !");
+      assert.equal(second.payload.flutter.locale.language, 'fr');
+      assert.deepEqual(dialogflowRequests.map(request => request.body.queryInput.text.languageCode), ['fr', 'fr']);
+    });
+
+    it('lets the client choose the language', async () => {
+      dialogflowHandler = () => ({ status: 200, json: { queryResult: { intent: { displayName: 'Ask_Cafes' }, parameters: {} } } });
+
+      const body = await (await post('/dialogflow-proxy', { message: 'cafes', sessionId: newSessionId(), language: 'ar-MA' })).json();
+
+      assert.equal(dialogflowRequests[0].body.queryInput.text.languageCode, 'ar');
+      assert.deepEqual(body.payload.flutter.locale, { language: 'ar', direction: 'rtl' });
+    });
+
+    it('pages lists with the page size the client asked for', async () => {
+      dialogflowHandler = () => ({ status: 200, json: { queryResult: { intent: { displayName: 'Ask_All_Amenities' }, parameters: {} } } });
+
+      const body = await (await post('/dialogflow-proxy', { message: 'show amenities', sessionId: newSessionId(), pageSize: 5 })).json();
+
+      assert.equal(body.payload.flutter.data.amenities.length, 5);
+      assert.equal(body.payload.flutter.data.pageCount, 3);
+    });
+
+    it('passes the user coordinates to the nearby intents', async () => {
+      dialogflowHandler = () => ({ status: 200, json: { queryResult: { intent: { displayName: 'Ask_Nearby_Amenities' }, parameters: { 'amenity-type': 'cafe' } } } });
+
+      const res = await post('/dialogflow-proxy', {
+        message: 'cafes near me',
+        sessionId: newSessionId(),
+        location: { latitude: 31.93, longitude: -4.42 }
+      });
+      const body = await res.json();
+
+      assert.equal(body.payload.flutter.data.amenities[0].name, 'Café Kasbah Errachidia');
+      assert.deepEqual(body.payload.flutter.data.userLocation, { latitude: 31.93, longitude: -4.42 });
+    });
+
+    it('falls back to the local classifier when Dialogflow answers with an error', async () => {
+      dialogflowHandler = () => ({ status: 503, json: { error: { code: 503, message: 'unavailable' } } });
+
+      const res = await post('/dialogflow-proxy', { message: 'hello', sessionId: newSessionId() });
+      const body = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.equal(dialogflowRequests.length, 1);
+      assert.equal(body.engine.name, 'local');
+      assert.match(body.fulfillmentText, /^Welcome/);
+    });
+
+    it('falls back to the local classifier when no access token can be obtained', async (t) => {
+      t.mock.method(bot.DialogflowService, 'getAccessToken', async () => { throw new Error('Failed to obtain access token'); });
+
+      const res = await post('/dialogflow-proxy', { message: 'hello', sessionId: newSessionId() });
+
+      assert.equal(res.status, 200);
+      assert.equal((await res.json()).engine.name, 'local');
+      assert.equal(dialogflowRequests.length, 0);
+    });
+
+    it('keeps answering when the intent handler fails', async (t) => {
+      dialogflowHandler = () => ({ status: 200, json: { queryResult: { intent: { displayName: 'Ask_Camping' } } } });
+      t.mock.method(bot.ApiService, 'getCatalog', async () => { throw new Error('boom'); });
+
+      const res = await post('/dialogflow-proxy', { message: 'camping', sessionId: newSessionId() });
+
+      assert.equal(res.status, 200);
+      assert.equal((await res.json()).fulfillmentText, 'Having trouble finding amenities.');
+    });
+  });
+});
+
+describe('client access to /dialogflow-proxy', () => {
+  it('accepts API keys and JWTs, and rejects anything else', async () => {
+    const token = signToken({ sub: 'web-app', exp: Math.floor(Date.now() / 1000) + 60 }, JWT_SECRET);
+    const expired = signToken({ sub: 'web-app', exp: Math.floor(Date.now() / 1000) - 60 }, JWT_SECRET);
+    const forged = signToken({ sub: 'web-app' }, 'not-the-secret');
+    const message = { message: 'hello', sessionId: newSessionId() };
+
+    assert.equal((await post('/dialogflow-proxy', message, { Authorization: `Bearer ${API_KEY}` })).status, 200);
+    assert.equal((await post('/dialogflow-proxy', { ...message, sessionId: newSessionId() }, { Authorization: `Bearer ${token}` })).status, 200);
+    assert.equal((await post('/dialogflow-proxy', message, {})).status, 401);
+    assert.equal((await post('/dialogflow-proxy', message, { 'X-API-Key': 'wrong' })).status, 401);
+    assert.equal((await post('/dialogflow-proxy', message, { Authorization: `Bearer ${expired}` })).status, 401);
+    assert.equal((await post('/dialogflow-proxy', message, { Authorization: `Bearer ${forged}` })).status, 401);
+  });
+
+  it('rejects browser origins outside ALLOWED_ORIGINS', async () => {
+    const message = { message: 'hello', sessionId: newSessionId() };
+
+    const allowed = await post('/dialogflow-proxy', message, { 'X-API-Key': API_KEY, Origin: 'https://app.example.com' });
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://app.example.com');
+
+    const denied = await post('/dialogflow-proxy', message, { 'X-API-Key': API_KEY, Origin: 'https://evil.example.com' });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.headers.get('access-control-allow-origin'), null);
+  });
+
+  it('validates message and sessionId before calling anything', async () => {
+    const cases = [
+      [{ sessionId: newSessionId() }, /message is required/],
+      [{ message: '   ', sessionId: newSessionId() }, /message is required/],
+      [{ message: 'x'.repeat(257), sessionId: newSessionId() }, /at most 256 characters/],
+      [{ message: 'hello' }, /sessionId is required/],
+      [{ message: 'hello', sessionId: '../../agent' }, /sessionId must be/],
+      [{ message: 'hello', sessionId: 'a'.repeat(37) }, /sessionId must be/]
+    ];
+
+    for (const [body, error] of cases) {
+      const res = await post('/dialogflow-proxy', body);
+      assert.equal(res.status, 400);
+      assert.match((await res.json()).fulfillmentText, error);
+    }
+    assert.equal(dialogflowRequests.length, 0);
+  });
+
+  it('limits requests per session and per client with 429 and Retry-After', async () => {
+    const sessionId = newSessionId();
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await post('/dialogflow-proxy', { message: 'hello', sessionId })).status, 200);
+    }
+    const limited = await post('/dialogflow-proxy', { message: 'hello', sessionId });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+    assert.equal((await post('/dialogflow-proxy', { message: 'hello', sessionId: newSessionId() })).status, 200);
+
+    const tiny = { 'X-API-Key': 'tiny-key' };
+    assert.equal((await post('/dialogflow-proxy', { message: 'hello', sessionId: newSessionId() }, tiny)).status, 200);
+    assert.equal((await post('/dialogflow-proxy', { message: 'hello', sessionId: newSessionId() }, tiny)).status, 200);
+    const overQuota = await post('/dialogflow-proxy', { message: 'hello', sessionId: newSessionId() }, tiny);
+    assert.equal(overQuota.status, 429);
+    assert.equal(overQuota.headers.get('ratelimit-limit'), '2');
+  });
+});
+
+describe('POST /webhook', () => {
+  const sessionPath = (id) => `projects/tourisme-bot-sxin/agent/sessions/${id}`;
+
+  it('returns a WebhookResponse with messages, payload and output contexts', async () => {
+    const session = sessionPath(newSessionId());
+    const res = await hook({
+      session,
+      queryResult: {
+        queryText: 'show me all amenities',
+        intent: { displayName: 'Ask_All_Amenities' },
+        parameters: {},
+        outputContexts: [{ name: `${session}/contexts/amenities`, lifespanCount: 5 }]
+      }
+    });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.match(body.fulfillmentText, /^I found \d+ amenities\. Here are the first 10:/);
+    assert.deepEqual(body.fulfillmentMessages[0], { text: { text: [body.fulfillmentText] } });
+    assert.deepEqual(body.fulfillmentMessages[1], { payload: body.payload });
+    assert.equal(body.payload.flutter.type, 'amenities_list_with_more');
+    assert.deepEqual(body.outputContexts, [
+      { name: `${session}/contexts/amenities`, lifespanCount: 5 },
+      { name: `${session}/contexts/pagination-followup`, lifespanCount: 2 },
+      { name: `${session}/contexts/map-followup`, lifespanCount: 0 }
+    ]);
+  });
+
+  it('shares session state with follow-up intents', async () => {
+    const session = sessionPath(newSessionId());
+    await hook({ session, queryResult: { intent: { displayName: 'Ask_All_Attractions' } } });
+
+    const res = await hook({ session, queryResult: { intent: { displayName: 'Pagination_ShowMore' } } });
+    const body = await res.json();
+
+    assert.equal(body.payload.flutter.data.page, 2);
+    assert.equal(body.outputContexts.find(context => context.name.endsWith('pagination-followup')).lifespanCount, 2);
+
+    await hook({ session, queryResult: { intent: { displayName: 'Pagination_Decline' } } });
+    const declined = await (await hook({ session, queryResult: { intent: { displayName: 'Pagination_Previous' } } })).json();
+    assert.equal(declined.outputContexts.find(context => context.name.endsWith('pagination-followup')).lifespanCount, 0);
+  });
+
+  it('answers in the language the agent matched', async () => {
+    const session = sessionPath(newSessionId());
+    const res = await hook({
+      session,
+      queryResult: { queryText: 'bonjour', languageCode: 'fr', intent: { displayName: 'Default Welcome Intent' } }
+    });
+
+    assert.match((await res.json()).fulfillmentText, /^Bienvenue/);
+  });
+
+  it('rejects malformed requests', async () => {
+    const res = await hook({ queryResult: {} });
+    assert.equal(res.status, 400);
+    assert.equal((await hook({ session: sessionPath('bad session'), queryResult: { intent: { displayName: 'Ask_Hotels' } } })).status, 400);
+  });
+
+  it('requires the webhook secret as a header or basic auth password', async () => {
+    const body = { session: sessionPath(newSessionId()), queryResult: { intent: { displayName: 'Ask_Hotels' } } };
+    assert.equal((await hook(body, {})).status, 401);
+    assert.equal((await hook(body, { 'X-Webhook-Secret': 'guess' })).status, 401);
+    assert.equal((await hook(body, { 'X-API-Key': API_KEY })).status, 401);
+
+    const basic = `Basic ${Buffer.from(`dialogflow:${WEBHOOK_SECRET}`).toString('base64')}`;
+    assert.equal((await hook(body, { Authorization: basic })).status, 200);
+  });
+
+  it('keeps favorites with the session instead of a userId from the payload', async () => {
+    const userId = `user-${newSessionId()}`;
+    await fetch(`${botUrl}/users/${userId}/favorites`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY },
+      body: JSON.stringify({ type: 'attraction', id: 5 })
+    });
+
+    const res = await hook({
+      session: sessionPath(newSessionId()),
+      queryResult: { intent: { displayName: 'Show_Favorites' } },
+      originalDetectIntentRequest: { payload: { userId } }
+    });
+    assert.match((await res.json()).fulfillmentText, /^You don't have any favorites yet/);
+  });
+});
+
+describe('/users/:userId/favorites', () => {
+  const favoritesUrl = (userId) => `${botUrl}/users/${userId}/favorites`;
+  const send = (method, userId, body) => fetch(favoritesUrl(userId), {
+    method,
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY },
+    body: JSON.stringify(body)
+  });
+  const get = (url, headers = {}) => fetch(url, { headers: { 'X-API-Key': API_KEY, ...headers } });
+
+  it('adds, lists and removes favorites', async () => {
+    const userId = `user-${newSessionId()}`;
+
+    const created = await send('POST', userId, { type: 'attraction', id: 5 });
+    assert.equal(created.status, 201);
+    assert.equal((await created.json()).payload.flutter.data.attraction.name, 'Kasbah Amridil');
+
+    assert.equal((await send('POST', userId, { type: 'attraction', id: 5 })).status, 200);
+    assert.equal((await send('POST', userId, { type: 'activity', id: '201' })).status, 201);
+
+    const list = await (await get(favoritesUrl(userId))).json();
+    assert.equal(list.payload.flutter.type, 'favorites_list');
+    assert.equal(list.payload.flutter.data.count, 2);
+
+    const removed = await fetch(`${favoritesUrl(userId)}?type=activity&id=201`, { method: 'DELETE', headers: { 'X-API-Key': API_KEY } });
+    assert.equal(removed.status, 200);
+    assert.equal((await removed.json()).payload.flutter.data.count, 1);
+    assert.equal((await send('DELETE', userId, { type: 'activity', id: 201 })).status, 404);
+  });
+
+  it('sends the payload version asked for in the query', async () => {
+    const userId = `user-${newSessionId()}`;
+
+    const created = await (await fetch(`${favoritesUrl(userId)}?payloadVersion=2`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY },
+      body: JSON.stringify({ type: 'attraction', id: 5 })
+    })).json();
+    assert.equal(created.payload.flutter.data.itemType, 'attraction');
+
+    const list = await (await get(`${favoritesUrl(userId)}?payloadVersion=2`)).json();
+    assert.equal(list.payload.flutter.version, 2);
+    assert.deepEqual(list.payload.flutter.data.items.map(entry => entry.item.name), ['Kasbah Amridil']);
+
+    assert.equal((await get(`${favoritesUrl(userId)}?payloadVersion=3`)).status, 400);
+  });
+
+  it('localizes replies from Accept-Language', async () => {
+    const res = await get(favoritesUrl('someone'), { 'Accept-Language': 'fr-FR,fr;q=0.9' });
+    assert.match((await res.json()).fulfillmentText, /^Vous n'avez pas encore de favoris/);
+  });
+
+  it('lets a JWT client reach only the favorites of the user in its token', async () => {
+    const asUser = { Authorization: `Bearer ${signToken({ sub: 'traveller-7' }, JWT_SECRET)}` };
+
+    assert.equal((await fetch(favoritesUrl('traveller-7'), { headers: asUser })).status, 200);
+    assert.equal((await fetch(favoritesUrl('traveller-8'), { headers: asUser })).status, 403);
+    assert.equal((await fetch(`${favoritesUrl('traveller-8')}/export.geojson`, { headers: asUser })).status, 403);
+    assert.equal((await post('/dialogflow-proxy', { message: 'show my favorites', sessionId: newSessionId(), userId: 'traveller-8' }, asUser)).status, 403);
+    assert.equal((await post('/dialogflow-proxy', { message: 'show my favorites', sessionId: newSessionId(), userId: 'traveller-7' }, asUser)).status, 200);
+  });
+
+  it('keeps chat favorites with the user in the token when the body has no userId', async () => {
+    const userId = `traveller-${newSessionId()}`;
+    const asUser = { Authorization: `Bearer ${signToken({ sub: userId }, JWT_SECRET)}` };
+    const saved = await (await post('/dialogflow-proxy', { message: 'save Kasbah Amridil to my favorites', sessionId: newSessionId() }, asUser)).json();
+    assert.match(saved.fulfillmentText, /Kasbah Amridil/);
+
+    const favorites = await (await fetch(`${favoritesUrl(userId)}?payloadVersion=2`, { headers: asUser })).json();
+    assert.deepEqual(favorites.payload.flutter.data.items.map(entry => entry.item.name), ['Kasbah Amridil']);
+  });
+
+  it('rejects bad input and unknown items', async () => {
+    assert.equal((await send('POST', 'someone', { type: 'museum', id: 1 })).status, 400);
+    assert.equal((await send('POST', 'someone', { type: 'amenity', id: 99999 })).status, 404);
+    assert.equal((await send('DELETE', 'someone', {})).status, 400);
+    assert.equal((await get(favoritesUrl('bad%20user'))).status, 400);
+    assert.equal((await fetch(favoritesUrl('someone'))).status, 401);
+  });
+});
+
+describe('chat streams', () => {
+  const open = (query = '', headers = { 'X-API-Key': API_KEY }) => fetch(`${botUrl}/chat/stream${query}`, { headers });
+  const say = (channelId, message, headers = { 'X-API-Key': API_KEY }) => post(`/chat/stream/${channelId}/messages`, { message }, headers);
+
+  it('streams typing, text, payload and a more-results notice on a session-bound channel', async () => {
+    const res = await open();
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+    const stream = eventStream(res);
+
+    try {
+      const { data: { channelId, sessionId } } = await stream.until(({ event }) => event === 'ready');
+      assert.match(sessionId, /^[0-9a-f-]{36}$/);
+
+      const accepted = await say(channelId, 'show me all attractions');
+      assert.equal(accepted.status, 202);
+      assert.deepEqual(await accepted.json(), { channelId, sessionId, turn: 1 });
+
+      const notice = await stream.until(({ event }) => event === 'notice');
+      assert.deepEqual(stream.events.filter(({ data }) => data.turn === 1).map(({ event }) => event).filter(event => event !== 'status'),
+        ['typing', 'message', 'payload', 'done', 'notice']);
+      const message = stream.events.find(({ event }) => event === 'message').data;
+      assert.match(message.fulfillmentText, /^I found \d+ attractions/);
+      assert.equal(message.engine.intent, 'Ask_All_Attractions');
+      assert.equal(message.payload, undefined);
+      assert.equal(stream.events.find(({ event }) => event === 'payload').data.payload.flutter.type, 'attractions_list_with_more');
+      assert.equal(notice.data.type, 'more_results');
+      assert.match(notice.data.text, /^\d+ more results? (is|are) ready/);
+
+      // The channel remembers the session, so "more" pages the same list
+      assert.equal((await say(channelId, 'more')).status, 202);
+      const page = await stream.until(({ event, data }) => event === 'payload' && data.turn === 2);
+      assert.equal(page.data.payload.flutter.data.page, 2);
+    } finally {
+      await stream.close();
+    }
+  });
+
+  it('tells the user when a search is slow', async (t) => {
+    const stream = eventStream(await open(`?sessionId=${newSessionId()}`));
+
+    try {
+      const { data: { channelId } } = await stream.until(({ event }) => event === 'ready');
+      const { makeCall } = bot.ApiService;
+      t.mock.method(bot.ApiService, 'makeCall', async (url) => {
+        await new Promise(resolve => setTimeout(resolve, 400));
+        return makeCall.call(bot.ApiService, url);
+      });
+      bot.catalogCache.invalidate();
+
+      await say(channelId, 'show me hotels');
+      const status = await stream.until(({ event }) => event === 'status');
+      assert.match(status.data.text, /^Still searching/);
+      await stream.until(({ event }) => event === 'done');
+    } finally {
+      await stream.close();
+    }
+  });
+
+  it('only lets the client that opened a stream post to it', async () => {
+    const stream = eventStream(await open());
+
+    try {
+      const { data: { channelId } } = await stream.until(({ event }) => event === 'ready');
+      const otherApp = { Authorization: `Bearer ${signToken({ sub: 'other-app' }, JWT_SECRET)}` };
+      assert.equal((await say(channelId, 'hello', otherApp)).status, 404);
+      assert.equal((await say('no-such-channel', 'hello')).status, 404);
+      assert.equal((await say(channelId, '')).status, 400);
+    } finally {
+      await stream.close();
+    }
+
+    assert.equal((await open('', {})).status, 401);
+    assert.equal((await open('?sessionId=bad%20id')).status, 400);
+  });
+
+  it('only answers chat messages on sessions of the same client', async () => {
+    const sessionId = newSessionId();
+    assert.equal((await post('/dialogflow-proxy', { message: 'show me all attractions', sessionId })).status, 200);
+
+    const otherApp = { Authorization: `Bearer ${signToken({ sub: 'other-app' }, JWT_SECRET)}` };
+    const refused = await post('/dialogflow-proxy', { message: 'more', sessionId }, otherApp);
+    assert.equal(refused.status, 403);
+    assert.equal((await refused.json()).payload, undefined);
+
+    const page = await (await post('/dialogflow-proxy', { message: 'more', sessionId })).json();
+    assert.equal(page.payload.flutter.data.page, 2);
+  });
+
+  it('only opens streams on sessions of the same client', async () => {
+    const sessionId = newSessionId();
+    await post('/dialogflow-proxy', { message: 'show me hotels', sessionId });
+
+    const otherApp = { Authorization: `Bearer ${signToken({ sub: 'other-app' }, JWT_SECRET)}` };
+    assert.equal((await open(`?sessionId=${sessionId}`, otherApp)).status, 403);
+
+    const stream = eventStream(await open(`?sessionId=${sessionId}`));
+    try {
+      assert.equal((await stream.until(({ event }) => event === 'ready')).data.sessionId, sessionId);
+    } finally {
+      await stream.close();
+    }
+  });
+});
+
+describe('export downloads', () => {
+  const get = (path, headers = { 'X-API-Key': API_KEY }) => fetch(path.startsWith('http') ? path : `${botUrl}${path}`, { headers });
+
+  it('serves the signed links from chat payloads without credentials', async () => {
+    const sessionId = newSessionId();
+    const chat = await (await post('/dialogflow-proxy', { message: 'show me hotels', sessionId })).json();
+    const { downloads } = chat.payload.flutter.data;
+    assert.match(downloads.gpx, new RegExp(`^${botUrl}/exports/[0-9a-f-]{36}\\.gpx\\?`));
+    assert.ok(!downloads.gpx.includes(sessionId));
+
+    const gpx = await get(downloads.gpx, {});
+    assert.equal(gpx.status, 200);
+    assert.match(gpx.headers.get('content-type'), /^application\/gpx\+xml/);
+    assert.match(gpx.headers.get('content-disposition'), /attachment; filename="draa-tafilalet-results\.gpx"/);
+    assert.match(await gpx.text(), /<wpt lat="[\d.]+" lon="-?[\d.]+">/);
+
+    const geojson = await (await get(downloads.geojson, {})).json();
+    assert.equal(geojson.type, 'FeatureCollection');
+    assert.equal(geojson.features.length, chat.payload.flutter.data.count);
+
+    // Later lists of the session reuse its token: one copy per session, whatever its links show last
+    const next = await (await post('/dialogflow-proxy', { message: 'show me restaurants', sessionId })).json();
+    assert.equal(next.payload.flutter.data.downloads.gpx.split('?')[0], downloads.gpx.split('?')[0]);
+    assert.equal((await (await get(downloads.geojson, {})).json()).features.length, next.payload.flutter.data.count);
+
+    assert.equal((await get(downloads.gpx.replace(/signature=[^&]+/, 'signature=forged'), {})).status, 401);
+    assert.equal((await get(downloads.gpx.replace('.gpx?', '.geojson?'), {})).status, 401);
+  });
+
+  it('exports items and favorites for authenticated clients', async () => {
+    const ics = await get('/items/activity/201/export.ics?start=2026-10-20');
+    assert.equal(ics.status, 200);
+    assert.match(ics.headers.get('content-type'), /^text\/calendar/);
+    const calendar = await ics.text();
+    assert.match(calendar, /SUMMARY:Camel Trek in Erg Chebbi/);
+    assert.match(calendar, /DTSTART:20261020T\d{6}Z/);
+
+    const userId = `user-${newSessionId()}`;
+    await fetch(`${botUrl}/users/${userId}/favorites`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY },
+      body: JSON.stringify({ type: 'attraction', id: 5 })
+    });
+    const favorites = await (await get(`/users/${userId}/favorites/export.geojson`)).json();
+    assert.deepEqual(favorites.features.map(feature => feature.properties.name), ['Kasbah Amridil']);
+    assert.equal((await get(`/users/${userId}/favorites/export.ics`)).status, 404);
+  });
+
+  it('rejects missing credentials, unknown formats and empty exports', async () => {
+    assert.equal((await get('/items/attraction/5/export.gpx', {})).status, 401);
+    assert.equal((await get('/items/attraction/5/export.pdf')).status, 400);
+    assert.equal((await get('/items/attraction/5/export.gpx?start=tomorrow')).status, 400);
+    assert.equal((await get('/items/museum/5/export.gpx')).status, 404);
+    assert.equal((await get('/items/attraction/99999/export.gpx')).status, 404);
+    assert.equal((await get(`/exports/${crypto.randomUUID()}.gpx`)).status, 404);
+    assert.equal((await get('/exports/not-a-token.gpx')).status, 404);
+  });
+});
+
+describe('/admin/analytics', () => {
+  const admin = (path) => fetch(`${botUrl}/admin/analytics${path}`, { headers: { Authorization: 'Bearer test-admin-token' } });
+
+  it('reports intents, cities, zero-result queries and fallbacks from proxied chats', async () => {
+    const from = new Date().toISOString();
+    const sessionId = newSessionId();
+    await post('/dialogflow-proxy', { message: 'activities in Zagora', sessionId });
+    await post('/dialogflow-proxy', { message: 'activities in Midelt', sessionId });
+    await post('/dialogflow-proxy', { message: 'qwerty zxcv', sessionId });
+
+    const res = await admin(`?from=${from}`);
+    const report = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(report.total, 3);
+    assert.deepEqual(report.topIntents[0], { intent: 'Ask_Activities_By_City', count: 2 });
+    assert.deepEqual(report.topCities.map(entry => entry.city).sort(), ['Midelt', 'Zagora']);
+    assert.deepEqual(report.zeroResults, [{ query: 'activities in Midelt', count: 1, intents: ['Ask_Activities_By_City'] }]);
+    assert.equal(report.fallbackRate, 0.333);
+    assert.equal(typeof report.latency[0].p95, 'number');
+  });
+
+  it('exports records as CSV and JSON without raw session ids', async () => {
+    const from = new Date().toISOString();
+    const sessionId = newSessionId();
+    await post('/dialogflow-proxy', { message: 'show me hotels', sessionId });
+
+    const json = await (await admin(`/export?from=${from}`)).json();
+    assert.equal(json.length, 1);
+    assert.equal(json[0].engine, 'local');
+    assert.notEqual(json[0].session, sessionId);
+
+    const csv = await admin(`/export?format=csv&from=${from}`);
+    assert.match(csv.headers.get('content-type'), /^text\/csv/);
+    assert.match(csv.headers.get('content-disposition'), /analytics\.csv/);
+    assert.equal((await csv.text()).trim().split('\n').length, 2);
+  });
+
+  it('requires the admin token and valid query parameters', async () => {
+    assert.equal((await fetch(`${botUrl}/admin/analytics`)).status, 401);
+    assert.equal((await fetch(`${botUrl}/admin/analytics`, { headers: { Authorization: 'Bearer nope' } })).status, 401);
+    assert.equal((await admin('?from=yesterday')).status, 400);
+    assert.equal((await admin('/export?format=xml')).status, 400);
+  });
+});
+
+describe('/admin/catalog/issues', () => {
+  const issues = () => fetch(`${botUrl}/admin/catalog/issues`, { headers: { Authorization: 'Bearer test-admin-token' } });
+
+  it('reports malformed records and leaves them out of replies', async (t) => {
+    bot.catalogIssues.clear();
+    const broken = [...fixtures.amenitiesByType.hotels, { id_Location: 130, numberStars: 3 }, { id_Location: 131, name: 'Hotel Sans Prix', price: 'ask' }];
+    stubApi(t, bot.ApiService, bot.catalogCache, { ...fixtures, amenitiesByType: { ...fixtures.amenitiesByType, hotels: broken } });
+
+    const list = await (await post('/dialogflow-proxy', { message: 'show me hotels', sessionId: newSessionId() })).json();
+    assert.ok(list.payload.flutter.data.amenities.every(item => item.id_Location !== 130));
+
+    const report = await (await issues()).json();
+    assert.equal(report.rejectedCount, 1);
+    assert.equal(report.warningCount, 1);
+    assert.deepEqual(report.sources[0].rejected, [{ id: 130, name: null, errors: ['name is missing'] }]);
+    assert.deepEqual(report.sources[0].warnings[0].warnings, ['price is not an amount ("ask")']);
+    assert.equal((await fetch(`${botUrl}/admin/catalog/issues`)).status, 401);
+  });
+});
+
+describe('/admin bot configuration', () => {
+  const admin = (method, path, body) => fetch(`${botUrl}/admin${path}`, {
+    method,
+    headers: { Authorization: 'Bearer test-admin-token', 'Content-Type': 'application/json' },
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  });
+  const webhook = async (intent, parameters = {}) => (await hook({
+    session: `projects/tourisme-bot-sxin/agent/sessions/${newSessionId()}`,
+    queryResult: { intent: { displayName: intent }, parameters }
+  })).json();
+
+  it('binds new intents and parameter aliases without a restart', async (t) => {
+    t.after(() => Promise.all([admin('DELETE', '/intents/Ask_Desert_Camps'), admin('DELETE', '/aliases/city-or-name')]));
+
+    assert.match((await webhook('Ask_Desert_Camps')).fulfillmentText, /I understand you're asking about/);
+    const saved = await admin('PUT', '/intents/Ask_Desert_Camps', { handler: 'handleCamping' });
+    assert.equal(saved.status, 200);
+    assert.deepEqual((await saved.json()).intents.Ask_Desert_Camps, { handler: 'handleCamping', args: [] });
+    assert.deepEqual((await webhook('Ask_Desert_Camps')).payload.flutter.data.amenities.map(item => item.name),
+      fixtures.amenitiesByType.camping.map(item => item.name));
+
+    await admin('PUT', '/aliases/city-or-name', { parameters: ['town'] });
+    const city = await webhook('Ask_Attractions_By_City', { town: 'Merzouga' });
+    assert.ok(city.payload.flutter.data.attractions.every(item => item.city === 'Merzouga'));
+
+    const config = await (await admin('GET', '/config')).json();
+    assert.deepEqual(config.customized, { intents: ['Ask_Desert_Camps'], aliases: ['city-or-name'] });
+    assert.ok(config.handlers.includes('handleWelcome'));
+  });
+
+  it('serves changed reply templates', async (t) => {
+    t.after(() => admin('DELETE', '/templates/en/welcome'));
+
+    await admin('PUT', '/templates/en/welcome', { template: 'Welcome to the Draa-Tafilalet desert!' });
+    const hello = await (await post('/dialogflow-proxy', { message: 'hello', sessionId: newSessionId() })).json();
+    assert.equal(hello.fulfillmentText, 'Welcome to the Draa-Tafilalet desert!');
+
+    await admin('DELETE', '/templates/en/welcome');
+    const again = await (await post('/dialogflow-proxy', { message: 'hello', sessionId: newSessionId() })).json();
+    assert.match(again.fulfillmentText, /^Welcome to Draa-Tafilalet Tourism Assistant!/);
+  });
+
+  it('hides and pins catalog entries', async (t) => {
+    t.after(() => Promise.all([admin('DELETE', '/catalog/overrides/amenity:105'), admin('DELETE', '/catalog/overrides/attraction:6')]));
+
+    await admin('PUT', '/catalog/overrides/amenity:105', { hidden: true, note: 'Closed for renovation' });
+    await admin('PUT', '/catalog/overrides/attraction:6', { featured: true });
+
+    const hotels = await (await post('/dialogflow-proxy', { message: 'show me hotels', sessionId: newSessionId() })).json();
+    assert.deepEqual(hotels.payload.flutter.data.amenities.map(item => item.name), ['Hotel Le Berbère Palace', 'Hotel Kenzi Rissani', 'Hotel Tomboctou']);
+
+    const attractions = await webhook('Ask_All_Attractions');
+    assert.equal(attractions.payload.flutter.data.attractions[0].name, 'Kasbah Taourirt');
+    assert.equal(attractions.payload.flutter.data.attractions[0].featured, true);
+  });
+
+  it('rejects invalid settings and requests without the admin token', async () => {
+    const invalid = async (method, path, body) => (await (await admin(method, path, body)).json()).fulfillmentText;
+
+    assert.match(await invalid('PUT', '/intents/Ask_Hotels', { handler: 'process.exit' }), /^handler must be one of/);
+    assert.equal(await invalid('PUT', '/aliases/city', { parameters: 'town' }), 'parameters must be a list of 1 to 8 parameter names');
+    assert.equal(await invalid('PUT', '/templates/en/list.found', { template: 'Found {total}' }), '"list.found" has no {total} placeholder');
+    assert.equal(await invalid('DELETE', '/templates/de/welcome'), 'language must be one of en, fr, ar');
+    assert.equal(await invalid('PUT', '/catalog/overrides/amenity:105', { hidden: 'yes' }), 'hidden must be true or false');
+    assert.equal((await admin('PUT', '/intents/Ask_Hotels', { handler: 'nope' })).status, 400);
+    assert.equal((await fetch(`${botUrl}/admin/config`)).status, 401);
+    assert.equal((await fetch(`${botUrl}/admin/intents/Ask_Hotels`, { method: 'DELETE' })).status, 401);
+  });
+});
+
+describe('GET /', () => {
+  it('reports status and cache counters', async () => {
+    const res = await fetch(`${botUrl}/`);
+    const body = await res.json();
+
+    assert.equal(body.dialogflowConfigured, false);
+    assert.equal(typeof body.catalogCache.hits, 'number');
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { MemorySessionStore, FileSessionStore, RedisSessionStore, createSessionStore } = require('../lib/session-stores');
+const { listen } = require('./helpers');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Shared behaviour every store must have
+function behavesLikeASessionStore(createStore) {
+  it('stores, reads and deletes values', async () => {
+    const store = await createStore();
+    await store.set('a', { remainingItems: [{ id_Location: 1 }], waitingForMoreResponse: true }, 60000);
+
+    assert.deepEqual(await store.get('a'), { remainingItems: [{ id_Location: 1 }], waitingForMoreResponse: true });
+    await store.delete('a');
+    assert.equal(await store.get('a'), null);
+    await store.close();
+  });
+
+  it('expires keys after their TTL', async () => {
+    const store = await createStore();
+    await store.set('short', { x: 1 }, 30);
+    await store.set('long', { x: 2 }, 60000);
+    await wait(60);
+
+    assert.equal(await store.get('short'), null);
+    assert.deepEqual(await store.get('long'), { x: 2 });
+    await store.close();
+  });
+}
+
+describe('MemorySessionStore', () => {
+  behavesLikeASessionStore(() => new MemorySessionStore());
+});
+
+describe('FileSessionStore', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tourism-bot-sessions-'));
+  let counter = 0;
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  behavesLikeASessionStore(() => new FileSessionStore(path.join(dir, `sessions-${++counter}.json`)));
+
+  it('survives a restart', async () => {
+    const file = path.join(dir, 'restart.json');
+    const first = new FileSessionStore(file);
+    await first.set('user-1', { cityName: 'Merzouga' }, 60000);
+    await first.close();
+
+    const second = new FileSessionStore(file);
+    assert.deepEqual(await second.get('user-1'), { cityName: 'Merzouga' });
+  });
+});
+
+// Tiny RESP server standing in for Redis: GET/SET (with PX)/DEL/AUTH/SELECT/QUIT
+function createRedisStandIn() {
+  const data = new Map();
+  const commands = [];
+
+  const server = net.createServer(socket => {
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = RedisSessionStore.parseReply(buffer, 0))) {
+        buffer = buffer.subarray(parsed.offset);
+        const [command, ...args] = parsed.value;
+        commands.push([command, ...args]);
+
+        const entry = data.get(args[0]);
+        const alive = entry && (!entry.expiresAt || entry.expiresAt > Date.now());
+        switch (command) {
+          case 'SET': {
+            const px = args.indexOf('PX');
+            data.set(args[0], { value: args[1], expiresAt: px === -1 ? null : Date.now() + Number(args[px + 1]) });
+            socket.write('+OK\r\n');
+            break;
+          }
+          case 'GET':
+            socket.write(alive ? `$${Buffer.byteLength(entry.value)}\r\n${entry.value}\r\n` : '$-1\r\n');
+            break;
+          case 'DEL':
+            socket.write(`:${data.delete(args[0]) ? 1 : 0}\r\n`);
+            break;
+          case 'AUTH':
+            socket.write(args[args.length - 1] === 'secret' ? '+OK\r\n' : '-WRONGPASS invalid password\r\n');
+            break;
+          default:
+            socket.write('+OK\r\n');
+        }
+      }
+    });
+  });
+
+  return { server, data, commands };
+}
+
+describe('RedisSessionStore', () => {
+  const standIn = createRedisStandIn();
+  let redisUrl;
+
+  before(async () => {
+    redisUrl = (await listen(standIn.server)).replace('http://', 'redis://');
+  });
+
+  after(() => standIn.server.close());
+
+  behavesLikeASessionStore(() => new RedisSessionStore(redisUrl));
+
+  it('prefixes keys and sends the TTL in milliseconds', async () => {
+    const store = new RedisSessionStore(redisUrl);
+    await store.set('abc', { a: 'é' }, 1500);
+
+    assert.deepEqual(standIn.commands.at(-1), ['SET', 'tourism-bot:session:abc', '{"a":"é"}', 'PX', '1500']);
+    await store.close();
+  });
+
+  it('authenticates and selects the database from the URL', async () => {
+    const url = new URL(redisUrl);
+    const store = new RedisSessionStore(`redis://:secret@${url.host}/2`);
+    await store.get('x');
+
+    assert.deepEqual(standIn.commands.slice(-3), [['AUTH', 'secret'], ['SELECT', '2'], ['GET', 'tourism-bot:session:x']]);
+    await store.close();
+  });
+
+  it('surfaces server errors', async () => {
+    const url = new URL(redisUrl);
+    const store = new RedisSessionStore(`redis://:wrong@${url.host}`);
+    await assert.rejects(store.get('x'), /WRONGPASS/);
+  });
+});
+
+describe('createSessionStore', () => {
+  it('picks the backend from SESSION_STORE', () => {
+    assert.ok(createSessionStore({}) instanceof MemorySessionStore);
+    assert.ok(createSessionStore({ SESSION_STORE: 'file', SESSION_FILE: '/tmp/x.json' }) instanceof FileSessionStore);
+    assert.ok(createSessionStore({ SESSION_STORE: 'redis' }) instanceof RedisSessionStore);
+    assert.throws(() => createSessionStore({ SESSION_STORE: 'mongo' }), /Unknown SESSION_STORE/);
+  });
+});
@@ -0,0 +1,15 @@
+// Preloaded by `npm test`: keeps the bot's console chatter out of the test reporter output.
+// Set TEST_VERBOSE=1 to see it.
+if (!process.env.TEST_VERBOSE) {
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    console[method] = () => {};
+  }
+}
+
+// Favorites, analytics and the bot config default to files under data/; tests keep them in memory
+process.env.FAVORITES_STORE = process.env.FAVORITES_STORE || 'memory';
+process.env.ANALYTICS_STORE = process.env.ANALYTICS_STORE || 'memory';
+process.env.BOT_CONFIG_STORE = process.env.BOT_CONFIG_STORE || 'memory';
+
+// Every payload the suite produces has to match its schema
+process.env.PAYLOAD_VALIDATION = process.env.PAYLOAD_VALIDATION || 'strict';
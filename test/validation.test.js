@@ -0,0 +1,23 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateChatRequest, isValidSessionId } = require('../lib/validation');
+
+describe('chat request validation', () => {
+  it('accepts a message and a Dialogflow-compatible session id', () => {
+    assert.deepEqual(validateChatRequest({ message: 'hotels in Zagora', sessionId: 'abc_123-XYZ' }), []);
+  });
+
+  it('reports missing, empty and oversized fields', () => {
+    assert.deepEqual(validateChatRequest(undefined), ['message is required', 'sessionId is required']);
+    assert.deepEqual(validateChatRequest({ message: 42, sessionId: 'a' }), ['message is required']);
+    assert.deepEqual(validateChatRequest({ message: 'x'.repeat(257), sessionId: 'a' }), ['message must be at most 256 characters']);
+  });
+
+  it('rejects session ids that would break the session path', () => {
+    assert.equal(isValidSessionId('projects/x/agent'), false);
+    assert.equal(isValidSessionId('a'.repeat(37)), false);
+    assert.equal(isValidSessionId('with space'), false);
+    assert.equal(isValidSessionId(12), false);
+    assert.equal(isValidSessionId('a'.repeat(36)), true);
+  });
+});